@@ -39,7 +39,7 @@ document.addEventListener('DOMContentLoaded', () => {
                             <p>Drag & drop your book file here<br>or</p>
                             <input type="file" id="bookFileUpload" style="display: none;">
                             <button id="chooseFilesBtn" class="btn btn-primary">Select File</button>
-                            <p class="supported-formats">Supported formats: TXT, DOCX, RTF, HTML</p>
+                            <p class="supported-formats">Supported formats: TXT, DOCX, RTF, HTML, EPUB, PDF</p>
                         </div>
                     </div>
                     <div id="uploadedFiles" class="uploaded-files"></div>
@@ -94,7 +94,7 @@
                 console.log('MASTER Auto-backup completed via Storage.backupDatabase');
                 
                 // Remove toast notification from here to prevent duplicates
-                // The backup-directory-fix.js or other components will handle showing the toast
+                // The backup module or other components will handle showing the toast
                 
                 // Clear the flag
                 setTimeout(() => {
@@ -210,9 +210,7 @@ console.log('Database deletion fix script loaded');
             
             // Regardless of physical deletion outcome, reload the page to reflect the in-memory changes
             console.log('Reloading page to reflect in-memory changes');
-            setTimeout(() => {
-                window.location.reload();
-            }, 1000);
+            window.Core.reloadAfterSaving(1000);
         }
     }
     
@@ -319,9 +317,7 @@ console.log('Database deletion fix script loaded');
             }
             
             // Reload the page to reflect changes
-            setTimeout(() => {
-                window.location.reload();
-            }, 500);
+            window.Core.reloadAfterSaving(500);
             
             return true;
         };
@@ -40,7 +40,7 @@
     
     // Listen for file content from main process
     if (window.api && window.api.on) {
-        window.api.on('database-file-content', function(content) {
+        window.api.on('database-file-content', async function(content) {
             console.log('Received database file content');
             console.log('Content length:', content.length);
             
@@ -116,47 +116,32 @@
                     console.log('Updated database name element directly with:', databaseName);
                 }
                 
+                // Every collection the repository stores, so none is left over from the previous database
+                const collections = [...window.Repository.RECORD_COLLECTIONS, ...window.Repository.LIST_COLLECTIONS];
+                
                 // Clear all existing data arrays first (critical!)
-                window.characters = [];
-                window.titles = [];
-                window.seriesList = [];
-                window.books = [];
-                window.roles = [];
-                window.customFieldTypes = [];
-                window.relationships = [];
-                window.tags = [];
-                window.plots = [];
-                window.worldElements = [];
+                collections.forEach(key => {
+                    window[key] = [];
+                });
                 
                 console.log('Cleared all existing data arrays');
                 
                 // Now load the data from the imported file
-                if (Array.isArray(data.characters)) window.characters = data.characters;
-                if (Array.isArray(data.titles)) window.titles = data.titles;
-                if (Array.isArray(data.seriesList)) window.seriesList = data.seriesList;
-                if (Array.isArray(data.books)) window.books = data.books;
-                if (Array.isArray(data.roles)) window.roles = data.roles;
-                if (Array.isArray(data.customFieldTypes)) window.customFieldTypes = data.customFieldTypes;
-                if (Array.isArray(data.relationships)) window.relationships = data.relationships;
-                if (Array.isArray(data.tags)) window.tags = data.tags;
-                if (Array.isArray(data.plots)) window.plots = data.plots;
-                if (Array.isArray(data.worldElements)) window.worldElements = data.worldElements;
+                collections.forEach(key => {
+                    if (Array.isArray(data[key])) window[key] = data[key];
+                });
                 
                 console.log('Loaded data from file');
                 
-                // Save to localStorage for persistence
-                localStorage.setItem('characters', JSON.stringify(window.characters || []));
-                localStorage.setItem('titles', JSON.stringify(window.titles || []));
-                localStorage.setItem('seriesList', JSON.stringify(window.seriesList || []));
-                localStorage.setItem('books', JSON.stringify(window.books || []));
-                localStorage.setItem('roles', JSON.stringify(window.roles || []));
-                localStorage.setItem('customFieldTypes', JSON.stringify(window.customFieldTypes || []));
-                localStorage.setItem('relationships', JSON.stringify(window.relationships || []));
-                localStorage.setItem('tags', JSON.stringify(window.tags || []));
-                localStorage.setItem('plots', JSON.stringify(window.plots || []));
-                localStorage.setItem('worldElements', JSON.stringify(window.worldElements || []));
+                // Save to the repository for persistence, and stop if any of it could not be stored
+                const stored = await Promise.all(collections.map(key => {
+                    return window.Core.safelyStoreItem(key, JSON.stringify(window[key] || []));
+                }));
+                if (stored.includes(false)) {
+                    throw new Error('The database could not be saved');
+                }
                 
-                console.log('Saved data to localStorage');
+                console.log('Saved data to storage');
                 
                 // Switch to dashboard tab
                 try {
@@ -204,6 +189,8 @@
                     }
                 }
                 
+                // Reload so every module starts from the stored database
+                window.Core.reloadAfterSaving(1000);
             } catch (error) {
                 console.error('Error processing database content:', error);
                 
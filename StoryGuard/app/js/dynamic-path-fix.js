@@ -25,6 +25,11 @@ console.log("Dynamic path fix script loaded");
                 tags: window.tags || [],
                 plots: window.plots || [],
                 worldElements: window.worldElements || [],
+                exportTemplates: window.exportTemplates || [],
+                calendars: window.calendars || [],
+                timelineEvents: window.timelineEvents || [],
+                rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+                relationshipGraphLayout: window.relationshipGraphLayout || [],
                 version: '2.1.0', // Current app version
                 databaseName: dbName,
                 saveDate: new Date().toISOString()
@@ -122,8 +122,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             errorLogButton.remove();
         }
         
-        // Initialize core state (already loaded)
-        Core.initializeState();
+        // Load the current database from IndexedDB
+        await Core.initializeState();
         
         // Initialize UI (already loaded)
         UI.initializeDarkMode();
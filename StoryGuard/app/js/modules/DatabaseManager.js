@@ -13,6 +13,24 @@ import { ErrorHandlingManager, tryCatch } from './ErrorHandlingManager.js';
 import { safeGet, safeStore } from '../storage-util.js';
 import fileManager from './FileManager.js'; // Import the new FileManager
 import fileManagerBridge from './FileManagerBridge.js'; // For renderer process
+import { migrateDatabaseSchema, validateDatabaseRecords, removeInvalidRecords } from './storage/schema.js';
+import { showValidationReport } from './storage/import.js';
+import { findLatestBackup } from './storage/backup.js';
+
+/**
+ * Whether file content is a complete database rather than a truncated or garbled write
+ * @param {string} content - File content
+ * @returns {boolean}
+ */
+function isCompleteDatabaseContent(content) {
+    if (!content || !content.trim()) return false;
+    try {
+        const data = JSON.parse(content);
+        return !!data && typeof data === 'object' && !Array.isArray(data);
+    } catch (error) {
+        return false;
+    }
+}
 
 /**
  * DatabaseManager - Centralizes all database operations
@@ -440,8 +458,16 @@ class DatabaseManager {
                     throw new Error('No file system implementation available');
                 }
                 
+                // A crash mid-write can leave the file truncated; offer to recover it
+                if (!isCompleteDatabaseContent(content)) {
+                    content = await this._recoverDamagedDatabase(filePath);
+                    if (!content) {
+                        throw new Error(`Database file is damaged and was not recovered: ${filePath}`);
+                    }
+                }
+                
                 // Load the database from the content
-                return this.loadDatabaseContent(content);
+                return await this.loadDatabaseContent(content);
             } catch (error) {
                 ErrorHandlingManager.handleError(error, 'database-manager', 'error', {
                     message: `Failed to read database file: ${filePath}`,
@@ -452,13 +478,83 @@ class DatabaseManager {
         }, { success: false, error: 'Failed to load database from file' }, 'database-manager');
     }
     
+    /**
+     * Offer to recover a damaged database file from its previous generation or the latest backup
+     * The recovered content is written back to the file so the next load finds it intact
+     * @param {string} filePath - Path of the damaged file
+     * @returns {Promise<string|null>} - Recovered content, or null if nothing was recovered
+     */
+    async _recoverDamagedDatabase(filePath) {
+        const sources = [];
+        
+        if (this.fileSystem && this.fileSystem.readPreviousGeneration) {
+            const previous = await this.fileSystem.readPreviousGeneration(filePath);
+            if (previous && previous.success && isCompleteDatabaseContent(previous.content)) {
+                sources.push({
+                    label: `Previous save from ${new Date(previous.modified).toLocaleString()}`,
+                    content: previous.content
+                });
+            }
+        }
+        
+        try {
+            const fileName = filePath.split(/[\\/]/).pop().replace(/\.json$/i, '');
+            const backup = await findLatestBackup(fileName);
+            if (backup) {
+                sources.push({
+                    label: `${backup.type === 'auto' ? 'Automatic' : 'Manual'} backup from ${new Date(backup.createdAt).toLocaleString()}`,
+                    content: JSON.stringify(backup.data, null, 2)
+                });
+            }
+        } catch (error) {
+            console.error('Error looking for a backup to recover from:', error);
+        }
+        
+        if (sources.length === 0 || !window.UI || typeof window.UI.showModal !== 'function') {
+            if (window.Core && window.Core.showToast) {
+                window.Core.showToast('The database file is damaged and no previous save or backup was found', 'error');
+            }
+            return null;
+        }
+        
+        const content = await new Promise(resolve => {
+            const modal = window.UI.showModal('Database File Damaged', `
+                <p>The database file could not be read. It may have been cut short by a crash or a full disk.</p>
+                <p>Choose a copy to recover from:</p>
+                <div class="recovery-sources">
+                    ${sources.map((source, index) => `
+                        <button type="button" class="recovery-source-btn" data-index="${index}" style="display: block; width: 100%; margin-bottom: 8px;">${source.label}</button>
+                    `).join('')}
+                </div>
+                <div style="text-align: right;"><button type="button" class="recovery-cancel-btn">Don't Recover</button></div>
+            `);
+            
+            modal.querySelectorAll('.recovery-source-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    window.UI.closeModal();
+                    resolve(sources[parseInt(button.dataset.index, 10)].content);
+                });
+            });
+            modal.querySelector('.recovery-cancel-btn').addEventListener('click', () => {
+                window.UI.closeModal();
+                resolve(null);
+            });
+        });
+        
+        if (content && this.fileSystem && this.fileSystem.saveDatabaseFile) {
+            this.fileSystem.saveDatabaseFile(filePath, content);
+        }
+        return content;
+    }
+    
     /**
      * Load database from content string
+     * Malformed records are listed for the user, who can load the rest without them or cancel
      * @param {string} content - Database content as JSON string
-     * @returns {Object} - Result with success status
+     * @returns {Promise<Object>} - Result with success status
      */
-    loadDatabaseContent(content) {
-        return tryCatch(() => {
+    async loadDatabaseContent(content) {
+        return tryCatch(async () => {
             if (!content) {
                 throw new Error('No content provided');
             }
@@ -466,6 +562,20 @@ class DatabaseManager {
             // Parse the database content
             const data = JSON.parse(content);
             
+            // Upgrade older databases to the current schema before saving
+            migrateDatabaseSchema(data);
+            const report = validateDatabaseRecords(data);
+            if (!report.valid) {
+                const loadValid = await new Promise(resolve => {
+                    showValidationReport(report, () => resolve(true), () => resolve(false));
+                });
+                if (!loadValid) {
+                    return { success: false, canceled: true };
+                }
+                const removed = removeInvalidRecords(data, report);
+                console.log(`Skipped ${removed} malformed records while loading the database`);
+            }
+            
             // Extract the database name or generate one
             let dbName;
             if (data.databaseName) {
@@ -491,7 +601,13 @@ class DatabaseManager {
                 success: true,
                 database: data
             };
-        }, { success: false, error: 'Failed to load database content' }, 'database-manager');
+        }, { success: false, error: 'Failed to load database content' }, 'database-manager').catch(error => {
+            // The async callback rejects rather than throws, which tryCatch doesn't see
+            ErrorHandlingManager.handleError(error, 'database-manager', 'error', {
+                message: 'Failed to load database content'
+            });
+            return { success: false, error: 'Failed to load database content' };
+        });
     }
     
     /**
@@ -10,6 +10,8 @@
 
 // Import dependencies
 import { ErrorHandlingManager, tryCatch } from './ErrorHandlingManager.js';
+import { renderActiveTemplate } from './storage/templates.js';
+import { getExportItems } from './storage/exports.js';
 
 /**
  * PDFManager - Centralizes all PDF operations
@@ -103,9 +105,10 @@ class PDFManager {
      * @param {Array} items - Array of data items
      * @param {Function} generateItemHTML - Function to generate HTML for each item
      * @param {string} filename - Name of the output file
+     * @param {string} [entityType] - Entity type whose export template, if one is in use, lays out the document
      * @returns {Promise} - Promise resolving to the result of the PDF generation
      */
-    createDetailedPDF(items, generateItemHTML, filename) {
+    createDetailedPDF(items, generateItemHTML, filename, entityType) {
         return tryCatch(async () => {
             if (!this.isInitialized) {
                 this.initialize();
@@ -123,6 +126,16 @@ class PDFManager {
                 throw new Error('No filename provided');
             }
             
+            // A template lays out the whole document, so its output is rendered as a single item
+            const templateOutput = renderActiveTemplate(entityType, 'html', items);
+            if (templateOutput === false) {
+                throw new Error('The export template could not be rendered');
+            }
+            if (templateOutput !== null) {
+                items = [templateOutput];
+                generateItemHTML = html => html;
+            }
+            
             console.log(`Creating PDF for ${items.length} items with filename ${filename}`);
             
             // Check if we have a large dataset
@@ -442,7 +455,8 @@ class PDFManager {
                 throw new Error('No characters data available');
             }
             
-            const characters = window.characters;
+            // Only the rows the table shows, in its order
+            const characters = getExportItems('characters', window.characters);
             console.log(`Found ${characters.length} characters to export`);
             
             // Function to generate HTML for a character
@@ -477,7 +491,7 @@ class PDFManager {
             };
             
             // Call the createDetailedPDF function
-            return this.createDetailedPDF(characters, generateCharacterHTML, filename);
+            return this.createDetailedPDF(characters, generateCharacterHTML, filename, 'characters');
         }, { success: false, error: 'Failed to export characters to PDF' }, 'pdf-manager');
     }
     
@@ -502,7 +516,8 @@ class PDFManager {
                 throw new Error('No locations data available');
             }
             
-            const locations = window.locations;
+            // Only the rows the table shows, in its order
+            const locations = getExportItems('locations', window.locations);
             console.log(`Found ${locations.length} locations to export`);
             
             // Function to generate HTML for a location
@@ -536,7 +551,7 @@ class PDFManager {
             };
             
             // Call the createDetailedPDF function
-            return this.createDetailedPDF(locations, generateLocationHTML, filename);
+            return this.createDetailedPDF(locations, generateLocationHTML, filename, 'locations');
         }, { success: false, error: 'Failed to export locations to PDF' }, 'pdf-manager');
     }
     
@@ -561,7 +576,8 @@ class PDFManager {
                 throw new Error('No plots data available');
             }
             
-            const plots = window.plots;
+            // Only the rows the table shows, in its order
+            const plots = getExportItems('plots', window.plots);
             console.log(`Found ${plots.length} plots to export`);
             
             // Function to generate HTML for a plot
@@ -594,7 +610,7 @@ class PDFManager {
             };
             
             // Call the createDetailedPDF function
-            return this.createDetailedPDF(plots, generatePlotHTML, filename);
+            return this.createDetailedPDF(plots, generatePlotHTML, filename, 'plots');
         }, { success: false, error: 'Failed to export plots to PDF' }, 'pdf-manager');
     }
     
@@ -619,7 +635,8 @@ class PDFManager {
                 throw new Error('No world building data available');
             }
             
-            const worldBuilding = window.worldBuilding;
+            // Only the rows the table shows, in its order
+            const worldBuilding = getExportItems('worldElements', window.worldBuilding);
             console.log(`Found ${worldBuilding.length} world building elements to export`);
             
             // Function to generate HTML for a world building element
@@ -648,7 +665,7 @@ class PDFManager {
             };
             
             // Call the createDetailedPDF function
-            return this.createDetailedPDF(worldBuilding, generateWorldBuildingHTML, filename);
+            return this.createDetailedPDF(worldBuilding, generateWorldBuildingHTML, filename, 'worldElements');
         }, { success: false, error: 'Failed to export world building to PDF' }, 'pdf-manager');
     }
 }
@@ -25,6 +25,10 @@ window.BookAnalysis = {
     // Store file statistics
     fileStats: null,
     
+    // Store the parsed manuscript and its chapters ({ index, title, text, start, end })
+    manuscript: null,
+    chapters: [],
+    
     // Flag to track if analysis is in progress
     analysisInProgress: false,
     
@@ -128,6 +132,17 @@ window.BookAnalysis = {
                 </div>
             `;
             
+            // Show the chapters found in the manuscript
+            if (this.chapters && this.chapters.length > 1) {
+                const chapterTitles = this.chapters.map(chapter => chapter.title.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`));
+                formatInfoContainer.innerHTML += `
+                    <div class="format-info-item" title="${chapterTitles.join('\n')}">
+                        <span class="format-info-label">Chapters:</span>
+                        <span class="format-info-value">${this.chapters.length.toLocaleString()}</span>
+                    </div>
+                `;
+            }
+            
             // Show the format info container
             formatInfoContainer.style.display = 'block';
             
@@ -364,9 +379,9 @@ window.BookAnalysis = {
                 if (!series.length && window.seriesList) {
                     series = window.seriesList;
                 }
-                // Try localStorage as last resort
+                // Try the saved list as last resort
                 if (!series.length) {
-                    const storedSeries = localStorage.getItem('series');
+                    const storedSeries = Core.getStoredItem('series');
                     if (storedSeries) {
                         series = JSON.parse(storedSeries);
                     }
@@ -386,9 +401,9 @@ window.BookAnalysis = {
                 if (!books.length && window.books) {
                     books = window.books;
                 }
-                // Try localStorage as last resort
+                // Try the saved list as last resort
                 if (!books.length) {
-                    const storedBooks = localStorage.getItem('books');
+                    const storedBooks = Core.getStoredItem('books');
                     if (storedBooks) {
                         books = JSON.parse(storedBooks);
                     }
@@ -402,8 +417,8 @@ window.BookAnalysis = {
                 charactersModule: typeof Characters !== 'undefined',
                 windowSeriesList: typeof window.seriesList !== 'undefined',
                 windowBooks: typeof window.books !== 'undefined',
-                localStorageSeries: localStorage.getItem('series') !== null,
-                localStorageBooks: localStorage.getItem('books') !== null
+                storedSeries: Core.getStoredItem('series') !== null,
+                storedBooks: Core.getStoredItem('books') !== null
             });
 
             // If no data found and retries remaining, retry
@@ -728,7 +743,11 @@ window.BookAnalysis = {
                 // Enable the analyze button
                 document.getElementById('analyzeBookBtn').disabled = false;
             } else {
-                alert('Unsupported file type. Please upload a TXT, DOCX, RTF, or HTML file.');
+                if (file.name.toLowerCase().endsWith('.doc')) {
+                    alert('Legacy Word .doc files cannot be read. Please save the file as DOCX and upload it again.');
+                } else {
+                    alert('Unsupported file type. Please upload a TXT, DOCX, RTF, HTML, EPUB, or PDF file.');
+                }
             }
         }
     },
@@ -739,8 +758,10 @@ window.BookAnalysis = {
             'text/plain',                  // TXT
             'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // DOCX
             'application/rtf',             // RTF
+            'text/rtf',                    // RTF
             'text/html',                   // HTML
-            'application/msword'           // DOC
+            'application/epub+zip',        // EPUB
+            'application/pdf'              // PDF
         ];
         
         // Check by MIME type
@@ -750,12 +771,7 @@ window.BookAnalysis = {
         
         // As a fallback, check by file extension
         const fileName = file.name.toLowerCase();
-        if (fileName.endsWith('.txt') ||
-            fileName.endsWith('.docx') ||
-            fileName.endsWith('.rtf') ||
-            fileName.endsWith('.html') ||
-            fileName.endsWith('.htm') ||
-            fileName.endsWith('.doc')) {
+        if (window.ManuscriptParsers && ManuscriptParsers.SUPPORTED_EXTENSIONS.some(extension => fileName.endsWith(extension))) {
             return true;
         }
         
@@ -772,10 +788,15 @@ window.BookAnalysis = {
         
         // Get the file icon based on type
         let fileIcon = 'fa-file-alt'; // Default
-        if (file.name.endsWith('.docx') || file.name.endsWith('.doc')) {
+        const lowerName = file.name.toLowerCase();
+        if (lowerName.endsWith('.docx')) {
             fileIcon = 'fa-file-word';
-        } else if (file.name.endsWith('.html') || file.name.endsWith('.htm')) {
+        } else if (lowerName.endsWith('.html') || lowerName.endsWith('.htm')) {
             fileIcon = 'fa-file-code';
+        } else if (lowerName.endsWith('.pdf')) {
+            fileIcon = 'fa-file-pdf';
+        } else if (lowerName.endsWith('.epub')) {
+            fileIcon = 'fa-book';
         }
         
         // Format file size
@@ -918,73 +939,29 @@ window.BookAnalysis = {
     },
     
     // Extract text from different file types
+    // Chapter boundaries found while parsing are kept in this.manuscript
     extractTextFromFile: function(file) {
-        return new Promise((resolve, reject) => {
-            const fileName = file.name.toLowerCase();
-            const reader = new FileReader();
-            
-            // Handle TXT files
-            if (fileName.endsWith('.txt')) {
-                reader.onload = function(e) {
-                    resolve(e.target.result);
-                };
-                reader.onerror = function(e) {
-                    reject(new Error('Error reading text file'));
-                };
-                reader.readAsText(file);
-            }
-            // Handle HTML files
-            else if (fileName.endsWith('.html') || fileName.endsWith('.htm')) {
-                reader.onload = function(e) {
-                    const html = e.target.result;
-                    // Strip HTML tags and extract text content
-                    const div = document.createElement('div');
-                    div.innerHTML = html;
-                    const text = div.textContent || div.innerText || '';
-                    resolve(text);
-                };
-                reader.onerror = function(e) {
-                    reject(new Error('Error reading HTML file'));
-                };
-                reader.readAsText(file);
-            }
-            // Handle DOCX files
-            else if (fileName.endsWith('.docx')) {
-                reader.onload = function(e) {
-                    // Using Mammoth.js library
-                    mammoth.extractRawText({ arrayBuffer: e.target.result })
-                        .then(result => {
-                            resolve(result.value);
-                        })
-                        .catch(error => {
-                            reject(new Error('Error extracting text from DOCX: ' + error.message));
-                        });
-                };
-                reader.onerror = function() {
-                    reject(new Error('Error reading DOCX file'));
-                };
-                reader.readAsArrayBuffer(file);
-            }
-            // Handle RTF files - basic extraction
-            else if (fileName.endsWith('.rtf')) {
-                reader.onload = function(e) {
-                    // Simple RTF to text conversion - strips RTF commands
-                    const rtf = e.target.result;
-                    // Remove RTF commands and extract plain text
-                    let text = rtf.replace(/[\\](?:rtf[^;]*;)|[\\][a-z0-9]+\s?|[\{\}]|\\\n/gmi, " ");
-                    text = text.replace(/\s+/g, " ").trim();
-                    resolve(text);
-                };
-                reader.onerror = function() {
-                    reject(new Error('Error reading RTF file'));
-                };
-                reader.readAsText(file);
-            }
-            // Handle unsupported file types
-            else {
-                reject(new Error('Unsupported file type'));
-            }
-        });
+        return this.extractManuscript(file).then(manuscript => manuscript.text);
+    },
+    
+    // Parse the file into { format, text, chapters } using the manuscript parsers
+    extractManuscript: function(file) {
+        if (!window.ManuscriptParsers) {
+            return Promise.reject(new Error('Manuscript parsers not loaded. Please refresh the page and try again.'));
+        }
+        
+        return ManuscriptParsers.parseManuscriptFile(file)
+            .then(manuscript => {
+                this.manuscript = manuscript;
+                this.chapters = manuscript.chapters;
+                console.log(`Extracted ${manuscript.chapters.length} chapter(s) from ${manuscript.format.toUpperCase()} file`);
+                return manuscript;
+            })
+            .catch(error => {
+                this.manuscript = null;
+                this.chapters = [];
+                throw error;
+            });
     },
     
     // Cancel the current analysis
@@ -1121,12 +1098,12 @@ window.BookAnalysis = {
                 series = window.seriesList;
             } else {
                 try {
-                    const storedSeries = localStorage.getItem('series');
+                    const storedSeries = Core.getStoredItem('series');
                     if (storedSeries) {
                         series = JSON.parse(storedSeries);
                     }
                 } catch (e) {
-                    console.error("Error loading series from localStorage:", e);
+                    console.error("Error loading saved series:", e);
                 }
             }
             
@@ -1167,12 +1144,12 @@ window.BookAnalysis = {
                 books = window.books;
             } else {
                 try {
-                    const storedBooks = localStorage.getItem('books');
+                    const storedBooks = Core.getStoredItem('books');
                     if (storedBooks) {
                         books = JSON.parse(storedBooks);
                     }
                 } catch (e) {
-                    console.error("Error loading books from localStorage:", e);
+                    console.error("Error loading saved books:", e);
                 }
             }
             
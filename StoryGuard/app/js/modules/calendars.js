@@ -0,0 +1,486 @@
+/**
+ * In-world calendars for Story Database
+ * Each calendar has its own month names and lengths and its own eras. Dates are stored as
+ * { calendarId, year, month, day } with a continuous year (year 0 and negative years come
+ * before year 1, whatever the eras call them). To compare dates across calendars, every
+ * date converts to a day number: a calendar's year 1 starts on a chosen date of another
+ * calendar, and the calendar nothing refers to starts on day 0.
+ */
+
+// Used for a database's first calendar
+const DEFAULT_CALENDAR = {
+    name: 'Standard Calendar',
+    months: [
+        { name: 'January', days: 31 }, { name: 'February', days: 28 }, { name: 'March', days: 31 },
+        { name: 'April', days: 30 }, { name: 'May', days: 31 }, { name: 'June', days: 30 },
+        { name: 'July', days: 31 }, { name: 'August', days: 31 }, { name: 'September', days: 30 },
+        { name: 'October', days: 31 }, { name: 'November', days: 30 }, { name: 'December', days: 31 }
+    ],
+    eras: [
+        { name: 'Before Common Era', abbreviation: 'BCE', startYear: null, countsDown: true },
+        { name: 'Common Era', abbreviation: 'CE', startYear: 1, countsDown: false }
+    ],
+    epoch: null
+};
+
+function getCalendars() {
+    return Array.isArray(window.calendars) ? window.calendars : [];
+}
+
+function getCalendar(calendarId) {
+    return getCalendars().find(calendar => calendar.id === calendarId) || null;
+}
+
+function saveCalendars() {
+    return Core.safelyStoreItem('calendars', JSON.stringify(getCalendars()));
+}
+
+// Make sure the database has a calendar to enter dates in
+function ensureDefaultCalendar() {
+    if (getCalendars().length === 0) {
+        window.calendars = [{ id: Core.generateId(), ...JSON.parse(JSON.stringify(DEFAULT_CALENDAR)) }];
+        saveCalendars();
+    }
+    return getCalendars()[0];
+}
+
+function getYearLength(calendar) {
+    const length = calendar.months.reduce((total, month) => total + (parseInt(month.days, 10) || 0), 0);
+    return Math.max(length, 1);
+}
+
+// Day number of year 1, month 1, day 1 of a calendar
+function getEpochDay(calendar, visited = new Set()) {
+    const epoch = calendar.epoch;
+    if (!epoch || visited.has(calendar.id)) return 0;
+
+    const reference = getCalendar(epoch.calendarId);
+    if (!reference || reference.id === calendar.id) return 0;
+
+    visited.add(calendar.id);
+    return toDayNumber(epoch, visited);
+}
+
+/**
+ * Convert a date to a day number that can be compared across calendars
+ * @param {Object} date - { calendarId, year, month, day }
+ * @returns {number|null} - Day number, or null when the date or its calendar is missing
+ */
+function toDayNumber(date, visited = new Set()) {
+    if (!isValidDate(date)) return null;
+    const calendar = getCalendar(date.calendarId);
+    if (!calendar || calendar.months.length === 0) return null;
+
+    const month = Math.min(Math.max(date.month, 1), calendar.months.length);
+    const daysBeforeMonth = calendar.months
+        .slice(0, month - 1)
+        .reduce((total, entry) => total + (parseInt(entry.days, 10) || 0), 0);
+
+    return getEpochDay(calendar, visited) + (date.year - 1) * getYearLength(calendar) + daysBeforeMonth + (date.day - 1);
+}
+
+/**
+ * Convert a day number to a date in a calendar
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @param {string} calendarId - Calendar to express the date in
+ * @returns {Object|null} - { calendarId, year, month, day }
+ */
+function fromDayNumber(dayNumber, calendarId) {
+    const calendar = getCalendar(calendarId);
+    if (!calendar || calendar.months.length === 0 || !Number.isFinite(dayNumber)) return null;
+
+    const offset = dayNumber - getEpochDay(calendar);
+    const yearLength = getYearLength(calendar);
+    const year = Math.floor(offset / yearLength) + 1;
+    let remaining = offset - (year - 1) * yearLength;
+
+    let month = 1;
+    for (const entry of calendar.months) {
+        const days = parseInt(entry.days, 10) || 0;
+        if (remaining < days || month === calendar.months.length) break;
+        remaining -= days;
+        month++;
+    }
+    return { calendarId, year, month, day: remaining + 1 };
+}
+
+function isValidDate(date) {
+    return !!date && typeof date === 'object' && typeof date.calendarId === 'string' &&
+        [date.year, date.month, date.day].every(Number.isInteger);
+}
+
+// Eras in the order they start; an era without a start year covers everything before the next
+function getSortedEras(calendar) {
+    return (calendar.eras || []).slice().sort((a, b) => {
+        const startA = a.startYear === null || a.startYear === undefined ? -Infinity : a.startYear;
+        const startB = b.startYear === null || b.startYear === undefined ? -Infinity : b.startYear;
+        return startA - startB;
+    });
+}
+
+/**
+ * Find the era a continuous year falls in and the year number within it
+ * @returns {Object|null} - { era, eraYear }, or null when the calendar has no era for the year
+ */
+function getEraYear(calendar, year) {
+    const eras = getSortedEras(calendar);
+    for (let i = eras.length - 1; i >= 0; i--) {
+        const era = eras[i];
+        const start = era.startYear === null || era.startYear === undefined ? -Infinity : era.startYear;
+        if (year < start) continue;
+
+        const next = eras[i + 1];
+        if (era.countsDown && next) {
+            return { era, eraYear: next.startYear - year };
+        }
+        return { era, eraYear: Number.isFinite(start) ? year - start + 1 : year };
+    }
+    return null;
+}
+
+// Continuous year for a year number within an era; the reverse of getEraYear
+function fromEraYear(calendar, eraIndex, eraYear) {
+    const eras = getSortedEras(calendar);
+    const era = eras[eraIndex];
+    if (!era) return eraYear;
+
+    const next = eras[eraIndex + 1];
+    if (era.countsDown && next) return next.startYear - eraYear;
+    return era.startYear === null || era.startYear === undefined ? eraYear : era.startYear + eraYear - 1;
+}
+
+function formatYear(calendar, year) {
+    const eraYear = getEraYear(calendar, year);
+    if (!eraYear) return String(year);
+    return `${eraYear.eraYear} ${eraYear.era.abbreviation || eraYear.era.name}`;
+}
+
+/**
+ * Format a date, optionally converted to another calendar
+ * @param {Object} date - { calendarId, year, month, day }
+ * @param {string} [calendarId] - Calendar to show the date in; defaults to the date's own
+ * @returns {string} - e.g. "14 Harvestmoon 302 AR"
+ */
+function formatDate(date, calendarId) {
+    if (!isValidDate(date)) return '';
+    let shown = date;
+    if (calendarId && calendarId !== date.calendarId) {
+        shown = fromDayNumber(toDayNumber(date), calendarId) || date;
+    }
+
+    const calendar = getCalendar(shown.calendarId);
+    if (!calendar) return `${shown.day}/${shown.month}/${shown.year}`;
+
+    const month = calendar.months[shown.month - 1];
+    return `${shown.day} ${month ? month.name : shown.month} ${formatYear(calendar, shown.year)}`;
+}
+
+function escapeCalendarHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderCalendarOptions(selectedId, excludeId) {
+    return getCalendars().filter(calendar => calendar.id !== excludeId).map(calendar =>
+        `<option value="${escapeCalendarHtml(calendar.id)}"${calendar.id === selectedId ? ' selected' : ''}>${escapeCalendarHtml(calendar.name)}</option>`
+    ).join('');
+}
+
+/**
+ * HTML for a date field: calendar, day, month, year and era
+ * Read the value back with readDateInput using the same prefix.
+ * @param {string} prefix - Prefix for the element ids
+ * @param {Object|null} date - Date to show; null leaves the year empty
+ * @param {Object} [options] - { calendarId: calendar for an empty field, excludeCalendarId: calendar not to offer }
+ * @returns {string} - HTML
+ */
+function renderDateInput(prefix, date, options = {}) {
+    const calendar = (date && getCalendar(date.calendarId)) || getCalendar(options.calendarId) || ensureDefaultCalendar();
+    const eras = getSortedEras(calendar);
+    const eraYear = date ? getEraYear(calendar, date.year) : null;
+    const eraIndex = eraYear ? eras.indexOf(eraYear.era) : eras.length - 1;
+    const exclude = options.excludeCalendarId || '';
+
+    return `
+        <div class="calendar-date-input" id="${prefix}" data-calendar-id="${escapeCalendarHtml(calendar.id)}" data-exclude="${escapeCalendarHtml(exclude)}">
+            <select id="${prefix}Calendar" title="Calendar" onchange="Calendars.refreshDateInput('${prefix}')">${renderCalendarOptions(calendar.id, exclude)}</select>
+            <input type="number" id="${prefix}Day" min="1" placeholder="Day" title="Day" value="${date ? date.day : ''}">
+            <select id="${prefix}Month" title="Month">
+                ${calendar.months.map((month, index) => `<option value="${index + 1}"${date && date.month === index + 1 ? ' selected' : ''}>${escapeCalendarHtml(month.name)}</option>`).join('')}
+            </select>
+            <input type="number" id="${prefix}Year" placeholder="Year" title="Year" value="${date ? (eraYear ? eraYear.eraYear : date.year) : ''}">
+            ${eras.length > 0 ? `<select id="${prefix}Era" title="Era">
+                ${eras.map((era, index) => `<option value="${index}"${index === eraIndex ? ' selected' : ''}>${escapeCalendarHtml(era.abbreviation || era.name)}</option>`).join('')}
+            </select>` : ''}
+        </div>
+    `;
+}
+
+// Redraw a date field for the calendar picked in it, converting the date it holds
+function refreshDateInput(prefix) {
+    const container = document.getElementById(prefix);
+    const calendarId = document.getElementById(`${prefix}Calendar`).value;
+
+    let converted = null;
+    try {
+        const current = readDateInput(prefix, { calendarId: container.dataset.calendarId });
+        converted = current ? fromDayNumber(toDayNumber(current), calendarId) : null;
+    } catch (error) {
+        // An impossible date isn't converted; the field starts empty in the new calendar
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = renderDateInput(prefix, converted, { calendarId, excludeCalendarId: container.dataset.exclude });
+    container.replaceWith(wrapper.firstElementChild);
+}
+
+/**
+ * Read a date field drawn by renderDateInput
+ * @param {string} prefix - Prefix passed to renderDateInput
+ * @param {Object} [options] - { calendarId: calendar the month and era lists were drawn for }
+ * @returns {Object|null} - { calendarId, year, month, day }, or null when no year is entered
+ * @throws {Error} - When the day doesn't exist in the chosen month
+ */
+function readDateInput(prefix, options = {}) {
+    const calendarSelect = document.getElementById(`${prefix}Calendar`);
+    const yearInput = document.getElementById(`${prefix}Year`);
+    if (!calendarSelect || !yearInput || yearInput.value.trim() === '') return null;
+
+    // While switching calendars the month and era lists still belong to the previous calendar
+    const calendarId = options.calendarId || calendarSelect.value;
+    const calendar = getCalendar(calendarId);
+    if (!calendar) return null;
+
+    const eraSelect = document.getElementById(`${prefix}Era`);
+    const eraYear = parseInt(yearInput.value, 10);
+    const year = eraSelect ? fromEraYear(calendar, parseInt(eraSelect.value, 10), eraYear) : eraYear;
+    const month = parseInt(document.getElementById(`${prefix}Month`).value, 10) || 1;
+    const day = parseInt(document.getElementById(`${prefix}Day`).value, 10) || 1;
+
+    const monthLength = parseInt(calendar.months[month - 1] && calendar.months[month - 1].days, 10) || 0;
+    if (!Number.isInteger(year) || day < 1 || day > monthLength) {
+        throw new Error(`${calendar.months[month - 1] ? calendar.months[month - 1].name : 'That month'} has ${monthLength} days`);
+    }
+    return { calendarId, year, month, day };
+}
+
+// ---- Calendar manager ----
+
+function renderCalendarList() {
+    const calendars = getCalendars();
+    if (calendars.length === 0) {
+        return '<p class="no-data">No calendars yet.</p>';
+    }
+    return `<ul class="calendar-list">${calendars.map(calendar => `
+        <li>
+            <div>
+                <strong>${escapeCalendarHtml(calendar.name)}</strong>
+                <small>${calendar.months.length} months, ${getYearLength(calendar)} days a year${calendar.epoch && getCalendar(calendar.epoch.calendarId) ? `; year 1 begins ${escapeCalendarHtml(formatDate(calendar.epoch))}` : ''}</small>
+            </div>
+            <div>
+                <button class="btn btn-small" onclick="Calendars.editCalendar('${calendar.id}')">Edit</button>
+                <button class="btn btn-small btn-danger" onclick="Calendars.deleteCalendar('${calendar.id}')">Delete</button>
+            </div>
+        </li>`).join('')}</ul>`;
+}
+
+// List the database's calendars with buttons to add, edit and delete them
+function showCalendarManager() {
+    ensureDefaultCalendar();
+    UI.showModal('Calendars', `
+        <div id="calendarManager">
+            <p>Dates are entered in a calendar. A calendar's year 1 can start on any date of another calendar, which is how dates in different calendars line up on the timeline.</p>
+            <div id="calendarListContainer">${renderCalendarList()}</div>
+            <div class="form-actions">
+                <button class="btn btn-primary" onclick="Calendars.editCalendar()">New Calendar</button>
+                <button class="btn" onclick="UI.closeModal()">Close</button>
+            </div>
+        </div>
+    `);
+}
+
+function renderMonthRow(month = { name: '', days: 30 }) {
+    return `<div class="calendar-row calendar-month-row">
+        <input type="text" class="calendar-month-name" placeholder="Month name" value="${escapeCalendarHtml(month.name)}">
+        <input type="number" class="calendar-month-days" min="1" value="${escapeCalendarHtml(month.days)}" title="Days">
+        <button type="button" class="btn btn-small" onclick="this.parentElement.remove()" title="Remove month">&times;</button>
+    </div>`;
+}
+
+function renderEraRow(era = { name: '', abbreviation: '', startYear: '', countsDown: false }) {
+    const startYear = era.startYear === null || era.startYear === undefined ? '' : era.startYear;
+    return `<div class="calendar-row calendar-era-row">
+        <input type="text" class="calendar-era-name" placeholder="Era name" value="${escapeCalendarHtml(era.name)}">
+        <input type="text" class="calendar-era-abbreviation" placeholder="Abbr." value="${escapeCalendarHtml(era.abbreviation)}">
+        <input type="number" class="calendar-era-start" placeholder="Starts in year" title="Starting year, counted in years of this calendar. Leave empty for an era covering everything earlier." value="${startYear}">
+        <label title="Count years down toward the next era, like BCE"><input type="checkbox" class="calendar-era-counts-down"${era.countsDown ? ' checked' : ''}> counts down</label>
+        <button type="button" class="btn btn-small" onclick="this.parentElement.remove()" title="Remove era">&times;</button>
+    </div>`;
+}
+
+/**
+ * Show the form for a calendar
+ * @param {string} [calendarId] - Calendar to edit; leave out to create one
+ */
+function editCalendar(calendarId) {
+    const existing = calendarId ? getCalendar(calendarId) : null;
+    const calendar = existing || { name: '', months: [], eras: [], epoch: null };
+    const references = getCalendars().filter(other => other.id !== calendarId);
+    const epochDate = calendar.epoch && getCalendar(calendar.epoch.calendarId) ? calendar.epoch : null;
+
+    UI.closeModal();
+    UI.showModal(existing ? `Edit ${calendar.name}` : 'New Calendar', `
+        <form id="calendarForm" class="calendar-form">
+            <div class="form-group">
+                <label for="calendarName">Name</label>
+                <input type="text" id="calendarName" required value="${escapeCalendarHtml(calendar.name)}">
+            </div>
+            <div class="form-group">
+                <label>Months</label>
+                <div id="calendarMonths">${(calendar.months.length ? calendar.months : [undefined]).map(month => renderMonthRow(month)).join('')}</div>
+                <button type="button" class="btn btn-small" onclick="document.getElementById('calendarMonths').insertAdjacentHTML('beforeend', Calendars.renderMonthRow())">Add Month</button>
+            </div>
+            <div class="form-group">
+                <label>Eras</label>
+                <div id="calendarEras">${(calendar.eras || []).map(era => renderEraRow(era)).join('')}</div>
+                <button type="button" class="btn btn-small" onclick="document.getElementById('calendarEras').insertAdjacentHTML('beforeend', Calendars.renderEraRow())">Add Era</button>
+            </div>
+            ${references.length > 0 ? `
+            <div class="form-group">
+                <label>Year 1 of this calendar begins on</label>
+                <label><input type="checkbox" id="calendarHasEpoch"${epochDate ? ' checked' : ''}> a date in another calendar</label>
+                ${renderDateInput('calendarEpoch', epochDate || { calendarId: references[0].id, year: 1, month: 1, day: 1 }, { excludeCalendarId: calendarId })}
+                <small>Without this, year 1 of this calendar lines up with year 1 of the first calendar.</small>
+            </div>` : ''}
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">Save Calendar</button>
+                <button type="button" class="btn" onclick="Calendars.showCalendarManager()">Cancel</button>
+            </div>
+        </form>
+    `);
+
+    document.getElementById('calendarForm').addEventListener('submit', event => {
+        event.preventDefault();
+        saveCalendarForm(calendarId);
+    });
+}
+
+async function saveCalendarForm(calendarId) {
+    try {
+        const name = document.getElementById('calendarName').value.trim();
+        const months = Array.from(document.querySelectorAll('.calendar-month-row'))
+            .map(row => ({
+                name: row.querySelector('.calendar-month-name').value.trim(),
+                days: parseInt(row.querySelector('.calendar-month-days').value, 10)
+            }))
+            .filter(month => month.name);
+        const eras = Array.from(document.querySelectorAll('.calendar-era-row'))
+            .map(row => {
+                const startYear = row.querySelector('.calendar-era-start').value.trim();
+                return {
+                    name: row.querySelector('.calendar-era-name').value.trim(),
+                    abbreviation: row.querySelector('.calendar-era-abbreviation').value.trim(),
+                    startYear: startYear === '' ? null : parseInt(startYear, 10),
+                    countsDown: row.querySelector('.calendar-era-counts-down').checked
+                };
+            })
+            .filter(era => era.name || era.abbreviation);
+
+        if (!name) throw new Error('Please enter a name for the calendar');
+        if (months.length === 0) throw new Error('A calendar needs at least one month');
+        if (months.some(month => !Number.isInteger(month.days) || month.days < 1)) {
+            throw new Error('Every month needs at least one day');
+        }
+        if (eras.filter(era => era.startYear === null).length > 1) {
+            throw new Error('Only one era can be left without a starting year');
+        }
+
+        const hasEpoch = document.getElementById('calendarHasEpoch');
+        const epoch = hasEpoch && hasEpoch.checked ? readDateInput('calendarEpoch') : null;
+
+        // Following the chain of start dates must never lead back to this calendar
+        const visited = new Set();
+        let reference = epoch ? getCalendar(epoch.calendarId) : null;
+        while (reference && calendarId && !visited.has(reference.id)) {
+            if (reference.id === calendarId) {
+                throw new Error(`"${getCalendar(epoch.calendarId).name}" already counts from a date of this calendar`);
+            }
+            visited.add(reference.id);
+            reference = reference.epoch ? getCalendar(reference.epoch.calendarId) : null;
+        }
+
+        const calendar = { id: calendarId || Core.generateId(), name, months, eras, epoch };
+        const calendars = getCalendars();
+        const previousCalendars = calendars.slice();
+        const index = calendars.findIndex(existing => existing.id === calendar.id);
+        if (index === -1) {
+            calendars.push(calendar);
+        } else {
+            calendars[index] = calendar;
+        }
+        window.calendars = calendars;
+
+        if (!await saveCalendars()) {
+            // Put the calendars back as they were if the change couldn't be stored
+            window.calendars = previousCalendars;
+            saveCalendars();
+            return;
+        }
+        Core.showToast(`Calendar "${name}" saved`, 'success');
+        showCalendarManager();
+        if (window.Timeline) Timeline.displayTimeline();
+    } catch (error) {
+        Core.showToast(error.message, 'error');
+    }
+}
+
+// Delete a calendar that no dates use
+function deleteCalendar(calendarId) {
+    const calendar = getCalendar(calendarId);
+    if (!calendar) return;
+
+    const usedBy = (window.timelineEvents || []).filter(event =>
+        (event.date && event.date.calendarId === calendarId) || (event.endDate && event.endDate.calendarId === calendarId));
+    const datedCharacters = (window.characters || []).filter(character =>
+        (character.birthDate && character.birthDate.calendarId === calendarId) || (character.deathDate && character.deathDate.calendarId === calendarId));
+    const referencedBy = getCalendars().filter(other => other.epoch && other.epoch.calendarId === calendarId);
+    if (usedBy.length > 0 || datedCharacters.length > 0 || referencedBy.length > 0) {
+        const reasons = [];
+        if (usedBy.length > 0) reasons.push(`${usedBy.length} timeline events`);
+        if (datedCharacters.length > 0) reasons.push(`the lifespans of ${datedCharacters.length} characters`);
+        if (referencedBy.length > 0) reasons.push(`the calendars ${referencedBy.map(other => `"${other.name}"`).join(', ')}`);
+        Core.showToast(`"${calendar.name}" is used by ${reasons.join(' and ')} and can't be deleted`, 'warning');
+        return;
+    }
+
+    if (!confirm(`Delete the calendar "${calendar.name}"?`)) return;
+    window.calendars = getCalendars().filter(other => other.id !== calendarId);
+    saveCalendars();
+    showCalendarManager();
+}
+
+// Export calendar functions
+window.Calendars = {
+    getCalendars,
+    getCalendar,
+    ensureDefaultCalendar,
+    getYearLength,
+    toDayNumber,
+    fromDayNumber,
+    getEraYear,
+    fromEraYear,
+    formatYear,
+    formatDate,
+    renderCalendarOptions,
+    renderDateInput,
+    refreshDateInput,
+    readDateInput,
+    showCalendarManager,
+    editCalendar,
+    deleteCalendar,
+    renderMonthRow,
+    renderEraRow
+};
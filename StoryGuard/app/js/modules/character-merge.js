@@ -0,0 +1,516 @@
+/**
+ * Duplicate character detection and merging for Story Database
+ * Scans all characters for likely duplicates (similar names, aliases, shared series/book)
+ * and merges a group into one character, re-pointing every reference to the survivor.
+ */
+
+// Full names at least this similar are treated as the same person
+const DUPLICATE_NAME_THRESHOLD = 0.85;
+
+// Fields the merge wizard lets the user pick a value for
+const MERGE_FIELDS = [
+    { key: 'title', label: 'Title' },
+    { key: 'firstName', label: 'First Name' },
+    { key: 'lastName', label: 'Last Name' },
+    { key: 'sex', label: 'Sex' },
+    { key: 'race', label: 'Race' },
+    { key: 'series', label: 'Series' },
+    { key: 'book', label: 'Book' },
+    { key: 'role', label: 'Role' }
+];
+
+function getMergeCharacterName(character) {
+    return `${character.firstName || ''} ${character.lastName || ''}`.trim();
+}
+
+function normalizeMergeName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Storage key for pairs the user marked as different characters
+function getDismissedDuplicatesKey() {
+    const currentDbName = localStorage.getItem('currentDatabaseName') || 'Default';
+    return `${currentDbName}_dismissedDuplicates`;
+}
+
+function getDismissedDuplicates() {
+    try {
+        return JSON.parse(localStorage.getItem(getDismissedDuplicatesKey()) || '[]');
+    } catch (error) {
+        console.error('Error loading dismissed duplicates:', error);
+        return [];
+    }
+}
+
+function getDuplicatePairKey(characterA, characterB) {
+    return [characterA.id, characterB.id].sort().join('|');
+}
+
+// Reasons two characters look like the same person, or an empty list
+function compareForDuplicates(characterA, characterB) {
+    const reasons = [];
+    const nameA = normalizeMergeName(getMergeCharacterName(characterA));
+    const nameB = normalizeMergeName(getMergeCharacterName(characterB));
+    const firstA = normalizeMergeName(characterA.firstName);
+    const firstB = normalizeMergeName(characterB.firstName);
+    const lastA = normalizeMergeName(characterA.lastName);
+    const lastB = normalizeMergeName(characterB.lastName);
+    const sameSeries = characterA.series && characterA.series === characterB.series;
+    const sameBook = characterA.book && characterA.book === characterB.book;
+
+    if (!nameA || !nameB) return reasons;
+
+    const formsA = Characters.getCharacterNameForms(characterA).map(normalizeMergeName);
+    const formsB = Characters.getCharacterNameForms(characterB).map(normalizeMergeName);
+
+    if (nameA === nameB) {
+        reasons.push('Same name');
+    } else if (formsA.some(form => formsB.includes(form))) {
+        reasons.push('Matching alias');
+    } else if (Characters.calculateNameSimilarity(nameA, nameB) >= DUPLICATE_NAME_THRESHOLD) {
+        reasons.push('Similar name');
+    } else if (firstA && firstA === firstB && (!lastA || !lastB) && (sameSeries || sameBook)) {
+        // "Eli" imported from one book and "Eli Thorne" from another
+        reasons.push('Same first name, one without a last name');
+    }
+
+    if (reasons.length > 0) {
+        if (sameBook) {
+            reasons.push('Same book');
+        } else if (sameSeries) {
+            reasons.push('Same series');
+        }
+    }
+
+    return reasons;
+}
+
+/**
+ * Group characters that are likely duplicates of each other
+ * @param {Array} characterList - Characters to scan (defaults to all characters)
+ * @returns {Array} - Groups of { characters, reasons } with at least two characters each
+ */
+function findDuplicateGroups(characterList = characters) {
+    const dismissed = new Set(getDismissedDuplicates());
+    const list = characterList.filter(character => character && character.id);
+    const parent = list.map((character, index) => index);
+    const reasonsByRoot = new Map();
+
+    const findRoot = index => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    const pairs = [];
+    for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+            if (dismissed.has(getDuplicatePairKey(list[i], list[j]))) continue;
+            const reasons = compareForDuplicates(list[i], list[j]);
+            if (reasons.length > 0) {
+                pairs.push({ i, j, reasons });
+                parent[findRoot(j)] = findRoot(i);
+            }
+        }
+    }
+
+    pairs.forEach(pair => {
+        const root = findRoot(pair.i);
+        if (!reasonsByRoot.has(root)) reasonsByRoot.set(root, new Set());
+        pair.reasons.forEach(reason => reasonsByRoot.get(root).add(reason));
+    });
+
+    const groups = new Map();
+    list.forEach((character, index) => {
+        const root = findRoot(index);
+        if (!reasonsByRoot.has(root)) return;
+        if (!groups.has(root)) groups.set(root, { characters: [], reasons: [...reasonsByRoot.get(root)] });
+        groups.get(root).characters.push(character);
+    });
+
+    return [...groups.values()];
+}
+
+// Remember that the characters in a group are different people
+function dismissDuplicateGroup(group) {
+    const dismissed = new Set(getDismissedDuplicates());
+    group.characters.forEach((characterA, i) => {
+        group.characters.slice(i + 1).forEach(characterB => {
+            dismissed.add(getDuplicatePairKey(characterA, characterB));
+        });
+    });
+    localStorage.setItem(getDismissedDuplicatesKey(), JSON.stringify([...dismissed]));
+}
+
+// Forget all dismissals for the current database
+function clearDismissedDuplicates() {
+    localStorage.removeItem(getDismissedDuplicatesKey());
+}
+
+// Combine values without duplicates, keeping their first-seen order
+function unionMergeValues(lists) {
+    return [...new Set(lists.flat().filter(value => value !== undefined && value !== null && value !== ''))];
+}
+
+/**
+ * Merge several characters into one
+ * @param {string} survivorId - ID of the character that is kept
+ * @param {Array} mergedIds - IDs of the characters merged into the survivor
+ * @param {Object} choices - Chosen value per field, including custom fields as "customFields.<name>"
+ * @returns {Promise<Object|null>} - The merged character, or null if nothing was merged
+ */
+async function mergeCharacters(survivorId, mergedIds, choices = {}) {
+    const survivor = characters.find(character => character.id === survivorId);
+    const merged = mergedIds
+        .filter(id => id !== survivorId)
+        .map(id => characters.find(character => character.id === id))
+        .filter(Boolean);
+
+    if (!survivor || merged.length === 0) {
+        Core.showToast('Select at least two characters to merge', 'warning');
+        return null;
+    }
+
+    const group = [survivor, ...merged];
+    const oldNames = group.map(getMergeCharacterName);
+    const mergedIdSet = new Set(merged.map(character => character.id));
+    const label = `Merge ${merged.length + 1} characters into "${getMergeCharacterName(survivor)}"`;
+
+    // Copies to put back if the merge can't be stored
+    const previousCharacters = characters.slice();
+    const previousSurvivor = JSON.parse(JSON.stringify(survivor));
+
+    return UndoManager.transaction(label, async () => {
+        // Field values picked in the wizard
+        MERGE_FIELDS.forEach(field => {
+            if (Object.prototype.hasOwnProperty.call(choices, field.key)) {
+                survivor[field.key] = choices[field.key];
+            }
+        });
+
+        // Custom fields: every field from every character, with picked values for conflicts
+        const customFields = {};
+        group.slice().reverse().forEach(character => Object.assign(customFields, character.customFields || {}));
+        Object.keys(choices).forEach(key => {
+            if (key.startsWith('customFields.')) {
+                customFields[key.slice('customFields.'.length)] = choices[key];
+            }
+        });
+        survivor.customFields = customFields;
+
+        survivor.tags = unionMergeValues(group.map(character => character.tags || []));
+        survivor.locations = unionMergeValues(group.map(character => character.locations || []));
+        survivor.notes = unionMergeValues(group.map(character => (character.notes || '').trim())).join('\n\n');
+        survivor.aliases = Characters.parseAliases(
+            [...group.flatMap(character => character.aliases || []), ...oldNames],
+            survivor.firstName,
+            survivor.lastName
+        );
+
+        // Keep the most recent chapter map
+        const appearances = group
+            .map(character => character.appearances)
+            .filter(Boolean)
+            .sort((a, b) => String(b.analyzedAt || '').localeCompare(String(a.analyzedAt || '')));
+        if (appearances.length > 0) survivor.appearances = appearances[0];
+
+        // Keep the first lifespan in the group, the survivor's own if it has one
+        const dated = group.find(character => character.birthDate || character.deathDate);
+        if (dated && dated !== survivor) {
+            survivor.birthDate = dated.birthDate || null;
+            survivor.deathDate = dated.deathDate || null;
+            survivor.lifespanBasis = dated.lifespanBasis || 'birth';
+        }
+
+        survivor.updatedAt = new Date().toISOString();
+
+        // Remove the merged characters, keeping the same array so other modules see the change
+        for (let i = characters.length - 1; i >= 0; i--) {
+            if (mergedIdSet.has(characters[i].id)) characters.splice(i, 1);
+        }
+        if (!await Core.safelyStoreItem('characters', JSON.stringify(characters))) {
+            Object.keys(survivor).forEach(key => delete survivor[key]);
+            Object.assign(survivor, previousSurvivor);
+            characters.splice(0, characters.length, ...previousCharacters);
+            Core.safelyStoreItem('characters', JSON.stringify(characters));
+            return null;
+        }
+
+        repointCharacterReferences(mergedIdSet, survivor.id);
+
+        Dashboard.addActivity('character', `Merged ${merged.map(getMergeCharacterName).join(', ')} into "${getMergeCharacterName(survivor)}"`, survivor.id);
+        refreshAfterMerge();
+        Core.showToast(`Merged ${merged.length + 1} characters into ${getMergeCharacterName(survivor)}`);
+        return survivor;
+    });
+}
+
+// Point relationships, plots and timeline events at the surviving character
+function repointCharacterReferences(mergedIdSet, survivorId) {
+    const relationshipList = window.relationships || relationships;
+    if (Array.isArray(relationshipList)) {
+        const seen = new Set();
+        for (let i = 0; i < relationshipList.length; i++) {
+            const relationship = relationshipList[i];
+            if (mergedIdSet.has(relationship.character1Id)) relationship.character1Id = survivorId;
+            if (mergedIdSet.has(relationship.character2Id)) relationship.character2Id = survivorId;
+
+            // Drop relationships the merge turned into self-references or duplicates
+            const key = `${[relationship.character1Id, relationship.character2Id].sort().join('|')}|${relationship.type}`;
+            if (relationship.character1Id === relationship.character2Id || seen.has(key)) {
+                relationshipList.splice(i, 1);
+                i--;
+                continue;
+            }
+            seen.add(key);
+        }
+        Core.safelyStoreItem('relationships', JSON.stringify(relationshipList));
+    }
+
+    let plotsChanged = false;
+    plots.forEach(plot => {
+        if (mergedIdSet.has(plot.pov)) {
+            plot.pov = survivorId;
+            plotsChanged = true;
+        }
+        if (!Array.isArray(plot.characters) || !plot.characters.some(id => mergedIdSet.has(id))) return;
+        plot.characters = unionMergeValues([plot.characters.map(id => mergedIdSet.has(id) ? survivorId : id)]);
+        plotsChanged = true;
+    });
+    if (plotsChanged) {
+        Core.safelyStoreItem('plots', JSON.stringify(plots));
+    }
+
+    let eventsChanged = false;
+    (window.timelineEvents || []).forEach(event => {
+        if (!Array.isArray(event.characters) || !event.characters.some(id => mergedIdSet.has(id))) return;
+        event.characters = unionMergeValues([event.characters.map(id => mergedIdSet.has(id) ? survivorId : id)]);
+        eventsChanged = true;
+    });
+    if (eventsChanged) {
+        Core.safelyStoreItem('timelineEvents', JSON.stringify(window.timelineEvents));
+    }
+}
+
+function refreshAfterMerge() {
+    if (window.Characters && typeof Characters.displayCharacters === 'function') {
+        Characters.displayCharacters();
+    }
+    if (window.Relationships) {
+        if (typeof Relationships.displayRelationships === 'function') Relationships.displayRelationships();
+        if (typeof Relationships.updateFilteredVisualization === 'function') Relationships.updateFilteredVisualization();
+        if (typeof Relationships.updateRelationshipFilterDropdowns === 'function') Relationships.updateRelationshipFilterDropdowns();
+    }
+    if (window.Plots && typeof Plots.displayPlots === 'function') {
+        Plots.displayPlots();
+    }
+}
+
+function escapeMergeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Short description of a character for the duplicate list
+function describeMergeCharacter(character) {
+    const details = [character.title, character.series, character.book, character.role].filter(Boolean);
+    const relationshipCount = (window.relationships || []).filter(relationship =>
+        EntityReferences.relationshipInvolves(relationship, character.id)
+    ).length;
+    if (relationshipCount > 0) details.push(`${relationshipCount} relationship${relationshipCount === 1 ? '' : 's'}`);
+    return details.join(' · ');
+}
+
+// Show all likely duplicate groups
+function showDuplicateFinder() {
+    const groups = findDuplicateGroups();
+
+    const content = `
+        <div class="duplicate-controls">
+            <span>Characters grouped by similar names, aliases and shared series or book.</span>
+            <button type="button" id="clearDismissedDuplicatesBtn" title="Show groups previously marked as different characters">Reset dismissed</button>
+        </div>
+        ${groups.length === 0 ?
+            '<p>No likely duplicates found.</p>' :
+            groups.map((group, index) => `
+                <div class="duplicate-group" data-index="${index}">
+                    <div class="duplicate-reasons">${group.reasons.map(escapeMergeHtml).join(', ')}</div>
+                    <ul>
+                        ${group.characters.map(character => `
+                            <li><strong>${escapeMergeHtml(getMergeCharacterName(character))}</strong>
+                                <small>${escapeMergeHtml(describeMergeCharacter(character))}</small></li>
+                        `).join('')}
+                    </ul>
+                    <div class="duplicate-actions">
+                        <button type="button" class="duplicate-merge"><i class="fas fa-object-group"></i> Merge...</button>
+                        <button type="button" class="duplicate-dismiss"><i class="fas fa-times"></i> Not duplicates</button>
+                    </div>
+                </div>
+            `).join('')}
+    `;
+
+    const modal = UI.showModal(`Possible Duplicates (${groups.length})`, content);
+    addMergeStyles();
+
+    modal.querySelector('#clearDismissedDuplicatesBtn').addEventListener('click', () => {
+        clearDismissedDuplicates();
+        UI.closeModal();
+        showDuplicateFinder();
+    });
+
+    modal.querySelectorAll('.duplicate-group').forEach(row => {
+        const group = groups[parseInt(row.dataset.index, 10)];
+
+        row.querySelector('.duplicate-merge').addEventListener('click', () => {
+            UI.closeModal();
+            showMergeWizard(group.characters.map(character => character.id));
+        });
+
+        row.querySelector('.duplicate-dismiss').addEventListener('click', () => {
+            dismissDuplicateGroup(group);
+            row.remove();
+        });
+    });
+}
+
+function getMergeFieldValue(character, key) {
+    return key.startsWith('customFields.') ?
+        (character.customFields || {})[key.slice('customFields.'.length)] :
+        character[key];
+}
+
+// Select the kept character's own values, where it has them
+function selectSurvivorValues(modal, survivor) {
+    modal.querySelectorAll('.merge-fields tr').forEach(row => {
+        const value = getMergeFieldValue(survivor, row.dataset.field);
+        const radio = Array.from(row.querySelectorAll('input[type="radio"]'))
+            .find(input => value !== undefined && value !== null && input.value === String(value));
+        if (radio) radio.checked = true;
+    });
+}
+
+// Radio choices for one field, or null if all characters agree
+function renderMergeFieldChoice(key, label, group) {
+    const distinct = unionMergeValues([group.map(character => getMergeFieldValue(character, key))]);
+    if (distinct.length < 2) return null;
+
+    return `
+        <tr data-field="${escapeMergeHtml(key)}">
+            <th>${escapeMergeHtml(label)}</th>
+            <td>
+                ${distinct.map((value, i) => `
+                    <label><input type="radio" name="merge-${escapeMergeHtml(key)}" value="${escapeMergeHtml(value)}" ${i === 0 ? 'checked' : ''}>
+                        ${escapeMergeHtml(value)}</label>
+                `).join('')}
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Show the merge wizard for a group of characters
+ * @param {Array} characterIds - IDs of the characters to merge
+ */
+function showMergeWizard(characterIds) {
+    const group = characterIds
+        .map(id => characters.find(character => character.id === id))
+        .filter(Boolean);
+    if (group.length < 2) {
+        Core.showToast('Select at least two characters to merge', 'warning');
+        return;
+    }
+
+    const customFieldNames = unionMergeValues(group.map(character => Object.keys(character.customFields || {})));
+    const fieldRows = [
+        ...MERGE_FIELDS.map(field => renderMergeFieldChoice(field.key, field.label, group)),
+        ...customFieldNames.map(name => renderMergeFieldChoice(`customFields.${name}`, name, group))
+    ].filter(Boolean);
+
+    const content = `
+        <p>Keep one character and merge the others into it. Relationships and plots that refer to the merged
+        characters will point to the kept character, and their names will become aliases.</p>
+        <h4>Keep</h4>
+        <div class="merge-survivors">
+            ${group.map((character, i) => `
+                <label><input type="radio" name="mergeSurvivor" value="${escapeMergeHtml(character.id)}" ${i === 0 ? 'checked' : ''}>
+                    <strong>${escapeMergeHtml(getMergeCharacterName(character))}</strong>
+                    <small>${escapeMergeHtml(describeMergeCharacter(character))}</small></label>
+            `).join('')}
+        </div>
+        ${fieldRows.length > 0 ? `
+            <h4>Choose values</h4>
+            <table class="merge-fields">${fieldRows.join('')}</table>
+        ` : '<p>All fields already agree.</p>'}
+        <p class="merge-combined">Tags, aliases, locations and notes from all characters are combined.</p>
+        <div class="merge-actions">
+            <button type="button" id="cancelMergeBtn">Cancel</button>
+            <button type="button" id="confirmMergeBtn" class="primary"><i class="fas fa-object-group"></i> Merge ${group.length} characters</button>
+        </div>
+    `;
+
+    const modal = UI.showModal('Merge Characters', content);
+    addMergeStyles();
+
+    modal.querySelectorAll('input[name="mergeSurvivor"]').forEach(input => {
+        input.addEventListener('change', () => {
+            selectSurvivorValues(modal, group.find(character => character.id === input.value));
+        });
+    });
+    selectSurvivorValues(modal, group[0]);
+
+    modal.querySelector('#cancelMergeBtn').addEventListener('click', () => UI.closeModal());
+
+    modal.querySelector('#confirmMergeBtn').addEventListener('click', async () => {
+        const survivorId = modal.querySelector('input[name="mergeSurvivor"]:checked').value;
+        const choices = {};
+        modal.querySelectorAll('.merge-fields tr').forEach(row => {
+            const checked = row.querySelector('input[type="radio"]:checked');
+            if (checked) choices[row.dataset.field] = checked.value;
+        });
+
+        if (await mergeCharacters(survivorId, group.map(character => character.id), choices)) {
+            UI.closeModal();
+        }
+    });
+}
+
+// Styles for the duplicate finder and merge wizard
+function addMergeStyles() {
+    if (document.getElementById('character-merge-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'character-merge-styles';
+    style.textContent = `
+        .duplicate-controls { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 15px; }
+        .duplicate-group { border: 1px solid #ddd; border-radius: 6px; padding: 10px; margin-bottom: 10px; }
+        .duplicate-group ul { margin: 5px 0; padding-left: 20px; }
+        .duplicate-group small, .merge-survivors small { color: #666; margin-left: 6px; }
+        .duplicate-reasons { font-size: 0.85em; color: #666; }
+        .duplicate-actions, .merge-actions { display: flex; gap: 6px; justify-content: flex-end; margin-top: 6px; }
+        .merge-survivors label { display: block; margin: 4px 0; }
+        .merge-fields { width: 100%; border-collapse: collapse; }
+        .merge-fields th { text-align: left; width: 25%; padding: 6px; vertical-align: top; }
+        .merge-fields td { padding: 6px; }
+        .merge-fields label { display: block; }
+        .merge-combined { font-size: 0.85em; color: #666; }
+        .dark-mode .duplicate-group { border-color: #555; }
+        .dark-mode .duplicate-reasons, .dark-mode .merge-combined,
+        .dark-mode .duplicate-group small, .dark-mode .merge-survivors small { color: #adb5bd; }
+    `;
+    document.head.appendChild(style);
+}
+
+// Export character merge functions
+window.CharacterMerge = {
+    findDuplicateGroups,
+    dismissDuplicateGroup,
+    clearDismissedDuplicates,
+    mergeCharacters,
+    showDuplicateFinder,
+    showMergeWizard
+};
@@ -49,17 +49,79 @@ function characterNameExists(firstName, lastName, excludeId = null) {
     );
 }
 
+/**
+ * Parse a comma-separated list of aliases
+ * Blank entries, duplicates and the character's own name are dropped
+ * @param {string|Array} value - Aliases as entered in the form, or an existing list
+ * @param {string} firstName - The character's first name
+ * @param {string} lastName - The character's last name
+ * @returns {Array} - Clean list of aliases
+ */
+function parseAliases(value, firstName = '', lastName = '') {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const ownName = `${firstName} ${lastName}`.trim().toLowerCase();
+    const seen = new Set();
+    
+    return list
+        .map(alias => String(alias).replace(/\s+/g, ' ').trim())
+        .filter(alias => {
+            const key = alias.toLowerCase();
+            if (!alias || key === ownName || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Get every name a character is known by
+ * @param {Object} character - The character
+ * @returns {Array} - Full name, title with last name, and aliases
+ */
+function getCharacterNameForms(character) {
+    const fullName = `${character.firstName || ''} ${character.lastName || ''}`.trim();
+    const forms = [fullName];
+    if (character.title) {
+        forms.push(`${character.title} ${fullName}`);
+        if (character.lastName) forms.push(`${character.title} ${character.lastName}`);
+    }
+    return [...forms, ...(character.aliases || [])].filter(Boolean);
+}
+
+/**
+ * Find the character known by a name, including their aliases
+ * A first name on its own only matches when exactly one character has it
+ * @param {string} name - Name to look up
+ * @param {string|null} excludeId - Optional ID to exclude from the search
+ * @returns {Object|null} - The matching character
+ */
+function findCharacterByName(name, excludeId = null) {
+    const target = String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!target) return null;
+    
+    const candidates = characters.filter(char => char && char.id !== excludeId);
+    const exact = candidates.find(char =>
+        getCharacterNameForms(char).some(form => form.toLowerCase() === target)
+    );
+    if (exact) return exact;
+    
+    const byFirstName = candidates.filter(char => (char.firstName || '').toLowerCase() === target);
+    return byFirstName.length === 1 ? byFirstName[0] : null;
+}
+
 /**
  * Update an existing character or add a new one
  * @param {Object} character - The character data
  * @param {boolean} isUpdate - Whether this is an update (true) or addition (false)
- * @returns {boolean} - Success or failure
+ * @returns {Promise<boolean>} - Whether the character was saved
  */
-function updateOrAddCharacter(character, isUpdate = false) {
+async function updateOrAddCharacter(character, isUpdate = false) {
+    let previous = null;
+    let index = -1;
     if (isUpdate) {
         // Find and remove the existing character
-        const index = findCharacterIndexById(character.id);
+        index = findCharacterIndexById(character.id);
         if (index !== -1) {
+            previous = characters[index];
             characters.splice(index, 1);
             console.log(`Removed existing character at index ${index} with ID ${character.id}`);
         } else {
@@ -72,73 +134,44 @@ function updateOrAddCharacter(character, isUpdate = false) {
     console.log(`${isUpdate ? 'Updated' : 'Added'} character "${character.firstName} ${character.lastName}" with ID ${character.id}`);
     
     // Save to localStorage
-    if (!Core.safelyStoreItem('characters', JSON.stringify(characters))) {
-        // If storage fails, remove the character we just added
-        characters.pop();
+    if (!await Core.safelyStoreItem('characters', JSON.stringify(characters))) {
+        // If storage fails, remove the character we just added and put back the one it replaced
+        characters.splice(characters.indexOf(character), 1);
+        if (previous) {
+            characters.splice(index, 0, previous);
+        }
+        Core.safelyStoreItem('characters', JSON.stringify(characters));
         return false;
     }
     
+    // Keep the saved version in the revision history
+    if (window.RevisionHistory) {
+        RevisionHistory.recordRevision('character', character, previous);
+    }
+    
     return true;
 }
 
-// Load titles from localStorage or use defaults
+// Use the titles loaded by Core.initializeState, or the defaults when there are none
 function initializeTitles() {
-    const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
-    const dbTitlesData = localStorage.getItem(`${dbName}_titles`);
-    
-    // Try to load from database-specific key first, then fall back to generic key
-    let loadedTitles = [];
-    try {
-        loadedTitles = JSON.parse(dbTitlesData || localStorage.getItem('titles') || '[]');
-    } catch (error) {
-        console.error('Error parsing titles from localStorage:', error);
-        loadedTitles = [];
-    }
-    
-    // If no titles found, use defaults
-    if (!loadedTitles || loadedTitles.length === 0) {
-        loadedTitles = DEFAULT_TITLES;
-        // Save defaults to localStorage
-        localStorage.setItem('titles', JSON.stringify(DEFAULT_TITLES));
-        if (dbName !== 'Default') {
-            localStorage.setItem(`${dbName}_titles`, JSON.stringify(DEFAULT_TITLES));
-        }
+    if (!Array.isArray(titles) || titles.length === 0) {
+        titles = [...DEFAULT_TITLES];
     }
     
     // Set to both window.titles and local titles
-    window.titles = loadedTitles;
-    titles = loadedTitles;
+    window.titles = titles;
     
     console.log(`Loaded ${titles.length} titles`);
 }
 
-// Load roles from localStorage or use defaults
+// Use the roles loaded by Core.initializeState, or the defaults when there are none
 function initializeRoles() {
-    const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
-    const dbRolesData = localStorage.getItem(`${dbName}_roles`);
-    
-    // Try to load from database-specific key first, then fall back to generic key
-    let loadedRoles = [];
-    try {
-        loadedRoles = JSON.parse(dbRolesData || localStorage.getItem('roles') || '[]');
-    } catch (error) {
-        console.error('Error parsing roles from localStorage:', error);
-        loadedRoles = [];
-    }
-    
-    // If no roles found, use defaults
-    if (!loadedRoles || loadedRoles.length === 0) {
-        loadedRoles = DEFAULT_ROLES;
-        // Save defaults to localStorage
-        localStorage.setItem('roles', JSON.stringify(DEFAULT_ROLES));
-        if (dbName !== 'Default') {
-            localStorage.setItem(`${dbName}_roles`, JSON.stringify(DEFAULT_ROLES));
-        }
+    if (!Array.isArray(roles) || roles.length === 0) {
+        roles = [...DEFAULT_ROLES];
     }
     
     // Set to both window.roles and local roles
-    window.roles = loadedRoles;
-    roles = loadedRoles;
+    window.roles = roles;
     
     console.log(`Loaded ${roles.length} roles`);
 }
@@ -295,6 +328,9 @@ loadPaginationSettings();
 // Search debounce timer
 let searchDebounceTimer = null;
 
+// Ids matching the table's series/book/role/tag filters, from the repository indexes
+const characterIndexFilter = Core.createIndexedFilter('characters');
+
 // Autosave timer
 let autosaveTimer = null;
 let unsavedChanges = false;
@@ -515,7 +551,7 @@ function addCustomField() {
             
             if (!customFieldTypes.includes(fieldName)) {
                 customFieldTypes.push(fieldName);
-                localStorage.setItem('customFieldTypes', JSON.stringify(customFieldTypes));
+                Core.safelyStoreItem('customFieldTypes', JSON.stringify(customFieldTypes));
             }
             
             removeModal();
@@ -538,7 +574,7 @@ function removeCustomField(button, fieldName) {
         function() {
             // User confirmed removal
             customFieldTypes = customFieldTypes.filter(field => field !== fieldName);
-            localStorage.setItem('customFieldTypes', JSON.stringify(customFieldTypes));
+            Core.safelyStoreItem('customFieldTypes', JSON.stringify(customFieldTypes));
             button.parentElement.remove();
             Core.showToast(`Custom field "${fieldName}" removed successfully`);
         },
@@ -586,6 +622,96 @@ function calculateNameSimilarity(str1, str2) {
     return 1 - (distance / maxLength);
 }
 
+// The table filters the repository indexes can answer
+function getCharacterIndexCriteria() {
+    return {
+        series: document.getElementById('filterSeries')?.value || '',
+        book: document.getElementById('filterBook')?.value || '',
+        role: document.getElementById('filterRole')?.value || '',
+        tag: window.currentTagFilter || ''
+    };
+}
+
+// Characters matching the table's search, advanced filters and tag filter, in its sort order
+function getFilteredCharacters() {
+    const searchInput = document.getElementById('searchInput');
+    const searchField = document.getElementById('searchField');
+    const searchTerm = searchInput?.value.toLowerCase() || '';
+    const searchFieldValue = searchField?.value || 'all';
+
+    // CRITICAL FIX: Ensure we're using the global characters array
+    // This ensures characters added from book analysis are displayed
+    if (window.characters && Array.isArray(window.characters)) {
+        characters = window.characters;
+        console.log(`Using global window.characters array with ${characters.length} characters`);
+    } else {
+        console.log('No global window.characters array found, using module-level array');
+    }
+
+    // Advanced search filters
+    const criteria = getCharacterIndexCriteria();
+    const indexedIds = characterIndexFilter.idsFor(criteria);
+    const filterRace = document.getElementById('filterRace')?.value || '';
+
+    // Apply filters
+    let filteredCharacters = characters;
+    
+    // Apply fuzzy search if search term exists
+    if (searchTerm) {
+        if (searchFieldValue === 'all') {
+            // Search across all relevant fields
+            filteredCharacters = Core.fuzzySearch(
+                filteredCharacters,
+                searchTerm,
+                ['firstName', 'lastName', 'aliases', 'title', 'series', 'book', 'race', 'role']
+            );
+        } else {
+            // Search in specific field
+            filteredCharacters = Core.fuzzySearch(
+                filteredCharacters,
+                searchTerm,
+                [searchFieldValue]
+            );
+        }
+    }
+    
+    // Apply advanced filters
+    filteredCharacters = filteredCharacters.filter(character => {
+        const matchesRace = !filterRace || character.race === filterRace;
+        if (indexedIds && character.id) {
+            return matchesRace && indexedIds.has(String(character.id));
+        }
+
+        const matchesSeries = !criteria.series || character.series === criteria.series;
+        const matchesBook = !criteria.book || character.book === criteria.book;
+        const matchesRole = !criteria.role || character.role === criteria.role;
+        
+        // Apply tag filter if it exists
+        const matchesTag = !criteria.tag ? true :
+            (character.tags && character.tags.includes(criteria.tag));
+        
+        return matchesSeries && matchesBook && matchesRole && matchesRace && matchesTag;
+    });
+
+    // Sort characters
+    if (UI.currentSort.column) {
+        filteredCharacters.sort((a, b) => {
+            let valueA = (a[UI.currentSort.column] || '').toString().toLowerCase();
+            let valueB = (b[UI.currentSort.column] || '').toString().toLowerCase();
+            
+            if (!valueA && valueB) return 1;
+            if (valueA && !valueB) return -1;
+            if (!valueA && !valueB) return 0;
+            
+            return UI.currentSort.direction === 'asc'
+                ? valueA.localeCompare(valueB)
+                : valueB.localeCompare(valueA);
+        });
+    }
+    
+    return filteredCharacters;
+}
+
 // Character Management
 function displayCharacters() {
     clearTimeout(searchDebounceTimer);
@@ -596,81 +722,15 @@ function displayCharacters() {
     // We'll let UI.updatePaginationControls handle the page size selector
     // This avoids duplicate event handlers and ensures consistency
     
-    searchDebounceTimer = setTimeout(() => {
-        const searchInput = document.getElementById('searchInput');
-        const searchField = document.getElementById('searchField');
-        const searchTerm = searchInput?.value.toLowerCase() || '';
-        const searchFieldValue = searchField?.value || 'all';
+    searchDebounceTimer = setTimeout(async () => {
         const tableBody = document.querySelector('#characterTable tbody');
         if (!tableBody) return;
 
-        // CRITICAL FIX: Ensure we're using the global characters array
-        // This ensures characters added from book analysis are displayed
-        if (window.characters && Array.isArray(window.characters)) {
-            characters = window.characters;
-            console.log(`Using global window.characters array with ${characters.length} characters`);
-        } else {
-            console.log('No global window.characters array found, using module-level array');
-        }
+        // A newer call is drawing the table
+        if (!await characterIndexFilter.refresh(getCharacterIndexCriteria())) return;
 
-        // Advanced search filters
-        const filterSeries = document.getElementById('filterSeries')?.value || '';
-        const filterBook = document.getElementById('filterBook')?.value || '';
-        const filterRole = document.getElementById('filterRole')?.value || '';
-        const filterRace = document.getElementById('filterRace')?.value || '';
-
-        // Apply filters
-        let filteredCharacters = characters;
-        
-        // Apply fuzzy search if search term exists
-        if (searchTerm) {
-            if (searchFieldValue === 'all') {
-                // Search across all relevant fields
-                filteredCharacters = Core.fuzzySearch(
-                    filteredCharacters,
-                    searchTerm,
-                    ['firstName', 'lastName', 'title', 'series', 'book', 'race', 'role']
-                );
-            } else {
-                // Search in specific field
-                filteredCharacters = Core.fuzzySearch(
-                    filteredCharacters,
-                    searchTerm,
-                    [searchFieldValue]
-                );
-            }
-        }
+        const filteredCharacters = getFilteredCharacters();
         
-        // Apply advanced filters
-        filteredCharacters = filteredCharacters.filter(character => {
-            const matchesSeries = !filterSeries || character.series === filterSeries;
-            const matchesBook = !filterBook || character.book === filterBook;
-            const matchesRole = !filterRole || character.role === filterRole;
-            const matchesRace = !filterRace || character.race === filterRace;
-            
-            // Apply tag filter if it exists
-            const matchesTag = !window.currentTagFilter ? true :
-                (character.tags && character.tags.includes(window.currentTagFilter));
-            
-            return matchesSeries && matchesBook && matchesRole && matchesRace && matchesTag;
-        });
-
-        // Sort characters
-        if (UI.currentSort.column) {
-            filteredCharacters.sort((a, b) => {
-                let valueA = (a[UI.currentSort.column] || '').toString().toLowerCase();
-                let valueB = (b[UI.currentSort.column] || '').toString().toLowerCase();
-                
-                if (!valueA && valueB) return 1;
-                if (valueA && !valueB) return -1;
-                if (!valueA && !valueB) return 0;
-                
-                return UI.currentSort.direction === 'asc'
-                    ? valueA.localeCompare(valueB)
-                    : valueB.localeCompare(valueA);
-            });
-        }
-
         // Make sure we're using the latest values from localStorage
         loadPaginationSettings();
         
@@ -727,11 +787,14 @@ function displayCharacters() {
                         <button class="edit-btn" onclick="Characters.editCharacter(${actualIndex})" title="Edit"><i class="fas fa-edit"></i></button>
                         <button class="delete-btn" onclick="Characters.deleteCharacter(${actualIndex})" title="Delete"><i class="fas fa-trash-alt"></i></button>
                     </td>
+                    ${TableSelection.renderSelectionCell('characters', char.id)}
                 `;
                 tableBody.appendChild(row);
             });
         }
         
+        TableSelection.updateSelectionControls('characters');
+        
         // Update pagination controls with a small delay to ensure the DOM is ready
         setTimeout(() => {
             UI.updatePaginationControls(filteredCharacters.length, charactersPerPage, currentCharacterPage, 'character');
@@ -878,12 +941,19 @@ function handleFormSubmit(e) {
  * @returns {Array} - Array of characters with similar names
  */
 function findSimilarNames(firstName, lastName, excludeId = null) {
+    const newName = `${firstName} ${lastName}`.trim().toLowerCase();
+    
     return characters.filter(char => {
         // Skip if it's the character being edited
         if (excludeId && char.id === excludeId) {
             return false;
         }
         
+        // The new name is another name for an existing character
+        if ((char.aliases || []).some(alias => alias.toLowerCase() === newName)) {
+            return true;
+        }
+        
         // First name must match exactly (case insensitive)
         if (char.firstName.toLowerCase() !== firstName.toLowerCase()) {
             return false;
@@ -918,6 +988,7 @@ function handleSimilarNameWarning(form, similarCharacter, firstName, lastName) {
         title: form.title.value,
         firstName: firstName,
         lastName: lastName,
+        aliases: form.aliases ? form.aliases.value : '',
         sex: form.sex.value,
         race: form.race.value,
         series: form.series.value,
@@ -925,9 +996,15 @@ function handleSimilarNameWarning(form, similarCharacter, firstName, lastName) {
         role: form.role.value,
     };
     
+    const isAlias = (similarCharacter.aliases || []).some(alias =>
+        alias.toLowerCase() === `${firstName} ${lastName}`.trim().toLowerCase()
+    );
+    
     // Use our custom confirmation dialog
     Core.showConfirmationDialog(
-        `Warning: This name is very similar to existing character "${similarCharacter.firstName} ${similarCharacter.lastName}". Did you mean to create a different character?`,
+        isAlias ?
+            `Warning: "${`${firstName} ${lastName}`.trim()}" is an alias of existing character "${similarCharacter.firstName} ${similarCharacter.lastName}". Did you mean to create a different character?` :
+            `Warning: This name is very similar to existing character "${similarCharacter.firstName} ${similarCharacter.lastName}". Did you mean to create a different character?`,
         function() {
             // User confirmed they want to create a new character with a similar name
             console.log("User confirmed creating character with similar name");
@@ -953,6 +1030,7 @@ function processFormSubmission(form, formData = null) {
             title: form.title.value,
             firstName: form.firstName.value.trim(),
             lastName: form.lastName.value.trim(),
+            aliases: form.aliases ? form.aliases.value : '',
             sex: form.sex.value,
             race: form.race.value,
             series: form.series.value,
@@ -983,6 +1061,9 @@ function processFormSubmission(form, formData = null) {
             }
         });
         
+        // In-world birth and death (or first and last appearance) dates
+        const lifespan = Lifespans.readLifespanFields();
+        
         // Collect tags
         const tagSelector = document.getElementById('characterTagSelector');
         const tags = [];
@@ -1007,25 +1088,39 @@ function processFormSubmission(form, formData = null) {
             title: formData.title || '',
             firstName: formData.firstName || '',
             lastName: formData.lastName || '',
+            aliases: parseAliases(formData.aliases, formData.firstName, formData.lastName),
             sex: formData.sex || '',
             race: formData.race || '',
             series: formData.series || '',
             book: formData.book || '',
             role: formData.role || '',
+            birthDate: lifespan.birthDate,
+            deathDate: lifespan.deathDate,
+            lifespanBasis: lifespan.lifespanBasis,
             notes: notes,
             customFields: customFields,
             tags: tags,
+            // Chapter appearances come from Book Analysis and aren't edited in the form
+            appearances: isEditMode && window.originalEditCharacter ?
+                window.originalEditCharacter.appearances :
+                undefined,
             createdAt: isEditMode && window.originalEditCharacter ? 
                 window.originalEditCharacter.createdAt : 
                 new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
         
-        // Use our updateOrAddCharacter helper function
-        updateOrAddCharacter(character, isEditMode);
-        
-        // Show success message
-        Core.showToast(isEditMode ? 'Character updated successfully' : 'Character added successfully', 'success');
+        // Use our updateOrAddCharacter helper function (as one undoable step)
+        const characterLabel = `${character.firstName} ${character.lastName}`.trim();
+        UndoManager.transaction(`${isEditMode ? 'Update' : 'Add'} character "${characterLabel}"`, () => {
+            return updateOrAddCharacter(character, isEditMode);
+        }).then(saved => {
+            // Show success message; a failed save has already been reported
+            if (saved) {
+                Core.showToast(isEditMode ? 'Character updated successfully' : 'Character added successfully', 'success');
+            }
+            displayCharacters();
+        });
         
         // ENHANCED RESET: Explicitly clean up ALL edit-mode state
         console.log('Resetting all character edit state variables');
@@ -1096,22 +1191,19 @@ function showCharacterDetails(index) {
             characterTags = window.Tags.getEntityTags('character', char.id || '');
         }
         
-        // Get character relationships
-        const characterName = `${char.firstName} ${char.lastName}`.trim();
-        
         // Check if Relationships module exists and has the required function
         let characterRelationships = [];
         if (typeof window.relationships !== 'undefined' && Array.isArray(window.relationships)) {
             // Filter relationships manually from global array
             characterRelationships = window.relationships.filter(rel => 
-                rel.character1 === characterName || rel.character2 === characterName
+                EntityReferences.relationshipInvolves(rel, char.id)
             );
         }
         
         // Process relationships to display correctly
         const processedRelationships = characterRelationships.map(rel => {
             // Determine which character is the other one (not this character)
-            const otherCharacter = rel.character1 === characterName ? rel.character2 : rel.character1;
+            const otherCharacter = EntityReferences.getCharacterNameById(EntityReferences.getOtherCharacterId(rel, char.id));
             
             return {
                 otherCharacter: otherCharacter,
@@ -1127,8 +1219,10 @@ function showCharacterDetails(index) {
                 <div class="details-section">
                     <h3>Personal Information</h3>
                     <p><strong>Title:</strong> ${char.title || 'N/A'}</p>
+                    ${char.aliases && char.aliases.length > 0 ? `<p><strong>Also known as:</strong> ${char.aliases.join(', ')}</p>` : ''}
                     <p><strong>Sex:</strong> ${char.sex || 'N/A'}</p>
                     <p><strong>Race:</strong> ${char.race || 'N/A'}</p>
+                    ${Lifespans.renderLifespanDetails(char)}
                 </div>
 
                 <div class="details-section">
@@ -1178,6 +1272,11 @@ function showCharacterDetails(index) {
             </div>
         `;
 
+        // Add the revision history panel
+        if (window.RevisionHistory && char.id) {
+            popup.querySelector('.popup-content').appendChild(RevisionHistory.createHistoryPanel('character', char.id));
+        }
+
         document.body.appendChild(popup);
     } catch (error) {
         console.error('Error showing character details:', error);
@@ -1222,6 +1321,7 @@ function editCharacter(index) {
         if (form.title) form.title.value = character.title || '';
         if (form.firstName) form.firstName.value = character.firstName || '';
         if (form.lastName) form.lastName.value = character.lastName || '';
+        if (form.aliases) form.aliases.value = (character.aliases || []).join(', ');
         if (form.sex) form.sex.value = character.sex || '';
         if (form.race) form.race.value = character.race || '';
         if (form.series) form.series.value = character.series || '';
@@ -1239,6 +1339,9 @@ function editCharacter(index) {
         // Handle any custom fields
         setupCustomFields(character);
         
+        // Lifespan dates
+        Lifespans.renderLifespanFields(character);
+        
         // Handle tags if the Tags module exists
         setupTagsForEdit(character);
         
@@ -1325,40 +1428,60 @@ function deleteCharacter(index) {
         `Are you sure you want to delete the character "${characterName}"?`,
         function() {
             // User confirmed deletion
-            try {
-                const deletedCharacter = characters[index];
+            // Record the deletion and its cascades as one undoable step
+            UndoManager.transaction(`Delete character "${characterName}"`, async () => {
+                try {
+                    const deletedCharacter = characters[index];
                 
-                // Store the character ID before removing it
-                const deletedCharacterId = deletedCharacter.id;
+                    // Store the character ID before removing it
+                    const deletedCharacterId = deletedCharacter.id;
                 
-                characters.splice(index, 1);
+                    characters.splice(index, 1);
                 
-                if (!Core.safelyStoreItem('characters', JSON.stringify(characters))) {
-                    // If storage fails, restore the character
-                    characters.splice(index, 0, deletedCharacter);
-                    return;
-                }
+                    if (!await Core.safelyStoreItem('characters', JSON.stringify(characters))) {
+                        // If storage fails, restore the character
+                        characters.splice(index, 0, deletedCharacter);
+                        Core.safelyStoreItem('characters', JSON.stringify(characters));
+                        return;
+                    }
                 
-                // Add to recent activity
-                Dashboard.addActivity('character', `Deleted character "${deletedCharacter.firstName} ${deletedCharacter.lastName}"`, deletedCharacter.id);
+                    // Timeline events no longer involve the character
+                    if (window.Timeline && typeof Timeline.removeFromEvents === 'function') {
+                        Timeline.removeFromEvents('characters', deletedCharacterId);
+                    }
+                
+                    // Plots told from the character's point of view no longer have one
+                    const povPlots = plots.filter(plot => plot.pov === deletedCharacterId);
+                    if (povPlots.length > 0) {
+                        const now = new Date().toISOString();
+                        povPlots.forEach(plot => {
+                            plot.pov = '';
+                            plot.updatedAt = now;
+                        });
+                        Core.safelyStoreItem('plots', JSON.stringify(plots));
+                    }
                 
-                displayCharacters();
-                Core.showToast('Character deleted successfully');
+                    // Add to recent activity
+                    Dashboard.addActivity('character', `Deleted character "${deletedCharacter.firstName} ${deletedCharacter.lastName}"`, deletedCharacter.id);
                 
-                // Update relationships to remove this character
-                if (typeof Relationships !== 'undefined') {
-                    // Call the new handler function if available
-                    if (typeof Relationships.handleCharacterDeleted === 'function') {
-                        Relationships.handleCharacterDeleted(deletedCharacterId);
-                    } 
-                    // Also update the relationship list UI for backward compatibility
-                    else if (typeof Relationships.updateRelationshipsList === 'function') {
-                        Relationships.updateRelationshipsList();
+                    displayCharacters();
+                    Core.showToast('Character deleted successfully');
+                
+                    // Update relationships to remove this character
+                    if (typeof Relationships !== 'undefined') {
+                        // Call the new handler function if available
+                        if (typeof Relationships.handleCharacterDeleted === 'function') {
+                            Relationships.handleCharacterDeleted(deletedCharacterId);
+                        } 
+                        // Also update the relationship list UI for backward compatibility
+                        else if (typeof Relationships.updateRelationshipsList === 'function') {
+                            Relationships.updateRelationshipsList();
+                        }
                     }
+                } catch (error) {
+                    Core.showToast('Error deleting character: ' + error.message, 'error');
                 }
-            } catch (error) {
-                Core.showToast('Error deleting character: ' + error.message, 'error');
-            }
+            });
         },
         function() {
             // User canceled deletion
@@ -1390,8 +1513,10 @@ function clearForm() {
             console.log(`Removed existing character at index ${index} to prevent duplication`);
         }
         
-        // Add the original character back to the array
-        updateOrAddCharacter(window.originalEditCharacter, false);
+        // Add the original character back to the array (not an undo step of its own)
+        UndoManager.transaction('Cancel character edit', () => {
+            updateOrAddCharacter(window.originalEditCharacter, false);
+        }, { deferred: true });
         
         // Update the display
         displayCharacters();
@@ -1487,6 +1612,9 @@ function resetFormFields(form) {
     // Reset custom fields
     initializeCustomFields();
     
+    // Reset lifespan dates; form.reset() would restore those of the last edited character
+    Lifespans.renderLifespanFields(null);
+    
     // Reset image
     const characterImage = document.getElementById('characterImage');
     const uploadPrompt = document.getElementById('uploadPrompt');
@@ -1600,22 +1728,22 @@ function setupAutosave() {
             }
         });
         
-        const success = Core.safelyStoreItem('characterFormDraft', JSON.stringify(formData));
         unsavedChanges = true;
-        
-        // Update indicator based on success
-        if (autosaveIndicator) {
-            setTimeout(() => {
-                autosaveIndicator.className = 'autosave-indicator ' + (success ? 'saved' : 'error');
-                autosaveIndicator.querySelector('.autosave-text').textContent =
-                    success ? 'Saved' : 'Error saving';
-                
-                // Hide after a few seconds
+        Core.safelyStoreItem('characterFormDraft', JSON.stringify(formData)).then(success => {
+            // Update indicator based on success
+            if (autosaveIndicator) {
                 setTimeout(() => {
-                    autosaveIndicator.className = 'autosave-indicator';
-                }, 3000);
-            }, 500);
-        }
+                    autosaveIndicator.className = 'autosave-indicator ' + (success ? 'saved' : 'error');
+                    autosaveIndicator.querySelector('.autosave-text').textContent =
+                        success ? 'Saved' : 'Error saving';
+                    
+                    // Hide after a few seconds
+                    setTimeout(() => {
+                        autosaveIndicator.className = 'autosave-indicator';
+                    }, 3000);
+                }, 500);
+            }
+        });
     }
     
     // Set up autosave for character form
@@ -1821,6 +1949,9 @@ function setupFormValidation() {
     // Initialize custom fields
     initializeCustomFields();
     
+    // Initialize lifespan dates
+    Lifespans.renderLifespanFields(null);
+    
     // Handle form submission
     form.addEventListener('submit', function(e) {
         e.preventDefault();
@@ -1887,10 +2018,15 @@ function setupFormValidation() {
 function findSimilarName(firstName, lastName, excludeId) {
     if (!firstName) return null;
     
+    const newName = `${firstName} ${lastName}`.trim().toLowerCase();
+    
     return characters.find(char => {
         // Skip the character we're currently editing
         if (char.id === excludeId) return false;
         
+        // The new name is another name for an existing character
+        if ((char.aliases || []).some(alias => alias.toLowerCase() === newName)) return true;
+        
         // Consider it similar if first name and at least one letter of last name match
         return char.firstName.toLowerCase() === firstName.toLowerCase() && 
                (lastName && char.lastName && 
@@ -1911,6 +2047,7 @@ window.Characters = {
     addCustomField,
     removeCustomField,
     displayCharacters,
+    getFilteredCharacters,
     handleFormSubmit,
     showCharacterDetails,
     editCharacter,
@@ -1930,6 +2067,10 @@ window.Characters = {
     initializeRoles,
     setupFormValidation,
     findSimilarName,
+    calculateNameSimilarity,
+    parseAliases,
+    getCharacterNameForms,
+    findCharacterByName,
     loadCharacters
 };
 
@@ -1959,6 +2100,9 @@ window.addEventListener('load', function() {
         initializeRoles();
         updateDropdown('title', titles);
         updateDropdown('role', roles);
+        
+        // Offer the new database's calendars for lifespan dates
+        Lifespans.renderLifespanFields(null);
     });
 });
 
@@ -2009,6 +2153,7 @@ window.showCharacterPopup = function(characterId) {
                     <p><strong>Title:</strong> ${character.title || 'N/A'}</p>
                     <p><strong>Sex:</strong> ${character.sex || 'N/A'}</p>
                     <p><strong>Race:</strong> ${character.race || 'N/A'}</p>
+                    ${Lifespans.renderLifespanDetails(character)}
                 </div>
 
                 <div style="margin-bottom: 15px;">
@@ -2045,23 +2190,10 @@ window.showCharacterPopup = function(characterId) {
  * Load and display characters
  */
 function loadCharacters() {
-    // Load characters from localStorage
-    try {
-        const charactersData = localStorage.getItem('characters');
-        if (charactersData) {
-            characters = JSON.parse(charactersData);
-            window.characters = characters; // Make sure global reference is updated
-            console.log(`Loaded ${characters.length} characters from storage`);
-        } else {
-            characters = [];
-            window.characters = [];
-            console.log('No characters found in storage, initialized empty array');
-        }
-    } catch (error) {
-        console.error('Error loading characters:', error);
-        characters = [];
-        window.characters = [];
-    }
+    // Characters are read from the repository by Core.initializeState;
+    // make sure the global reference points at the loaded array
+    window.characters = characters;
+    console.log(`Loaded ${characters.length} characters from storage`);
     
     // Display the loaded characters
     displayCharacters();
@@ -0,0 +1,598 @@
+/**
+ * Cloud Provider Adapters for Story Database
+ * Each adapter uploads and downloads the sync payload built by cloud-storage.js
+ * and reports the remote revision so concurrent changes can be detected.
+ *
+ * Adapter interface:
+ *   id                               - provider key (matches PROVIDERS in cloud-storage.js)
+ *   name                             - display name
+ *   getAuthorizationUrl(params)      - OAuth URL for popup based providers (optional)
+ *   exchangeCode(code, params)       - trade an OAuth code for tokens (optional)
+ *   refreshAccessToken(token, params) - trade a refresh token for a new access token (optional)
+ *   authenticate(config)             - verify credentials for non-OAuth providers (optional)
+ *   upload(payload, context)         - store the payload, resolves with { revision }
+ *   download(context)                - resolves with { data, revision } or null when nothing is stored
+ *   getRemoteRevision(context)       - resolves with the current remote revision or null
+ *
+ * The context passed to upload/download carries { config, auth, baseRevision }.
+ */
+
+// Name of the file that holds the synced database on every provider
+const SYNC_FILE_NAME = 'storyguard-sync.json';
+
+// Error codes raised by adapters
+const SYNC_ERRORS = {
+    CONFLICT: 'SYNC_CONFLICT',
+    AUTH_REQUIRED: 'SYNC_AUTH_REQUIRED',
+    NETWORK: 'NETWORK_ERROR',
+    INVALID_RESPONSE: 'INVALID_DATA'
+};
+
+// Registered adapters keyed by provider id
+const providerAdapters = {};
+
+// Create an error carrying one of the SYNC_ERRORS codes
+function createSyncError(message, code, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+// Turn a failed fetch response into a sync error
+async function responseToError(response, providerName) {
+    let detail = '';
+    try {
+        detail = await response.text();
+    } catch (e) {
+        // Body is not readable, keep the status only
+    }
+
+    if (response.status === 401 || response.status === 403) {
+        return createSyncError(`${providerName} rejected the credentials (${response.status})`, SYNC_ERRORS.AUTH_REQUIRED);
+    }
+    // Token endpoints answer 400 invalid_grant for an expired or revoked refresh token
+    if (response.status === 400 && detail.includes('invalid_grant')) {
+        return createSyncError(`${providerName} sign-in has expired`, SYNC_ERRORS.AUTH_REQUIRED);
+    }
+    if (response.status === 409 || response.status === 412) {
+        return createSyncError(`${providerName} has newer changes than this device`, SYNC_ERRORS.CONFLICT);
+    }
+    return createSyncError(`${providerName} request failed (${response.status}) ${detail}`.trim(), SYNC_ERRORS.NETWORK);
+}
+
+// Wrap fetch so network failures surface with a consistent error code
+async function providerRequest(url, options, providerName) {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        throw createSyncError(`Could not reach ${providerName}: ${error.message}`, SYNC_ERRORS.NETWORK);
+    }
+}
+
+// Serialize the payload once so every adapter uploads identical bytes
+function serializePayload(payload) {
+    return JSON.stringify(payload);
+}
+
+// Parse downloaded content into a payload object
+function parsePayload(text, providerName) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw createSyncError(`${providerName} returned data that is not a Story Database file`, SYNC_ERRORS.INVALID_RESPONSE);
+    }
+}
+
+// Base64url encoding used by PKCE
+function base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Create a PKCE verifier/challenge pair so OAuth codes can be exchanged without a client secret
+async function createPkcePair() {
+    const randomBytes = new Uint8Array(32);
+    crypto.getRandomValues(randomBytes);
+    const verifier = base64UrlEncode(randomBytes);
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    const challenge = base64UrlEncode(new Uint8Array(digest));
+
+    return { verifier, challenge };
+}
+
+// Post an OAuth grant (authorization code or refresh token) to a token endpoint
+async function requestOAuthTokens(tokenEndpoint, fields, providerName) {
+    const body = new URLSearchParams(fields);
+    const response = await providerRequest(tokenEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+    }, providerName);
+
+    if (!response.ok) {
+        throw await responseToError(response, providerName);
+    }
+
+    const tokens = await response.json();
+    return {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token || null,
+        expiresAt: tokens.expires_in ? new Date(Date.now() + tokens.expires_in * 1000).toISOString() : null
+    };
+}
+
+// Bearer authorization header for OAuth providers
+function bearerHeaders(auth, extraHeaders = {}) {
+    if (!auth || !auth.accessToken) {
+        throw createSyncError('Not connected to cloud storage', SYNC_ERRORS.AUTH_REQUIRED);
+    }
+    return {
+        Authorization: `Bearer ${auth.accessToken}`,
+        ...extraHeaders
+    };
+}
+
+// Generic WebDAV / plain HTTP adapter - works against any server that supports GET/PUT with ETags
+const webdavAdapter = {
+    id: 'webdav',
+    name: 'WebDAV / HTTP Server',
+
+    // Full URL of the sync file on the server
+    getFileUrl(config) {
+        const baseUrl = (config.webdav && config.webdav.url) || '';
+        if (!baseUrl) {
+            throw createSyncError('No WebDAV server URL configured', SYNC_ERRORS.AUTH_REQUIRED);
+        }
+        return baseUrl.endsWith('.json') ? baseUrl : `${baseUrl.replace(/\/+$/, '')}/${SYNC_FILE_NAME}`;
+    },
+
+    // Basic authentication header when a username is configured
+    getHeaders(config, extraHeaders = {}) {
+        const headers = { ...extraHeaders };
+        const webdav = config.webdav || {};
+        if (webdav.username) {
+            headers.Authorization = `Basic ${btoa(`${webdav.username}:${webdav.password || ''}`)}`;
+        }
+        return headers;
+    },
+
+    // Verify the server is reachable and accepts the credentials
+    async authenticate(config) {
+        const response = await providerRequest(this.getFileUrl(config), {
+            method: 'HEAD',
+            headers: this.getHeaders(config)
+        }, this.name);
+
+        // 404 just means nothing has been synced yet
+        if (!response.ok && response.status !== 404) {
+            throw await responseToError(response, this.name);
+        }
+
+        const webdav = config.webdav || {};
+        return {
+            userInfo: { name: webdav.username || new URL(this.getFileUrl(config)).host },
+            accessToken: null,
+            refreshToken: null,
+            expiresAt: null
+        };
+    },
+
+    async upload(payload, { config, baseRevision }) {
+        const headers = this.getHeaders(config, { 'Content-Type': 'application/json' });
+        // Only overwrite the revision this device last saw; otherwise make sure nothing exists yet
+        if (baseRevision) {
+            headers['If-Match'] = baseRevision;
+        } else {
+            headers['If-None-Match'] = '*';
+        }
+
+        const response = await providerRequest(this.getFileUrl(config), {
+            method: 'PUT',
+            headers,
+            body: serializePayload(payload)
+        }, this.name);
+
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+
+        return { revision: response.headers.get('ETag') || (await this.getRemoteRevision({ config })) };
+    },
+
+    async download({ config }) {
+        const response = await providerRequest(this.getFileUrl(config), {
+            method: 'GET',
+            headers: this.getHeaders(config, { Accept: 'application/json' }),
+            cache: 'no-store'
+        }, this.name);
+
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+
+        return {
+            data: parsePayload(await response.text(), this.name),
+            revision: response.headers.get('ETag')
+        };
+    },
+
+    async getRemoteRevision({ config }) {
+        const response = await providerRequest(this.getFileUrl(config), {
+            method: 'HEAD',
+            headers: this.getHeaders(config),
+            cache: 'no-store'
+        }, this.name);
+
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+        return response.headers.get('ETag');
+    }
+};
+
+// Google Drive adapter - stores the sync file in the hidden appDataFolder
+const googleDriveAdapter = {
+    id: 'google-drive',
+    name: 'Google Drive',
+    authEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenEndpoint: 'https://oauth2.googleapis.com/token',
+    scope: 'https://www.googleapis.com/auth/drive.appdata https://www.googleapis.com/auth/drive.file',
+
+    getAuthorizationUrl({ clientId, redirectUri, state, codeChallenge }) {
+        const params = new URLSearchParams({
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            scope: this.scope,
+            state,
+            access_type: 'offline',
+            prompt: 'consent',
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        return `${this.authEndpoint}?${params.toString()}`;
+    },
+
+    exchangeCode(code, { clientId, redirectUri, codeVerifier }) {
+        return requestOAuthTokens(this.tokenEndpoint, {
+            client_id: clientId,
+            code,
+            code_verifier: codeVerifier,
+            grant_type: 'authorization_code',
+            redirect_uri: redirectUri
+        }, this.name);
+    },
+
+    refreshAccessToken(refreshToken, { clientId }) {
+        return requestOAuthTokens(this.tokenEndpoint, {
+            client_id: clientId,
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+        }, this.name);
+    },
+
+    // Look up the sync file's id and revision in appDataFolder
+    async findFile(auth) {
+        const query = encodeURIComponent(`name='${SYNC_FILE_NAME}'`);
+        const response = await providerRequest(
+            `https://www.googleapis.com/drive/v3/files?spaces=appDataFolder&q=${query}&fields=files(id,headRevisionId)`,
+            { headers: bearerHeaders(auth) },
+            this.name
+        );
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+        const result = await response.json();
+        return result.files && result.files.length > 0 ? result.files[0] : null;
+    },
+
+    async upload(payload, { auth, baseRevision }) {
+        const existing = await this.findFile(auth);
+        if (existing && baseRevision && existing.headRevisionId !== baseRevision) {
+            throw createSyncError(`${this.name} has newer changes than this device`, SYNC_ERRORS.CONFLICT);
+        }
+        if (existing && !baseRevision) {
+            throw createSyncError(`${this.name} already holds data that has not been loaded on this device`, SYNC_ERRORS.CONFLICT);
+        }
+
+        let response;
+        if (existing) {
+            response = await providerRequest(
+                `https://www.googleapis.com/upload/drive/v3/files/${existing.id}?uploadType=media&fields=id,headRevisionId`,
+                {
+                    method: 'PATCH',
+                    headers: bearerHeaders(auth, { 'Content-Type': 'application/json' }),
+                    body: serializePayload(payload)
+                },
+                this.name
+            );
+        } else {
+            // Multipart upload so metadata (name, parent) and content are created together
+            const boundary = `storyguard-${Date.now()}`;
+            const metadata = { name: SYNC_FILE_NAME, parents: ['appDataFolder'] };
+            const body = [
+                `--${boundary}`,
+                'Content-Type: application/json; charset=UTF-8',
+                '',
+                JSON.stringify(metadata),
+                `--${boundary}`,
+                'Content-Type: application/json',
+                '',
+                serializePayload(payload),
+                `--${boundary}--`
+            ].join('\r\n');
+
+            response = await providerRequest(
+                'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id,headRevisionId',
+                {
+                    method: 'POST',
+                    headers: bearerHeaders(auth, { 'Content-Type': `multipart/related; boundary=${boundary}` }),
+                    body
+                },
+                this.name
+            );
+        }
+
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+        const result = await response.json();
+        return { revision: result.headRevisionId };
+    },
+
+    async download({ auth }) {
+        const existing = await this.findFile(auth);
+        if (!existing) return null;
+
+        const response = await providerRequest(
+            `https://www.googleapis.com/drive/v3/files/${existing.id}?alt=media`,
+            { headers: bearerHeaders(auth) },
+            this.name
+        );
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+
+        return {
+            data: parsePayload(await response.text(), this.name),
+            revision: existing.headRevisionId
+        };
+    },
+
+    async getRemoteRevision({ auth }) {
+        const existing = await this.findFile(auth);
+        return existing ? existing.headRevisionId : null;
+    }
+};
+
+// Dropbox adapter - stores the sync file in the app folder
+const dropboxAdapter = {
+    id: 'dropbox',
+    name: 'Dropbox',
+    authEndpoint: 'https://www.dropbox.com/oauth2/authorize',
+    tokenEndpoint: 'https://api.dropboxapi.com/oauth2/token',
+    filePath: `/${SYNC_FILE_NAME}`,
+
+    getAuthorizationUrl({ clientId, redirectUri, state, codeChallenge }) {
+        const params = new URLSearchParams({
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            state,
+            token_access_type: 'offline',
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        return `${this.authEndpoint}?${params.toString()}`;
+    },
+
+    exchangeCode(code, { clientId, redirectUri, codeVerifier }) {
+        return requestOAuthTokens(this.tokenEndpoint, {
+            client_id: clientId,
+            code,
+            code_verifier: codeVerifier,
+            grant_type: 'authorization_code',
+            redirect_uri: redirectUri
+        }, this.name);
+    },
+
+    refreshAccessToken(refreshToken, { clientId }) {
+        return requestOAuthTokens(this.tokenEndpoint, {
+            client_id: clientId,
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+        }, this.name);
+    },
+
+    async upload(payload, { auth, baseRevision }) {
+        // Dropbox rejects an "update" write when the file's rev no longer matches
+        const mode = baseRevision ? { '.tag': 'update', update: baseRevision } : { '.tag': 'add' };
+        const response = await providerRequest('https://content.dropboxapi.com/2/files/upload', {
+            method: 'POST',
+            headers: bearerHeaders(auth, {
+                'Content-Type': 'application/octet-stream',
+                'Dropbox-API-Arg': JSON.stringify({ path: this.filePath, mode, autorename: false, mute: true })
+            }),
+            body: serializePayload(payload)
+        }, this.name);
+
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+        const result = await response.json();
+        return { revision: result.rev };
+    },
+
+    async download({ auth }) {
+        const response = await providerRequest('https://content.dropboxapi.com/2/files/download', {
+            method: 'POST',
+            headers: bearerHeaders(auth, {
+                'Dropbox-API-Arg': JSON.stringify({ path: this.filePath })
+            })
+        }, this.name);
+
+        // Dropbox reports a missing file as a 409 path/not_found error
+        if (response.status === 409) return null;
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+
+        const metadata = JSON.parse(response.headers.get('Dropbox-API-Result') || '{}');
+        return {
+            data: parsePayload(await response.text(), this.name),
+            revision: metadata.rev || null
+        };
+    },
+
+    async getRemoteRevision({ auth }) {
+        const response = await providerRequest('https://api.dropboxapi.com/2/files/get_metadata', {
+            method: 'POST',
+            headers: bearerHeaders(auth, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ path: this.filePath })
+        }, this.name);
+
+        if (response.status === 409) return null;
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+        const metadata = await response.json();
+        return metadata.rev || null;
+    }
+};
+
+// OneDrive adapter - stores the sync file in the app's special folder through Microsoft Graph
+const oneDriveAdapter = {
+    id: 'onedrive',
+    name: 'OneDrive',
+    authEndpoint: 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
+    tokenEndpoint: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+    scope: 'files.readwrite offline_access',
+    itemUrl: `https://graph.microsoft.com/v1.0/me/drive/special/approot:/${SYNC_FILE_NAME}`,
+
+    getAuthorizationUrl({ clientId, redirectUri, state, codeChallenge }) {
+        const params = new URLSearchParams({
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            scope: this.scope,
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        return `${this.authEndpoint}?${params.toString()}`;
+    },
+
+    exchangeCode(code, { clientId, redirectUri, codeVerifier }) {
+        return requestOAuthTokens(this.tokenEndpoint, {
+            client_id: clientId,
+            code,
+            code_verifier: codeVerifier,
+            grant_type: 'authorization_code',
+            redirect_uri: redirectUri,
+            scope: this.scope
+        }, this.name);
+    },
+
+    refreshAccessToken(refreshToken, { clientId }) {
+        return requestOAuthTokens(this.tokenEndpoint, {
+            client_id: clientId,
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            scope: this.scope
+        }, this.name);
+    },
+
+    async upload(payload, { auth, baseRevision }) {
+        const headers = bearerHeaders(auth, { 'Content-Type': 'application/json' });
+        if (baseRevision) {
+            headers['If-Match'] = baseRevision;
+        } else {
+            headers['If-None-Match'] = '*';
+        }
+
+        const response = await providerRequest(`${this.itemUrl}:/content`, {
+            method: 'PUT',
+            headers,
+            body: serializePayload(payload)
+        }, this.name);
+
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+        const item = await response.json();
+        return { revision: item.eTag };
+    },
+
+    async download(context) {
+        const revision = await this.getRemoteRevision(context);
+        if (!revision) return null;
+
+        const response = await providerRequest(`${this.itemUrl}:/content`, {
+            headers: bearerHeaders(context.auth)
+        }, this.name);
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+
+        return {
+            data: parsePayload(await response.text(), this.name),
+            revision
+        };
+    },
+
+    async getRemoteRevision({ auth }) {
+        const response = await providerRequest(this.itemUrl, {
+            headers: bearerHeaders(auth)
+        }, this.name);
+
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw await responseToError(response, this.name);
+        }
+        const item = await response.json();
+        return item.eTag || null;
+    }
+};
+
+// Register an adapter so it can be selected in the cloud settings
+function registerProvider(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.upload !== 'function' || typeof adapter.download !== 'function') {
+        console.error('Invalid cloud provider adapter:', adapter);
+        return false;
+    }
+    providerAdapters[adapter.id] = adapter;
+    return true;
+}
+
+// Get the adapter for a provider id
+function getProvider(providerId) {
+    return providerAdapters[providerId] || null;
+}
+
+// List registered adapters
+function listProviders() {
+    return Object.values(providerAdapters);
+}
+
+registerProvider(googleDriveAdapter);
+registerProvider(dropboxAdapter);
+registerProvider(oneDriveAdapter);
+registerProvider(webdavAdapter);
+
+// Export cloud provider functions
+window.CloudProviders = {
+    SYNC_FILE_NAME,
+    SYNC_ERRORS,
+    registerProvider,
+    getProvider,
+    listProviders,
+    createPkcePair,
+    createSyncError
+};
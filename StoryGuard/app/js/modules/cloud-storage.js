@@ -1,24 +1,40 @@
 /**
  * Cloud Storage functionality for Story Database
- * Handles integration with Google Drive and Dropbox for data synchronization
+ * Handles integration with Google Drive, Dropbox, OneDrive and WebDAV servers for data synchronization.
+ * The transport for each provider lives in cloud-providers.js.
  */
 
 // Cloud storage providers
 const PROVIDERS = {
     GOOGLE_DRIVE: 'google-drive',
     DROPBOX: 'dropbox',
-    ONEDRIVE: 'onedrive'
+    ONEDRIVE: 'onedrive',
+    WEBDAV: 'webdav'
 };
 
+// Access tokens are renewed this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
 // Configuration
 let cloudConfig = {
     enabled: false,
     provider: null,
     autoSync: false,
     lastSyncTime: null,
-    syncInterval: 30 // minutes
+    remoteRevision: null, // Revision of the cloud copy at the last successful sync
+    syncInterval: 30, // minutes
+    webdav: {
+        url: '',
+        username: ''
+    },
+    oauthClientIds: {} // Client ID of the app registered with each OAuth provider
 };
 
+// Name the WebDAV password is kept under in the system keychain
+const WEBDAV_CREDENTIAL = 'webdav-password';
+// WebDAV password for this session; null until it is read from the keychain or asked for
+let webdavPassword = null;
+
 // Authentication state
 let authState = {
     isAuthenticated: false,
@@ -34,20 +50,30 @@ function initializeCloudStorage() {
     const savedConfig = localStorage.getItem('cloudConfig');
     if (savedConfig) {
         try {
-            cloudConfig = JSON.parse(savedConfig);
+            cloudConfig = { ...cloudConfig, ...JSON.parse(savedConfig) };
         } catch (error) {
             console.error('Error parsing cloud config:', error);
         }
     }
     
+    // Older versions saved the WebDAV password with the settings; move it to the keychain
+    if (cloudConfig.webdav && cloudConfig.webdav.password !== undefined) {
+        const { password, ...webdav } = cloudConfig.webdav;
+        cloudConfig.webdav = webdav;
+        saveCloudConfig();
+        if (password) {
+            storeWebDAVPassword(password).catch(error => console.error('Error moving the WebDAV password:', error));
+        }
+    }
+    
     // Load auth state from localStorage
     const savedAuthState = localStorage.getItem('cloudAuthState');
     if (savedAuthState) {
         try {
             authState = JSON.parse(savedAuthState);
             
-            // Check if token is expired
-            if (authState.expiresAt && new Date(authState.expiresAt) < new Date()) {
+            // An expired token without a refresh token means signing in again
+            if (authState.expiresAt && new Date(authState.expiresAt) < new Date() && !authState.refreshToken) {
                 authState.isAuthenticated = false;
                 authState.accessToken = null;
             }
@@ -75,6 +101,92 @@ function saveAuthState() {
     localStorage.setItem('cloudAuthState', JSON.stringify(authState));
 }
 
+// Forget the signed-in account
+function clearAuthState() {
+    authState = {
+        isAuthenticated: false,
+        userInfo: null,
+        accessToken: null,
+        refreshToken: null,
+        expiresAt: null
+    };
+    saveAuthState();
+    updateCloudStatusUI();
+}
+
+function escapeCloudHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Keep the WebDAV password in the system keychain; without one it is only kept for this session.
+// An empty password removes the saved one.
+async function storeWebDAVPassword(password) {
+    webdavPassword = password;
+    const result = window.api && typeof window.api.storeCredential === 'function'
+        ? await window.api.storeCredential(WEBDAV_CREDENTIAL, password)
+        : { success: false, error: 'No system keychain is available' };
+    if (!result.success && password) {
+        Core.showToast(`The WebDAV password will be asked for again next session: ${result.error}`, 'warning', 6000);
+    }
+}
+
+// Drop a WebDAV password the server rejected, so it is asked for again
+function forgetWebDAVPassword() {
+    webdavPassword = null;
+    if (window.api && typeof window.api.storeCredential === 'function') {
+        window.api.storeCredential(WEBDAV_CREDENTIAL, '').catch(error => console.error('Error removing the WebDAV password:', error));
+    }
+}
+
+// Ask for the WebDAV password; resolves with null when the user cancels
+function promptForWebDAVPassword() {
+    return new Promise(resolve => {
+        const modal = UI.showModal('WebDAV Password', `
+            <p>Enter the password for <strong>${escapeCloudHtml(cloudConfig.webdav.username)}</strong> on ${escapeCloudHtml(cloudConfig.webdav.url)}.</p>
+            <input type="password" class="webdav-password-input" style="width: 100%;">
+            <div class="form-actions" style="margin-top: 15px; text-align: right;">
+                <button type="button" class="webdav-password-cancel">Cancel</button>
+                <button type="button" class="webdav-password-ok primary-btn">Connect</button>
+            </div>
+        `, { maxWidth: '400px', closeOnBackdropClick: false });
+        
+        const input = modal.querySelector('.webdav-password-input');
+        const finish = value => {
+            modal.remove();
+            resolve(value);
+        };
+        modal.querySelector('.webdav-password-cancel').addEventListener('click', () => finish(null));
+        modal.querySelector('.webdav-password-ok').addEventListener('click', () => finish(input.value));
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') finish(input.value);
+        });
+        input.focus();
+    });
+}
+
+// Make sure the WebDAV password is known, reading it from the keychain or asking for it
+async function ensureWebDAVPassword() {
+    if (webdavPassword !== null || !cloudConfig.webdav.username) return;
+    
+    if (window.api && typeof window.api.readCredential === 'function') {
+        const result = await window.api.readCredential(WEBDAV_CREDENTIAL);
+        if (result.success && result.secret !== null) {
+            webdavPassword = result.secret;
+            return;
+        }
+    }
+    
+    const password = await promptForWebDAVPassword();
+    if (password === null) {
+        throw CloudProviders.createSyncError('The WebDAV password is needed to connect', CloudProviders.SYNC_ERRORS.AUTH_REQUIRED);
+    }
+    await storeWebDAVPassword(password);
+}
+
 // Update cloud status UI
 function updateCloudStatusUI() {
     // Get all cloud status elements
@@ -120,7 +232,7 @@ function updateCloudStatusElement(cloudStatusElement) {
         <div class="cloud-status authenticated">
             <span class="cloud-icon"><i class="fas fa-cloud"></i></span>
             <span class="cloud-text">Connected to ${getProviderName(cloudConfig.provider)}</span>
-            <span class="cloud-user">${authState.userInfo?.name || 'User'}</span>
+            <span class="cloud-user">${escapeCloudHtml(authState.userInfo?.name || 'User')}</span>
             <span class="cloud-last-sync">${lastSyncText}</span>
             <button class="cloud-sync-btn" onclick="CloudStorage.syncData()">Sync Now</button>
         </div>
@@ -240,11 +352,21 @@ function getProviderName(provider) {
             return 'Dropbox';
         case PROVIDERS.ONEDRIVE:
             return 'OneDrive';
+        case PROVIDERS.WEBDAV:
+            return 'WebDAV Server';
         default:
             return 'Cloud Storage';
     }
 }
 
+function isOAuthProvider(provider) {
+    return Boolean(provider) && provider !== PROVIDERS.WEBDAV;
+}
+
+function getOAuthClientId(provider) {
+    return (cloudConfig.oauthClientIds || {})[provider] || '';
+}
+
 // Show cloud storage settings dialog
 function showCloudSettings() {
     // Create modal dialog
@@ -283,6 +405,38 @@ function showCloudSettings() {
                                 <span class="provider-name">OneDrive</span>
                             </label>
                         </div>
+                        <div class="provider-option ${cloudConfig.provider === PROVIDERS.WEBDAV ? 'selected' : ''}">
+                            <input type="radio" name="provider" id="provider-webdav" value="${PROVIDERS.WEBDAV}" 
+                                ${cloudConfig.provider === PROVIDERS.WEBDAV ? 'checked' : ''}>
+                            <label for="provider-webdav">
+                                <span class="provider-icon"><i class="fas fa-server"></i></span>
+                                <span class="provider-name">WebDAV / HTTP</span>
+                            </label>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="settings-group" id="oauth-settings" style="display: ${isOAuthProvider(cloudConfig.provider) ? 'block' : 'none'};">
+                    <h4>OAuth Application</h4>
+                    <div class="setting-option">
+                        <label for="oauth-client-id">Client ID:</label>
+                        <input type="text" id="oauth-client-id" placeholder="Client ID of the app you registered with the provider" value="${escapeCloudHtml(getOAuthClientId(cloudConfig.provider))}">
+                    </div>
+                </div>
+                
+                <div class="settings-group" id="webdav-settings" style="display: ${cloudConfig.provider === PROVIDERS.WEBDAV ? 'block' : 'none'};">
+                    <h4>WebDAV Server</h4>
+                    <div class="setting-option">
+                        <label for="webdav-url">Server URL:</label>
+                        <input type="text" id="webdav-url" placeholder="http://localhost:8765/storyguard" value="${escapeCloudHtml(cloudConfig.webdav.url)}">
+                    </div>
+                    <div class="setting-option">
+                        <label for="webdav-username">Username:</label>
+                        <input type="text" id="webdav-username" value="${escapeCloudHtml(cloudConfig.webdav.username)}">
+                    </div>
+                    <div class="setting-option">
+                        <label for="webdav-password">Password:</label>
+                        <input type="password" id="webdav-password" placeholder="Leave empty to keep the saved password">
                     </div>
                 </div>
                 
@@ -298,7 +452,7 @@ function showCloudSettings() {
                     </div>
                     <div class="setting-option">
                         <label for="sync-interval">Sync interval (minutes):</label>
-                        <input type="number" id="sync-interval" min="5" max="1440" value="${cloudConfig.syncInterval}">
+                        <input type="number" id="sync-interval" min="5" max="1440" value="${escapeCloudHtml(cloudConfig.syncInterval)}">
                     </div>
                 </div>
                 
@@ -306,7 +460,7 @@ function showCloudSettings() {
                     <h4>Account</h4>
                     ${authState.isAuthenticated ? `
                         <div class="account-info">
-                            <p>Connected as: <strong>${authState.userInfo?.name || 'User'}</strong></p>
+                            <p>Connected as: <strong>${escapeCloudHtml(authState.userInfo?.name || 'User')}</strong></p>
                             <button id="disconnect-btn" class="danger-btn">Disconnect Account</button>
                         </div>
                     ` : `
@@ -328,9 +482,23 @@ function showCloudSettings() {
     
     document.body.appendChild(modal);
     
+    // Client IDs typed in the dialog, kept per provider while switching between them
+    const clientIdDrafts = { ...cloudConfig.oauthClientIds };
+    let draftProvider = cloudConfig.provider;
+    const clientIdInput = document.getElementById('oauth-client-id');
+    
     // Set up event listeners
     document.querySelectorAll('input[name="provider"]').forEach(radio => {
         radio.addEventListener('change', function() {
+            if (clientIdInput) {
+                if (isOAuthProvider(draftProvider)) {
+                    clientIdDrafts[draftProvider] = clientIdInput.value.trim();
+                }
+                clientIdInput.value = clientIdDrafts[this.value] || '';
+            }
+            draftProvider = this.value;
+            
+
             // Update selected class
             document.querySelectorAll('.provider-option').forEach(option => {
                 option.classList.remove('selected');
@@ -342,23 +510,61 @@ function showCloudSettings() {
             if (connectBtn) {
                 connectBtn.textContent = `Connect to ${getProviderName(this.value)}`;
             }
+            
+            // Only show server fields for WebDAV and the client ID for OAuth providers
+            const webdavSettings = document.getElementById('webdav-settings');
+            if (webdavSettings) {
+                webdavSettings.style.display = this.value === PROVIDERS.WEBDAV ? 'block' : 'none';
+            }
+            const oauthSettings = document.getElementById('oauth-settings');
+            if (oauthSettings) {
+                oauthSettings.style.display = isOAuthProvider(this.value) ? 'block' : 'none';
+            }
         });
     });
     
+    // Read the client ID field into the config
+    const readOAuthSettings = () => {
+        if (clientIdInput && isOAuthProvider(draftProvider)) {
+            clientIdDrafts[draftProvider] = clientIdInput.value.trim();
+        }
+        cloudConfig.oauthClientIds = clientIdDrafts;
+    };
+    
+    // Read the WebDAV fields from the dialog into the config; the password goes to the keychain
+    const readWebDAVSettings = () => {
+        cloudConfig.webdav = {
+            url: document.getElementById('webdav-url')?.value.trim() || '',
+            username: document.getElementById('webdav-username')?.value.trim() || ''
+        };
+        const password = document.getElementById('webdav-password')?.value || '';
+        if (password || !cloudConfig.webdav.username) {
+            return storeWebDAVPassword(password);
+        }
+        return Promise.resolve();
+    };
+    
     const saveBtn = document.getElementById('save-cloud-settings');
     if (saveBtn) {
-        saveBtn.addEventListener('click', function() {
+        saveBtn.addEventListener('click', async function() {
             // Save settings
             const provider = document.querySelector('input[name="provider"]:checked')?.value;
             const enabled = document.getElementById('cloud-enabled')?.checked;
             const autoSync = document.getElementById('auto-sync')?.checked;
             const syncInterval = parseInt(document.getElementById('sync-interval')?.value || '30', 10);
             
+            // A different provider holds a different copy, so forget the old revision
+            if (provider !== cloudConfig.provider) {
+                cloudConfig.remoteRevision = null;
+            }
+            
             // Update config
             cloudConfig.provider = provider;
             cloudConfig.enabled = enabled;
             cloudConfig.autoSync = autoSync;
             cloudConfig.syncInterval = syncInterval;
+            readOAuthSettings();
+            await readWebDAVSettings();
             
             // Save config
             saveCloudConfig();
@@ -381,11 +587,16 @@ function showCloudSettings() {
     
     const connectBtn = document.getElementById('connect-btn');
     if (connectBtn) {
-        connectBtn.addEventListener('click', function() {
+        connectBtn.addEventListener('click', async function() {
             // Save current provider selection
             const provider = document.querySelector('input[name="provider"]:checked')?.value;
             if (provider) {
+                if (provider !== cloudConfig.provider) {
+                    cloudConfig.remoteRevision = null;
+                }
                 cloudConfig.provider = provider;
+                readOAuthSettings();
+                await readWebDAVSettings();
                 saveCloudConfig();
             }
             
@@ -403,19 +614,7 @@ function showCloudSettings() {
             // Confirm disconnect
             if (confirm('Are you sure you want to disconnect your account? Your data will remain in the cloud but won\'t be synced.')) {
                 // Reset auth state
-                authState = {
-                    isAuthenticated: false,
-                    userInfo: null,
-                    accessToken: null,
-                    refreshToken: null,
-                    expiresAt: null
-                };
-                
-                // Save auth state
-                saveAuthState();
-                
-                // Update UI
-                updateCloudStatusUI();
+                clearAuthState();
                 
                 // Close modal
                 modal.remove();
@@ -436,7 +635,9 @@ function setupAutoSync() {
     
     // Set up new interval
     const intervalMs = cloudConfig.syncInterval * 60 * 1000;
-    window.cloudSyncInterval = setInterval(syncData, intervalMs);
+    window.cloudSyncInterval = setInterval(() => {
+        syncData().catch(error => console.error('Auto-sync failed:', error));
+    }, intervalMs);
     
     console.log(`Auto-sync set up to run every ${cloudConfig.syncInterval} minutes`);
 }
@@ -459,27 +660,44 @@ function authenticateWithProvider() {
         case PROVIDERS.ONEDRIVE:
             authenticateWithOneDrive();
             break;
+        case PROVIDERS.WEBDAV:
+            authenticateWithWebDAV();
+            break;
         default:
             Core.showToast('Unknown provider', 'error');
     }
 }
 
-// Google Drive Authentication
-function authenticateWithGoogleDrive() {
-    // Google OAuth client ID (you would need to create this in Google Cloud Console)
-    const clientId = '123456789012-abcdefghijklmnopqrstuvwxyz123456.apps.googleusercontent.com'; // Replace with actual client ID
+// Open the provider's OAuth consent page and wait for it to redirect back with a code
+async function openOAuthPopup(provider, windowName) {
+    const clientId = getOAuthClientId(provider);
+    if (!clientId) {
+        Core.showToast(`Enter the client ID of your ${getProviderName(provider)} app in Cloud Settings first`, 'error');
+        showCloudSettings();
+        return;
+    }
+    
+    const adapter = CloudProviders.getProvider(provider);
     const redirectUri = window.location.origin + window.location.pathname;
-    const scope = 'https://www.googleapis.com/auth/drive.appdata https://www.googleapis.com/auth/drive.file';
     
     // Generate random state for security
     const state = Math.random().toString(36).substring(2);
     localStorage.setItem('oauthState', state);
     
+    // PKCE lets the desktop app exchange the code without a client secret
+    const pkce = await CloudProviders.createPkcePair();
+    localStorage.setItem('oauthCodeVerifier', pkce.verifier);
+    
     // Create OAuth URL
-    const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&scope=${encodeURIComponent(scope)}&state=${state}&access_type=offline&prompt=consent`;
+    const authUrl = adapter.getAuthorizationUrl({
+        clientId,
+        redirectUri,
+        state,
+        codeChallenge: pkce.challenge
+    });
     
     // Open popup for authentication
-    const authWindow = window.open(authUrl, 'GoogleAuth', 'width=600,height=600');
+    const authWindow = window.open(authUrl, windowName, 'width=600,height=600');
     
     // Poll for redirect
     const pollTimer = window.setInterval(function() {
@@ -505,7 +723,7 @@ function authenticateWithGoogleDrive() {
                 authWindow.close();
                 
                 // Exchange code for tokens
-                exchangeCodeForTokens(code, 'google');
+                exchangeCodeForTokens(code, provider);
             }
         } catch (e) {
             // Ignore cross-origin errors while polling
@@ -513,250 +731,417 @@ function authenticateWithGoogleDrive() {
     }, 500);
 }
 
+// Google Drive Authentication
+function authenticateWithGoogleDrive() {
+    return openOAuthPopup(PROVIDERS.GOOGLE_DRIVE, 'GoogleAuth');
+}
+
 // Dropbox Authentication
 function authenticateWithDropbox() {
-    // Dropbox OAuth client ID (you would need to create this in Dropbox Developer Console)
-    const clientId = 'abcdefghijklm'; // Replace with actual client ID
-    const redirectUri = window.location.origin + window.location.pathname;
+    return openOAuthPopup(PROVIDERS.DROPBOX, 'DropboxAuth');
+}
+
+// OneDrive Authentication
+function authenticateWithOneDrive() {
+    return openOAuthPopup(PROVIDERS.ONEDRIVE, 'OneDriveAuth');
+}
+
+// WebDAV Authentication - checks the configured server accepts the credentials
+async function authenticateWithWebDAV() {
+    try {
+        const adapter = CloudProviders.getProvider(PROVIDERS.WEBDAV);
+        await ensureWebDAVPassword();
+        const tokens = await adapter.authenticate(getSyncContext().config);
+        completeAuthentication(tokens);
+    } catch (error) {
+        if (error.code === CloudProviders.SYNC_ERRORS.AUTH_REQUIRED) {
+            forgetWebDAVPassword();
+        }
+        console.error('WebDAV authentication failed:', error);
+        Core.showToast(`Could not connect to WebDAV server: ${error.message}`, 'error');
+    }
+}
+
+// Exchange authorization code for tokens
+async function exchangeCodeForTokens(code, provider) {
+    try {
+        const adapter = CloudProviders.getProvider(provider);
+        const tokens = await adapter.exchangeCode(code, {
+            clientId: getOAuthClientId(provider),
+            redirectUri: window.location.origin + window.location.pathname,
+            codeVerifier: localStorage.getItem('oauthCodeVerifier')
+        });
+        localStorage.removeItem('oauthCodeVerifier');
+        
+        completeAuthentication({
+            userInfo: { name: getProviderName(provider) },
+            ...tokens
+        });
+    } catch (error) {
+        console.error('Token exchange failed:', error);
+        Core.showToast(`Authentication failed: ${error.message}`, 'error');
+    }
+}
+
+// Store the credentials returned by an adapter and refresh the UI
+function completeAuthentication(tokens) {
+    authState = {
+        isAuthenticated: true,
+        userInfo: tokens.userInfo || { name: 'User' },
+        accessToken: tokens.accessToken || null,
+        refreshToken: tokens.refreshToken || null,
+        expiresAt: tokens.expiresAt || null
+    };
     
-    // Generate random state for security
-    const state = Math.random().toString(36).substring(2);
-    localStorage.setItem('oauthState', state);
+    // Save auth state
+    saveAuthState();
     
-    // Create OAuth URL
-    const authUrl = `https://www.dropbox.com/oauth2/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&state=${state}`;
+    // Update UI
+    updateCloudStatusUI();
     
-    // Open popup for authentication
-    const authWindow = window.open(authUrl, 'DropboxAuth', 'width=600,height=600');
+    // Set up auto-sync if enabled
+    if (cloudConfig.enabled && cloudConfig.autoSync) {
+        setupAutoSync();
+    }
     
-    // Poll for redirect
-    const pollTimer = window.setInterval(function() {
-        try {
-            if (authWindow.closed) {
-                window.clearInterval(pollTimer);
-            } else if (authWindow.location.href.includes(redirectUri)) {
-                window.clearInterval(pollTimer);
-                
-                // Extract code from URL
-                const url = new URL(authWindow.location.href);
-                const code = url.searchParams.get('code');
-                const returnedState = url.searchParams.get('state');
-                
-                // Verify state
-                if (returnedState !== localStorage.getItem('oauthState')) {
-                    Core.showToast('Authentication failed: Invalid state', 'error');
-                    authWindow.close();
-                    return;
-                }
-                
-                // Close auth window
-                authWindow.close();
-                
-                // Exchange code for tokens
-                exchangeCodeForTokens(code, 'dropbox');
-            }
-        } catch (e) {
-            // Ignore cross-origin errors while polling
-        }
-    }, 500);
+    // Show success message
+    Core.showToast(`Connected to ${getProviderName(cloudConfig.provider)}`);
 }
 
-// OneDrive Authentication
-function authenticateWithOneDrive() {
-    // OneDrive OAuth client ID (you would need to create this in Microsoft Azure Portal)
-    const clientId = '12345678-1234-1234-1234-123456789012'; // Replace with actual client ID
-    const redirectUri = window.location.origin + window.location.pathname;
-    const scope = 'files.readwrite offline_access';
+// Build the payload that is stored in the cloud
+function buildSyncPayload() {
+    return {
+        characters,
+        locations,
+        titles,
+        seriesList,
+        books,
+        roles,
+        customFieldTypes,
+        relationships: window.relationships || relationships,
+        tags,
+        plots,
+        worldElements,
+        exportTemplates: window.exportTemplates || [],
+        calendars: window.calendars || [],
+        timelineEvents: window.timelineEvents || [],
+        rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+        relationshipGraphLayout: window.relationshipGraphLayout || [],
+        syncDate: new Date().toISOString(),
+        version: '2.0.0',
+        schemaVersion: DatabaseSchema.SCHEMA_VERSION
+    };
+}
+
+// Replace local data with a payload downloaded from the cloud
+function applySyncPayload(data) {
+    // Copies uploaded by older versions are upgraded to the current schema
+    DatabaseSchema.migrate(data);
     
-    // Generate random state for security
-    const state = Math.random().toString(36).substring(2);
-    localStorage.setItem('oauthState', state);
+    if (Array.isArray(data.characters)) characters = data.characters;
+    if (Array.isArray(data.locations)) locations = data.locations;
+    if (Array.isArray(data.titles)) titles = data.titles;
+    if (Array.isArray(data.seriesList)) seriesList = data.seriesList;
+    if (Array.isArray(data.books)) books = data.books;
+    if (Array.isArray(data.roles)) roles = data.roles;
+    if (Array.isArray(data.customFieldTypes)) customFieldTypes = data.customFieldTypes;
+    if (Array.isArray(data.relationships)) {
+        // relationships.js keeps a reference to window.relationships, so refill that array in place
+        if (Array.isArray(window.relationships)) {
+            window.relationships.splice(0, window.relationships.length, ...data.relationships);
+            relationships = window.relationships;
+        } else {
+            relationships = data.relationships;
+            window.relationships = relationships;
+        }
+    }
+    if (Array.isArray(data.tags)) tags = data.tags;
+    if (Array.isArray(data.plots)) plots = data.plots;
+    if (Array.isArray(data.worldElements)) worldElements = data.worldElements;
+    if (Array.isArray(data.exportTemplates)) window.exportTemplates = data.exportTemplates;
+    if (Array.isArray(data.calendars)) window.calendars = data.calendars;
+    if (Array.isArray(data.timelineEvents)) window.timelineEvents = data.timelineEvents;
+    if (Array.isArray(data.rejectedRelationshipSuggestions)) window.rejectedRelationshipSuggestions = data.rejectedRelationshipSuggestions;
+    if (Array.isArray(data.relationshipGraphLayout)) window.relationshipGraphLayout = data.relationshipGraphLayout;
     
-    // Create OAuth URL
-    const authUrl = `https://login.microsoftonline.com/common/oauth2/v2.0/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&scope=${encodeURIComponent(scope)}&state=${state}`;
+    // Keep the window references used by other modules in step
+    window.characters = characters;
+    window.locations = locations;
+    window.plots = plots;
+    window.worldElements = worldElements;
     
-    // Open popup for authentication
-    const authWindow = window.open(authUrl, 'OneDriveAuth', 'width=600,height=600');
+    // Persist every collection
+    Core.safelyStoreItem('characters', JSON.stringify(characters));
+    Core.safelyStoreItem('locations', JSON.stringify(locations));
+    Core.safelyStoreItem('titles', JSON.stringify(titles));
+    Core.safelyStoreItem('seriesList', JSON.stringify(seriesList));
+    Core.safelyStoreItem('books', JSON.stringify(books));
+    Core.safelyStoreItem('roles', JSON.stringify(roles));
+    Core.safelyStoreItem('customFieldTypes', JSON.stringify(customFieldTypes));
+    Core.safelyStoreItem('relationships', JSON.stringify(relationships));
+    Core.safelyStoreItem('tags', JSON.stringify(tags));
+    Core.safelyStoreItem('plots', JSON.stringify(plots));
+    Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
+    Core.safelyStoreItem('exportTemplates', JSON.stringify(window.exportTemplates || []));
+    Core.safelyStoreItem('calendars', JSON.stringify(window.calendars || []));
+    Core.safelyStoreItem('timelineEvents', JSON.stringify(window.timelineEvents || []));
+    Core.safelyStoreItem('rejectedRelationshipSuggestions', JSON.stringify(window.rejectedRelationshipSuggestions || []));
+    Core.safelyStoreItem('relationshipGraphLayout', JSON.stringify(window.relationshipGraphLayout || []));
     
-    // Poll for redirect
-    const pollTimer = window.setInterval(function() {
-        try {
-            if (authWindow.closed) {
-                window.clearInterval(pollTimer);
-            } else if (authWindow.location.href.includes(redirectUri)) {
-                window.clearInterval(pollTimer);
-                
-                // Extract code from URL
-                const url = new URL(authWindow.location.href);
-                const code = url.searchParams.get('code');
-                const returnedState = url.searchParams.get('state');
-                
-                // Verify state
-                if (returnedState !== localStorage.getItem('oauthState')) {
-                    Core.showToast('Authentication failed: Invalid state', 'error');
-                    authWindow.close();
-                    return;
-                }
-                
-                // Close auth window
-                authWindow.close();
-                
-                // Exchange code for tokens
-                exchangeCodeForTokens(code, 'onedrive');
-            }
-        } catch (e) {
-            // Ignore cross-origin errors while polling
+    // Let the open views redraw themselves
+    document.dispatchEvent(new CustomEvent('databaseUpdated', { detail: { source: 'cloud' } }));
+}
+
+// Database the sync base snapshot belongs to
+function getSyncBaseDatabase() {
+    return localStorage.getItem('currentDatabaseName') || 'Default';
+}
+
+// localStorage key older versions kept the snapshot under
+function getLegacySyncBaseKey() {
+    return `${getSyncBaseDatabase()}_cloudSyncBase`;
+}
+
+// Remember what the cloud copy looked like so the next merge has a common ancestor
+async function saveSyncBase(data) {
+    try {
+        // Copy now, before later edits change the arrays the payload points at
+        await window.Storage.saveSyncBase(getSyncBaseDatabase(), JSON.parse(JSON.stringify(data)));
+        localStorage.removeItem(getLegacySyncBaseKey());
+    } catch (error) {
+        // Without a base the next merge treats every difference as a conflict, which is safe
+        console.warn('Could not store sync base snapshot:', error);
+    }
+}
+
+// Load the snapshot taken at the last sync
+async function loadSyncBase() {
+    try {
+        const base = await window.Storage.loadSyncBase(getSyncBaseDatabase());
+        if (base) return base;
+        
+        // Snapshots saved before the base moved to IndexedDB
+        const saved = localStorage.getItem(getLegacySyncBaseKey());
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Error loading sync base snapshot:', error);
+        return null;
+    }
+}
+
+// Merge the cloud copy into local data; resolves false if the user cancels conflict resolution
+async function mergeRemoteData(remoteData) {
+    const base = await loadSyncBase();
+    const local = buildSyncPayload();
+    const { merged, conflicts } = SyncMerge.mergeSyncPayloads(base, local, remoteData);
+    
+    if (conflicts.length > 0) {
+        // Hide the loading overlay while the user decides
+        UI.showLoading(false);
+        const resolutions = await SyncConflictDialog.resolveConflicts(conflicts);
+        if (!resolutions) {
+            Core.showToast('Sync cancelled - no changes were applied', 'info');
+            return false;
         }
-    }, 500);
+        SyncMerge.applyConflictResolutions(merged, conflicts, resolutions);
+    }
+    
+    applySyncPayload(merged);
+    return true;
 }
 
-// Exchange authorization code for tokens
-function exchangeCodeForTokens(code, provider) {
-    // In a real implementation, this would make a server request to exchange the code
-    // For security reasons, the client secret should not be exposed in client-side code
-    // This would typically be handled by a backend service
-    
-    // Simulate token exchange for demo purposes
-    setTimeout(() => {
-        // Simulate successful authentication
+// Context handed to the provider adapter for each request
+function getSyncContext() {
+    return {
+        // The password is never part of the saved config
+        config: { ...cloudConfig, webdav: { ...cloudConfig.webdav, password: webdavPassword || '' } },
+        auth: authState,
+        baseRevision: cloudConfig.remoteRevision
+    };
+}
+
+// Record a successful round trip with the cloud
+function recordSync(revision) {
+    cloudConfig.remoteRevision = revision || null;
+    cloudConfig.lastSyncTime = new Date().toISOString();
+    saveCloudConfig();
+    updateCloudStatusUI();
+}
+
+// Trade the refresh token for a new access token. A refresh token the provider
+// no longer accepts signs the account out.
+async function refreshAccessToken(adapter) {
+    if (!authState.refreshToken || typeof adapter.refreshAccessToken !== 'function') {
+        clearAuthState();
+        throw CloudProviders.createSyncError(`Sign in to ${getProviderName(cloudConfig.provider)} again`, CloudProviders.SYNC_ERRORS.AUTH_REQUIRED);
+    }
+    
+    try {
+        const tokens = await adapter.refreshAccessToken(authState.refreshToken, {
+            clientId: getOAuthClientId(cloudConfig.provider)
+        });
         authState = {
-            isAuthenticated: true,
-            userInfo: {
-                name: 'Demo User',
-                email: 'user@example.com'
-            },
-            accessToken: 'simulated_access_token',
-            refreshToken: 'simulated_refresh_token',
-            expiresAt: new Date(Date.now() + 3600 * 1000).toISOString() // 1 hour from now
+            ...authState,
+            accessToken: tokens.accessToken,
+            // Not every provider issues a new refresh token
+            refreshToken: tokens.refreshToken || authState.refreshToken,
+            expiresAt: tokens.expiresAt
         };
-        
-        // Save auth state
         saveAuthState();
-        
-        // Update UI
-        updateCloudStatusUI();
-        
-        // Set up auto-sync if enabled
-        if (cloudConfig.enabled && cloudConfig.autoSync) {
-            setupAutoSync();
+    } catch (error) {
+        if (error.code === CloudProviders.SYNC_ERRORS.AUTH_REQUIRED) {
+            clearAuthState();
         }
-        
-        // Show success message
-        Core.showToast(`Connected to ${getProviderName(cloudConfig.provider)}`);
-    }, 1000);
+        throw error;
+    }
+}
+
+// Make sure the provider's credentials can be sent: the WebDAV password is known and an
+// expiring access token is renewed. Runs before the loading indicator is shown, since the
+// WebDAV password may have to be asked for.
+async function prepareCredentials(adapter) {
+    if (cloudConfig.provider === PROVIDERS.WEBDAV) {
+        await ensureWebDAVPassword();
+    } else if (authState.expiresAt && new Date(authState.expiresAt).getTime() - TOKEN_REFRESH_MARGIN_MS < Date.now()) {
+        await refreshAccessToken(adapter);
+    }
+}
+
+// Run a provider request, renewing the access token once if the provider rejects it
+async function withFreshToken(adapter, request) {
+    try {
+        return await request();
+    } catch (error) {
+        if (error.code !== CloudProviders.SYNC_ERRORS.AUTH_REQUIRED || cloudConfig.provider === PROVIDERS.WEBDAV) {
+            throw error;
+        }
+        await refreshAccessToken(adapter);
+        return request();
+    }
+}
+
+// Forget credentials the provider rejected so they are asked for again
+function handleAuthError(error) {
+    if (error.code === CloudProviders.SYNC_ERRORS.AUTH_REQUIRED && cloudConfig.provider === PROVIDERS.WEBDAV) {
+        forgetWebDAVPassword();
+    }
 }
 
 // Sync data with cloud storage
-function syncData() {
+async function syncData() {
     if (!cloudConfig.enabled || !authState.isAuthenticated) {
         return;
     }
     
+    const adapter = CloudProviders.getProvider(cloudConfig.provider);
+    if (!adapter) {
+        Core.showToast('Unknown provider', 'error');
+        return;
+    }
+    
+    try {
+        await prepareCredentials(adapter);
+    } catch (error) {
+        Core.showToast(`Error syncing data: ${error.message}`, 'error');
+        throw error;
+    }
+    
     // Show loading indicator
     UI.showLoading(true);
     
-    // Simulate network delay
-    setTimeout(() => {
+    try {
+        console.log('Syncing data to cloud storage:', cloudConfig.provider);
+        let data = buildSyncPayload();
+        let result;
+        
         try {
-            // Get all data to sync
-            const data = {
-                characters,
-                titles,
-                seriesList,
-                books,
-                roles,
-                customFieldTypes,
-                relationships,
-                tags,
-                plots,
-                worldElements,
-                syncDate: new Date().toISOString(),
-                version: '2.0.0'
-            };
-            
-            // In a real implementation, this would upload data to the selected cloud provider
-            console.log('Syncing data to cloud storage:', cloudConfig.provider);
-            
-            // Update last sync time
-            cloudConfig.lastSyncTime = new Date().toISOString();
-            saveCloudConfig();
-            
-            // Update UI
-            updateCloudStatusUI();
-            
-            // Hide loading indicator
-            UI.showLoading(false);
-            
-            // Show success message
-            Core.showToast(`Data synced to ${getProviderName(cloudConfig.provider)}`);
+            result = await withFreshToken(adapter, () => adapter.upload(data, getSyncContext()));
         } catch (error) {
-            // Hide loading indicator
-            UI.showLoading(false);
+            if (error.code !== CloudProviders.SYNC_ERRORS.CONFLICT) throw error;
             
-            // Show error message
+            // Someone else synced first: merge their changes in, then upload the result
+            console.log('Cloud copy changed since last sync, merging before upload');
+            const remote = await withFreshToken(adapter, () => adapter.download(getSyncContext()));
+            if (remote) {
+                const mergedOk = await mergeRemoteData(remote.data);
+                if (!mergedOk) return null;
+                cloudConfig.remoteRevision = remote.revision;
+            }
+            UI.showLoading(true);
+            data = buildSyncPayload();
+            result = await withFreshToken(adapter, () => adapter.upload(data, getSyncContext()));
+        }
+        
+        // Remember the revision we just wrote so the next upload can detect other writers
+        recordSync(result.revision);
+        await saveSyncBase(data);
+        
+        // Show success message
+        Core.showToast(`Data synced to ${getProviderName(cloudConfig.provider)}`);
+        return result;
+    } catch (error) {
+        handleAuthError(error);
+        if (error.code === CloudProviders.SYNC_ERRORS.CONFLICT) {
+            Core.showToast(`${getProviderName(cloudConfig.provider)} changed again during sync. Please sync again.`, 'warning', 6000);
+        } else {
             Core.showToast(`Error syncing data: ${error.message}`, 'error');
         }
-    }, 1500);
+        throw error;
+    } finally {
+        // Hide loading indicator
+        UI.showLoading(false);
+    }
 }
 
 // Load data from cloud storage
-function loadFromCloud() {
+async function loadFromCloud() {
     if (!cloudConfig.enabled || !authState.isAuthenticated) {
-        return Promise.reject(new Error('Not connected to cloud storage'));
+        Core.showToast('Connect to a cloud provider in Cloud Settings first', 'error');
+        throw new Error('Not connected to cloud storage');
+    }
+    
+    const adapter = CloudProviders.getProvider(cloudConfig.provider);
+    if (!adapter) {
+        throw new Error(`Unknown provider: ${cloudConfig.provider}`);
+    }
+    
+    try {
+        await prepareCredentials(adapter);
+    } catch (error) {
+        Core.showToast(`Error loading data: ${error.message}`, 'error');
+        throw error;
     }
     
     // Show loading indicator
     UI.showLoading(true);
     
-    // Return a promise
-    return new Promise((resolve, reject) => {
-        // Simulate network delay
-        setTimeout(() => {
-            try {
-                // In a real implementation, this would download data from the selected cloud provider
-                console.log('Loading data from cloud storage:', cloudConfig.provider);
-                
-                // Simulate successful load
-                // In a real implementation, this would be the data from the cloud
-                const data = {
-                    characters,
-                    titles,
-                    seriesList,
-                    books,
-                    roles,
-                    customFieldTypes,
-                    relationships,
-                    tags,
-                    plots,
-                    worldElements,
-                    syncDate: new Date().toISOString(),
-                    version: '2.0.0'
-                };
-                
-                // Update last sync time
-                cloudConfig.lastSyncTime = new Date().toISOString();
-                saveCloudConfig();
-                
-                // Update UI
-                updateCloudStatusUI();
-                
-                // Hide loading indicator
-                UI.showLoading(false);
-                
-                // Resolve with data
-                resolve(data);
-            } catch (error) {
-                // Hide loading indicator
-                UI.showLoading(false);
-                
-                // Show error message
-                Core.showToast(`Error loading data: ${error.message}`, 'error');
-                
-                // Reject with error
-                reject(error);
-            }
-        }, 1500);
-    });
+    try {
+        console.log('Loading data from cloud storage:', cloudConfig.provider);
+        const result = await withFreshToken(adapter, () => adapter.download(getSyncContext()));
+        
+        if (!result) {
+            Core.showToast(`Nothing has been synced to ${getProviderName(cloudConfig.provider)} yet`, 'info');
+            return null;
+        }
+        
+        const mergedOk = await mergeRemoteData(result.data);
+        if (!mergedOk) return null;
+        
+        // The cloud copy is now the common ancestor for the next merge
+        recordSync(result.revision);
+        await saveSyncBase(result.data);
+        
+        Core.showToast(`Data loaded from ${getProviderName(cloudConfig.provider)}`);
+        return buildSyncPayload();
+    } catch (error) {
+        handleAuthError(error);
+        // Show error message
+        Core.showToast(`Error loading data: ${error.message}`, 'error');
+        throw error;
+    } finally {
+        // Hide loading indicator
+        UI.showLoading(false);
+    }
 }
 
 // Method to show the cloud readme
@@ -893,7 +1278,8 @@ function showCloudReadme() {
                     <p>Store your Story Database files in your Google Drive account.</p>
                     <div class="feature">
                         <h4>Setup Instructions:</h4>
-                        <div class="step">Select Google Drive as your provider in the Cloud Settings dialog.</div>
+                        <div class="step">Create an OAuth client of type "Desktop app" in the Google Cloud Console with the Drive API enabled.</div>
+                        <div class="step">Select Google Drive as your provider in the Cloud Settings dialog and paste the client ID.</div>
                         <div class="step">Click "Connect to Google Drive" and sign in with your Google account.</div>
                         <div class="step">Grant the requested permissions to allow Story Database to store files.</div>
                         <div class="step">Your data will be stored in a dedicated "Story Database" folder.</div>
@@ -905,7 +1291,8 @@ function showCloudReadme() {
                     <p>Store your Story Database files in your Dropbox account.</p>
                     <div class="feature">
                         <h4>Setup Instructions:</h4>
-                        <div class="step">Select Dropbox as your provider in the Cloud Settings dialog.</div>
+                        <div class="step">Create a scoped app in the Dropbox App Console and note its app key.</div>
+                        <div class="step">Select Dropbox as your provider in the Cloud Settings dialog and paste the app key as the client ID.</div>
                         <div class="step">Click "Connect to Dropbox" and sign in with your Dropbox account.</div>
                         <div class="step">Grant the requested permissions to allow Story Database to store files.</div>
                         <div class="step">Your data will be stored in a dedicated "Apps/Story Database" folder.</div>
@@ -917,13 +1304,26 @@ function showCloudReadme() {
                     <p>Store your Story Database files in your Microsoft OneDrive account.</p>
                     <div class="feature">
                         <h4>Setup Instructions:</h4>
-                        <div class="step">Select OneDrive as your provider in the Cloud Settings dialog.</div>
+                        <div class="step">Register a public client application in the Microsoft Entra admin center.</div>
+                        <div class="step">Select OneDrive as your provider in the Cloud Settings dialog and paste its application (client) ID.</div>
                         <div class="step">Click "Connect to OneDrive" and sign in with your Microsoft account.</div>
                         <div class="step">Grant the requested permissions to allow Story Database to store files.</div>
                         <div class="step">Your data will be stored in a dedicated "Story Database" folder.</div>
                     </div>
                 </div>
                 
+                <div class="provider-section">
+                    <h3>WebDAV / HTTP Server</h3>
+                    <p>Store your Story Database file on any WebDAV server, or on the local sync server that ships with the app.</p>
+                    <div class="feature">
+                        <h4>Setup Instructions:</h4>
+                        <div class="step">For a local server, run <code>npm run sync-server</code> in the application folder.</div>
+                        <div class="step">Select WebDAV / HTTP as your provider and enter the server URL, e.g. http://localhost:8765/storyguard.</div>
+                        <div class="step">Enter a username and password if your server requires them, then click "Connect".</div>
+                        <div class="step">Your data will be stored as storyguard-sync.json under that URL.</div>
+                    </div>
+                </div>
+                
                 <h2>Sync Settings</h2>
                 
                 <div class="feature">
@@ -948,7 +1348,7 @@ function showCloudReadme() {
                 <div class="feature">
                     <h3>Sync Conflicts</h3>
                     <p>If you edit your data on multiple devices without syncing, conflicts may occur.</p>
-                    <p>The application will attempt to merge changes, but in case of conflicts, the most recent changes will be used.</p>
+                    <p>The application merges changes from both devices automatically. If the same item was changed differently on both, a dialog shows the two versions side by side so you can choose which to keep.</p>
                     <p>To avoid conflicts, always sync before switching devices.</p>
                 </div>
                 
@@ -966,7 +1366,8 @@ function showCloudReadme() {
                 <div class="warning">
                     <h3>Privacy & Security</h3>
                     <p>Your data is stored in your personal cloud storage account and is not accessible to the Story Database developers.</p>
-                    <p>The application uses OAuth for authentication and does not store your cloud provider passwords.</p>
+                    <p>Google Drive, Dropbox and OneDrive use OAuth, so the application never sees your cloud provider passwords.</p>
+                    <p>A WebDAV password is kept in your system keychain. Where no keychain is available it is asked for once per session and never written to disk.</p>
                     <p>For additional security, consider enabling two-factor authentication with your cloud provider.</p>
                 </div>
             </div>
@@ -1003,6 +1404,7 @@ window.CloudStorage = {
     authenticateWithProvider,
     syncData,
     loadFromCloud,
+    buildSyncPayload,
     updateCloudStatusUI,
     addCloudStatusToUI,
     showCloudReadme
@@ -0,0 +1,560 @@
+/**
+ * Continuity checker for Book Analysis
+ * Scans an analysed manuscript for statements that contradict the facts kept in the
+ * database (character sex, race, title, appearance fields and status; location climate
+ * and population) and reports the passages, linked to the entity they concern.
+ */
+
+// Colour words and the colour they stand for
+const CONTINUITY_COLOURS = {
+    blue: 'blue', green: 'green', brown: 'brown', hazel: 'hazel', grey: 'grey', gray: 'grey',
+    black: 'black', amber: 'amber', violet: 'violet', purple: 'violet', red: 'red', ginger: 'red',
+    auburn: 'auburn', blonde: 'blonde', blond: 'blonde', golden: 'blonde', white: 'white',
+    silver: 'silver', chestnut: 'chestnut', copper: 'copper'
+};
+
+// Physical features checked against a character's custom fields
+const CONTINUITY_FEATURES = [
+    { label: 'Eye colour', fieldPattern: /\beyes?\b|eye\s*colou?r/i, nounPattern: 'eyes?' },
+    { label: 'Hair colour', fieldPattern: /\bhair\b/i, nounPattern: 'hair' },
+    { label: 'Skin colour', fieldPattern: /\bskin\b|complexion/i, nounPattern: 'skin' }
+];
+
+// Words describing a climate, grouped so that opposing groups can be detected
+const CONTINUITY_CLIMATE_GROUPS = {
+    hot: ['hot', 'tropical', 'desert', 'scorching', 'sweltering', 'sun-baked', 'sultry', 'baking'],
+    cold: ['cold', 'frozen', 'icy', 'snowy', 'snow', 'arctic', 'tundra', 'freezing', 'wintry', 'glacial', 'frigid', 'blizzard'],
+    wet: ['rainy', 'wet', 'humid', 'damp', 'swampy', 'marshy', 'monsoon', 'rain-soaked'],
+    dry: ['dry', 'arid', 'parched', 'drought', 'barren']
+};
+
+const CONTINUITY_OPPOSITE_CLIMATES = { hot: 'cold', cold: 'hot', wet: 'dry', dry: 'wet' };
+
+// Words describing how busy a place is
+const CONTINUITY_EMPTY_WORDS = ['abandoned', 'deserted', 'uninhabited', 'empty', 'ghost town', 'unpopulated', 'desolate'];
+const CONTINUITY_CROWDED_WORDS = ['bustling', 'crowded', 'teeming', 'thronged', 'populous', 'packed', 'swarming'];
+
+// Custom field values that mark a character as dead
+const CONTINUITY_DECEASED_PATTERN = /\b(dead|deceased|died|killed|late|slain|murdered)\b/i;
+
+const CONTINUITY_SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Results of the most recent check
+let lastContinuityIssues = [];
+
+function escapeContinuityRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeContinuityHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function getContinuityCharacterName(character) {
+    return [character.title, character.firstName, character.lastName].filter(Boolean).join(' ');
+}
+
+// Colours named in a piece of text
+function findContinuityColours(text) {
+    return (text.toLowerCase().match(/[a-z]+/g) || [])
+        .filter(word => CONTINUITY_COLOURS[word])
+        .map(word => CONTINUITY_COLOURS[word]);
+}
+
+// Climate groups described by a piece of text
+function findClimateGroups(text) {
+    const lower = text.toLowerCase();
+    return Object.keys(CONTINUITY_CLIMATE_GROUPS).filter(group =>
+        CONTINUITY_CLIMATE_GROUPS[group].some(word => new RegExp(`\\b${escapeContinuityRegExp(word)}\\b`).test(lower))
+    );
+}
+
+// Parse a population figure such as "5,000", "12k" or "2 million"
+function parseContinuityPopulation(text) {
+    const match = /(\d[\d,.]*)\s*(k|thousand|m|million)?\b/i.exec(text || '');
+    if (!match) return null;
+    let value = parseFloat(match[1].replace(/,/g, ''));
+    const unit = (match[2] || '').toLowerCase();
+    if (unit === 'k' || unit === 'thousand') value *= 1000;
+    if (unit === 'm' || unit === 'million') value *= 1000000;
+    return Number.isFinite(value) ? value : null;
+}
+
+function normalizeContinuitySex(value) {
+    const sex = (value || '').trim().toLowerCase();
+    if (/^(f|female|woman|girl)$/.test(sex)) return 'female';
+    if (/^(m|male|man|boy)$/.test(sex)) return 'male';
+    return null;
+}
+
+// Split a chapter into sentences, keeping their offsets and paragraph
+function splitContinuitySentences(chapter) {
+    const sentences = [];
+    let offset = 0;
+
+    chapter.text.split('\n').forEach((paragraph, paragraphIndex) => {
+        const pattern = /[^.!?…]+(?:[.!?…]+["'”’)]*|$)\s*/g;
+        let match;
+        while ((match = pattern.exec(paragraph)) !== null) {
+            if (!match[0]) break;
+            if (match[0].trim()) {
+                sentences.push({
+                    text: match[0],
+                    start: offset + match.index,
+                    paragraph: paragraphIndex
+                });
+            }
+        }
+        offset += paragraph.length + 1;
+    });
+
+    return sentences;
+}
+
+// Names that identify exactly one entity, mapped to that entity
+function buildContinuityNameIndex(entities, getForms) {
+    const owners = new Map();
+    entities.forEach(entity => {
+        new Set(getForms(entity).map(form => (form || '').trim()).filter(form => form.length > 1)).forEach(form => {
+            if (!owners.has(form)) owners.set(form, new Set());
+            owners.get(form).add(entity);
+        });
+    });
+
+    const index = new Map();
+    owners.forEach((entitySet, form) => {
+        if (entitySet.size === 1) index.set(form, [...entitySet][0]);
+    });
+    return index;
+}
+
+// Detect contradictions for one character mentioned in a sentence
+function checkCharacterSentence(character, forms, sentence, context, addIssue) {
+    const text = sentence.text;
+    const namePattern = forms.map(escapeContinuityRegExp).join('|');
+
+    // Appearance: "her blue eyes", "Anna's green eyes", "his hair was red"
+    context.features.get(character.id).forEach(({ feature, expected }) => {
+        const before = new RegExp(`((?:[\\w-]+[\\s-]+){1,2})(${feature.nounPattern})\\b`, 'gi');
+        const after = new RegExp(`\\b(${feature.nounPattern})\\s+(?:were|was|are|is|of|gleamed|shone|glinted|flashed)\\s+(?:a\\s+|an\\s+)?((?:[\\w-]+[\\s-]+){0,1}[\\w-]+)`, 'gi');
+        [before, after].forEach((pattern, patternIndex) => {
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const colourText = patternIndex === 0 ? match[1] : match[2];
+                const found = findContinuityColours(colourText);
+                if (found.length === 0 || found.some(colour => expected.includes(colour))) continue;
+                addIssue({
+                    character,
+                    category: feature.label,
+                    severity: sentence.attribution === 'pronoun' ? 'low' : 'medium',
+                    message: `${feature.label} described as ${found.join('/')}, but the database says ${expected.join('/')}`,
+                    expected: expected.join(', '),
+                    found: match[0].trim()
+                });
+            }
+        });
+    });
+
+    if (sentence.attribution !== 'name') return;
+
+    // Sex: "Anna found himself", "Tom was a woman"
+    const sex = normalizeContinuitySex(character.sex);
+    if (sex) {
+        const wrongReflexive = sex === 'female' ? 'himself' : 'herself';
+        const wrongNouns = sex === 'female' ?
+            'man|boy|gentleman|king|prince|lord|husband|father|son|brother' :
+            'woman|girl|lady|queen|princess|wife|mother|daughter|sister';
+        const reflexive = new RegExp(`\\b(?:${namePattern})\\b(?:\\s+[\\w']+){1,5}?\\s+(${wrongReflexive})\\b`, 'i').exec(text);
+        const noun = new RegExp(`\\b(?:${namePattern})\\b,?\\s+(?:was|is)\\s+(?:a|an|the)\\s+(?:[\\w-]+\\s+)?(${wrongNouns})\\b`, 'i').exec(text);
+        const match = reflexive || noun;
+        if (match) {
+            addIssue({
+                character,
+                category: 'Sex',
+                severity: 'medium',
+                message: `"${match[1]}" used for ${getContinuityCharacterName(character)}, who is ${sex} in the database`,
+                expected: character.sex,
+                found: match[0].trim()
+            });
+        }
+    }
+
+    // Race: "Anna was a dwarf" when the database says elf
+    const race = (character.race || '').trim().toLowerCase();
+    const otherRaces = context.races.filter(other => other !== race);
+    if (race && otherRaces.length > 0) {
+        const racePattern = otherRaces.map(escapeContinuityRegExp).join('|');
+        const match = new RegExp(`\\b(?:${namePattern})\\b,?\\s+(?:was|is)\\s+(?:a|an|the)\\s+(?:[\\w-]+\\s+)?(${racePattern})\\b|\\b(?:the|a|an)\\s+(${racePattern})\\s+(?:${namePattern})\\b`, 'i').exec(text);
+        if (match) {
+            addIssue({
+                character,
+                category: 'Race',
+                severity: 'medium',
+                message: `Described as ${match[1] || match[2]}, but the database says ${character.race}`,
+                expected: character.race,
+                found: match[0].trim()
+            });
+        }
+    }
+
+    // Title: "Major Smith" when the database says Captain
+    const title = (character.title || '').replace(/\.$/, '').toLowerCase();
+    if (title) {
+        const otherTitles = context.titles.filter(other => {
+            const lower = other.toLowerCase();
+            return lower !== title && !title.startsWith(lower) && !lower.startsWith(title);
+        });
+        if (otherTitles.length > 0) {
+            const titlePattern = otherTitles.map(escapeContinuityRegExp).join('|');
+            const nameForms = [character.firstName, character.lastName, `${character.firstName || ''} ${character.lastName || ''}`.trim()]
+                .filter(form => form && forms.includes(form))
+                .map(escapeContinuityRegExp)
+                .join('|');
+            const match = nameForms && new RegExp(`\\b(${titlePattern})\\.?\\s+(?:${nameForms})\\b`).exec(text);
+            if (match) {
+                addIssue({
+                    character,
+                    category: 'Title',
+                    severity: 'medium',
+                    message: `Called "${match[1]}", but the database title is ${character.title}`,
+                    expected: character.title,
+                    found: match[0].trim()
+                });
+            }
+        }
+    }
+}
+
+// Detect contradictions for a location mentioned in a sentence
+function checkLocationSentence(location, sentence, addIssue) {
+    const text = sentence.text;
+
+    // Climate: snow in a place recorded as tropical
+    const expectedClimate = findClimateGroups(location.climate || '');
+    if (expectedClimate.length > 0) {
+        findClimateGroups(text)
+            .filter(group => !expectedClimate.includes(group) && expectedClimate.includes(CONTINUITY_OPPOSITE_CLIMATES[group]))
+            .forEach(group => {
+                addIssue({
+                    location,
+                    category: 'Climate',
+                    severity: 'low',
+                    message: `Described as ${group}, but the database climate is "${location.climate}"`,
+                    expected: location.climate,
+                    found: CONTINUITY_CLIMATE_GROUPS[group].find(word => new RegExp(`\\b${escapeContinuityRegExp(word)}\\b`, 'i').test(text))
+                });
+            });
+    }
+
+    // Population: figures that differ widely, or empty vs crowded descriptions
+    const population = location.population || '';
+    if (!population.trim()) return;
+
+    const expectedNumber = parseContinuityPopulation(population);
+    const figure = /(\d[\d,.]*\s*(?:thousand|million)?)\s+(?:people|inhabitants|residents|souls|citizens|villagers|townsfolk)\b/i.exec(text);
+    if (expectedNumber && figure) {
+        const foundNumber = parseContinuityPopulation(figure[1]);
+        if (foundNumber && (foundNumber > expectedNumber * 2 || foundNumber < expectedNumber / 2)) {
+            addIssue({
+                location,
+                category: 'Population',
+                severity: 'medium',
+                message: `Population given as ${foundNumber.toLocaleString()}, but the database says "${population}"`,
+                expected: population,
+                found: figure[0]
+            });
+        }
+    }
+
+    const lowerText = text.toLowerCase();
+    const lowerPopulation = population.toLowerCase();
+    const recordedEmpty = CONTINUITY_EMPTY_WORDS.some(word => lowerPopulation.includes(word)) || expectedNumber === 0;
+    const recordedBusy = CONTINUITY_CROWDED_WORDS.some(word => lowerPopulation.includes(word)) || expectedNumber > 1000;
+    const foundEmpty = CONTINUITY_EMPTY_WORDS.find(word => new RegExp(`\\b${word}\\b`).test(lowerText));
+    const foundBusy = CONTINUITY_CROWDED_WORDS.find(word => new RegExp(`\\b${word}\\b`).test(lowerText));
+
+    if ((recordedBusy && foundEmpty && !foundBusy) || (recordedEmpty && foundBusy && !foundEmpty)) {
+        addIssue({
+            location,
+            category: 'Population',
+            severity: 'low',
+            message: `Described as ${foundEmpty || foundBusy}, but the database population is "${population}"`,
+            expected: population,
+            found: foundEmpty || foundBusy
+        });
+    }
+}
+
+// Dialogue by characters the database marks as dead
+function checkDeceasedDialogue(character, forms, chapters, addIssue) {
+    const namePattern = forms.map(escapeContinuityRegExp).join('|');
+    const indicators = window.NameExtractor ? NameExtractor.dialogIndicators.join('|') : 'said|asked|replied';
+    const deathPattern = new RegExp(`\\b(?:${namePattern})\\b(?:\\s+had)?\\s+(?:died|was killed|was murdered|was slain|passed away|perished)|\\b(?:${namePattern})['’]s\\s+(?:death|funeral|corpse|body|grave)|\\b(?:killed|murdered|slew|buried)\\s+(?:${namePattern})\\b`, 'i');
+    const dialoguePattern = new RegExp(`\\b(?:${namePattern})\\s+(?:${indicators})\\b|\\b(?:${indicators})\\s+(?:${namePattern})\\b`, 'i');
+
+    const sentences = [];
+    chapters.forEach(chapter => {
+        splitContinuitySentences(chapter).forEach(sentence => {
+            sentences.push({ chapter, sentence, offset: (chapter.start || 0) + sentence.start });
+        });
+    });
+
+    // Dialogue before the death is described is fine
+    const death = sentences.find(({ sentence }) => deathPattern.test(sentence.text));
+
+    for (const { chapter, sentence, offset } of sentences) {
+        if (death && offset <= death.offset) continue;
+
+        const dialogue = dialoguePattern.exec(sentence.text);
+        if (!dialogue || !/["“”]/.test(sentence.text)) continue;
+
+        if (death) {
+            addIssue({
+                character,
+                category: 'Status',
+                severity: 'high',
+                message: `${getContinuityCharacterName(character)} speaks after their death is described`,
+                expected: 'Deceased',
+                found: dialogue[0]
+            }, chapter, sentence);
+        } else {
+            // The database says dead but the death isn't in this book; flag once so it can be checked
+            addIssue({
+                character,
+                category: 'Status',
+                severity: 'low',
+                message: `${getContinuityCharacterName(character)} is marked as deceased in the database but speaks in the manuscript`,
+                expected: 'Deceased',
+                found: dialogue[0]
+            }, chapter, sentence);
+            break;
+        }
+    }
+}
+
+// Check a manuscript ({ text, chapters }) against the database
+function checkManuscriptContinuity(manuscript) {
+    if (!manuscript || !manuscript.text) return [];
+
+    const chapters = manuscript.chapters && manuscript.chapters.length > 0 ?
+        manuscript.chapters :
+        [{ index: 0, title: 'Full text', text: manuscript.text, start: 0 }];
+    const characterList = characters.filter(character => character && character.id);
+    const locationList = locations.filter(location => location && location.id && location.name);
+
+    const characterIndex = buildContinuityNameIndex(characterList, character => [
+        `${character.firstName || ''} ${character.lastName || ''}`.trim(),
+        character.firstName,
+        character.lastName,
+        ...(character.aliases || [])
+    ]);
+    const locationIndex = buildContinuityNameIndex(locationList, location => [location.name]);
+
+    const formsByCharacter = new Map();
+    characterIndex.forEach((character, form) => {
+        if (!formsByCharacter.has(character.id)) formsByCharacter.set(character.id, []);
+        formsByCharacter.get(character.id).push(form);
+    });
+
+    // Facts to check, worked out once per character
+    const titleSet = new Set([...titles, ...Object.values(window.NameExtractor ? NameExtractor.titleCategories : {}).flat()]);
+    const context = {
+        races: [...new Set(characterList.map(character => (character.race || '').trim().toLowerCase()).filter(Boolean))],
+        titles: [...titleSet].map(title => String(title).replace(/\.$/, '')).filter(Boolean),
+        features: new Map(characterList.map(character => {
+            const features = [];
+            Object.entries(character.customFields || {}).forEach(([field, value]) => {
+                const feature = CONTINUITY_FEATURES.find(candidate => candidate.fieldPattern.test(field));
+                const expected = findContinuityColours(String(value || ''));
+                if (feature && expected.length > 0) features.push({ feature, expected });
+            });
+            return [character.id, features];
+        }))
+    };
+
+    const issues = [];
+    const seen = new Set();
+    const addIssueFor = (chapter, sentence) => (issue, issueChapter = chapter, issueSentence = sentence) => {
+        const entity = issue.character || issue.location;
+        const entityType = issue.character ? 'character' : 'location';
+        const offset = (issueChapter.start || 0) + issueSentence.start;
+        const key = `${entityType}:${entity.id}:${issue.category}:${offset}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        issues.push({
+            id: Core.generateId(),
+            entityType,
+            entityId: entity.id,
+            entityName: issue.character ? getContinuityCharacterName(entity) : entity.name,
+            category: issue.category,
+            severity: issue.severity,
+            message: issue.message,
+            expected: issue.expected,
+            found: issue.found,
+            chapterIndex: issueChapter.index,
+            chapterTitle: issueChapter.title,
+            offset,
+            passage: issueSentence.text.trim()
+        });
+    };
+
+    chapters.forEach(chapter => {
+        let previous = null;
+
+        splitContinuitySentences(chapter).forEach(sentence => {
+            const addIssue = addIssueFor(chapter, sentence);
+            const mentions = window.NameExtractor ?
+                NameExtractor.findNameMentions(sentence.text, [...characterIndex.keys(), ...locationIndex.keys()]) :
+                [];
+            const mentionedCharacters = [...new Set(mentions.filter(m => characterIndex.has(m.form)).map(m => characterIndex.get(m.form)))];
+            const mentionedLocations = [...new Set(mentions.filter(m => locationIndex.has(m.form)).map(m => locationIndex.get(m.form)))];
+
+            if (mentionedCharacters.length === 1) {
+                // One named character: statements in the sentence are about them
+                checkCharacterSentence(mentionedCharacters[0], formsByCharacter.get(mentionedCharacters[0].id),
+                    { ...sentence, attribution: 'name' }, context, addIssue);
+            } else if (mentionedCharacters.length === 0 && previous && previous.paragraph === sentence.paragraph &&
+                       previous.characters.length === 1 && /\b(his|her|their)\b/i.test(sentence.text)) {
+                // "Anna turned. Her blue eyes..." - a pronoun continuing the previous sentence
+                checkCharacterSentence(previous.characters[0], formsByCharacter.get(previous.characters[0].id),
+                    { ...sentence, attribution: 'pronoun' }, context, addIssue);
+            }
+
+            mentionedLocations.forEach(location => checkLocationSentence(location, sentence, addIssue));
+
+            previous = { paragraph: sentence.paragraph, characters: mentionedCharacters };
+        });
+    });
+
+    // Dialogue by characters recorded as dead
+    characterList.forEach(character => {
+        const forms = formsByCharacter.get(character.id);
+        if (!forms) return;
+        const deceased = Object.entries(character.customFields || {}).some(([field, value]) =>
+            /status|alive|dead|deceased|living/i.test(field) && CONTINUITY_DECEASED_PATTERN.test(String(value || ''))
+        );
+        if (deceased) {
+            checkDeceasedDialogue(character, forms, chapters, (issue, chapter, sentence) => addIssueFor(chapter, sentence)(issue));
+        }
+    });
+
+    return issues.sort((a, b) =>
+        CONTINUITY_SEVERITY_ORDER[a.severity] - CONTINUITY_SEVERITY_ORDER[b.severity] || a.offset - b.offset
+    );
+}
+
+// Open the details view of the entity an issue is about
+function openContinuityEntity(issue) {
+    if (issue.entityType === 'character') {
+        const index = characters.findIndex(character => character.id === issue.entityId);
+        if (index === -1) {
+            Core.showToast('This character no longer exists', 'warning');
+            return;
+        }
+        Characters.showCharacterDetails(index);
+    } else if (issue.entityType === 'location') {
+        Locations.showLocationDetails(issue.entityId);
+    }
+}
+
+// Passage with the contradicting words highlighted
+function renderContinuityPassage(issue) {
+    const passage = escapeContinuityHtml(issue.passage);
+    const found = escapeContinuityHtml(issue.found || '');
+    return found && passage.includes(found) ? passage.replace(found, `<mark>${found}</mark>`) : passage;
+}
+
+// Run the check on the current analysis and show the flagged passages
+function showContinuityCheck() {
+    const manuscript = window.BookAnalysis && BookAnalysis.manuscript;
+    if (!manuscript) {
+        Core.showToast('Analyze a book first to check its continuity', 'warning');
+        return;
+    }
+
+    lastContinuityIssues = checkManuscriptContinuity(manuscript);
+    const issues = lastContinuityIssues;
+
+    // Group by entity so each character or location is listed once
+    const groups = new Map();
+    issues.forEach(issue => {
+        const key = `${issue.entityType}:${issue.entityId}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(issue);
+    });
+
+    const content = issues.length === 0 ?
+        '<p>No contradictions with the database were found.</p>' :
+        `
+            <p>${issues.length} passage${issues.length === 1 ? '' : 's'} may contradict the database. These are hints: flashbacks, disguises or other characters can cause false alarms.</p>
+            ${[...groups.values()].map(group => `
+                <div class="continuity-group">
+                    <h4>
+                        <a href="#" class="continuity-entity-link" data-issue-id="${group[0].id}">${escapeContinuityHtml(group[0].entityName)}</a>
+                        <small>${group[0].entityType === 'character' ? 'Character' : 'Location'}</small>
+                    </h4>
+                    ${group.map(issue => `
+                        <div class="continuity-issue continuity-${issue.severity}">
+                            <div><span class="continuity-badge">${escapeContinuityHtml(issue.category)}</span> ${escapeContinuityHtml(issue.message)}</div>
+                            <blockquote><small>${escapeContinuityHtml(issue.chapterTitle)}</small>${renderContinuityPassage(issue)}</blockquote>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        `;
+
+    const modal = UI.showModal(`Continuity Check (${issues.length})`, `
+        ${content}
+        <div class="continuity-actions">
+            <button type="button" id="saveContinuityReportBtn" ${issues.length === 0 ? 'disabled' : ''}><i class="fas fa-file-pdf"></i> Save Report</button>
+        </div>
+    `);
+    addContinuityStyles();
+
+    modal.querySelectorAll('.continuity-entity-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const issue = issues.find(candidate => candidate.id === link.dataset.issueId);
+            UI.closeModal();
+            openContinuityEntity(issue);
+        });
+    });
+
+    modal.querySelector('#saveContinuityReportBtn').addEventListener('click', () => {
+        BookAnalysis.generateContinuityReport(issues);
+    });
+}
+
+// Styles for the continuity dialog
+function addContinuityStyles() {
+    if (document.getElementById('continuity-checker-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'continuity-checker-styles';
+    style.textContent = `
+        .continuity-group { margin-bottom: 15px; }
+        .continuity-group h4 { margin: 10px 0 5px; }
+        .continuity-group h4 small { color: #888; font-weight: normal; margin-left: 6px; }
+        .continuity-issue { border-left: 4px solid #f1c40f; padding: 4px 10px; margin-bottom: 8px; }
+        .continuity-issue.continuity-high { border-left-color: #e74c3c; }
+        .continuity-issue.continuity-low { border-left-color: #95a5a6; }
+        .continuity-issue blockquote { margin: 4px 0 0; font-style: italic; }
+        .continuity-issue blockquote small { display: block; font-style: normal; color: #888; }
+        .continuity-badge { background: #3498db; color: #fff; border-radius: 3px; padding: 1px 6px; font-size: 0.8em; }
+        .continuity-actions { display: flex; justify-content: flex-end; margin-top: 15px; }
+    `;
+    document.head.appendChild(style);
+}
+
+// Export continuity checker functions
+window.ContinuityChecker = {
+    checkManuscript: checkManuscriptContinuity,
+    showContinuityCheck,
+    openEntity: openContinuityEntity,
+    getLastIssues: () => lastContinuityIssues
+};
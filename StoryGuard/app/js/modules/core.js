@@ -17,61 +17,75 @@ let tags = []; // New: Tags for characters and locations
 let plots = []; // New: Plot points and story arcs
 let worldElements = []; // New: World-building elements
 
-// Initialize state from localStorage
-function initializeState() {
+// Default lists for databases that never saved their own
+const DEFAULT_STATE_LISTS = {
+    roles: ["Protagonist", "Antagonist", "Supporting Character", "Minor Character"],
+    locationTypes: ["City", "Town", "Village", "Castle", "Forest", "Mountain", "Kingdom", "Realm"],
+    titles: ["Mr.", "Mrs.", "Dr.", "Sir", "Lady", "Miss"]
+};
+
+// Initialize state from the IndexedDB repository
+async function initializeState() {
     // Get the current database name
     const currentDbName = localStorage.getItem('currentDatabaseName') || 'Default';
     console.log('Initializing state for database:', currentDbName);
     
-    // Try to load from database-specific keys first, fall back to generic keys
-    const dbRolesData = localStorage.getItem(`${currentDbName}_roles`);
-    const dbLocationTypesData = localStorage.getItem(`${currentDbName}_locationTypes`);
-    const dbLocationsData = localStorage.getItem(`${currentDbName}_locations`);
-    const dbCustomFieldTypesData = localStorage.getItem(`${currentDbName}_customFieldTypes`);
-    const dbCharactersData = localStorage.getItem(`${currentDbName}_characters`);
-    const dbTitlesData = localStorage.getItem(`${currentDbName}_titles`);
-    const dbSeriesListData = localStorage.getItem(`${currentDbName}_seriesList`) || localStorage.getItem(`${currentDbName}_series`);
-    const dbBooksData = localStorage.getItem(`${currentDbName}_books`);
-    const dbRelationshipsData = localStorage.getItem(`${currentDbName}_relationships`);
-    const dbTagsData = localStorage.getItem(`${currentDbName}_tags`);
-    const dbPlotsData = localStorage.getItem(`${currentDbName}_plots`);
-    const dbWorldElementsData = localStorage.getItem(`${currentDbName}_worldElements`);
-    
-    // Use database-specific data if available, otherwise fall back to generic keys
-    roles = JSON.parse(dbRolesData || localStorage.getItem('roles') || '["Protagonist", "Antagonist", "Supporting Character", "Minor Character"]');
-    locationTypes = JSON.parse(dbLocationTypesData || localStorage.getItem('locationTypes') || '["City", "Town", "Village", "Castle", "Forest", "Mountain", "Kingdom", "Realm"]');
-    locations = JSON.parse(dbLocationsData || localStorage.getItem('locations') || '[]');
-    customFieldTypes = JSON.parse(dbCustomFieldTypesData || localStorage.getItem('customFieldTypes') || '[]');
-    characters = JSON.parse(dbCharactersData || localStorage.getItem('characters') || '[]');
-    titles = JSON.parse(dbTitlesData || localStorage.getItem('titles') || '["Mr.", "Mrs.", "Dr.", "Sir", "Lady", "Miss"]');
-    seriesList = JSON.parse(dbSeriesListData || localStorage.getItem('seriesList') || localStorage.getItem('series') || '[]');
-    books = JSON.parse(dbBooksData || localStorage.getItem('books') || '[]');
-    relationships = JSON.parse(dbRelationshipsData || localStorage.getItem('relationships') || '[]');
-    tags = JSON.parse(dbTagsData || localStorage.getItem('tags') || '[]');
-    plots = JSON.parse(dbPlotsData || localStorage.getItem('plots') || '[]');
-    worldElements = JSON.parse(dbWorldElementsData || localStorage.getItem('worldElements') || '[]');
-    
-    // Log which keys were used
-    console.log('Data loaded from:', {
-        roles: dbRolesData ? 'database-specific' : 'generic',
-        locationTypes: dbLocationTypesData ? 'database-specific' : 'generic',
-        locations: dbLocationsData ? 'database-specific' : 'generic',
-        customFieldTypes: dbCustomFieldTypesData ? 'database-specific' : 'generic',
-        characters: dbCharactersData ? 'database-specific' : 'generic',
-        titles: dbTitlesData ? 'database-specific' : 'generic',
-        seriesList: dbSeriesListData ? 'database-specific' : 'generic',
-        books: dbBooksData ? 'database-specific' : 'generic',
-        relationships: dbRelationshipsData ? 'database-specific' : 'generic',
-        tags: dbTagsData ? 'database-specific' : 'generic',
-        plots: dbPlotsData ? 'database-specific' : 'generic',
-        worldElements: dbWorldElementsData ? 'database-specific' : 'generic'
+    let stored = {};
+    try {
+        if (!window.Repository) {
+            throw new Error('The storage module did not load');
+        }
+        // Also moves anything older versions left in localStorage into IndexedDB
+        stored = await window.Repository.loadDatabase(currentDbName);
+    } catch (error) {
+        handleError(error, 'Loading database', 'critical', { database: currentDbName });
+    }
+    
+    roles = stored.roles || [...DEFAULT_STATE_LISTS.roles];
+    locationTypes = stored.locationTypes || [...DEFAULT_STATE_LISTS.locationTypes];
+    locations = stored.locations || [];
+    customFieldTypes = stored.customFieldTypes || [];
+    characters = stored.characters || [];
+    titles = stored.titles || [...DEFAULT_STATE_LISTS.titles];
+    seriesList = stored.seriesList || [];
+    books = stored.books || [];
+    relationships = stored.relationships || [];
+    tags = stored.tags || [];
+    plots = stored.plots || [];
+    worldElements = stored.worldElements || [];
+    window.exportTemplates = stored.exportTemplates || [];
+    window.calendars = stored.calendars || [];
+    window.timelineEvents = stored.timelineEvents || [];
+    window.rejectedRelationshipSuggestions = stored.rejectedRelationshipSuggestions || [];
+    window.relationshipGraphLayout = stored.relationshipGraphLayout || [];
+    
+    console.log('Data loaded from IndexedDB:', {
+        characters: characters.length,
+        locations: locations.length,
+        plots: plots.length,
+        worldElements: worldElements.length,
+        relationships: relationships.length,
+        tags: tags.length
     });
     
-    // Set window variables AFTER data is loaded from localStorage
+    // Set window variables AFTER data is loaded from the repository
     window.characters = characters;
     window.locations = locations;
     window.plots = plots;
     window.worldElements = worldElements;
+    
+    // relationships.js keeps a reference to window.relationships, so refill that array in place
+    if (Array.isArray(window.relationships)) {
+        window.relationships.splice(0, window.relationships.length, ...relationships);
+        relationships = window.relationships;
+    } else {
+        window.relationships = relationships;
+    }
+    
+    // Older databases refer to characters by name; switch them to ids
+    if (window.EntityReferences) {
+        window.EntityReferences.migrateLoadedReferences();
+    }
 }
 
 // Error types and user-friendly messages
@@ -244,49 +258,102 @@ function showErrorModal(message, title = 'Error') {
     });
 }
 
-// Enhanced error handling for localStorage
+// Save a value under a storage key. Entity collections go to the IndexedDB repository,
+// which writes only the records that changed; anything else goes to localStorage.
+// Resolves to true once the value is stored and to false when the write failed (the
+// failure has been reported by then), so callers can await it and roll back.
 function safelyStoreItem(key, value) {
     try {
-        // Get the current database name
-        const currentDbName = localStorage.getItem('currentDatabaseName') || 'Default';
-        
-        // Save to both the generic key and the database-specific key
-        localStorage.setItem(key, value);
+        const target = window.Repository ? window.Repository.resolveStorageKey(key) : null;
         
-        // Only create database-specific key if it's one of our data keys
-        // and doesn't already have a database prefix
-        const dataKeys = ['characters', 'titles', 'series', 'seriesList', 'books', 'roles', 
-                          'customFieldTypes', 'relationships', 'tags', 'plots', 'worldElements', 'locations'];
+        // Let the undo manager capture the previous value for the running transaction
+        if (window.UndoManager && target) {
+            window.UndoManager.captureBeforeWrite(key);
+        }
         
-        if (dataKeys.includes(key) && !key.includes('_')) {
-            // Create a database-specific key (e.g., 'mystery-supplement_characters')
-            localStorage.setItem(`${currentDbName}_${key}`, value);
-            console.log(`Saved data to both generic key '${key}' and database-specific key '${currentDbName}_${key}'`);
+        if (target) {
+            // Write failures are reported by the repository through handleStorageError
+            return window.Repository.saveCollection(target.collection, value, target.database)
+                .then(() => true, () => false);
         }
         
-        return true;
+        localStorage.setItem(key, value);
+        return Promise.resolve(true);
     } catch (error) {
-        // Determine error type
-        if (error.name === 'QuotaExceededError' ||
-            error.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
-            // Storage full error
-            error.code = ERROR_TYPES.STORAGE_FULL;
-            handleError(error, 'Local Storage', 'warning', {
-                key: key,
-                valueSize: value.length,
-                action: 'Suggest exporting data'
-            });
-            
-            // Suggest solutions
-            showStorageManagementDialog();
-        } else {
-            // Other storage errors
-            handleError(error, 'Local Storage', 'error', {
-                key: key,
-                action: 'Save attempt failed'
-            });
+        handleStorageError(error, key, value);
+        return Promise.resolve(false);
+    }
+}
+
+// Get the value last saved under a storage key, as JSON text
+function getStoredItem(key) {
+    if (window.Repository && window.Repository.resolveStorageKey(key)) {
+        return window.Repository.getStoredJson(key);
+    }
+    return localStorage.getItem(key);
+}
+
+// Reload the page once every queued repository write is stored. Anything that replaces
+// the loaded data and then reloads goes through here, so the reload never drops a write.
+function reloadAfterSaving(delay = 0) {
+    setTimeout(async () => {
+        if (window.Repository) {
+            await window.Repository.flush();
+        }
+        window.location.reload();
+    }, delay);
+}
+
+// Ids a table's series/book/role/tag filters match, looked up through the repository indexes.
+// A table refreshes it before drawing; its filter function then checks records against the ids
+// and compares the fields itself only when the criteria have changed since, or the query failed.
+function createIndexedFilter(collection) {
+    let latest = { key: null, ids: null };
+    let request = 0;
+
+    return {
+        // Resolves false when a newer refresh started in the meantime
+        async refresh(criteria) {
+            const current = ++request;
+            let ids = null;
+            try {
+                ids = window.Repository ? await window.Repository.findMatchingIds(collection, criteria) : null;
+            } catch (error) {
+                console.warn(`Could not query the ${collection} indexes:`, error);
+            }
+            if (current !== request) return false;
+            latest = { key: JSON.stringify(criteria), ids };
+            return true;
+        },
+
+        // The ids found for these criteria, or null when they were not the last ones queried
+        idsFor(criteria) {
+            return latest.key === JSON.stringify(criteria) ? latest.ids : null;
         }
-        return false;
+    };
+}
+
+// Report a failed save, offering to free up space when storage is full
+function handleStorageError(error, key, value) {
+    // Determine error type
+    if (error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+        // Storage full error
+        error.code = ERROR_TYPES.STORAGE_FULL;
+        handleError(error, 'Storage', 'warning', {
+            key: key,
+            valueSize: typeof value === 'string' ? value.length : undefined,
+            action: 'Suggest exporting data'
+        });
+        
+        // Suggest solutions
+        showStorageManagementDialog();
+    } else {
+        // Other storage errors
+        handleError(error, 'Storage', 'error', {
+            key: key,
+            action: 'Save attempt failed'
+        });
     }
 }
 
@@ -876,6 +943,10 @@ window.Core = {
     
     // Storage utilities
     safelyStoreItem,
+    getStoredItem,
+    reloadAfterSaving,
+    createIndexedFilter,
+    handleStorageError,
     showStorageManagementDialog,
     
     // Toast notifications
@@ -300,6 +300,7 @@ function displayDashboard() {
             else if (activity.type === 'relationship') icon = '🔄';
             else if (activity.type === 'plot') icon = '📜';
             else if (activity.type === 'worldbuilding') icon = '🌍';
+            else if (activity.type === 'timeline') icon = '📅';
             
             activityHTML += `
                 <li class="activity-item">
@@ -930,6 +931,11 @@ function createNewDatabase() {
             tags = [];
             plots = [];
             worldElements = [];
+            window.exportTemplates = [];
+            window.calendars = [];
+            window.timelineEvents = [];
+            window.rejectedRelationshipSuggestions = [];
+            window.relationshipGraphLayout = [];
             
             // Save the new empty database
             const savedSuccessfully =
@@ -942,7 +948,12 @@ function createNewDatabase() {
                 Core.safelyStoreItem('relationships', JSON.stringify(relationships)) &&
                 Core.safelyStoreItem('tags', JSON.stringify(tags)) &&
                 Core.safelyStoreItem('plots', JSON.stringify(plots)) &&
-                Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
+                Core.safelyStoreItem('worldElements', JSON.stringify(worldElements)) &&
+                Core.safelyStoreItem('exportTemplates', JSON.stringify(window.exportTemplates)) &&
+                Core.safelyStoreItem('calendars', JSON.stringify(window.calendars)) &&
+                Core.safelyStoreItem('timelineEvents', JSON.stringify(window.timelineEvents)) &&
+                Core.safelyStoreItem('rejectedRelationshipSuggestions', JSON.stringify(window.rejectedRelationshipSuggestions)) &&
+                Core.safelyStoreItem('relationshipGraphLayout', JSON.stringify(window.relationshipGraphLayout));
             
             if (!savedSuccessfully) {
                 Core.showToast('Failed to create new database', 'error');
@@ -1010,6 +1021,11 @@ function createNewDatabase() {
                         tags: window.tags || [],
                         plots: window.plots || [],
                         worldElements: window.worldElements || [],
+                        exportTemplates: window.exportTemplates || [],
+                        calendars: window.calendars || [],
+                        timelineEvents: window.timelineEvents || [],
+                        rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+                        relationshipGraphLayout: window.relationshipGraphLayout || [],
                         version: '2.1.0',
                         databaseName: newDatabaseName,
                         saveDate: new Date().toISOString()
@@ -1232,6 +1248,11 @@ function switchToDatabase(dbName, dbPath) {
                             if (data.tags) tags = data.tags;
                             if (data.plots) plots = data.plots;
                             if (data.worldElements) worldElements = data.worldElements;
+                            if (data.exportTemplates) window.exportTemplates = data.exportTemplates;
+                            if (data.calendars) window.calendars = data.calendars;
+                            if (data.timelineEvents) window.timelineEvents = data.timelineEvents;
+                            if (data.rejectedRelationshipSuggestions) window.rejectedRelationshipSuggestions = data.rejectedRelationshipSuggestions;
+                            if (data.relationshipGraphLayout) window.relationshipGraphLayout = data.relationshipGraphLayout;
                             
                             console.debug('DEBUG: Data imported from database file');
                             
@@ -1246,7 +1267,12 @@ function switchToDatabase(dbName, dbPath) {
                                 Core.safelyStoreItem('relationships', JSON.stringify(relationships)) &&
                                 Core.safelyStoreItem('tags', JSON.stringify(tags)) &&
                                 Core.safelyStoreItem('plots', JSON.stringify(plots)) &&
-                                Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
+                                Core.safelyStoreItem('worldElements', JSON.stringify(worldElements)) &&
+                                Core.safelyStoreItem('exportTemplates', JSON.stringify(window.exportTemplates)) &&
+                                Core.safelyStoreItem('calendars', JSON.stringify(window.calendars)) &&
+                                Core.safelyStoreItem('timelineEvents', JSON.stringify(window.timelineEvents)) &&
+                                Core.safelyStoreItem('rejectedRelationshipSuggestions', JSON.stringify(window.rejectedRelationshipSuggestions || [])) &&
+                                Core.safelyStoreItem('relationshipGraphLayout', JSON.stringify(window.relationshipGraphLayout || []));
                             
                             console.debug('DEBUG: Data saved to localStorage:', savedSuccessfully);
                             
@@ -1564,7 +1590,11 @@ function showDatabaseManager() {
                     <h4 style="margin-top: 0; color: #333; padding-bottom: 8px; white-space: nowrap;">Database Actions</h4>
                     
                     <div style="display: flex; align-items: flex-end; margin-top: 10px;">
-                        <button onclick="window.Storage.backupDatabase()" style="background-color: #FF9800; color: white; border: none; border-radius: 4px; padding: 8px 15px; cursor: pointer; margin-right: 50px;">Backup</button>
+                        <button onclick="window.Storage.backupDatabase()" style="background-color: #FF9800; color: white; border: none; border-radius: 4px; padding: 8px 15px; cursor: pointer; margin-right: 10px;">Backup</button>
+                        <button onclick="Dashboard.closeModal(); window.Storage.showRestoreBrowser()" style="background-color: #607D8B; color: white; border: none; border-radius: 4px; padding: 8px 15px; cursor: pointer; margin-right: 10px;">Restore</button>
+                        <button onclick="window.Storage.exportStoryBibleToDOCX()" title="Export every character, location, plot and world element as one Word document" style="background-color: #3F51B5; color: white; border: none; border-radius: 4px; padding: 8px 15px; cursor: pointer; margin-right: 10px; white-space: nowrap;">Story Bible</button>
+                        <button onclick="window.Storage.exportMarkdownVault()" title="Export the database as a folder of Markdown notes for Obsidian" style="background-color: #7B1FA2; color: white; border: none; border-radius: 4px; padding: 8px 15px; cursor: pointer; margin-right: 10px; white-space: nowrap;">Markdown Vault</button>
+                        <button onclick="Dashboard.closeModal(); window.Storage.importMarkdownVault()" title="Import a folder of Markdown notes as a new database" style="background-color: #9C27B0; color: white; border: none; border-radius: 4px; padding: 8px 15px; cursor: pointer; margin-right: 50px; white-space: nowrap;">Import Vault</button>
                         
                         <!-- Container for input field -->
                         <div style="flex-grow: 1; position: relative;">
@@ -1862,6 +1892,13 @@ async function confirmDeleteDatabase(dbName, dbPath) {
                 }
             });
             
+            // Remove its records from IndexedDB
+            if (window.Repository) {
+                window.Repository.deleteDatabase(dbName).catch(error => {
+                    console.error('DEBUG: Error removing database records from IndexedDB:', error);
+                });
+            }
+            
             // If this was the current database, switch to Default
             const currentDb = localStorage.getItem('currentDatabaseName');
             if (currentDb === dbName) {
@@ -63,6 +63,11 @@ function loadDatabaseContent(content) {
         window.tags = [];
         window.plots = [];
         window.worldElements = [];
+        window.exportTemplates = [];
+        window.calendars = [];
+        window.timelineEvents = [];
+        window.rejectedRelationshipSuggestions = [];
+        window.relationshipGraphLayout = [];
         
         // Now import the data from the file
         if (data.characters) window.characters = data.characters;
@@ -75,6 +80,11 @@ function loadDatabaseContent(content) {
         if (data.tags) window.tags = data.tags;
         if (data.plots) window.plots = data.plots;
         if (data.worldElements) window.worldElements = data.worldElements;
+        if (data.exportTemplates) window.exportTemplates = data.exportTemplates;
+        if (data.calendars) window.calendars = data.calendars;
+        if (data.timelineEvents) window.timelineEvents = data.timelineEvents;
+        if (data.rejectedRelationshipSuggestions) window.rejectedRelationshipSuggestions = data.rejectedRelationshipSuggestions;
+        if (data.relationshipGraphLayout) window.relationshipGraphLayout = data.relationshipGraphLayout;
         
         // Update the database name immediately
         localStorage.setItem('currentDatabaseName', dbName);
@@ -107,6 +117,11 @@ function loadDatabaseContent(content) {
             window.Core.safelyStoreItem('tags', JSON.stringify(window.tags));
             window.Core.safelyStoreItem('plots', JSON.stringify(window.plots));
             window.Core.safelyStoreItem('worldElements', JSON.stringify(window.worldElements));
+            window.Core.safelyStoreItem('exportTemplates', JSON.stringify(window.exportTemplates || []));
+            window.Core.safelyStoreItem('calendars', JSON.stringify(window.calendars || []));
+            window.Core.safelyStoreItem('timelineEvents', JSON.stringify(window.timelineEvents || []));
+            window.Core.safelyStoreItem('rejectedRelationshipSuggestions', JSON.stringify(window.rejectedRelationshipSuggestions || []));
+            window.Core.safelyStoreItem('relationshipGraphLayout', JSON.stringify(window.relationshipGraphLayout || []));
             
             // Also save to database-specific keys
             window.Core.safelyStoreItem(`${dbName}_characters`, JSON.stringify(window.characters));
@@ -168,17 +183,13 @@ function loadDatabaseContent(content) {
             }
             
             // Schedule a page reload to ensure everything is refreshed properly
-            setTimeout(() => {
-                console.log('Forcing page reload to ensure clean state');
-                window.location.reload();
-            }, 1000);
+            console.log('Forcing page reload to ensure clean state');
+            Core.reloadAfterSaving(1000);
             
         } catch (error) {
             console.error('Error during UI refresh:', error);
             // Force a page reload as a fallback
-            setTimeout(() => {
-                window.location.reload();
-            }, 1000);
+            Core.reloadAfterSaving(1000);
         }
         
         return true;
@@ -0,0 +1,227 @@
+/**
+ * Entity references for Story Database
+ * Relationships, plots and world elements refer to other entities by id; names are
+ * looked up when they are displayed. Older databases stored names, so they are
+ * migrated to ids when loaded.
+ */
+
+// Characters references are resolved against
+function getReferenceCharacters() {
+    return Array.isArray(window.characters) ? window.characters : characters;
+}
+
+function getReferenceCharacterName(character) {
+    return `${character.firstName || ''} ${character.lastName || ''}`.trim();
+}
+
+function getCharacterById(id) {
+    if (!id) return null;
+    return getReferenceCharacters().find(character => character && character.id === id) || null;
+}
+
+/**
+ * Get the display name of a referenced character
+ * @param {string} id - Character ID
+ * @param {string} fallback - Name to show if the character no longer exists
+ * @returns {string} - The character's full name
+ */
+function getCharacterNameById(id, fallback = 'Unknown character') {
+    const character = getCharacterById(id);
+    return character ? getReferenceCharacterName(character) : fallback;
+}
+
+/**
+ * Find the id of the character a stored name refers to
+ * Full names are matched first, then aliases
+ * @param {string} name - Name as stored by older databases
+ * @param {Array} characterList - Characters to search (defaults to all characters)
+ * @returns {string|null} - The character ID
+ */
+function findCharacterIdByName(name, characterList = getReferenceCharacters()) {
+    const target = String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!target) return null;
+
+    const byName = characterList.find(character => character && getReferenceCharacterName(character).toLowerCase() === target);
+    if (byName) return byName.id;
+
+    const byAlias = characterList.find(character => character &&
+        (character.aliases || []).some(alias => alias.toLowerCase() === target));
+    return byAlias ? byAlias.id : null;
+}
+
+/**
+ * Get a character ID from an ID, a character object or a name
+ * @param {string|Object} reference - What the caller has
+ * @returns {string|null} - The character ID
+ */
+function resolveCharacterId(reference) {
+    if (!reference) return null;
+    if (typeof reference === 'object') return reference.id || findCharacterIdByName(getReferenceCharacterName(reference));
+    return getCharacterById(reference) ? reference : findCharacterIdByName(reference);
+}
+
+// Display names of both characters in a relationship
+function getRelationshipNames(relationship) {
+    return [
+        getCharacterNameById(relationship.character1Id, relationship.character1 || 'Unknown character'),
+        getCharacterNameById(relationship.character2Id, relationship.character2 || 'Unknown character')
+    ];
+}
+
+function relationshipInvolves(relationship, characterId) {
+    return relationship.character1Id === characterId || relationship.character2Id === characterId;
+}
+
+// Whether a relationship connects two characters, in either direction
+function relationshipConnects(relationship, characterIdA, characterIdB) {
+    return (relationship.character1Id === characterIdA && relationship.character2Id === characterIdB) ||
+        (relationship.character1Id === characterIdB && relationship.character2Id === characterIdA);
+}
+
+// The other character in a relationship
+function getOtherCharacterId(relationship, characterId) {
+    return relationship.character1Id === characterId ? relationship.character2Id : relationship.character1Id;
+}
+
+// Replace name references in relationships with character ids
+// Names that match no character are kept so the relationship can still be reported as orphaned
+function migrateRelationshipReferences(relationshipList, characterList) {
+    let migrated = 0;
+    (relationshipList || []).forEach(relationship => {
+        ['character1', 'character2'].forEach(field => {
+            if (relationship[`${field}Id`] || !relationship[field]) return;
+            const id = findCharacterIdByName(relationship[field], characterList);
+            if (id) {
+                relationship[`${field}Id`] = id;
+                delete relationship[field];
+                migrated++;
+            }
+        });
+    });
+    return migrated;
+}
+
+// Replace names in an id list, using the given lookup for values that aren't ids yet
+function migrateIdList(values, knownIds, findIdByName) {
+    let migrated = 0;
+    const ids = values.map(value => {
+        if (knownIds.has(value)) return value;
+        const id = findIdByName(value);
+        if (id) {
+            migrated++;
+            return id;
+        }
+        return value;
+    });
+    return { ids: [...new Set(ids)], migrated };
+}
+
+function findNamedEntityId(entityList, name) {
+    const target = String(name || '').trim().toLowerCase();
+    const entity = entityList.find(item => item && String(item.name || item.title || '').trim().toLowerCase() === target);
+    return entity ? entity.id : null;
+}
+
+// Replace names in plot characters/locations and world element relatedElements with ids
+function migrateListReferences(data) {
+    const characterList = data.characters || [];
+    const locationList = data.locations || [];
+    const elementList = data.worldElements || [];
+    const characterIds = new Set(characterList.map(character => character.id));
+    const locationIds = new Set(locationList.map(location => location.id));
+    const elementIds = new Set(elementList.map(element => element.id));
+    const changed = new Set();
+    let migrated = 0;
+
+    (data.plots || []).forEach(plot => {
+        if (Array.isArray(plot.characters)) {
+            const result = migrateIdList(plot.characters, characterIds, name => findCharacterIdByName(name, characterList));
+            if (result.migrated > 0) {
+                plot.characters = result.ids;
+                migrated += result.migrated;
+                changed.add('plots');
+            }
+        }
+        if (Array.isArray(plot.locations)) {
+            const result = migrateIdList(plot.locations, locationIds, name => findNamedEntityId(locationList, name));
+            if (result.migrated > 0) {
+                plot.locations = result.ids;
+                migrated += result.migrated;
+                changed.add('plots');
+            }
+        }
+    });
+
+    elementList.forEach(element => {
+        if (!Array.isArray(element.relatedElements)) return;
+        const result = migrateIdList(element.relatedElements, elementIds, name => findNamedEntityId(elementList, name));
+        if (result.migrated > 0) {
+            element.relatedElements = result.ids;
+            migrated += result.migrated;
+            changed.add('worldElements');
+        }
+    });
+
+    return { migrated, changed };
+}
+
+/**
+ * Migrate a database object from name references to id references
+ * Safe to run on databases that already use ids
+ * @param {Object} data - Database with characters, relationships, plots, locations and worldElements
+ * @returns {Object} - { migrated: number of references changed, changed: names of changed collections }
+ */
+function migrateDatabaseReferences(data) {
+    if (!data || typeof data !== 'object') return { migrated: 0, changed: [] };
+
+    const relationshipCount = migrateRelationshipReferences(data.relationships, data.characters || []);
+    const lists = migrateListReferences(data);
+    const changed = [...lists.changed];
+    if (relationshipCount > 0) changed.push('relationships');
+
+    if (changed.length > 0) {
+        console.log(`Migrated ${relationshipCount + lists.migrated} name references to ids in: ${changed.join(', ')}`);
+    }
+    return { migrated: relationshipCount + lists.migrated, changed };
+}
+
+// Migrate the loaded collections in place and save the ones that changed
+function migrateLoadedReferences() {
+    const relationshipLists = [relationships];
+    if (Array.isArray(window.relationships) && window.relationships !== relationships) {
+        relationshipLists.push(window.relationships);
+    }
+
+    const result = migrateDatabaseReferences({
+        characters: getReferenceCharacters(),
+        locations,
+        plots,
+        worldElements,
+        relationships
+    });
+    if (relationshipLists.length > 1) {
+        const extra = migrateRelationshipReferences(window.relationships, getReferenceCharacters());
+        if (extra > 0 && !result.changed.includes('relationships')) result.changed.push('relationships');
+    }
+
+    result.changed.forEach(key => {
+        const collection = key === 'relationships' ? (window.relationships || relationships) :
+            key === 'plots' ? plots : worldElements;
+        Core.safelyStoreItem(key, JSON.stringify(collection));
+    });
+    return result;
+}
+
+// Export entity reference functions
+window.EntityReferences = {
+    getCharacterById,
+    getCharacterNameById,
+    findCharacterIdByName,
+    resolveCharacterId,
+    getRelationshipNames,
+    relationshipInvolves,
+    relationshipConnects,
+    getOtherCharacterId,
+    migrateDatabase: migrateDatabaseReferences,
+    migrateLoadedReferences
+};
@@ -0,0 +1,340 @@
+/**
+ * Character lifespans for Story Database
+ * A character's birthDate and deathDate are in-world dates (see calendars.js). When the
+ * birth isn't known, lifespanBasis 'appearance' makes the same two fields the dates of
+ * the character's first and last appearance instead. Ages at timeline events, who is
+ * alive on a date and events that involve a character outside their lifespan all come
+ * from these dates.
+ */
+
+const LIFESPAN_LABELS = {
+    birth: { start: 'Born', end: 'Died' },
+    appearance: { start: 'First appears', end: 'Last appears' }
+};
+
+function escapeLifespanHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function getLifespanCharacterName(character) {
+    return `${character.firstName || ''} ${character.lastName || ''}`.trim() || 'Unnamed Character';
+}
+
+function getLifespanBasis(character) {
+    return character && character.lifespanBasis === 'appearance' ? 'appearance' : 'birth';
+}
+
+/**
+ * Day numbers a character's lifespan starts and ends on
+ * @param {Object} character - Character record
+ * @returns {Object} - { start, end, basis }; start and end are null when not known
+ */
+function getLifespan(character) {
+    return {
+        start: character.birthDate ? Calendars.toDayNumber(character.birthDate) : null,
+        end: character.deathDate ? Calendars.toDayNumber(character.deathDate) : null,
+        basis: getLifespanBasis(character)
+    };
+}
+
+/**
+ * A character's age in full years on a date, counted in the calendar they were born in
+ * @param {Object} character - Character record
+ * @param {Object} date - In-world date
+ * @returns {number|null} - Age, or null without a birth date or before the birth
+ */
+function getAgeAt(character, date) {
+    if (getLifespanBasis(character) !== 'birth' || !character.birthDate) return null;
+
+    const birthDay = Calendars.toDayNumber(character.birthDate);
+    const day = Calendars.toDayNumber(date);
+    if (birthDay === null || day === null || day < birthDay) return null;
+
+    const birth = character.birthDate;
+    const then = Calendars.fromDayNumber(day, birth.calendarId);
+    const beforeBirthday = then.month < birth.month || (then.month === birth.month && then.day < birth.day);
+    return then.year - birth.year - (beforeBirthday ? 1 : 0);
+}
+
+/**
+ * Whether a character is alive (or, going by appearances, in the story) on a day
+ * @returns {boolean|null} - null when the character has no start date
+ */
+function isAliveAt(character, dayNumber) {
+    const { start, end } = getLifespan(character);
+    if (start === null) return null;
+    return start <= dayNumber && (end === null || dayNumber <= end);
+}
+
+// Characters an event involves: its own and those of the plots it is attached to
+function getEventCharacterIds(event) {
+    const ids = new Set(event.characters || []);
+    (event.plots || []).forEach(plotId => {
+        const plot = plots.find(p => p.id === plotId);
+        if (plot) (plot.characters || []).forEach(id => ids.add(id));
+    });
+    return Array.from(ids);
+}
+
+/**
+ * Where a character is on a day: the locations of the latest event involving them that
+ * has started by then
+ * @returns {Object|null} - { locations: [names], event }
+ */
+function getLocationAt(characterId, dayNumber) {
+    let latest = null;
+    (window.timelineEvents || []).forEach(event => {
+        if (!(event.locations || []).length || !getEventCharacterIds(event).includes(characterId)) return;
+        const start = Calendars.toDayNumber(event.date);
+        if (start === null || start > dayNumber) return;
+        if (!latest || start >= latest.start) latest = { event, start };
+    });
+    if (!latest) return null;
+
+    const names = latest.event.locations
+        .map(id => locations.find(location => location.id === id))
+        .filter(Boolean)
+        .map(location => location.name || 'Unnamed Location');
+    return names.length > 0 ? { locations: names, event: latest.event } : null;
+}
+
+/**
+ * Ages of the characters an event involves, on the day it starts
+ * @returns {Array} - [{ character, age }], leaving out characters without a known age
+ */
+function getAgesAtEvent(event) {
+    return getEventCharacterIds(event)
+        .map(id => characters.find(c => c.id === id))
+        .filter(Boolean)
+        .map(character => ({ character, age: getAgeAt(character, event.date) }))
+        .filter(entry => entry.age !== null);
+}
+
+/**
+ * Timeline events that involve a character before their lifespan starts or after it ends
+ * An event that is still going on when a lifespan starts or ends is not a conflict.
+ * @param {Array} [events] - Events to check; defaults to every timeline event
+ * @returns {Array} - [{ event, character, message }]
+ */
+function findAgeConflicts(events = window.timelineEvents || []) {
+    const conflicts = [];
+    events.forEach(event => {
+        const start = Calendars.toDayNumber(event.date);
+        if (start === null) return;
+        const endDay = event.endDate ? Calendars.toDayNumber(event.endDate) : null;
+        const end = endDay !== null && endDay > start ? endDay : start;
+
+        getEventCharacterIds(event).forEach(id => {
+            const character = characters.find(c => c.id === id);
+            if (!character) return;
+
+            const lifespan = getLifespan(character);
+            const name = getLifespanCharacterName(character);
+            const byAppearance = lifespan.basis === 'appearance';
+            if (lifespan.start !== null && end < lifespan.start) {
+                conflicts.push({
+                    event,
+                    character,
+                    message: `"${event.title}" involves ${name} ${byAppearance ? 'before their first appearance' : 'before they are born'}`
+                });
+            } else if (lifespan.end !== null && start > lifespan.end) {
+                conflicts.push({
+                    event,
+                    character,
+                    message: `"${event.title}" involves ${name} ${byAppearance ? 'after their last appearance' : 'after their death'}`
+                });
+            }
+        });
+    });
+    return conflicts;
+}
+
+// ---- Character form ----
+
+function updateLifespanLabels() {
+    const basis = document.getElementById('lifespanBasis');
+    const labels = LIFESPAN_LABELS[basis && basis.value === 'appearance' ? 'appearance' : 'birth'];
+    const startLabel = document.getElementById('lifespanStartLabel');
+    const endLabel = document.getElementById('lifespanEndLabel');
+    if (startLabel) startLabel.textContent = labels.start;
+    if (endLabel) endLabel.textContent = labels.end;
+}
+
+/**
+ * Draw the lifespan fields of the character form
+ * Until the database has a calendar, a button adds one rather than creating it unasked.
+ * @param {Object|null} character - Character being edited; null for an empty form
+ * @param {boolean} [addCalendar] - Create the default calendar if there is none
+ */
+function renderLifespanFields(character, addCalendar = false) {
+    const container = document.getElementById('characterLifespanFields');
+    if (!container) return;
+
+    const basis = document.getElementById('lifespanBasis');
+    if (basis) basis.value = getLifespanBasis(character);
+
+    if (addCalendar) Calendars.ensureDefaultCalendar();
+    if (Calendars.getCalendars().length === 0) {
+        container.innerHTML = `
+            <button type="button" class="add-field-btn" onclick="Lifespans.renderLifespanFields(null, true)">
+                <i class="fas fa-calendar-alt"></i> Add In-World Dates
+            </button>
+        `;
+        return;
+    }
+
+    const birthDate = character && character.birthDate ? character.birthDate : null;
+    const deathDate = character && character.deathDate ? character.deathDate : null;
+    container.innerHTML = `
+        <label id="lifespanStartLabel">Born</label>
+        ${Calendars.renderDateInput('characterBirthDate', birthDate)}
+        <label id="lifespanEndLabel">Died</label>
+        ${Calendars.renderDateInput('characterDeathDate', deathDate, { calendarId: birthDate ? birthDate.calendarId : null })}
+    `;
+    updateLifespanLabels();
+}
+
+/**
+ * Read the lifespan fields of the character form
+ * @returns {Object} - { birthDate, deathDate, lifespanBasis }
+ * @throws {Error} - When a date doesn't exist or the lifespan ends before it starts
+ */
+function readLifespanFields() {
+    const basis = document.getElementById('lifespanBasis');
+    const lifespanBasis = basis && basis.value === 'appearance' ? 'appearance' : 'birth';
+    const birthDate = Calendars.readDateInput('characterBirthDate');
+    const deathDate = Calendars.readDateInput('characterDeathDate');
+
+    if (birthDate && deathDate && Calendars.toDayNumber(deathDate) < Calendars.toDayNumber(birthDate)) {
+        const labels = LIFESPAN_LABELS[lifespanBasis];
+        throw new Error(`"${labels.end}" is before "${labels.start}"`);
+    }
+    return { birthDate, deathDate, lifespanBasis };
+}
+
+// Lines for the character details popup
+function renderLifespanDetails(character) {
+    const labels = LIFESPAN_LABELS[getLifespanBasis(character)];
+    let html = '';
+    if (character.birthDate) {
+        html += `<p><strong>${labels.start}:</strong> ${escapeLifespanHtml(Calendars.formatDate(character.birthDate))}</p>`;
+    }
+    if (character.deathDate) {
+        const age = getAgeAt(character, character.deathDate);
+        html += `<p><strong>${labels.end}:</strong> ${escapeLifespanHtml(Calendars.formatDate(character.deathDate))}${age !== null ? ` (aged ${age})` : ''}</p>`;
+    }
+    return html;
+}
+
+// ---- Who is alive on a date ----
+
+/**
+ * Show which characters are alive on a date, with their age and whereabouts
+ * Until the database has a calendar, the dialog offers to add one rather than creating it unasked.
+ * @param {Object} [date] - Date to start with
+ * @param {boolean} [addCalendar] - Create the default calendar if there is none
+ */
+function showAliveQuery(date, addCalendar = false) {
+    if (addCalendar) Calendars.ensureDefaultCalendar();
+    if (Calendars.getCalendars().length === 0) {
+        UI.showModal('Who Is Alive?', `
+            <p>Dates are entered in one of the database's calendars, and it doesn't have one yet.</p>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" onclick="Lifespans.showAliveQuery(null, true)">
+                    <i class="fas fa-calendar-alt"></i> Add a Calendar
+                </button>
+                <button type="button" class="btn" onclick="UI.closeModal()">Close</button>
+            </div>
+        `);
+        return;
+    }
+    const calendar = Calendars.getCalendars()[0];
+
+    UI.showModal('Who Is Alive?', `
+        <form id="aliveQueryForm" class="alive-query-form">
+            <div class="form-group">
+                <label>Date</label>
+                ${Calendars.renderDateInput('aliveQueryDate', date || null, { calendarId: calendar.id })}
+            </div>
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">Show</button>
+                <button type="button" class="btn" onclick="UI.closeModal()">Close</button>
+            </div>
+        </form>
+        <div id="aliveQueryResults"></div>
+    `);
+
+    document.getElementById('aliveQueryForm').addEventListener('submit', submitEvent => {
+        submitEvent.preventDefault();
+        renderAliveQueryResults();
+    });
+    if (date) renderAliveQueryResults();
+}
+
+function renderAliveQueryResults() {
+    const results = document.getElementById('aliveQueryResults');
+    if (!results) return;
+
+    let date;
+    try {
+        date = Calendars.readDateInput('aliveQueryDate');
+    } catch (error) {
+        Core.showToast(error.message, 'error');
+        return;
+    }
+    if (!date) {
+        Core.showToast('Please enter a year', 'error');
+        return;
+    }
+
+    const day = Calendars.toDayNumber(date);
+    const undated = characters.filter(character => isAliveAt(character, day) === null).length;
+    const alive = characters
+        .filter(character => isAliveAt(character, day))
+        .sort((a, b) => getLifespanCharacterName(a).localeCompare(getLifespanCharacterName(b)));
+
+    const rows = alive.map(character => {
+        const age = getAgeAt(character, date);
+        const whereabouts = getLocationAt(character.id, day);
+        return `
+            <tr>
+                <td>${escapeLifespanHtml(getLifespanCharacterName(character))}</td>
+                <td>${age !== null ? age : (getLifespanBasis(character) === 'appearance' ? 'In the story' : '')}</td>
+                <td>${whereabouts
+                    ? `${escapeLifespanHtml(whereabouts.locations.join(', '))} <small>(since "${escapeLifespanHtml(whereabouts.event.title)}")</small>`
+                    : '<small>Unknown</small>'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    results.innerHTML = `
+        <h3>${escapeLifespanHtml(Calendars.formatDate(date))}</h3>
+        ${alive.length > 0 ? `
+            <table class="alive-query-table">
+                <thead><tr><th>Character</th><th>Age</th><th>Location</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : '<p>No characters are alive on this date.</p>'}
+        ${undated > 0 ? `<p class="form-hint">${undated} ${undated === 1 ? 'character has' : 'characters have'} no birth or first appearance date and ${undated === 1 ? 'is' : 'are'} not included.</p>` : ''}
+    `;
+}
+
+// Export lifespan functions
+window.Lifespans = {
+    getLifespan,
+    getAgeAt,
+    isAliveAt,
+    getEventCharacterIds,
+    getLocationAt,
+    getAgesAtEvent,
+    findAgeConflicts,
+    updateLifespanLabels,
+    renderLifespanFields,
+    readLifespanFields,
+    renderLifespanDetails,
+    showAliveQuery
+};
@@ -12,6 +12,9 @@ let totalLocationPages = 1;
 let locationSortKey = 'name';
 let locationSortDirection = 'asc';
 
+// Ids matching the table's series/tag filters, from the repository indexes
+const locationIndexFilter = Core.createIndexedFilter('locations');
+
 // Initialize edit state variables
 window.currentEditingLocationId = null;
 window.originalEditLocation = null;
@@ -438,7 +441,7 @@ function addNewItem(type) {
 }
 
 // Handle location form submission
-function handleLocationFormSubmit(e) {
+async function handleLocationFormSubmit(e) {
     e.preventDefault();
     console.log('Location form submitted');
     
@@ -611,33 +614,50 @@ function handleLocationFormSubmit(e) {
     };
     
     try {
-        if (isUpdate) {
-            // Find the index of the original location
-            const index = locations.findIndex(loc => loc.id === locationId);
-            if (index !== -1) {
-                // Replace the original location with the updated one
-                locations[index] = location;
-                Dashboard.addActivity('location', `Updated location "${location.name}"`, location.id);
-                Core.showToast('Location updated successfully');
+        const previousLocation = isUpdate ? locations.find(loc => loc.id === locationId) || null : null;
+        
+        // Record the save as one undoable step
+        const previousLocations = locations.slice();
+        const saved = await UndoManager.transaction(`${isUpdate ? 'Update' : 'Add'} location "${location.name}"`, async () => {
+            if (isUpdate) {
+                // Find the index of the original location
+                const index = locations.findIndex(loc => loc.id === locationId);
+                if (index !== -1) {
+                    // Replace the original location with the updated one
+                    locations[index] = location;
+                    Dashboard.addActivity('location', `Updated location "${location.name}"`, location.id);
+                    Core.showToast('Location updated successfully');
+                } else {
+                    console.error('Attempted to update a location that does not exist:', locationId);
+                    // Instead of returning an error, fall back to adding as new
+                    locations.push(location);
+                    Dashboard.addActivity('location', `Added location "${location.name}"`, location.id);
+                    Core.showToast('Location added successfully');
+                }
             } else {
-                console.error('Attempted to update a location that does not exist:', locationId);
-                // Instead of returning an error, fall back to adding as new
+                // Add new location
                 locations.push(location);
                 Dashboard.addActivity('location', `Added location "${location.name}"`, location.id);
                 Core.showToast('Location added successfully');
             }
-        } else {
-            // Add new location
-            locations.push(location);
-            Dashboard.addActivity('location', `Added location "${location.name}"`, location.id);
-            Core.showToast('Location added successfully');
-        }
+            if (await Core.safelyStoreItem('locations', JSON.stringify(locations))) return true;
+            
+            // Put the list back as it was if the change couldn't be stored
+            locations.splice(0, locations.length, ...previousLocations);
+            Core.safelyStoreItem('locations', JSON.stringify(locations));
+            return false;
+        });
         
-        if (!Core.safelyStoreItem('locations', JSON.stringify(locations))) {
+        if (!saved) {
             Core.showToast('Failed to save location changes', 'error');
             return;
         }
         
+        // Keep the saved version in the revision history
+        if (window.RevisionHistory) {
+            RevisionHistory.recordRevision('location', location, previousLocation);
+        }
+        
         // Reset the edit mode and form
         resetEditMode();
         
@@ -702,19 +722,16 @@ function resetEditMode() {
     window.useExistingLocationId = null;
 }
 
-// Display locations
-function displayLocations() {
-    // Load pagination settings first to ensure we have the correct values
-    loadPaginationSettings();
-    
-    console.log(`Starting displayLocations with pagination settings: locationsPerPage=${locationsPerPage}, currentLocationPage=${currentLocationPage}`);
-    
-    const locationList = document.getElementById('locationList');
-    if (!locationList) return;
-    
-    // Clear current list
-    locationList.innerHTML = '';
-    
+// The table filters the repository indexes can answer
+function getLocationIndexCriteria() {
+    return {
+        series: document.getElementById('filterLocationSeries')?.value || '',
+        tag: window.currentLocationTagFilter || ''
+    };
+}
+
+// Locations matching the table's search, filters and tag filter, in its sort order
+function getFilteredLocations() {
     // Get sorting parameters
     const sortKey = locationSortKey || 'name';
     const sortDirection = locationSortDirection || 'asc';
@@ -723,8 +740,8 @@ function displayLocations() {
     const searchInput = document.getElementById('locationSearchInput');
     const searchValue = searchInput ? searchInput.value.toLowerCase() : '';
     
-    const seriesFilter = document.getElementById('filterLocationSeries');
-    const seriesValue = seriesFilter ? seriesFilter.value : '';
+    const criteria = getLocationIndexCriteria();
+    const indexedIds = locationIndexFilter.idsFor(criteria);
     
     const typeFilter = document.getElementById('filterLocationType');
     const typeValue = typeFilter ? typeFilter.value : '';
@@ -735,13 +752,17 @@ function displayLocations() {
                               location.name.toLowerCase().includes(searchValue) || 
                               location.description?.toLowerCase().includes(searchValue);
         
-        const matchesSeries = !seriesValue || location.series === seriesValue;
         const matchesType = !typeValue || location.type === typeValue;
+        if (indexedIds && location.id) {
+            return matchesSearch && matchesType && indexedIds.has(String(location.id));
+        }
+        
+        const matchesSeries = !criteria.series || location.series === criteria.series;
         
         // Check tag filter if active
         let matchesTag = true;
-        if (window.currentLocationTagFilter) {
-            matchesTag = location.tags && location.tags.includes(window.currentLocationTagFilter);
+        if (criteria.tag) {
+            matchesTag = location.tags && location.tags.includes(criteria.tag);
         }
         
         return matchesSearch && matchesSeries && matchesType && matchesTag;
@@ -757,6 +778,27 @@ function displayLocations() {
         return 0;
     });
     
+    return filteredLocations;
+}
+
+// Display locations
+async function displayLocations() {
+    // Load pagination settings first to ensure we have the correct values
+    loadPaginationSettings();
+    
+    console.log(`Starting displayLocations with pagination settings: locationsPerPage=${locationsPerPage}, currentLocationPage=${currentLocationPage}`);
+    
+    const locationList = document.getElementById('locationList');
+    if (!locationList) return;
+    
+    // A newer call is drawing the list
+    if (!await locationIndexFilter.refresh(getLocationIndexCriteria())) return;
+    
+    // Clear current list
+    locationList.innerHTML = '';
+    
+    const filteredLocations = getFilteredLocations();
+    
     // Calculate pagination
     totalLocationPages = Math.ceil(filteredLocations.length / locationsPerPage);
     
@@ -799,11 +841,14 @@ function displayLocations() {
                 <button class="edit-btn" onclick="Locations.editLocation('${location.id}')"><i class="fas fa-edit"></i></button>
                 <button class="delete-btn" onclick="Locations.deleteLocation('${location.id}')"><i class="fas fa-trash-alt"></i></button>
             </td>
+            ${TableSelection.renderSelectionCell('locations', location.id)}
         `;
         
         locationList.appendChild(row);
     });
     
+    TableSelection.updateSelectionControls('locations');
+    
     // Update pagination controls with a small delay to ensure the DOM is ready
     setTimeout(() => {
         try {
@@ -917,9 +962,15 @@ function showLocationDetails(locationId) {
     `;
     
     // Call UI.showModal with both title and content
-    UI.showModal(location.name, detailsHTML, {
+    const modal = UI.showModal(location.name, detailsHTML, {
         maxWidth: '900px'
     });
+    
+    // Add the revision history panel
+    const detailsGrid = modal && modal.querySelector('.details-grid');
+    if (window.RevisionHistory && detailsGrid) {
+        detailsGrid.appendChild(RevisionHistory.createHistoryPanel('location', location.id));
+    }
 }
 
 // Edit location
@@ -1079,21 +1130,35 @@ function deleteLocation(locationId) {
     Core.showConfirmationDialog(
         `Are you sure you want to delete the location "${locationName}"?`,
         function() {
-            // User confirmed deletion
-            const deletedLocation = locations[locationIndex];
-            locations.splice(locationIndex, 1);
+            UndoManager.transaction(`Delete location "${locationName}"`, async () => {
+                // User confirmed deletion
+                const deletedLocation = locations[locationIndex];
+                locations.splice(locationIndex, 1);
             
-            if (!Core.safelyStoreItem('locations', JSON.stringify(locations))) {
-                // If storage fails, restore the location
-                locations.splice(locationIndex, 0, deletedLocation);
-                return;
-            }
+                if (!await Core.safelyStoreItem('locations', JSON.stringify(locations))) {
+                    // If storage fails, restore the location
+                    locations.splice(locationIndex, 0, deletedLocation);
+                    Core.safelyStoreItem('locations', JSON.stringify(locations));
+                    return;
+                }
+            
+                // Plots set at the location no longer have a setting
+                const setPlots = plots.filter(plot => plot.setting === deletedLocation.id);
+                if (setPlots.length > 0) {
+                    const now = new Date().toISOString();
+                    setPlots.forEach(plot => {
+                        plot.setting = '';
+                        plot.updatedAt = now;
+                    });
+                    Core.safelyStoreItem('plots', JSON.stringify(plots));
+                }
             
-            // Add to recent activity
-            Dashboard.addActivity('location', `Deleted location "${deletedLocation.name}"`, deletedLocation.id);
+                // Add to recent activity
+                Dashboard.addActivity('location', `Deleted location "${deletedLocation.name}"`, deletedLocation.id);
             
-            displayLocations();
-            Core.showToast('Location deleted successfully');
+                displayLocations();
+                Core.showToast('Location deleted successfully');
+            });
         },
         function() {
             // User canceled deletion
@@ -1450,6 +1515,7 @@ window.Locations = {
     cancelNewItem,
     handleLocationFormSubmit,
     displayLocations,
+    getFilteredLocations,
     showLocationDetails,
     editLocation,
     deleteLocation,
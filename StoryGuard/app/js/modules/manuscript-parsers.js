@@ -0,0 +1,607 @@
+/**
+ * Manuscript parsers for Book Analysis
+ * Turns EPUB, PDF, RTF, DOCX, HTML and TXT files into plain text while keeping
+ * chapter boundaries, so analysis can report where in the book something happens.
+ *
+ * Every parser resolves to a manuscript: { format, text, chapters }
+ * where each chapter is { index, title, text, start, end } and start/end are
+ * offsets into the joined text.
+ */
+
+// Text placed between chapters when they are joined into one document
+const MANUSCRIPT_CHAPTER_SEPARATOR = '\n\n';
+
+// Lines that look like chapter headings in plain text
+const MANUSCRIPT_HEADING_PATTERN = /^\s*((chapter|ch\.)\s+[\w\divxlc-]+|prologue|epilogue|interlude|part\s+[\w\divxlc-]+|book\s+[\divxlc]+)\b[^\n]{0,80}$/i;
+
+// pdf.js parses in a worker; this matches the pdf.js build loaded in index.html
+const MANUSCRIPT_PDF_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+// Elements that start a new line when flattening HTML to text
+const MANUSCRIPT_BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'table', 'tr', 'ul'
+]);
+
+// Create an error with a code, like the rest of the app
+function createManuscriptError(message, code) {
+    const error = new Error(message);
+    error.code = code || 'MANUSCRIPT_PARSE_ERROR';
+    return error;
+}
+
+// Read a File as text or as an ArrayBuffer
+function readManuscriptFile(file, asText) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(createManuscriptError(`Error reading file "${file.name}"`, 'FILE_READ_ERROR'));
+        if (asText) {
+            reader.readAsText(file);
+        } else {
+            reader.readAsArrayBuffer(file);
+        }
+    });
+}
+
+// Tidy whitespace while keeping paragraph breaks
+function normalizeManuscriptText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Build a manuscript from a list of { title, text } chapters
+function buildManuscript(format, chapterList) {
+    const chapters = [];
+    let text = '';
+
+    chapterList.forEach(chapter => {
+        const chapterText = normalizeManuscriptText(chapter.text || '');
+        if (!chapterText) return;
+
+        if (text) text += MANUSCRIPT_CHAPTER_SEPARATOR;
+        const start = text.length;
+        text += chapterText;
+
+        chapters.push({
+            index: chapters.length,
+            title: (chapter.title || '').trim() || `Section ${chapters.length + 1}`,
+            text: chapterText,
+            start,
+            end: text.length,
+            ...(chapter.page ? { page: chapter.page } : {})
+        });
+    });
+
+    return { format, text, chapters };
+}
+
+// Split plain text into chapters using heading lines
+function splitIntoChapters(text, format = 'txt') {
+    const lines = normalizeManuscriptText(text).split('\n');
+    const chapterList = [];
+    let current = { title: '', lines: [] };
+
+    lines.forEach(line => {
+        if (MANUSCRIPT_HEADING_PATTERN.test(line)) {
+            if (current.lines.join('').trim() || current.title) {
+                chapterList.push(current);
+            }
+            // Keep the heading in the chapter text so nothing is lost from the analysis
+            current = { title: line.trim(), lines: [line] };
+        } else {
+            current.lines.push(line);
+        }
+    });
+    chapterList.push(current);
+
+    // Text before the first heading is front matter rather than a chapter
+    const hasHeadings = chapterList.some(chapter => chapter.title);
+    return buildManuscript(format, chapterList.map((chapter, index) => ({
+        title: chapter.title || (hasHeadings && index === 0 ? 'Front matter' : 'Full text'),
+        text: chapter.lines.join('\n')
+    })));
+}
+
+// Find the chapter that contains a character offset of the joined text
+function findChapterAtOffset(manuscript, offset) {
+    if (!manuscript || !Array.isArray(manuscript.chapters)) return null;
+    return manuscript.chapters.find(chapter => offset >= chapter.start && offset <= chapter.end) || null;
+}
+
+// Flatten an HTML element to text, keeping block structure as line breaks
+function htmlElementToText(root) {
+    let text = '';
+
+    const walk = node => {
+        if (node.nodeType === 3) {
+            text += node.nodeValue;
+            return;
+        }
+        if (node.nodeType !== 1) return;
+
+        const name = node.localName ? node.localName.toLowerCase() : '';
+        if (name === 'script' || name === 'style' || name === 'head') return;
+
+        const isBlock = MANUSCRIPT_BLOCK_ELEMENTS.has(name);
+        if (isBlock) text += '\n';
+        node.childNodes.forEach(walk);
+        if (isBlock) text += '\n';
+    };
+
+    walk(root);
+    return text;
+}
+
+// Split an HTML document into chapters at its top-level headings
+function splitHtmlIntoChapters(html, format = 'html') {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const body = doc.body || doc.documentElement;
+
+    // Use the highest heading level that appears more than once as the chapter level
+    const level = ['h1', 'h2', 'h3'].find(tag => body.querySelectorAll(tag).length > 1);
+    if (!level) {
+        return splitIntoChapters(htmlElementToText(body), format);
+    }
+
+    const chapterList = [{ title: '', text: '' }];
+    const walk = node => {
+        if (node.nodeType === 1 && node.localName === level) {
+            chapterList.push({ title: node.textContent.trim(), text: `${node.textContent}\n` });
+            return;
+        }
+        if (node.nodeType === 1 && node.querySelector(level)) {
+            // The heading is nested deeper; descend so it is seen
+            node.childNodes.forEach(walk);
+            return;
+        }
+        chapterList[chapterList.length - 1].text += node.nodeType === 1 ? htmlElementToText(node) : (node.nodeValue || '');
+    };
+    body.childNodes.forEach(walk);
+
+    if (!chapterList[0].text.trim()) {
+        chapterList.shift();
+    } else {
+        chapterList[0].title = 'Front matter';
+    }
+    return buildManuscript(format, chapterList);
+}
+
+// ---------------------------------------------------------------------------
+// RTF
+// ---------------------------------------------------------------------------
+
+// Destinations whose content is not part of the document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+    'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'listtable', 'listoverridetable', 'revtbl',
+    'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore',
+    'fldinst', 'filetbl', 'pgdsctbl', 'operator', 'author', 'title', 'subject', 'keywords', 'comment'
+]);
+
+// Special characters written as control words
+const RTF_CHARACTER_WORDS = {
+    par: '\n', sect: '\n\n', page: '\n\n', line: '\n', row: '\n', cell: '\t', tab: '\t',
+    emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’',
+    ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ', qmspace: ' ', '~': ' ',
+    '-': '', '_': '‑'
+};
+
+// Decode a byte from a \'hh escape using the document code page
+function decodeRtfByte(byte, codePage) {
+    try {
+        return new TextDecoder(`windows-${codePage}`).decode(new Uint8Array([byte]));
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(new Uint8Array([byte]));
+    }
+}
+
+// Parse RTF source into plain text
+function parseRtf(rtf) {
+    if (!/^\s*{\\rtf/.test(rtf)) {
+        throw createManuscriptError('This file is not a valid RTF document', 'INVALID_RTF');
+    }
+
+    let output = '';
+    let codePage = 1252;
+    // Group state: whether text is skipped and how many fallback characters follow \u
+    let state = { skip: false, unicodeSkip: 1 };
+    const stack = [];
+    // Fallback characters still to drop after a \uN
+    let pendingSkip = 0;
+    let i = 0;
+
+    const emit = text => {
+        if (state.skip) return;
+        if (pendingSkip > 0) {
+            // Each fallback character (including a \'hh escape) counts as one
+            const dropped = Math.min(pendingSkip, text.length);
+            pendingSkip -= dropped;
+            text = text.slice(dropped);
+        }
+        output += text;
+    };
+
+    while (i < rtf.length) {
+        const ch = rtf[i];
+
+        if (ch === '{') {
+            stack.push(state);
+            state = { ...state };
+            pendingSkip = 0;
+            i++;
+            // {\*\destination ...} groups are optional and unknown to us, so skip them
+            if (rtf.startsWith('\\*', i)) {
+                state.skip = true;
+            }
+            continue;
+        }
+
+        if (ch === '}') {
+            state = stack.pop() || state;
+            pendingSkip = 0;
+            i++;
+            continue;
+        }
+
+        if (ch === '\r' || ch === '\n') {
+            i++;
+            continue;
+        }
+
+        if (ch !== '\\') {
+            emit(ch);
+            i++;
+            continue;
+        }
+
+        // Control symbol or control word
+        const next = rtf[i + 1];
+        if (next === undefined) break;
+
+        if (next === '\\' || next === '{' || next === '}') {
+            emit(next);
+            i += 2;
+            continue;
+        }
+
+        if (next === '\'') {
+            const byte = parseInt(rtf.substr(i + 2, 2), 16);
+            if (!Number.isNaN(byte)) emit(decodeRtfByte(byte, codePage));
+            i += 4;
+            continue;
+        }
+
+        if (next === '\n' || next === '\r') {
+            // A backslash before a newline is a paragraph break
+            emit('\n');
+            i += 2;
+            continue;
+        }
+
+        if (!/[a-z]/i.test(next)) {
+            if (RTF_CHARACTER_WORDS[next] !== undefined) emit(RTF_CHARACTER_WORDS[next]);
+            i += 2;
+            continue;
+        }
+
+        const match = /^([a-z]{1,32})(-?\d{1,10})? ?/i.exec(rtf.slice(i + 1, i + 48));
+        const word = match[1];
+        const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+        i += 1 + match[0].length;
+
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+            state.skip = true;
+        } else if (word === 'ansicpg' && param) {
+            codePage = param;
+        } else if (word === 'uc' && param !== null) {
+            state.unicodeSkip = param;
+        } else if (word === 'u' && param !== null) {
+            // Signed 16-bit value; negative numbers wrap around
+            emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+            pendingSkip = state.skip ? 0 : state.unicodeSkip;
+        } else if (RTF_CHARACTER_WORDS[word] !== undefined) {
+            emit(RTF_CHARACTER_WORDS[word]);
+        }
+    }
+
+    return output;
+}
+
+// ---------------------------------------------------------------------------
+// EPUB
+// ---------------------------------------------------------------------------
+
+// Resolve a path relative to a file inside the archive
+function resolveEpubPath(baseFile, href) {
+    const cleanHref = decodeURIComponent(href.split('#')[0]);
+    if (cleanHref.startsWith('/')) return cleanHref.slice(1);
+
+    const parts = baseFile.split('/').slice(0, -1);
+    cleanHref.split('/').forEach(part => {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    });
+    return parts.join('/');
+}
+
+// Read a file from the archive as text
+async function readEpubEntry(zip, path) {
+    const entry = zip.file(path) || zip.file(new RegExp(`^${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'))[0];
+    if (!entry) {
+        throw createManuscriptError(`EPUB is missing "${path}"`, 'INVALID_EPUB');
+    }
+    return entry.async('string');
+}
+
+// Parse XML, reporting malformed files clearly
+function parseEpubXml(source, path) {
+    const doc = new DOMParser().parseFromString(source, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw createManuscriptError(`EPUB file "${path}" is not well-formed XML`, 'INVALID_EPUB');
+    }
+    return doc;
+}
+
+// Elements by local name, regardless of namespace prefix
+function getEpubElements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+// Chapter titles from the table of contents, keyed by content file path
+async function readEpubTableOfContents(zip, opfPath, opfDoc, manifest) {
+    const titles = {};
+
+    // EPUB 3 navigation document
+    const navItem = Object.values(manifest).find(item => (item.properties || '').split(/\s+/).includes('nav'));
+    if (navItem) {
+        try {
+            const navDoc = new DOMParser().parseFromString(await readEpubEntry(zip, navItem.path), 'application/xhtml+xml');
+            const tocNav = getEpubElements(navDoc, 'nav').find(nav =>
+                (nav.getAttribute('epub:type') || nav.getAttributeNS('http://www.idpf.org/2007/ops', 'type') || '') === 'toc'
+            ) || getEpubElements(navDoc, 'nav')[0];
+            if (tocNav) {
+                getEpubElements(tocNav, 'a').forEach(link => {
+                    const path = resolveEpubPath(navItem.path, link.getAttribute('href') || '');
+                    if (!titles[path]) titles[path] = link.textContent.trim();
+                });
+            }
+        } catch (error) {
+            console.warn('Could not read EPUB navigation document:', error);
+        }
+    }
+
+    // EPUB 2 NCX
+    const spine = getEpubElements(opfDoc, 'spine')[0];
+    const ncxItem = (spine && manifest[spine.getAttribute('toc')]) ||
+        Object.values(manifest).find(item => item.mediaType === 'application/x-dtbncx+xml');
+    if (ncxItem) {
+        try {
+            const ncxDoc = parseEpubXml(await readEpubEntry(zip, ncxItem.path), ncxItem.path);
+            getEpubElements(ncxDoc, 'navPoint').forEach(point => {
+                const label = getEpubElements(point, 'text')[0];
+                const content = getEpubElements(point, 'content')[0];
+                if (!label || !content) return;
+                const path = resolveEpubPath(ncxItem.path, content.getAttribute('src') || '');
+                if (!titles[path]) titles[path] = label.textContent.trim();
+            });
+        } catch (error) {
+            console.warn('Could not read EPUB NCX table of contents:', error);
+        }
+    }
+
+    return titles;
+}
+
+// Extract the chapters of an EPUB in spine (reading) order
+async function extractEpub(arrayBuffer) {
+    if (typeof JSZip === 'undefined') {
+        throw createManuscriptError('EPUB support requires the JSZip library, which is not loaded', 'LIBRARY_MISSING');
+    }
+
+    const zip = await JSZip.loadAsync(arrayBuffer);
+
+    // container.xml points at the package (OPF) file
+    const containerDoc = parseEpubXml(await readEpubEntry(zip, 'META-INF/container.xml'), 'META-INF/container.xml');
+    const rootfile = getEpubElements(containerDoc, 'rootfile')[0];
+    if (!rootfile) {
+        throw createManuscriptError('EPUB container does not name a package file', 'INVALID_EPUB');
+    }
+    const opfPath = rootfile.getAttribute('full-path');
+    const opfDoc = parseEpubXml(await readEpubEntry(zip, opfPath), opfPath);
+
+    const manifest = {};
+    getEpubElements(opfDoc, 'item').forEach(item => {
+        manifest[item.getAttribute('id')] = {
+            path: resolveEpubPath(opfPath, item.getAttribute('href') || ''),
+            mediaType: item.getAttribute('media-type') || '',
+            properties: item.getAttribute('properties') || ''
+        };
+    });
+
+    const tocTitles = await readEpubTableOfContents(zip, opfPath, opfDoc, manifest);
+
+    const chapterList = [];
+    for (const itemref of getEpubElements(opfDoc, 'itemref')) {
+        const item = manifest[itemref.getAttribute('idref')];
+        if (!item || !/html/.test(item.mediaType)) continue;
+
+        const source = await readEpubEntry(zip, item.path);
+        let doc = new DOMParser().parseFromString(source, 'application/xhtml+xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            // Some EPUBs ship HTML that is not valid XHTML
+            doc = new DOMParser().parseFromString(source, 'text/html');
+        }
+
+        const body = getEpubElements(doc, 'body')[0] || doc.documentElement;
+        const heading = ['h1', 'h2', 'h3'].map(tag => getEpubElements(body, tag)[0]).find(Boolean);
+        const titleElement = getEpubElements(doc, 'title')[0];
+
+        chapterList.push({
+            title: tocTitles[item.path] || (heading && heading.textContent) || (titleElement && titleElement.textContent) || '',
+            text: htmlElementToText(body)
+        });
+    }
+
+    if (chapterList.length === 0) {
+        throw createManuscriptError('EPUB has no readable content in its spine', 'INVALID_EPUB');
+    }
+
+    return buildManuscript('epub', chapterList);
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+// Flatten the PDF outline into { title, pageIndex } entries
+async function readPdfOutline(pdf) {
+    const outline = await pdf.getOutline();
+    if (!outline || outline.length === 0) return [];
+
+    // Use the top level unless it is a single wrapper entry (e.g. the book title)
+    const items = outline.length === 1 && outline[0].items && outline[0].items.length > 1 ? outline[0].items : outline;
+    const entries = [];
+
+    for (const item of items) {
+        try {
+            const dest = typeof item.dest === 'string' ? await pdf.getDestination(item.dest) : item.dest;
+            if (!dest || !dest[0]) continue;
+            const pageIndex = typeof dest[0] === 'number' ? dest[0] : await pdf.getPageIndex(dest[0]);
+            entries.push({ title: item.title, pageIndex });
+        } catch (error) {
+            console.warn('Skipping unresolved PDF outline entry:', item.title, error);
+        }
+    }
+
+    return entries.sort((a, b) => a.pageIndex - b.pageIndex);
+}
+
+// Text of one PDF page, with line breaks where the PDF has them
+async function readPdfPageText(page) {
+    const content = await page.getTextContent();
+    let text = '';
+    let lastY = null;
+
+    content.items.forEach(item => {
+        const y = item.transform ? item.transform[5] : null;
+        if (lastY !== null && y !== null && Math.abs(y - lastY) > 1 && !text.endsWith('\n')) {
+            text += '\n';
+        }
+        text += item.str;
+        if (item.hasEOL) text += '\n';
+        lastY = y;
+    });
+
+    // Join words hyphenated across line breaks
+    return text.replace(/(\w)-\n(\w)/g, '$1$2');
+}
+
+// Extract the text of a PDF, split at its outline (bookmarks) when it has one
+async function extractPdf(arrayBuffer) {
+    if (typeof pdfjsLib === 'undefined') {
+        throw createManuscriptError('PDF support requires the pdf.js library, which is not loaded', 'LIBRARY_MISSING');
+    }
+    if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+        pdfjsLib.GlobalWorkerOptions.workerSrc = MANUSCRIPT_PDF_WORKER_URL;
+    }
+
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(arrayBuffer) }).promise;
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        pages.push(await readPdfPageText(page));
+    }
+
+    if (!pages.join('').trim()) {
+        throw createManuscriptError('This PDF has no text layer (it may be a scan)', 'PDF_NO_TEXT');
+    }
+
+    const outline = await readPdfOutline(pdf);
+    if (outline.length === 0) {
+        // No bookmarks; fall back to chapter headings in the text
+        return splitIntoChapters(pages.join('\n\n'), 'pdf');
+    }
+
+    const chapterList = [];
+    if (outline[0].pageIndex > 0) {
+        chapterList.push({ title: 'Front matter', text: pages.slice(0, outline[0].pageIndex).join('\n\n'), page: 1 });
+    }
+    outline.forEach((entry, index) => {
+        const endPage = index + 1 < outline.length ? outline[index + 1].pageIndex : pages.length;
+        // Several bookmarks on one page share that page's text with the first of them
+        const pageText = pages.slice(entry.pageIndex, Math.max(endPage, entry.pageIndex + 1)).join('\n\n');
+        const previous = outline[index - 1];
+        chapterList.push({
+            title: entry.title,
+            text: previous && previous.pageIndex === entry.pageIndex ? '' : pageText,
+            page: entry.pageIndex + 1
+        });
+    });
+
+    return buildManuscript('pdf', chapterList);
+}
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+// Parse any supported manuscript file
+async function parseManuscriptFile(file) {
+    const fileName = file.name.toLowerCase();
+
+    if (fileName.endsWith('.epub')) {
+        return extractEpub(await readManuscriptFile(file, false));
+    }
+
+    if (fileName.endsWith('.pdf')) {
+        return extractPdf(await readManuscriptFile(file, false));
+    }
+
+    if (fileName.endsWith('.rtf')) {
+        return splitIntoChapters(parseRtf(await readManuscriptFile(file, true)), 'rtf');
+    }
+
+    if (fileName.endsWith('.docx')) {
+        if (typeof mammoth === 'undefined') {
+            throw createManuscriptError('DOCX support requires the Mammoth library, which is not loaded', 'LIBRARY_MISSING');
+        }
+        // Convert to HTML so Word heading styles mark the chapters
+        const result = await mammoth.convertToHtml({ arrayBuffer: await readManuscriptFile(file, false) });
+        return splitHtmlIntoChapters(result.value, 'docx');
+    }
+
+    if (fileName.endsWith('.html') || fileName.endsWith('.htm') || fileName.endsWith('.xhtml')) {
+        return splitHtmlIntoChapters(await readManuscriptFile(file, true), 'html');
+    }
+
+    if (fileName.endsWith('.txt') || fileName.endsWith('.md')) {
+        return splitIntoChapters(await readManuscriptFile(file, true), 'txt');
+    }
+
+    if (fileName.endsWith('.doc')) {
+        throw createManuscriptError('Legacy Word .doc files cannot be read. Save the file as .docx and try again.', 'UNSUPPORTED_FILE_TYPE');
+    }
+
+    throw createManuscriptError('Unsupported file type', 'UNSUPPORTED_FILE_TYPE');
+}
+
+// Export manuscript parser functions
+window.ManuscriptParsers = {
+    SUPPORTED_EXTENSIONS: ['.txt', '.md', '.docx', '.rtf', '.html', '.htm', '.xhtml', '.epub', '.pdf'],
+    parseManuscriptFile,
+    parseRtf,
+    extractEpub,
+    extractPdf,
+    splitIntoChapters,
+    splitHtmlIntoChapters,
+    findChapterAtOffset
+};
@@ -57,12 +57,53 @@
         
         this.extractedCharacters = this.extractedCharacters.filter(char => char.mentions >= minMentions);
         
+        // Map where each character appears, chapter by chapter
+        if (window.NameExtractor && typeof NameExtractor.analyzeChapterAppearances === 'function') {
+            let chapters = this.chapters;
+            if ((!chapters || chapters.length === 0) && window.ManuscriptParsers) {
+                chapters = ManuscriptParsers.splitIntoChapters(text).chapters;
+            }
+            NameExtractor.analyzeChapterAppearances(this.extractedCharacters, chapters);
+        }
+        
+        // Keep the manuscript for relationship suggestions
+        if (window.RelationshipSuggestions) {
+            RelationshipSuggestions.setManuscript(this.manuscript || { text, chapters: this.chapters || [] });
+        }
+        
         // Display the results
         this.displayResults();
         
         return this.extractedCharacters;
     };
     
+    // Find the existing character an extracted name belongs to, using full names and aliases
+    BookAnalysis.findExistingCharacter = function(character, pool = window.characters || []) {
+        const names = [
+            character.fullName,
+            `${character.firstName || ''} ${character.lastName || ''}`,
+            `${character.title || ''} ${character.firstName || ''} ${character.lastName || ''}`,
+            ...(character.variants || [])
+        ].map(name => String(name || '').replace(/\s+/g, ' ').trim().toLowerCase()).filter(Boolean);
+        
+        const getForms = window.Characters && typeof Characters.getCharacterNameForms === 'function' ?
+            Characters.getCharacterNameForms :
+            char => [`${char.firstName || ''} ${char.lastName || ''}`.trim()];
+        
+        const match = pool.find(existing => existing &&
+            getForms(existing).some(form => names.includes(form.toLowerCase()))
+        );
+        if (match) return match;
+        
+        // Fall back to the first name, as long as the last names don't disagree
+        const firstName = (character.firstName || '').toLowerCase().trim();
+        const lastName = (character.lastName || '').toLowerCase().trim();
+        return pool.find(existing => existing && existing.firstName &&
+            existing.firstName.toLowerCase().trim() === firstName &&
+            (!lastName || !existing.lastName || existing.lastName.toLowerCase().trim() === lastName)
+        ) || null;
+    };
+    
     // Restore the displayResults function
     BookAnalysis.displayResults = function() {
         if (!this.extractedCharacters || this.extractedCharacters.length === 0) {
@@ -172,6 +213,68 @@
 
         // Create the table
         this.createCharactersTable();
+        
+        // Show where the characters appear
+        this.createAppearanceHeatmap();
+    };
+    
+    // Create the characters × chapters heatmap of mentions
+    BookAnalysis.createAppearanceHeatmap = function() {
+        const container = document.getElementById('appearanceHeatmap');
+        if (!container) return;
+        
+        const chapters = this.chapters || [];
+        const characters = (this.extractedCharacters || []).filter(character => character.appearances);
+        
+        // A single chapter has nothing to map
+        if (chapters.length < 2 || characters.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        
+        const escape = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+        const maxMentions = Math.max(1, ...characters.map(character =>
+            Math.max(0, ...character.appearances.chapters.map(chapter => chapter.mentions))
+        ));
+        
+        const headerCells = chapters.map(chapter =>
+            `<th title="${escape(chapter.title)}">${chapter.index + 1}</th>`
+        ).join('');
+        
+        const rows = characters.map(character => {
+            const name = character.fullName || [character.firstName, character.lastName].filter(Boolean).join(' ');
+            const counts = {};
+            character.appearances.chapters.forEach(chapter => {
+                counts[chapter.index] = chapter.mentions;
+            });
+            const first = character.appearances.firstAppearance;
+            const firstTitle = first ? `First appears in ${first.chapterTitle}: “${first.excerpt}”` : '';
+            
+            const cells = chapters.map(chapter => {
+                const mentions = counts[chapter.index] || 0;
+                // Scale the colour by mentions so busy chapters stand out
+                const intensity = mentions ? 0.15 + 0.85 * (mentions / maxMentions) : 0;
+                const isFirst = first && first.chapterIndex === chapter.index;
+                return `<td class="heatmap-cell${isFirst ? ' heatmap-first' : ''}"
+                            style="${mentions ? `background-color: rgba(52, 152, 219, ${intensity.toFixed(2)});` : ''}"
+                            title="${escape(name)} — ${escape(chapter.title)}: ${mentions} mention${mentions === 1 ? '' : 's'}${isFirst ? ' (first appearance)' : ''}">${mentions || ''}</td>`;
+            }).join('');
+            
+            return `<tr><th class="heatmap-name" title="${escape(firstTitle)}">${escape(name)}</th>${cells}</tr>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <h4>Appearances by Chapter</h4>
+            <p class="heatmap-hint">Mentions per chapter; the outlined cell marks each character's first appearance. Hover a cell for details.</p>
+            <div class="heatmap-scroll">
+                <table class="appearance-heatmap">
+                    <thead><tr><th></th>${headerCells}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+        container.style.display = 'block';
     };
     
     // Improved preprocessing function for titles that prevents conflicts
@@ -338,7 +441,8 @@
             { type: 'text', title: 'Series', field: 'series' },
             { type: 'text', title: 'Book', field: 'book' },
             { type: 'text', title: 'Mentions', field: 'mentions', readonly: true },
-            { type: 'text', title: 'Variants', field: 'variants', readonly: true }
+            { type: 'text', title: 'Variants', field: 'variants', readonly: true },
+            { type: 'text', title: 'Existing Character', field: 'existingCharacter', readonly: true }
         ];
         
         // Create header cells
@@ -374,6 +478,11 @@
                     if (column.field === 'variants') {
                         // Variants is a special case - array joined by commas
                         td.textContent = character.variants ? character.variants.join(', ') : '';
+                    } else if (column.field === 'existingCharacter') {
+                        // Names already known in the database are linked instead of added again
+                        const existing = this.findExistingCharacter(character);
+                        td.textContent = existing ? `${existing.firstName || ''} ${existing.lastName || ''}`.trim() : '';
+                        td.title = existing ? 'Adding this name links it to the existing character as an alias' : '';
                     } else if (column.readonly) {
                         // For read-only fields, just add text
                         td.textContent = character[column.field] || '';
@@ -498,51 +607,19 @@
         
         // MAIN IMPLEMENTATION
         
-        // Find the most likely character storage key
-        const possibleKeys = [
-            'characters',
-            'historical-supplement_characters',
-            `${localStorage.getItem('currentDatabase')}_characters`
-        ];
-        
-        // Find which key contains character data
-        let mainStorageKey = null;
-        let characterData = [];
-        
-        for (const key of possibleKeys) {
-            try {
-                const data = localStorage.getItem(key);
-                if (data) {
-                    const parsed = JSON.parse(data);
-                    if (Array.isArray(parsed)) {
-                        console.log(`Found character data in key '${key}' with ${parsed.length} items`);
-                        mainStorageKey = key;
-                        characterData = parsed;
-                        break;
-                    }
-                }
-            } catch (e) {
-                console.log(`Error checking key '${key}':`, e);
-            }
-        }
-        
-        if (!mainStorageKey) {
-            console.log("Could not find existing character storage. Creating new array.");
-            mainStorageKey = 'characters';
-            characterData = [];
-        }
+        // Start from the characters loaded for the current database
+        let characterData = Array.isArray(window.characters) ? window.characters : [];
         
         // Process the selected characters
         let addedCount = 0;
+        let linkedCount = 0;
         let skippedCount = 0;
         const timestamp = Date.now();
-        
-        // Create a map of existing character first names for faster duplicate checking
-        const existingFirstNames = new Map();
-        characterData.forEach(char => {
-            if (char && char.firstName) {
-                existingFirstNames.set(char.firstName.toLowerCase().trim(), char);
-            }
+        const appearancesFor = character => ({
+            ...character.appearances,
+            source: this.currentFile ? this.currentFile.name : '',
+            book: book || '',
+            analyzedAt: new Date(timestamp).toISOString()
         });
         
         // Process each selected character
@@ -555,21 +632,36 @@
                 return;
             }
             
-            const firstName = character.firstName.toLowerCase().trim();
-            const existingChar = existingFirstNames.get(firstName);
+            const existingChar = this.findExistingCharacter(character, characterData);
+            const nameVariants = [character.fullName, ...(character.variants || [])].filter(Boolean);
             
             // Check if it's a duplicate
             if (existingChar) {
                 if (!overrideDuplicates) {
-                    console.log(`Skipping duplicate character: ${character.firstName}`);
-                    skippedCount++;
+                    // Keep the names found in the book as aliases of the existing character
+                    const aliases = Characters.parseAliases(
+                        [...(existingChar.aliases || []), ...nameVariants],
+                        existingChar.firstName,
+                        existingChar.lastName
+                    );
+                    if (aliases.length === (existingChar.aliases || []).length) {
+                        console.log(`Skipping duplicate character: ${character.firstName}`);
+                        skippedCount++;
+                        return;
+                    }
+                    
+                    existingChar.aliases = aliases;
+                    if (character.appearances) {
+                        existingChar.appearances = appearancesFor(character);
+                    }
+                    existingChar.updatedAt = new Date(timestamp).toISOString();
+                    console.log(`Linked ${character.fullName || character.firstName} to existing character ${existingChar.firstName}`);
+                    linkedCount++;
                     return;
                 } else {
                     // Remove the existing character
                     console.log(`Replacing existing character: ${character.firstName}`);
-                    characterData = characterData.filter(c => 
-                        !c.firstName || c.firstName.toLowerCase().trim() !== firstName
-                    );
+                    characterData = characterData.filter(c => c !== existingChar);
                 }
             }
             
@@ -579,33 +671,31 @@
                 title: character.title || '',
                 firstName: character.firstName || '',
                 lastName: character.lastName || '',
+                aliases: Characters.parseAliases(nameVariants, character.firstName, character.lastName),
                 series: series || '',
                 book: book || '',
                 notes: `Character extracted from book analysis.\nMentioned ${character.mentions} times.\nVariants: ${character.variants ? character.variants.join(', ') : 'None'}`
             };
             
+            // Keep the chapter map from the analysis on the character
+            if (character.appearances) {
+                newCharacter.appearances = appearancesFor(character);
+            }
+            
             // Add to our array
             characterData.push(newCharacter);
             console.log(`Added character: ${character.firstName}`);
             addedCount++;
         });
         
-        // Save back to localStorage if we added any characters
-        if (addedCount > 0) {
+        // Save the characters if we added or linked any
+        if (addedCount > 0 || linkedCount > 0) {
             try {
-                // Save to ALL possible storage locations to ensure it works
-                localStorage.setItem(mainStorageKey, JSON.stringify(characterData));
-                console.log(`Saved ${characterData.length} characters to localStorage key '${mainStorageKey}'`);
-                
-                // Also save to other possible keys as a backup
-                for (const key of possibleKeys) {
-                    if (key !== mainStorageKey) {
-                        localStorage.setItem(key, JSON.stringify(characterData));
-                        console.log(`Also saved to backup key '${key}'`);
-                    }
-                }
+                Core.safelyStoreItem('characters', JSON.stringify(characterData));
+                console.log(`Saved ${characterData.length} characters`);
                 
                 // CRITICAL FIX: Update the global window.characters array
+                characters = characterData;
                 window.characters = characterData;
                 console.log('Updated window.characters array with', characterData.length, 'characters');
                 
@@ -636,8 +726,15 @@
                         }
                         
                         // Show success toast without the page refresh message
-                        const charactersWord = addedCount === 1 ? 'character' : 'characters';
-                        Core.showToast(`Added ${addedCount} ${charactersWord} to database. Switched to Characters tab.`, 'success');
+                        if (addedCount > 0) {
+                            const charactersWord = addedCount === 1 ? 'character' : 'characters';
+                            Core.showToast(`Added ${addedCount} ${charactersWord} to database. Switched to Characters tab.`, 'success');
+                        }
+                        
+                        if (linkedCount > 0) {
+                            const linkedWord = linkedCount === 1 ? 'name' : 'names';
+                            Core.showToast(`Linked ${linkedCount} ${linkedWord} to existing characters as aliases.`, 'info');
+                        }
                         
                         if (skippedCount > 0) {
                             const skippedWord = skippedCount === 1 ? 'character' : 'characters';
@@ -677,8 +774,15 @@
                 }
                 
                 // Show success messages
-                const charactersWord = addedCount === 1 ? 'character' : 'characters';
-                Core.showToast(`Added ${addedCount} ${charactersWord} to database`, 'success');
+                if (addedCount > 0) {
+                    const charactersWord = addedCount === 1 ? 'character' : 'characters';
+                    Core.showToast(`Added ${addedCount} ${charactersWord} to database`, 'success');
+                }
+                
+                if (linkedCount > 0) {
+                    const linkedWord = linkedCount === 1 ? 'name' : 'names';
+                    Core.showToast(`Linked ${linkedCount} ${linkedWord} to existing characters as aliases.`, 'info');
+                }
                 
                 if (skippedCount > 0) {
                     const skippedWord = skippedCount === 1 ? 'character' : 'characters';
@@ -815,53 +919,7 @@
         console.log(`Generating ${format} analysis report...`);
         
         // Create report content
-        const reportContent = document.createElement('div');
-        reportContent.className = 'analysis-report';
-        reportContent.style.padding = '20px';
-        reportContent.style.fontFamily = 'Arial, sans-serif';
-        
-        // Add report header
-        const header = document.createElement('div');
-        header.innerHTML = `
-            <h1 style="color: #2c3e50; text-align: center;">Book Character Analysis Report</h1>
-            <p style="text-align: center; color: #7f8c8d;">Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
-            <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
-        `;
-        reportContent.appendChild(header);
-        
-        // Add file info - with safety checks
-        if (this.currentFile) {
-            // Create a default fileStats object if it doesn't exist
-            const fileStats = this.fileStats || { wordCount: 0, charCount: 0 };
-            
-            const fileInfo = document.createElement('div');
-            fileInfo.innerHTML = `
-                <h2 style="color: #3498db;">File Information</h2>
-                <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
-                    <tr style="background-color: #f2f2f2;">
-                        <th style="padding: 8px; text-align: left; border: 1px solid #ddd;">Property</th>
-                        <th style="padding: 8px; text-align: left; border: 1px solid #ddd;">Value</th>
-                    </tr>
-                    <tr>
-                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">File Name</td>
-                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">${this.currentFile.name}</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">File Size</td>
-                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">${(this.currentFile.size / 1024).toFixed(2)} KB</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">Word Count</td>
-                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">${fileStats.wordCount ? fileStats.wordCount.toLocaleString() : 'N/A'}</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">Character Count</td>
-                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">${fileStats.charCount ? fileStats.charCount.toLocaleString() : 'N/A'}</td>
-                    </tr>
-                </table>
-            `;
-            reportContent.appendChild(fileInfo);
-        }
+        const reportContent = this.createReportContent('Book Character Analysis Report');
         
         // Add characters table
         const charactersSection = document.createElement('div');
@@ -988,6 +1046,65 @@
         optionsSection.appendChild(optionsTable);
         reportContent.appendChild(optionsSection);
         
+        this.finishReport(reportContent, format, 'character-analysis-report');
+    };
+    
+    // Create a report with the standard header and file information
+    BookAnalysis.createReportContent = function(title) {
+        // Create report content
+        const reportContent = document.createElement('div');
+        reportContent.className = 'analysis-report';
+        reportContent.style.padding = '20px';
+        reportContent.style.fontFamily = 'Arial, sans-serif';
+        
+        // Add report header
+        const header = document.createElement('div');
+        header.innerHTML = `
+            <h1 style="color: #2c3e50; text-align: center;">${title}</h1>
+            <p style="text-align: center; color: #7f8c8d;">Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
+            <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+        `;
+        reportContent.appendChild(header);
+        
+        // Add file info - with safety checks
+        if (this.currentFile) {
+            // Create a default fileStats object if it doesn't exist
+            const fileStats = this.fileStats || { wordCount: 0, charCount: 0 };
+            
+            const fileInfo = document.createElement('div');
+            fileInfo.innerHTML = `
+                <h2 style="color: #3498db;">File Information</h2>
+                <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+                    <tr style="background-color: #f2f2f2;">
+                        <th style="padding: 8px; text-align: left; border: 1px solid #ddd;">Property</th>
+                        <th style="padding: 8px; text-align: left; border: 1px solid #ddd;">Value</th>
+                    </tr>
+                    <tr>
+                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">File Name</td>
+                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">${this.currentFile.name}</td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">File Size</td>
+                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">${(this.currentFile.size / 1024).toFixed(2)} KB</td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">Word Count</td>
+                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">${fileStats.wordCount ? fileStats.wordCount.toLocaleString() : 'N/A'}</td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">Character Count</td>
+                        <td style="padding: 8px; text-align: left; border: 1px solid #ddd;">${fileStats.charCount ? fileStats.charCount.toLocaleString() : 'N/A'}</td>
+                    </tr>
+                </table>
+            `;
+            reportContent.appendChild(fileInfo);
+        }
+        
+        return reportContent;
+    };
+    
+    // Add the footer and save the report in the requested format
+    BookAnalysis.finishReport = function(reportContent, format, fileName) {
         // Add footer
         const footer = document.createElement('div');
         footer.innerHTML = `
@@ -998,7 +1115,7 @@
         
         // Generate report based on format
         if (format === 'pdf') {
-            this.generatePdfReport(reportContent);
+            this.generatePdfReport(reportContent, `${fileName}.pdf`);
         } else if (format === 'docx') {
             this.generateDocxReport(reportContent);
         } else {
@@ -1006,14 +1123,62 @@
         }
     };
     
+    // Generate a report of the passages flagged by the continuity checker
+    BookAnalysis.generateContinuityReport = function(issues, format = 'pdf') {
+        if (!issues || issues.length === 0) {
+            Core.showToast('No continuity issues to report', 'info');
+            return;
+        }
+        
+        const escape = value => String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const cellStyle = 'padding: 8px; text-align: left; border: 1px solid #ddd; vertical-align: top;';
+        
+        const reportContent = this.createReportContent('Continuity Report');
+        
+        const issuesSection = document.createElement('div');
+        issuesSection.innerHTML = `
+            <h2 style="color: #3498db;">Flagged Passages</h2>
+            <p>Passages that may contradict the database: ${issues.length}</p>
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+                <thead>
+                    <tr style="background-color: #f2f2f2;">
+                        <th style="${cellStyle}">Entity</th>
+                        <th style="${cellStyle}">Issue</th>
+                        <th style="${cellStyle}">Database</th>
+                        <th style="${cellStyle}">Chapter</th>
+                        <th style="${cellStyle}">Passage</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${issues.map(issue => `
+                        <tr>
+                            <td style="${cellStyle}">
+                                ${escape(issue.entityName)}<br>
+                                <small style="color: #7f8c8d;">${issue.entityType === 'character' ? 'Character' : 'Location'} · ${escape(issue.entityId)}</small>
+                            </td>
+                            <td style="${cellStyle}"><strong>${escape(issue.category)}</strong> (${escape(issue.severity)})<br>${escape(issue.message)}</td>
+                            <td style="${cellStyle}">${escape(issue.expected)}</td>
+                            <td style="${cellStyle}">${escape(issue.chapterTitle)}</td>
+                            <td style="${cellStyle} font-style: italic;">${escape(issue.passage)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        reportContent.appendChild(issuesSection);
+        
+        this.finishReport(reportContent, format, 'continuity-report');
+    };
+    
     // Generate PDF report
-    BookAnalysis.generatePdfReport = function(reportContent) {
+    BookAnalysis.generatePdfReport = function(reportContent, fileName = 'character-analysis-report.pdf') {
         try {
             const htmlContent = reportContent.outerHTML;
             
             // Use the Electron API to save as PDF if available
             if (window.api && window.api.savePdf) {
-                window.api.savePdf(htmlContent, 'character-analysis-report.pdf')
+                window.api.savePdf(htmlContent, fileName)
                     .then(() => {
                         Core.showToast('PDF report saved successfully', 'success');
                     })
@@ -1021,11 +1186,11 @@
                         console.error('Error saving PDF via API:', error);
                         Core.showToast('Error generating PDF report: ' + error.message, 'error');
                         // Fall back to HTML if API fails
-                        fallbackToHtml(htmlContent);
+                        fallbackToHtml(htmlContent, fileName);
                     });
             } else {
                 // Fallback to HTML if API not available
-                fallbackToHtml(htmlContent);
+                fallbackToHtml(htmlContent, fileName);
             }
         } catch (error) {
             console.error('Error generating PDF:', error);
@@ -1034,7 +1199,7 @@
     };
     
     // Helper function to fall back to HTML download
-    function fallbackToHtml(htmlContent) {
+    function fallbackToHtml(htmlContent, fileName = 'character-analysis-report.pdf') {
         // Create a blob with the HTML content
         const blob = new Blob([htmlContent], { type: 'text/html' });
         
@@ -1044,7 +1209,7 @@
         // Create a link element
         const link = document.createElement('a');
         link.href = url;
-        link.download = 'character-analysis-report.html';
+        link.download = fileName.replace(/\.pdf$/, '.html');
         
         // Append the link to the body
         document.body.appendChild(link);
@@ -1320,6 +1485,10 @@
         // Reset file stats
         this.fileStats = null;
         
+        // Reset the parsed manuscript
+        this.manuscript = null;
+        this.chapters = [];
+        
         // Hide the results container
         const resultsContainer = document.querySelector('#analyze-book-tab .analysis-results-container');
         if (resultsContainer) {
@@ -1365,6 +1534,13 @@
             detectedCharacters.innerHTML = '';
         }
         
+        // Clear the appearance heatmap
+        const appearanceHeatmap = document.getElementById('appearanceHeatmap');
+        if (appearanceHeatmap) {
+            appearanceHeatmap.innerHTML = '';
+            appearanceHeatmap.style.display = 'none';
+        }
+        
         // Reset the file upload
         const fileUpload = document.getElementById('bookFileUpload');
         if (fileUpload) {
@@ -30,6 +30,15 @@ window.NameExtractor = {
         ]
     },
     
+    // Dialog indicators (verbs that often follow character names)
+    dialogIndicators: [
+        'said', 'whispered', 'asked', 'replied', 'shouted', 'murmured',
+        'exclaimed', 'responded', 'called', 'muttered', 'answered', 'stated',
+        'declared', 'announced', 'remarked', 'noted', 'added', 'continued',
+        'interrupted', 'inquired', 'yelled', 'explained', 'insisted', 'sighed',
+        'laughed', 'cried', 'groaned', 'argued', 'agreed', 'disagreed'
+    ],
+    
     // Main API method used for character extraction
     extractCharacters: function(text) {
         console.log('NameExtractor.extractCharacters called with text length:', text.length);
@@ -136,17 +145,8 @@ window.NameExtractor = {
      * Extract character names from dialogue patterns
      */
     extractFromDialogue: function(text, characterMentions) {
-        // List of dialog indicators (verbs that often follow character names)
-        const dialogIndicators = [
-            'said', 'whispered', 'asked', 'replied', 'shouted', 'murmured',
-            'exclaimed', 'responded', 'called', 'muttered', 'answered', 'stated',
-            'declared', 'announced', 'remarked', 'noted', 'added', 'continued',
-            'interrupted', 'inquired', 'yelled', 'explained', 'insisted', 'sighed',
-            'laughed', 'cried', 'groaned', 'argued', 'agreed', 'disagreed'
-        ];
-        
         // Create a regex pattern for all indicators
-        const indicatorPattern = dialogIndicators.join('|');
+        const indicatorPattern = this.dialogIndicators.join('|');
         
         // Pattern for: capitalized name/names followed by dialog indicator
         // Example: "John said", "Mary Smith whispered", etc.
@@ -856,6 +856,93 @@ window.NameExtractor = {
         console.log(`NameExtractor: Frequency Analysis found ${addedCount} new potential names from ${frequentWords.length} frequent words`);
     },
 
+    /**
+     * Find whole-word mentions of any of a set of names
+     * Where names overlap (e.g. "Harry Potter" and "Harry") only the longest match is kept.
+     * @param {string} text - Text to search
+     * @param {Array} forms - Names to look for
+     * @returns {Array} Matches as { start, end, form }, in order of appearance
+     */
+    findNameMentions: function(text, forms) {
+        const taken = [];
+
+        [...forms]
+            .filter(form => form && form.trim())
+            .sort((a, b) => b.length - a.length)
+            .forEach(form => {
+                const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const pattern = new RegExp(`(^|[^\\w'])(${escaped})(?![\\w])`, 'g');
+                let match;
+                while ((match = pattern.exec(text)) !== null) {
+                    const start = match.index + match[1].length;
+                    const end = start + match[2].length;
+                    if (!taken.some(range => start < range.end && end > range.start)) {
+                        taken.push({ start, end, form });
+                    }
+                }
+            });
+
+        return taken.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Map where each character appears across the chapters of a manuscript
+     * Mentions are counted per chapter using the full name and its variants; where
+     * forms overlap (e.g. "Harry Potter" and "Harry") the longest match is counted once.
+     * @param {Array} characters - Extracted characters (fullName, variants)
+     * @param {Array} chapters - Chapters from ManuscriptParsers ({ index, title, text, start })
+     * @returns {Array} The same characters, each with an appearances object
+     */
+    analyzeChapterAppearances: function(characters, chapters) {
+        if (!Array.isArray(characters) || !Array.isArray(chapters) || chapters.length === 0) {
+            return characters;
+        }
+
+        console.log(`NameExtractor: Mapping appearances of ${characters.length} characters across ${chapters.length} chapters`);
+
+        characters.forEach(character => {
+            // Longest forms first so a full name wins over the first name inside it
+            const forms = [...new Set([character.fullName, ...(character.variants || [])])]
+                .filter(form => form && form.trim())
+                .sort((a, b) => b.length - a.length);
+
+            const perChapter = [];
+            let firstAppearance = null;
+
+            chapters.forEach(chapter => {
+                const taken = this.findNameMentions(chapter.text, forms);
+
+                if (taken.length === 0) return;
+
+                perChapter.push({
+                    index: chapter.index,
+                    title: chapter.title,
+                    mentions: taken.length
+                });
+
+                if (!firstAppearance) {
+                    const first = taken[0];
+                    const excerptStart = Math.max(0, first.start - 60);
+                    const excerptEnd = Math.min(chapter.text.length, first.end + 60);
+                    firstAppearance = {
+                        chapterIndex: chapter.index,
+                        chapterTitle: chapter.title,
+                        offset: (chapter.start || 0) + first.start,
+                        excerpt: chapter.text.slice(excerptStart, excerptEnd).replace(/\s+/g, ' ').trim()
+                    };
+                }
+            });
+
+            character.appearances = {
+                chapterCount: chapters.length,
+                chapters: perChapter,
+                firstAppearance
+            };
+        });
+
+        return characters;
+    },
+
     // Add titles to the title detection logic
     detectTitles: function(name) {
         // Common titles and honorifics
@@ -0,0 +1,383 @@
+/**
+ * Outline board for Story Database
+ * A corkboard of one book's plots: a column per chapter and a card per plot point or
+ * scene. Dropping a card somewhere else rewrites the plot's chapter and renumbers the
+ * order of every plot in the book to match the board, left to right and top to bottom.
+ * Cards show the plot's point-of-view character (pov), setting and status.
+ */
+
+// Book shown on the board; '' shows plots without a book
+let outlineBoardBook = null;
+
+// Empty chapters added with "Add Chapter", per book, until a card is dropped in them
+let outlineExtraChapters = {};
+
+// Plot whose card is being dragged
+let draggedOutlinePlotId = null;
+
+function escapeBoardHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function getBoardChapter(plot) {
+    return plot.chapter === undefined || plot.chapter === null ? '' : String(plot.chapter).trim();
+}
+
+// Books in publication order, then books only plots know about, then plots without a book
+function getBoardBooks() {
+    const result = books.slice();
+    plots.forEach(plot => {
+        if (plot.book && !result.includes(plot.book)) result.push(plot.book);
+    });
+    if (plots.some(plot => !plot.book)) result.push('');
+    return result;
+}
+
+// Chapters in number order; chapters that aren't numbers follow in name order
+function compareChapters(a, b) {
+    const numberA = parseFloat(a);
+    const numberB = parseFloat(b);
+    const isNumberA = Number.isFinite(numberA);
+    const isNumberB = Number.isFinite(numberB);
+    if (isNumberA && isNumberB && numberA !== numberB) return numberA - numberB;
+    if (isNumberA !== isNumberB) return isNumberA ? -1 : 1;
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+function compareBoardCards(a, b) {
+    // Older plots may store the order as text
+    const orderA = Number.isFinite(parseFloat(a.order)) ? parseFloat(a.order) : Infinity;
+    const orderB = Number.isFinite(parseFloat(b.order)) ? parseFloat(b.order) : Infinity;
+    if (orderA !== orderB) return orderA < orderB ? -1 : 1;
+    return (a.title || '').localeCompare(b.title || '');
+}
+
+/**
+ * The board's columns for a book
+ * Plots without a chapter come first, in a column of their own.
+ * @param {string} book - Book name; '' for plots without a book
+ * @returns {Array} - [{ chapter, plots }] with the plots in card order
+ */
+function getChapterColumns(book) {
+    const columns = new Map();
+    (outlineExtraChapters[book] || []).forEach(chapter => columns.set(chapter, []));
+
+    plots.filter(plot => (plot.book || '') === book).forEach(plot => {
+        const chapter = getBoardChapter(plot);
+        if (!columns.has(chapter)) columns.set(chapter, []);
+        columns.get(chapter).push(plot);
+    });
+
+    return Array.from(columns.entries())
+        .map(([chapter, cards]) => ({ chapter, plots: cards.sort(compareBoardCards) }))
+        .sort((a, b) => {
+            if (a.chapter === '' || b.chapter === '') return a.chapter === '' ? -1 : 1;
+            return compareChapters(a.chapter, b.chapter);
+        });
+}
+
+function renderBoardCard(plot) {
+    const pov = plot.pov ? characters.find(character => character.id === plot.pov) : null;
+    const setting = plot.setting ? locations.find(location => location.id === plot.setting) : null;
+    const typeClass = plot.type ? `plot-type-badge-${Plots.getPlotTypeClass(plot.type)}` : '';
+    const statusClass = plot.status ? `outline-status-${Plots.getPlotTypeClass(plot.status)}` : '';
+
+    return `
+        <div class="outline-card" draggable="true" data-plot-id="${escapeBoardHtml(plot.id)}">
+            <div class="outline-card-header">
+                <a href="#" class="outline-card-title" onclick="Plots.showPlotDetails('${escapeBoardHtml(plot.id)}'); return false;">${escapeBoardHtml(plot.title || 'Untitled')}</a>
+                <button type="button" class="outline-card-edit" title="Edit point of view, setting and status" onclick="OutlineBoard.editCard('${escapeBoardHtml(plot.id)}')"><i class="fas fa-pen"></i></button>
+            </div>
+            ${plot.type ? `<span class="outline-card-type plot-type-badge ${typeClass}">${escapeBoardHtml(plot.type)}</span>` : ''}
+            <div class="outline-card-meta">
+                ${pov ? `<span title="Point of view"><i class="fas fa-eye"></i> ${escapeBoardHtml(`${pov.firstName || ''} ${pov.lastName || ''}`.trim())}</span>` : ''}
+                ${setting ? `<span title="Setting"><i class="fas fa-map-marker-alt"></i> ${escapeBoardHtml(setting.name || 'Unnamed Location')}</span>` : ''}
+                ${plot.status ? `<span class="outline-card-status ${statusClass}">${escapeBoardHtml(plot.status)}</span>` : ''}
+                ${plot.threadRole ? `<span class="thread-role thread-role-${escapeBoardHtml(plot.threadRole)}">${PlotThreads.getThreadRoleLabel(plot.threadRole)}</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Draw the board for the chosen book
+function displayOutlineBoard() {
+    const container = document.getElementById('outlineBoard');
+    if (!container) return;
+
+    const boardBooks = getBoardBooks();
+    if (boardBooks.length === 0) {
+        container.innerHTML = '<p class="no-plots">Add plots with a book and chapter to lay them out on the board</p>';
+        return;
+    }
+    if (outlineBoardBook === null || !boardBooks.includes(outlineBoardBook)) {
+        outlineBoardBook = boardBooks.find(book => plots.some(plot => (plot.book || '') === book)) || boardBooks[0];
+    }
+
+    const columns = getChapterColumns(outlineBoardBook);
+    container.innerHTML = `
+        <div class="outline-board-toolbar">
+            <select id="outlineBoardBook" title="Book" onchange="OutlineBoard.setBoardBook(this.value)">
+                ${boardBooks.map(book => `<option value="${escapeBoardHtml(book)}"${book === outlineBoardBook ? ' selected' : ''}>${escapeBoardHtml(book || 'No book')}</option>`).join('')}
+            </select>
+            <button type="button" onclick="OutlineBoard.addChapter()"><i class="fas fa-columns"></i> Add Chapter</button>
+            <span class="outline-board-hint">Drag cards to reorder scenes or move them to another chapter</span>
+        </div>
+        <div class="outline-board-columns">
+            ${columns.map(column => `
+                <div class="outline-column" data-chapter="${escapeBoardHtml(column.chapter)}">
+                    <h4>${column.chapter === '' ? 'No chapter' : `Chapter ${escapeBoardHtml(column.chapter)}`} <span class="outline-column-count">${column.plots.length}</span></h4>
+                    <div class="outline-column-cards">
+                        ${column.plots.map(renderBoardCard).join('')}
+                    </div>
+                </div>
+            `).join('') || '<p class="no-plots">No plots in this book yet</p>'}
+        </div>
+    `;
+
+    container.querySelectorAll('.outline-card').forEach(card => {
+        card.addEventListener('dragstart', event => {
+            draggedOutlinePlotId = card.dataset.plotId;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', draggedOutlinePlotId);
+            card.classList.add('dragging');
+        });
+        card.addEventListener('dragend', () => {
+            draggedOutlinePlotId = null;
+            card.classList.remove('dragging');
+            clearDropMarkers(container);
+        });
+    });
+
+    container.querySelectorAll('.outline-column').forEach(column => {
+        column.addEventListener('dragover', event => {
+            if (!draggedOutlinePlotId) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            showDropMarker(container, column, getDropIndex(column, event.clientY));
+        });
+        column.addEventListener('drop', event => {
+            event.preventDefault();
+            const plotId = draggedOutlinePlotId || event.dataTransfer.getData('text/plain');
+            const index = getDropIndex(column, event.clientY);
+            draggedOutlinePlotId = null;
+            clearDropMarkers(container);
+            if (plotId) moveCard(plotId, column.dataset.chapter, index);
+        });
+    });
+}
+
+// Position among a column's other cards that a drop at clientY lands in
+function getDropIndex(column, clientY) {
+    const cards = Array.from(column.querySelectorAll('.outline-card')).filter(card => card.dataset.plotId !== draggedOutlinePlotId);
+    const index = cards.findIndex(card => {
+        const bounds = card.getBoundingClientRect();
+        return clientY < bounds.top + bounds.height / 2;
+    });
+    return index === -1 ? cards.length : index;
+}
+
+function clearDropMarkers(container) {
+    container.querySelectorAll('.drop-before, .drop-at-end').forEach(element => {
+        element.classList.remove('drop-before', 'drop-at-end');
+    });
+}
+
+function showDropMarker(container, column, index) {
+    clearDropMarkers(container);
+    const cards = Array.from(column.querySelectorAll('.outline-card')).filter(card => card.dataset.plotId !== draggedOutlinePlotId);
+    if (cards[index]) {
+        cards[index].classList.add('drop-before');
+    } else {
+        column.classList.add('drop-at-end');
+    }
+}
+
+/**
+ * Move a plot to a place on the board
+ * @param {string} plotId - Plot to move
+ * @param {string} chapter - Chapter of the column it is dropped in; '' for no chapter
+ * @param {number} index - Position among the column's other cards
+ * @returns {Promise<boolean>} - Whether the move was saved
+ */
+async function moveCard(plotId, chapter, index) {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot) {
+        Core.showToast('Plot not found', 'error');
+        return false;
+    }
+
+    const book = plot.book || '';
+    const columns = getChapterColumns(book).map(column => ({
+        chapter: column.chapter,
+        plots: column.plots.filter(p => p.id !== plotId)
+    }));
+    let target = columns.find(column => column.chapter === chapter);
+    if (!target) {
+        target = { chapter, plots: [] };
+        columns.push(target);
+    }
+    target.plots.splice(Math.max(0, Math.min(index, target.plots.length)), 0, plot);
+
+    // Plots in the book are numbered in board order; plots without a chapter go last
+    const sequence = columns.filter(column => column.chapter !== '').concat(columns.filter(column => column.chapter === ''));
+    const previous = plots.map(p => ({ chapter: p.chapter, order: p.order, updatedAt: p.updatedAt }));
+    const now = new Date().toISOString();
+
+    const saved = await UndoManager.transaction(`Move plot "${plot.title}"`, async () => {
+        plot.chapter = chapter;
+        let order = 1;
+        sequence.forEach(column => column.plots.forEach(p => {
+            if (p.order !== order || p === plot) p.updatedAt = now;
+            p.order = order++;
+        }));
+        if (await Core.safelyStoreItem('plots', JSON.stringify(plots))) return true;
+
+        // Put the chapters and numbers back if they couldn't be stored
+        plots.forEach((p, i) => Object.assign(p, previous[i]));
+        Core.safelyStoreItem('plots', JSON.stringify(plots));
+        return false;
+    });
+
+    if (!saved) {
+        displayOutlineBoard();
+        return false;
+    }
+
+    if (outlineExtraChapters[book]) {
+        outlineExtraChapters[book] = outlineExtraChapters[book].filter(extra => extra !== chapter);
+    }
+    Dashboard.addActivity('plot', `Moved plot "${plot.title}" to ${chapter === '' ? 'no chapter' : `chapter ${chapter}`}`, plot.id);
+    refreshAfterBoardChange();
+    return true;
+}
+
+// Keep the Plots table, arc visualization and timeline in step with the board
+function refreshAfterBoardChange() {
+    if (window.Plots && typeof Plots.displayPlots === 'function') {
+        // Also redraws the board
+        Plots.displayPlots();
+    } else {
+        displayOutlineBoard();
+    }
+    if (window.Timeline && typeof Timeline.displayTimeline === 'function') {
+        Timeline.displayTimeline();
+    }
+}
+
+function setBoardBook(book) {
+    outlineBoardBook = book;
+    displayOutlineBoard();
+}
+
+// Add an empty column after the highest numbered chapter
+function addChapter() {
+    const book = outlineBoardBook || '';
+    const highest = getChapterColumns(book)
+        .map(column => parseFloat(column.chapter))
+        .filter(Number.isFinite)
+        .reduce((max, number) => Math.max(max, Math.floor(number)), 0);
+
+    outlineExtraChapters[book] = (outlineExtraChapters[book] || []).concat(String(highest + 1));
+    displayOutlineBoard();
+}
+
+/**
+ * Edit a card's point of view, setting and status
+ * @param {string} plotId - Plot the card shows
+ */
+function editCard(plotId) {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot) {
+        Core.showToast('Plot not found', 'error');
+        return;
+    }
+
+    const characterOptions = characters
+        .map(character => ({ id: character.id, label: `${character.firstName || ''} ${character.lastName || ''}`.trim() || 'Unnamed Character' }))
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .map(({ id, label }) => `<option value="${escapeBoardHtml(id)}"${plot.pov === id ? ' selected' : ''}>${escapeBoardHtml(label)}</option>`)
+        .join('');
+    const locationOptions = locations
+        .map(location => `<option value="${escapeBoardHtml(location.id)}"${plot.setting === location.id ? ' selected' : ''}>${escapeBoardHtml(location.name || 'Unnamed Location')}</option>`)
+        .join('');
+    const statusOptions = Plots.PLOT_STATUSES
+        .map(status => `<option value="${escapeBoardHtml(status)}"${plot.status === status ? ' selected' : ''}>${escapeBoardHtml(status)}</option>`)
+        .join('');
+
+    UI.showModal(`Edit "${plot.title}"`, `
+        <form id="outlineCardForm">
+            <div class="form-group">
+                <label for="outlineCardPov">Point of View</label>
+                <select id="outlineCardPov"><option value="">None</option>${characterOptions}</select>
+            </div>
+            <div class="form-group">
+                <label for="outlineCardSetting">Setting</label>
+                <select id="outlineCardSetting"><option value="">None</option>${locationOptions}</select>
+            </div>
+            <div class="form-group">
+                <label for="outlineCardStatus">Status</label>
+                <select id="outlineCardStatus"><option value="">None</option>${statusOptions}</select>
+            </div>
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">Save</button>
+                <button type="button" class="btn" onclick="UI.closeModal()">Cancel</button>
+            </div>
+        </form>
+    `);
+
+    document.getElementById('outlineCardForm').addEventListener('submit', event => {
+        event.preventDefault();
+        saveCardForm(plotId);
+    });
+}
+
+async function saveCardForm(plotId) {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot) return;
+
+    const pov = document.getElementById('outlineCardPov').value;
+    const setting = document.getElementById('outlineCardSetting').value;
+    const status = document.getElementById('outlineCardStatus').value;
+    const previous = {
+        pov: plot.pov,
+        setting: plot.setting,
+        status: plot.status,
+        characters: plot.characters,
+        locations: plot.locations,
+        updatedAt: plot.updatedAt
+    };
+
+    const saved = await UndoManager.transaction(`Update plot "${plot.title}"`, async () => {
+        plot.pov = pov;
+        plot.setting = setting;
+        plot.status = status;
+        // The point-of-view character and setting are also among the plot's related elements
+        if (pov && !(plot.characters || []).includes(pov)) plot.characters = (plot.characters || []).concat(pov);
+        if (setting && !(plot.locations || []).includes(setting)) plot.locations = (plot.locations || []).concat(setting);
+        plot.updatedAt = new Date().toISOString();
+        if (await Core.safelyStoreItem('plots', JSON.stringify(plots))) return true;
+
+        Object.assign(plot, previous);
+        Core.safelyStoreItem('plots', JSON.stringify(plots));
+        return false;
+    });
+    if (!saved) return;
+
+    UI.closeModal();
+    Dashboard.addActivity('plot', `Updated plot "${plot.title}"`, plot.id);
+    refreshAfterBoardChange();
+}
+
+// Export outline board functions
+window.OutlineBoard = {
+    displayOutlineBoard,
+    getChapterColumns,
+    setBoardBook,
+    addChapter,
+    moveCard,
+    editCard
+};
@@ -0,0 +1,281 @@
+/**
+ * Plot threads for Story Database
+ * A thread is a plot whose type is a thread type (see initializePlotTypes), such as a
+ * main plot or a character arc. Other plots belong to it through their `thread` field,
+ * play a `threadRole` in it (setup, escalation, climax or payoff) and list in `resolves`
+ * the earlier setups they pay off. Setups nothing resolves and threads without a payoff
+ * are the open threads.
+ */
+
+const THREAD_ROLES = [
+    { value: 'setup', label: 'Setup' },
+    { value: 'escalation', label: 'Escalation' },
+    { value: 'climax', label: 'Climax' },
+    { value: 'payoff', label: 'Payoff' }
+];
+
+// Threads of this type follow the characters they list
+const CHARACTER_ARC_TYPE = 'Character Arc';
+
+function escapeThreadHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function getThreadRoleLabel(role) {
+    const entry = THREAD_ROLES.find(r => r.value === role);
+    return entry ? entry.label : '';
+}
+
+function isThreadType(type) {
+    return !!type && (window.plotThreadTypes || []).includes(type);
+}
+
+// Plots that other plots can belong to
+function getThreads() {
+    return plots.filter(plot => isThreadType(plot.type));
+}
+
+/**
+ * Where a plot is told: books in publication order, then chapter, then order
+ * @returns {Array} - Sort key
+ */
+function getReadingPosition(plot) {
+    const bookIndex = plot.book ? books.indexOf(plot.book) : -1;
+    const chapter = parseFloat(plot.chapter);
+    const order = parseFloat(plot.order);
+    return [
+        bookIndex === -1 ? books.length : bookIndex,
+        Number.isFinite(chapter) ? chapter : Infinity,
+        Number.isFinite(order) ? order : Infinity
+    ];
+}
+
+function compareReadingPosition(a, b) {
+    const keyA = getReadingPosition(a);
+    const keyB = getReadingPosition(b);
+    for (let i = 0; i < keyA.length; i++) {
+        if (keyA[i] !== keyB[i]) return keyA[i] < keyB[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+// Plot points of a thread in reading order
+function getThreadPoints(threadId) {
+    return plots.filter(plot => plot.thread === threadId).sort(compareReadingPosition);
+}
+
+// Plots that pay off a setup
+function getResolvers(setupId) {
+    return plots.filter(plot => (plot.resolves || []).includes(setupId));
+}
+
+function getThreadPlotTitle(plotId) {
+    const plot = plots.find(p => p.id === plotId);
+    return plot ? plot.title || 'Untitled' : null;
+}
+
+/**
+ * Find setups without payoffs, threads that never pay off and unresolved character arcs
+ * @returns {Object} - { books: [{ book, setups, threads }], characters: [{ character, threads }], misplaced: [{ payoff, setup }] }
+ */
+function findOpenThreads() {
+    const byBook = new Map();
+    const bookEntry = book => {
+        if (!byBook.has(book)) byBook.set(book, { book, setups: [], threads: [] });
+        return byBook.get(book);
+    };
+
+    plots.filter(plot => plot.threadRole === 'setup' && getResolvers(plot.id).length === 0)
+        .sort(compareReadingPosition)
+        .forEach(setup => bookEntry(setup.book || '').setups.push(setup));
+
+    const openThreads = getThreads().filter(thread => {
+        const points = getThreadPoints(thread.id);
+        const hasPayoff = points.some(point => point.threadRole === 'payoff');
+        const openSetups = points.some(point => point.threadRole === 'setup' && getResolvers(point.id).length === 0);
+        return !hasPayoff || openSetups;
+    });
+    openThreads.forEach(thread => bookEntry(thread.book || '').threads.push(thread));
+
+    // Characters followed by an open character arc
+    const characterThreads = new Map();
+    openThreads.filter(thread => thread.type === CHARACTER_ARC_TYPE).forEach(thread => {
+        (thread.characters || []).forEach(characterId => {
+            const character = characters.find(c => c.id === characterId);
+            if (!character) return;
+            if (!characterThreads.has(character)) characterThreads.set(character, []);
+            characterThreads.get(character).push(thread);
+        });
+    });
+
+    // Payoffs told before the setup they resolve
+    const misplaced = [];
+    plots.forEach(payoff => {
+        (payoff.resolves || []).forEach(setupId => {
+            const setup = plots.find(p => p.id === setupId);
+            if (setup && compareReadingPosition(payoff, setup) < 0) misplaced.push({ payoff, setup });
+        });
+    });
+
+    const bookOrder = book => (book === '' ? Infinity : (books.indexOf(book) === -1 ? books.length : books.indexOf(book)));
+    return {
+        books: Array.from(byBook.values()).sort((a, b) => bookOrder(a.book) - bookOrder(b.book) || a.book.localeCompare(b.book)),
+        characters: Array.from(characterThreads.entries()).map(([character, threads]) => ({ character, threads })),
+        misplaced
+    };
+}
+
+// ---- Plot form ----
+
+function renderThreadOptions(select, options, selected) {
+    const values = Array.isArray(selected) ? selected : [selected];
+    select.innerHTML = options.map(option =>
+        `<option value="${escapeThreadHtml(option.value)}"${values.includes(option.value) ? ' selected' : ''}>${escapeThreadHtml(option.label)}</option>`
+    ).join('');
+}
+
+/**
+ * Fill the thread fields of the plot form
+ * @param {HTMLFormElement} form - The plot form
+ * @param {Object|null} plot - Plot being edited; null for a new plot
+ */
+function populateThreadFields(form, plot) {
+    const plotId = plot ? plot.id : null;
+
+    if (form.plotThread) {
+        const threads = getThreads()
+            .filter(thread => thread.id !== plotId)
+            .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+        renderThreadOptions(form.plotThread, [{ value: '', label: 'No Thread' }]
+            .concat(threads.map(thread => ({ value: thread.id, label: thread.title || 'Untitled' }))), plot ? plot.thread || '' : '');
+    }
+
+    if (form.plotThreadRole) {
+        renderThreadOptions(form.plotThreadRole, [{ value: '', label: 'No Role' }].concat(THREAD_ROLES), plot ? plot.threadRole || '' : '');
+    }
+
+    if (form.plotResolves) {
+        const setups = plots
+            .filter(other => other.id !== plotId && other.threadRole === 'setup')
+            .sort(compareReadingPosition);
+        renderThreadOptions(form.plotResolves, setups.map(setup => ({
+            value: setup.id,
+            label: `${setup.title || 'Untitled'}${setup.book ? ` (${setup.book}${setup.chapter ? `, ch. ${setup.chapter}` : ''})` : ''}`
+        })), plot ? plot.resolves || [] : []);
+    }
+}
+
+// Read the thread fields of the plot form
+function readThreadFields(form) {
+    return {
+        thread: form.plotThread ? form.plotThread.value : '',
+        threadRole: form.plotThreadRole ? form.plotThreadRole.value : '',
+        resolves: form.plotResolves ? Array.from(form.plotResolves.options).filter(option => option.selected).map(option => option.value) : []
+    };
+}
+
+// ---- Plot details ----
+
+// Details section for a plot: its thread and role, or the points of the thread it is
+function renderThreadDetails(plot) {
+    let html = '';
+
+    if (isThreadType(plot.type)) {
+        const points = getThreadPoints(plot.id);
+        const openSetups = points.filter(point => point.threadRole === 'setup' && getResolvers(point.id).length === 0);
+        const resolved = points.some(point => point.threadRole === 'payoff') && openSetups.length === 0;
+        html += `<p><strong>Thread Status:</strong> ${resolved ? 'Resolved' : `Open${openSetups.length > 0 ? ` (${openSetups.length} ${openSetups.length === 1 ? 'setup' : 'setups'} without a payoff)` : ' (no payoff yet)'}`}</p>`;
+        html += points.length > 0
+            ? `<ol class="thread-points">${points.map(point => `
+                <li><a href="#" onclick="this.closest('.character-popup').remove(); Plots.showPlotDetails('${escapeThreadHtml(point.id)}'); return false;">${escapeThreadHtml(point.title || 'Untitled')}</a>
+                    ${point.threadRole ? `<span class="thread-role thread-role-${point.threadRole}">${getThreadRoleLabel(point.threadRole)}</span>` : ''}</li>
+            `).join('')}</ol>`
+            : '<p>No plot points in this thread yet</p>';
+    }
+
+    if (plot.thread) {
+        const title = getThreadPlotTitle(plot.thread);
+        html += `<p><strong>Thread:</strong> ${title ? escapeThreadHtml(title) : 'N/A'}${plot.threadRole ? ` (${getThreadRoleLabel(plot.threadRole)})` : ''}</p>`;
+    } else if (plot.threadRole) {
+        html += `<p><strong>Thread Role:</strong> ${getThreadRoleLabel(plot.threadRole)}</p>`;
+    }
+
+    const resolves = (plot.resolves || []).map(getThreadPlotTitle).filter(Boolean);
+    if (resolves.length > 0) {
+        html += `<p><strong>Resolves:</strong> ${resolves.map(escapeThreadHtml).join(', ')}</p>`;
+    }
+    if (plot.threadRole === 'setup') {
+        const resolvers = getResolvers(plot.id);
+        html += `<p><strong>Paid Off By:</strong> ${resolvers.length > 0 ? resolvers.map(r => escapeThreadHtml(r.title || 'Untitled')).join(', ') : 'Nothing yet'}</p>`;
+    }
+
+    return html || '<p>Not part of a thread</p>';
+}
+
+// ---- Open threads report ----
+
+function renderReportPlot(plot) {
+    const where = [plot.chapter ? `ch. ${plot.chapter}` : '', plot.thread ? getThreadPlotTitle(plot.thread) : ''].filter(Boolean).join(', ');
+    return `<li><a href="#" onclick="UI.closeModal(); Plots.showPlotDetails('${escapeThreadHtml(plot.id)}'); return false;">${escapeThreadHtml(plot.title || 'Untitled')}</a>${where ? ` <small>(${escapeThreadHtml(where)})</small>` : ''}</li>`;
+}
+
+// Show setups without payoffs per book, open threads and unresolved character arcs
+function showOpenThreadsReport() {
+    const report = findOpenThreads();
+
+    const bookSections = report.books.map(entry => `
+        <div class="open-threads-book">
+            <h3>${escapeThreadHtml(entry.book || 'No book')}</h3>
+            ${entry.setups.length > 0 ? `
+                <h4>Setups without a payoff (${entry.setups.length})</h4>
+                <ul>${entry.setups.map(renderReportPlot).join('')}</ul>
+            ` : ''}
+            ${entry.threads.length > 0 ? `
+                <h4>Unresolved threads (${entry.threads.length})</h4>
+                <ul>${entry.threads.map(renderReportPlot).join('')}</ul>
+            ` : ''}
+        </div>
+    `).join('');
+
+    const characterSection = report.characters.length > 0 ? `
+        <h3>Characters whose arcs are never resolved</h3>
+        <ul>${report.characters.map(({ character, threads }) => `
+            <li><strong>${escapeThreadHtml(`${character.firstName || ''} ${character.lastName || ''}`.trim())}</strong>:
+                ${threads.map(thread => escapeThreadHtml(thread.title || 'Untitled')).join(', ')}</li>
+        `).join('')}</ul>
+    ` : '';
+
+    const misplacedSection = report.misplaced.length > 0 ? `
+        <h3>Payoffs told before their setup</h3>
+        <ul>${report.misplaced.map(({ payoff, setup }) => `
+            <li>"${escapeThreadHtml(payoff.title)}" resolves "${escapeThreadHtml(setup.title)}", which comes later in the books</li>
+        `).join('')}</ul>
+    ` : '';
+
+    const empty = !bookSections && !characterSection && !misplacedSection;
+    UI.showModal('Open Threads', `
+        <div class="open-threads-report">
+            ${empty ? '<p>Every setup has a payoff and every thread is resolved.</p>' : bookSections + characterSection + misplacedSection}
+            <p class="form-hint">Thread types: ${escapeThreadHtml((window.plotThreadTypes || []).join(', ') || 'none')}</p>
+        </div>
+    `);
+}
+
+// Export plot thread functions
+window.PlotThreads = {
+    THREAD_ROLES,
+    getThreadRoleLabel,
+    isThreadType,
+    getThreads,
+    getThreadPoints,
+    getResolvers,
+    findOpenThreads,
+    populateThreadFields,
+    readThreadFields,
+    renderThreadDetails,
+    showOpenThreadsReport
+};
@@ -11,6 +11,10 @@ let currentPlotPage = 1;
 let selectedSeries = '';
 let selectedBook = '';
 
+// Ids matching the table's and the arc view's series/book/tag filters, from the repository indexes
+const plotIndexFilter = Core.createIndexedFilter('plots');
+const plotArcIndexFilter = Core.createIndexedFilter('plots');
+
 // Store pagination settings in localStorage
 function savePaginationSettings() {
     console.log("Saving plot pagination settings:", plotsPerPage, currentPlotPage);
@@ -176,6 +180,20 @@ const DEFAULT_PLOT_TYPES = [
     'Subplot'
 ];
 
+// Statuses a plot can be in
+const PLOT_STATUSES = ['Planned', 'In Progress', 'Completed', 'Revised', 'Cut'];
+
+// Plot types that are threads unless the user has chosen otherwise
+const DEFAULT_PLOT_THREAD_TYPES = ['Main Plot', 'Character Arc', 'Quest', 'Story Arc', 'Subplot'];
+
+// Mark a plot type as a thread type and save the list
+function addPlotThreadType(type) {
+    if (!window.plotThreadTypes.includes(type)) {
+        window.plotThreadTypes.push(type);
+        localStorage.setItem('plotThreadTypes', JSON.stringify(window.plotThreadTypes));
+    }
+}
+
 // Initialize plot types
 function initializePlotTypes() {
     // Get plot types from localStorage or use defaults
@@ -199,6 +217,15 @@ function initializePlotTypes() {
         localStorage.setItem('plotTypes', JSON.stringify(window.plotTypes));
     }
     
+    // Plot types whose plots are threads other plots can belong to (see plot-threads.js)
+    try {
+        const storedThreadTypes = JSON.parse(localStorage.getItem('plotThreadTypes'));
+        window.plotThreadTypes = Array.isArray(storedThreadTypes) ? storedThreadTypes : DEFAULT_PLOT_THREAD_TYPES.slice();
+    } catch (error) {
+        console.error('Error parsing plot thread types:', error);
+        window.plotThreadTypes = DEFAULT_PLOT_THREAD_TYPES.slice();
+    }
+    
     // After loading the plot types, make sure we have CSS styles for custom types
     initializeCustomPlotTypeStyles();
     
@@ -244,9 +271,9 @@ initializePlotTypes();
 
 // Initialize plots
 function initializePlots() {
-    // Load plots from localStorage if not already loaded
+    // Load the saved plots if not already loaded
     if (plots.length === 0) {
-        plots = JSON.parse(localStorage.getItem('plots') || '[]');
+        plots = JSON.parse(Core.getStoredItem('plots') || '[]');
         
         // Add IDs to existing plots if they don't have one
         plots.forEach(plot => {
@@ -261,7 +288,7 @@ function initializePlots() {
 }
 
 // Handle plot form submission
-function handlePlotFormSubmit(e) {
+async function handlePlotFormSubmit(e) {
     e.preventDefault();
     const form = e.target;
     
@@ -357,6 +384,9 @@ function handlePlotFormSubmit(e) {
         description: description,
         characters: form.plotCharacters ? Array.from(form.plotCharacters.selectedOptions).map(option => option.value) : [],
         locations: form.plotLocations ? Array.from(form.plotLocations.selectedOptions).map(option => option.value) : [],
+        pov: form.plotPov ? form.plotPov.value : '',
+        setting: form.plotSetting ? form.plotSetting.value : '',
+        ...PlotThreads.readThreadFields(form),
         tags: pendingTags,
         status: form.plotStatus.value,
         order: form.plotOrder.value ? parseInt(form.plotOrder.value) : null,
@@ -365,13 +395,26 @@ function handlePlotFormSubmit(e) {
     };
 
     try {
-        plots.push(plot);
-        if (!Core.safelyStoreItem('plots', JSON.stringify(plots))) {
-            // If storage fails, remove the plot we just added
-            plots.pop();
+        const isUpdate = Boolean(window.originalEditPlot && window.originalEditPlot.id === plot.id);
+        const saved = await UndoManager.transaction(`${isUpdate ? 'Update' : 'Add'} plot "${plotTitle}"`, async () => {
+            plots.push(plot);
+            if (!await Core.safelyStoreItem('plots', JSON.stringify(plots))) {
+                // If storage fails, remove the plot we just added
+                plots.splice(plots.indexOf(plot), 1);
+                Core.safelyStoreItem('plots', JSON.stringify(plots));
+                return false;
+            }
+            return true;
+        });
+        if (!saved) {
             return;
         }
         
+        // Keep the saved version in the revision history
+        if (window.RevisionHistory) {
+            RevisionHistory.recordRevision('plot', plot, window.originalEditPlot);
+        }
+        
         // Add to recent activity
         Dashboard.addActivity('plot', `Added plot "${plotTitle}"`, plot.id);
         
@@ -425,6 +468,9 @@ function handlePlotFormSubmit(e) {
                 option.selected = false;
             });
         }
+        
+        // The saved plot may be a new thread or setup the next plot can refer to
+        PlotThreads.populateThreadFields(form, null);
     } catch (error) {
         Core.showToast('Error saving plot: ' + error.message, 'error');
     }
@@ -451,21 +497,56 @@ function createPlotDeleteButton(plotId) {
     return button;
 }
 
-// Display plots
-function displayPlots() {
-    const plotList = document.getElementById('plotList');
-    if (!plotList) return;
-
-    // Clear existing content
-    plotList.innerHTML = '';
+// The table filters the repository indexes can answer
+function getPlotIndexCriteria() {
+    return {
+        series: document.getElementById('filterPlotSeries')?.value || '',
+        book: document.getElementById('filterPlotBook')?.value || '',
+        tag: window.currentPlotTagFilter || ''
+    };
+}
 
+// Plots matching the table's search, advanced filters and tag filter, in its sort order
+function getFilteredPlots() {
     // Get all plots using the global plots array
     const allPlots = window.plots || [];
     
+    const searchTerm = document.getElementById('plotSearchInput')?.value.toLowerCase() || '';
+    const searchField = document.getElementById('plotSearchField')?.value || 'all';
+    const criteria = getPlotIndexCriteria();
+    const indexedIds = plotIndexFilter.idsFor(criteria);
+    const filterType = document.getElementById('filterPlotType')?.value || '';
+    const filterStatus = document.getElementById('filterPlotStatus')?.value || '';
+    
+    let filteredPlots = allPlots;
+    if (searchTerm) {
+        filteredPlots = Core.fuzzySearch(
+            filteredPlots,
+            searchTerm,
+            searchField === 'all' ? ['title', 'type', 'series', 'book'] : [searchField]
+        );
+    }
+    
+    filteredPlots = filteredPlots.filter(plot => {
+        if (indexedIds && plot.id) {
+            return indexedIds.has(String(plot.id)) &&
+                   (!filterType || plot.type === filterType) &&
+                   (!filterStatus || plot.status === filterStatus);
+        }
+        
+        const matchesTag = !criteria.tag ? true :
+            (plot.tags && plot.tags.includes(criteria.tag));
+        
+        return (!criteria.series || plot.series === criteria.series) &&
+               (!criteria.book || plot.book === criteria.book) &&
+               (!filterType || plot.type === filterType) &&
+               (!filterStatus || plot.status === filterStatus) &&
+               matchesTag;
+    });
+    
     // Apply sorting if needed
-    let sortedPlots = [...allPlots];
     if (currentPlotSort && currentPlotSort.column) {
-        sortedPlots.sort((a, b) => {
+        filteredPlots.sort((a, b) => {
             // Handle null/undefined values
             const aVal = a[currentPlotSort.column] || '';
             const bVal = b[currentPlotSort.column] || '';
@@ -479,9 +560,26 @@ function displayPlots() {
         });
     }
     
+    return filteredPlots;
+}
+
+// Display plots
+async function displayPlots() {
+    const plotList = document.getElementById('plotList');
+    if (!plotList) return;
+
+    // A newer call is drawing the table
+    if (!await plotIndexFilter.refresh(getPlotIndexCriteria())) return;
+
+    // Clear existing content
+    plotList.innerHTML = '';
+
+    const sortedPlots = getFilteredPlots();
+    
     // Get pagination settings
-    const currentPage = parseInt(currentPlotPage || 1);
     const itemsPerPage = parseInt(plotsPerPage || 10);
+    // Filtering can leave fewer pages than the saved page number
+    const currentPage = Math.min(parseInt(currentPlotPage || 1), Math.max(1, Math.ceil(sortedPlots.length / itemsPerPage)));
     
     // Calculate pagination
     const startIndex = (currentPage - 1) * itemsPerPage;
@@ -507,6 +605,7 @@ function displayPlots() {
                     <button class="edit-btn" onclick="Plots.editPlot('${plot.id}')" title="Edit"><i class="fas fa-edit"></i></button>
                     <button class="delete-btn plot-delete-btn" data-plot-id="${plot.id}" data-type="plot" title="Delete"><i class="fas fa-trash-alt"></i></button>
                 </td>
+                ${TableSelection.renderSelectionCell('plots', plot.id)}
             `;
             
             // Get the delete button and attach the event handler
@@ -528,6 +627,8 @@ function displayPlots() {
         });
     }
 
+    TableSelection.updateSelectionControls('plots');
+    
     // Update pagination controls if needed
     const paginationElement = document.getElementById('plotPagination');
     if (paginationElement) {
@@ -551,6 +652,11 @@ function displayPlots() {
     
     // Update the plot arc visualization
     updatePlotArcVisualization();
+    
+    // Update the outline board
+    if (window.OutlineBoard) {
+        OutlineBoard.displayOutlineBoard();
+    }
 }
 
 // Show plot details
@@ -576,9 +682,16 @@ function showPlotDetails(plotId) {
         return location ? location.name : null;
     }).filter(Boolean) : [];
     
+    // Get the point-of-view character and setting
+    const povCharacter = plot.pov ? characters.find(c => c.id === plot.pov) : null;
+    const setting = plot.setting ? locations.find(l => l.id === plot.setting) : null;
+    
     // Get tags
     const plotTags = Tags.getEntityTags('plot', plot.id);
     
+    // Get dated timeline events for this plot
+    const plotEvents = window.Timeline ? Timeline.getEventsFor('plots', plot.id) : [];
+    
     popup.innerHTML = `
         <div class="popup-content">
             <span class="close-btn" onclick="this.parentElement.parentElement.remove()">Close</span>
@@ -596,6 +709,8 @@ function showPlotDetails(plotId) {
                 <p><strong>Series:</strong> ${plot.series || 'N/A'}</p>
                 <p><strong>Book:</strong> ${plot.book || 'N/A'}</p>
                 <p><strong>Chapter:</strong> ${plot.chapter || 'N/A'}</p>
+                <p><strong>Point of View:</strong> ${povCharacter ? `${povCharacter.firstName} ${povCharacter.lastName}`.trim() : 'N/A'}</p>
+                <p><strong>Setting:</strong> ${setting ? setting.name : 'N/A'}</p>
             </div>
             
             <div class="details-section">
@@ -604,6 +719,11 @@ function showPlotDetails(plotId) {
                 <p><strong>Locations:</strong> ${relatedLocations.length > 0 ? relatedLocations.join(', ') : 'None'}</p>
             </div>
             
+            <div class="details-section">
+                <h3>Thread</h3>
+                ${PlotThreads.renderThreadDetails(plot)}
+            </div>
+            
             <div class="details-section">
                 <h3>Tags</h3>
                 <div class="entity-tags">
@@ -618,6 +738,15 @@ function showPlotDetails(plotId) {
                 </div>
             </div>
 
+            <div class="details-section">
+                <h3>Timeline</h3>
+                ${plotEvents.length > 0 ?
+                    plotEvents.map(event => `<p><strong>${Calendars.formatDate(event.date)}:</strong> ${event.title}</p>`).join('') :
+                    '<p>Not on the in-world timeline yet</p>'
+                }
+                <button class="btn btn-small" onclick="this.closest('.character-popup').remove(); Timeline.showEventForm(null, { plots: ['${plot.id}'], title: ${JSON.stringify(plot.title || '').replace(/"/g, '&quot;')} })">Add Timeline Event</button>
+            </div>
+
             <div class="details-section">
                 <h3>Description</h3>
                 <div>${plot.description || 'No description available'}</div>
@@ -625,6 +754,11 @@ function showPlotDetails(plotId) {
         </div>
     `;
 
+    // Add the revision history panel
+    if (window.RevisionHistory) {
+        popup.querySelector('.popup-content').appendChild(RevisionHistory.createHistoryPanel('plot', plot.id));
+    }
+
     document.body.appendChild(popup);
 }
 
@@ -634,7 +768,7 @@ window.originalEditPlot = null;
 // Edit plot
 function editPlot(plotId) {
     // Check if another plot is already being edited
-    Core.checkForUnsavedChanges('plot', function() {
+    Core.checkForUnsavedChanges('plot', async function() {
         const plot = plots.find(p => p.id === plotId);
         if (!plot) {
             Core.showToast('Plot not found', 'error');
@@ -680,6 +814,13 @@ function editPlot(plotId) {
             });
         }
         
+        // Set point of view and setting
+        if (form.plotPov) form.plotPov.value = plot.pov || '';
+        if (form.plotSetting) form.plotSetting.value = plot.setting || '';
+        
+        // Set thread, role and the setups this plot resolves
+        PlotThreads.populateThreadFields(form, plot);
+        
         // Set up tag selector
         const plotTagSelector = document.getElementById('plotTagSelector');
         if (plotTagSelector) {
@@ -692,9 +833,17 @@ function editPlot(plotId) {
         if (plotIndex !== -1) {
             plots.splice(plotIndex, 1);
             
-            if (!Core.safelyStoreItem('plots', JSON.stringify(plots))) {
+            // Taking the plot out for editing is folded into the undo step of the save
+            const stored = await UndoManager.transaction(`Edit plot "${plot.title}"`, async () => {
+                if (await Core.safelyStoreItem('plots', JSON.stringify(plots))) return true;
+                
                 // If storage fails, restore the plot
                 plots.splice(plotIndex, 0, plot);
+                Core.safelyStoreItem('plots', JSON.stringify(plots));
+                return false;
+            }, { deferred: true });
+            
+            if (!stored) {
                 return;
             }
             
@@ -728,127 +877,131 @@ function deletePlot(plotId) {
     
     // Use native confirm dialog - simplest solution to avoid conflicts
     if (confirm(`Are you sure you want to delete the plot "${plotTitle}"?`)) {
-        // User confirmed deletion
-        console.log(`Deleting plot: ${deletedPlot.title} (ID: ${plotId})`);
-        
-        // 1. Check for and update any related characters
-        if (deletedPlot.characters && deletedPlot.characters.length > 0) {
-            console.log(`Removing references from ${deletedPlot.characters.length} characters`);
+        // Record the deletion and the reference cleanup as one undoable step
+        UndoManager.transaction(`Delete plot "${plotTitle}"`, async () => {
+            // User confirmed deletion
+            console.log(`Deleting plot: ${deletedPlot.title} (ID: ${plotId})`);
+        
+            // 1. Check for and update any related characters
+            if (deletedPlot.characters && deletedPlot.characters.length > 0) {
+                console.log(`Removing references from ${deletedPlot.characters.length} characters`);
             
-            // Loop through each character referenced by this plot
-            deletedPlot.characters.forEach(charId => {
-                // Find the character
-                const character = characters.find(c => c.id === charId);
-                if (character) {
-                    console.log(`Processing character: ${character.firstName} ${character.lastName}`);
+                // Loop through each character referenced by this plot
+                deletedPlot.characters.forEach(charId => {
+                    // Find the character
+                    const character = characters.find(c => c.id === charId);
+                    if (character) {
+                        console.log(`Processing character: ${character.firstName} ${character.lastName}`);
                     
-                    // If character has a plots array, remove this plot's ID from it
-                    if (character.plots) {
-                        const charPlotIndex = character.plots.indexOf(plotId);
-                        if (charPlotIndex !== -1) {
-                            console.log(`Removing plot reference from character`);
-                            character.plots.splice(charPlotIndex, 1);
+                        // If character has a plots array, remove this plot's ID from it
+                        if (character.plots) {
+                            const charPlotIndex = character.plots.indexOf(plotId);
+                            if (charPlotIndex !== -1) {
+                                console.log(`Removing plot reference from character`);
+                                character.plots.splice(charPlotIndex, 1);
+                            }
+                        } else {
+                            // Initialize plots array if it doesn't exist
+                            character.plots = [];
                         }
-                    } else {
-                        // Initialize plots array if it doesn't exist
-                        character.plots = [];
                     }
-                }
-            });
+                });
             
-            // Save updated characters to localStorage
-            console.log('Saving updated characters to localStorage');
-            Core.safelyStoreItem('characters', JSON.stringify(characters));
-        }
+                // Save updated characters to localStorage
+                console.log('Saving updated characters to localStorage');
+                Core.safelyStoreItem('characters', JSON.stringify(characters));
+            }
         
-        // 2. Check for and update any related locations
-        if (deletedPlot.locations && deletedPlot.locations.length > 0) {
-            console.log(`Removing references from ${deletedPlot.locations.length} locations`);
+            // 2. Check for and update any related locations
+            if (deletedPlot.locations && deletedPlot.locations.length > 0) {
+                console.log(`Removing references from ${deletedPlot.locations.length} locations`);
             
-            // Loop through each location referenced by this plot
-            deletedPlot.locations.forEach(locId => {
-                // Find the location
-                const location = locations.find(l => l.id === locId);
-                if (location) {
-                    console.log(`Processing location: ${location.name}`);
+                // Loop through each location referenced by this plot
+                deletedPlot.locations.forEach(locId => {
+                    // Find the location
+                    const location = locations.find(l => l.id === locId);
+                    if (location) {
+                        console.log(`Processing location: ${location.name}`);
                     
-                    // If location has a plots array, remove this plot's ID from it
-                    if (location.plots) {
-                        const locPlotIndex = location.plots.indexOf(plotId);
-                        if (locPlotIndex !== -1) {
-                            console.log(`Removing plot reference from location`);
-                            location.plots.splice(locPlotIndex, 1);
+                        // If location has a plots array, remove this plot's ID from it
+                        if (location.plots) {
+                            const locPlotIndex = location.plots.indexOf(plotId);
+                            if (locPlotIndex !== -1) {
+                                console.log(`Removing plot reference from location`);
+                                location.plots.splice(locPlotIndex, 1);
+                            }
+                        } else {
+                            // Initialize plots array if it doesn't exist
+                            location.plots = [];
                         }
-                    } else {
-                        // Initialize plots array if it doesn't exist
-                        location.plots = [];
                     }
-                }
-            });
+                });
             
-            // Save updated locations to localStorage
-            console.log('Saving updated locations to localStorage');
-            Core.safelyStoreItem('locations', JSON.stringify(locations));
-        }
+                // Save updated locations to localStorage
+                console.log('Saving updated locations to localStorage');
+                Core.safelyStoreItem('locations', JSON.stringify(locations));
+            }
         
-        // 3. Check for and update any plots that reference this plot
-        console.log('Checking for plots that reference the deleted plot');
-        let updatedReferencingPlots = false;
+            // 3. Check for and update any plots that reference this plot
+            console.log('Checking for plots that reference the deleted plot');
+            let updatedReferencingPlots = false;
         
-        plots.forEach(plot => {
-            if (plot.id !== plotId) { // Skip the plot being deleted
-                // Check if this plot references the deleted plot
-                let updated = false;
+            plots.forEach(plot => {
+                if (plot.id !== plotId) { // Skip the plot being deleted
+                    // Check if this plot references the deleted plot
+                    let updated = false;
                 
-                // A plot might reference another plot in these fields that could
-                // contain plot IDs (if your schema supports it):
-                // This is a common pattern for plot references, but modify according to your schema
-                const possibleReferenceFields = ['relatedPlots', 'parentPlot', 'childPlots', 'dependencies'];
+                    // A plot might reference another plot in these fields that could
+                    // contain plot IDs (if your schema supports it):
+                    // This is a common pattern for plot references, but modify according to your schema
+                    const possibleReferenceFields = ['relatedPlots', 'parentPlot', 'childPlots', 'dependencies', 'thread', 'resolves'];
                 
-                possibleReferenceFields.forEach(field => {
-                    if (plot[field]) {
-                        if (Array.isArray(plot[field])) {
-                            // If the field is an array of IDs
-                            const refIndex = plot[field].indexOf(plotId);
-                            if (refIndex !== -1) {
-                                console.log(`Removing reference from plot ${plot.title}'s ${field} array`);
-                                plot[field].splice(refIndex, 1);
+                    possibleReferenceFields.forEach(field => {
+                        if (plot[field]) {
+                            if (Array.isArray(plot[field])) {
+                                // If the field is an array of IDs
+                                const refIndex = plot[field].indexOf(plotId);
+                                if (refIndex !== -1) {
+                                    console.log(`Removing reference from plot ${plot.title}'s ${field} array`);
+                                    plot[field].splice(refIndex, 1);
+                                    updated = true;
+                                }
+                            } else if (plot[field] === plotId) {
+                                // If the field is a direct reference
+                                console.log(`Clearing direct reference from plot ${plot.title}'s ${field}`);
+                                plot[field] = null;
                                 updated = true;
                             }
-                        } else if (plot[field] === plotId) {
-                            // If the field is a direct reference
-                            console.log(`Clearing direct reference from plot ${plot.title}'s ${field}`);
-                            plot[field] = null;
-                            updated = true;
                         }
-                    }
-                });
+                    });
                 
-                if (updated) {
-                    updatedReferencingPlots = true;
+                    if (updated) {
+                        updatedReferencingPlots = true;
+                    }
                 }
-            }
-        });
+            });
         
-        // Now remove the plot itself
-        plots.splice(plotIndex, 1);
+            // Now remove the plot itself
+            plots.splice(plotIndex, 1);
         
-        // Save the updated plots array if needed
-        if (updatedReferencingPlots || true) {
-            console.log('Saving updated plots to localStorage');
-            if (!Core.safelyStoreItem('plots', JSON.stringify(plots))) {
-                // If storage fails, restore the plot
-                console.error('Failed to save plots to localStorage, restoring deleted plot');
-                plots.splice(plotIndex, 0, deletedPlot);
-                return;
+            // Save the updated plots array if needed
+            if (updatedReferencingPlots || true) {
+                console.log('Saving updated plots to localStorage');
+                if (!await Core.safelyStoreItem('plots', JSON.stringify(plots))) {
+                    // If storage fails, restore the plot
+                    console.error('Failed to save plots to localStorage, restoring deleted plot');
+                    plots.splice(plotIndex, 0, deletedPlot);
+                    Core.safelyStoreItem('plots', JSON.stringify(plots));
+                    return;
+                }
             }
-        }
         
-        // Add to recent activity
-        Dashboard.addActivity('plot', `Deleted plot "${deletedPlot.title}"`, deletedPlot.id);
+            // Add to recent activity
+            Dashboard.addActivity('plot', `Deleted plot "${deletedPlot.title}"`, deletedPlot.id);
         
-        displayPlots();
-        Core.showToast('Plot deleted successfully');
+            displayPlots();
+            Core.showToast('Plot deleted successfully');
+        });
     } else {
         // User canceled deletion
         Core.showToast('Plot deletion canceled');
@@ -872,8 +1025,10 @@ function clearPlotForm() {
         // Add the original plot back to the array
         plots.push(window.originalEditPlot);
         
-        // Save to localStorage
-        Core.safelyStoreItem('plots', JSON.stringify(plots));
+        // Save to localStorage (cancelling an edit is not an undo step of its own)
+        UndoManager.transaction('Cancel plot edit', () => {
+            Core.safelyStoreItem('plots', JSON.stringify(plots));
+        }, { deferred: true });
         
         // Update the display
         displayPlots();
@@ -898,6 +1053,7 @@ function clearPlotForm() {
     
     // Reset form
     form.reset();
+    PlotThreads.populateThreadFields(form, null);
     
     // Reset rich text editor
     const plotDescriptionEditor = document.getElementById('plotRichTextEditor');
@@ -944,14 +1100,22 @@ function sortPlotTable(column) {
 }
 
 // Update plot arc visualization
-function updatePlotArcVisualization() {
+async function updatePlotArcVisualization() {
     const container = document.getElementById('plotArcVisualization');
     if (!container) return;
     
+    // Look the selected series and book up through the repository indexes
+    const criteria = { series: selectedSeries, book: selectedBook };
+    if (!await plotArcIndexFilter.refresh(criteria)) return;
+    const indexedIds = plotArcIndexFilter.idsFor(criteria);
+    
     container.innerHTML = '';
 
     // Filter plots based on selected series and book
     const filteredPlots = plots.filter(plot => {
+        if (indexedIds && plot.id) {
+            return indexedIds.has(String(plot.id));
+        }
         return (!selectedSeries || plot.series === selectedSeries) &&
                (!selectedBook || plot.book === selectedBook);
     });
@@ -1126,11 +1290,42 @@ function initializePlotForm() {
         });
     }
     
+    // Initialize point of view dropdown
+    const povSelect = form.plotPov;
+    if (povSelect) {
+        povSelect.innerHTML = '<option value="">Select Character</option>';
+        [...characters].sort((a, b) => {
+            const nameA = `${a.firstName} ${a.lastName}`.trim().toLowerCase();
+            const nameB = `${b.firstName} ${b.lastName}`.trim().toLowerCase();
+            return nameA.localeCompare(nameB);
+        }).forEach(character => {
+            const option = document.createElement('option');
+            option.value = character.id;
+            option.textContent = `${character.firstName} ${character.lastName}`.trim();
+            povSelect.appendChild(option);
+        });
+    }
+    
+    // Initialize setting dropdown
+    const settingSelect = form.plotSetting;
+    if (settingSelect) {
+        settingSelect.innerHTML = '<option value="">Select Location</option>';
+        locations.forEach(location => {
+            const option = document.createElement('option');
+            option.value = location.id;
+            option.textContent = location.name;
+            settingSelect.appendChild(option);
+        });
+    }
+    
+    // Initialize thread, thread role and resolved setup dropdowns
+    PlotThreads.populateThreadFields(form, null);
+    
     // Initialize status dropdown
     const statusSelect = form.plotStatus;
     if (statusSelect) {
         statusSelect.innerHTML = '<option value="">Select Status</option>';
-        ['Planned', 'In Progress', 'Completed', 'Revised', 'Cut'].forEach(status => {
+        PLOT_STATUSES.forEach(status => {
             const option = document.createElement('option');
             option.value = status;
             option.textContent = status;
@@ -1237,6 +1432,12 @@ function addNewItem(type) {
     if (type === 'plotType') {
         localStorage.setItem('plotTypes', JSON.stringify(itemArray));
         
+        const threadCheckbox = document.getElementById('newPlotTypeIsThread');
+        if (threadCheckbox && threadCheckbox.checked) {
+            addPlotThreadType(value);
+            threadCheckbox.checked = false;
+        }
+        
         // For plot types, we need to add CSS for styling in both light and dark modes
         // Add a style element to the head if it doesn't exist yet
         let styleElement = document.getElementById('dynamicPlotTypeStyles');
@@ -1398,6 +1599,9 @@ function showAddPlotTypeDialog() {
                     <input type="text" id="newPlotTypeInput" placeholder="Enter new plot type" class="form-control">
                     <div id="newPlotTypeError" class="validation-error" style="display: none; color: #dc3545; margin-top: 5px;"></div>
                 </div>
+                <label class="thread-type-option">
+                    <input type="checkbox" id="newPlotTypeThreadOption"> Thread type (other plots can belong to it)
+                </label>
             </div>
             <div class="modal-footer">
                 <button id="savePlotTypeBtn" class="primary-btn">Add</button>
@@ -1468,6 +1672,9 @@ function showAddPlotTypeDialog() {
         // Save to localStorage
         try {
             localStorage.setItem('plotTypes', JSON.stringify(window.plotTypes));
+            if (dialogContainer.querySelector('#newPlotTypeThreadOption').checked) {
+                addPlotThreadType(newType);
+            }
             console.log(`Added new plot type: ${newType}`);
             
             // Update the dropdown
@@ -1527,6 +1734,7 @@ function cancelNewItem(type) {
 window.Plots = {
     initializePlots,
     displayPlots,
+    getFilteredPlots,
     handlePlotFormSubmit,
     showPlotDetails,
     editPlot,
@@ -1539,6 +1747,8 @@ window.Plots = {
     plotsPerPage,
     currentPlotPage,
     plotTypes,
+    PLOT_STATUSES,
+    addPlotThreadType,
     savePaginationSettings,
     loadPaginationSettings,
     cancelNewItem,
@@ -0,0 +1,525 @@
+/**
+ * Relationship graph renderer for Story Database
+ * Draws the character network on the Relationships tab with a force-directed layout that
+ * runs in relationship-layout-worker.js. Nodes grow with the number of relationships a
+ * character has, edges of the same relationship type are bundled into one curved path per
+ * type, and dragging a node pins it in place. Positions are saved per database, so the
+ * graph opens the way it was left.
+ */
+
+const LAYOUT_WORKER_URL = 'js/modules/relationship-layout-worker.js';
+const GRAPH_HEIGHT = 600;
+const NODE_MIN_RADIUS = 14;
+const NODE_MAX_RADIUS = 45;
+// How far each edge bends towards the other edges of its type (0 = straight lines)
+const BUNDLE_STRENGTH = 0.35;
+// Spacing between edges of different types joining the same two characters
+const PARALLEL_EDGE_OFFSET = 14;
+// Pointer movement that turns a click on a node into a drag
+const DRAG_THRESHOLD = 4;
+
+// The graph currently on screen
+let activeGraph = null;
+
+// Saved positions by character id: { x, y, pinned }
+// The repository stores them as a list of { id, x, y, pinned } with the rest of the database
+function loadGraphLayout() {
+    const layout = {};
+    (Array.isArray(window.relationshipGraphLayout) ? window.relationshipGraphLayout : []).forEach(position => {
+        if (position && position.id) layout[position.id] = position;
+    });
+    return layout;
+}
+
+// Merge the graph's positions into the saved layout, dropping characters that no longer exist
+function saveGraphLayout(graph) {
+    const layout = loadGraphLayout();
+    graph.nodes.forEach(node => {
+        layout[node.id] = { x: Math.round(node.x * 10) / 10, y: Math.round(node.y * 10) / 10, pinned: node.pinned };
+    });
+    const existing = new Set((window.characters || []).map(character => character.id));
+
+    window.relationshipGraphLayout = Object.keys(layout)
+        .filter(id => existing.has(id))
+        .map(id => ({ id, x: layout[id].x, y: layout[id].y, pinned: Boolean(layout[id].pinned) }));
+
+    // Write failures are reported by Core; the layout is simply computed again next time
+    return Core.safelyStoreItem('relationshipGraphLayout', JSON.stringify(window.relationshipGraphLayout));
+}
+
+function getNodeRadius(degree) {
+    return Math.min(NODE_MAX_RADIUS, NODE_MIN_RADIUS + 5 * Math.sqrt(Math.max(0, degree - 1)));
+}
+
+/**
+ * Nodes and bundled edges for a set of relationships
+ * A pair of characters with several relationships of one type gets a single edge.
+ * @returns {Object} - { nodes: [{ id, name, degree, radius }], edges: [{ source, target, type, offset }], types: [{ type, count }] }
+ */
+function buildGraphData(relationshipsToShow) {
+    const nodeIndex = new Map();
+    const nodes = [];
+    const edgeKeys = new Map();
+    const edges = [];
+    const typeCounts = new Map();
+
+    const addNode = id => {
+        if (!nodeIndex.has(id)) {
+            nodeIndex.set(id, nodes.length);
+            nodes.push({ id, name: EntityReferences.getCharacterNameById(id), degree: 0 });
+        }
+        return nodeIndex.get(id);
+    };
+
+    relationshipsToShow.forEach(rel => {
+        const source = addNode(rel.character1Id);
+        const target = addNode(rel.character2Id);
+        if (source === target) return;
+
+        const type = (rel.type || 'other').toLowerCase();
+        const key = `${Math.min(source, target)}|${Math.max(source, target)}|${type}`;
+        typeCounts.set(type, (typeCounts.get(type) || 0) + 1);
+        if (edgeKeys.has(key)) return;
+
+        edgeKeys.set(key, edges.length);
+        edges.push({ source, target, type, offset: 0 });
+        nodes[source].degree++;
+        nodes[target].degree++;
+    });
+
+    // Fan out edges of different types between the same two characters
+    const byPair = new Map();
+    edges.forEach(edge => {
+        const pair = `${Math.min(edge.source, edge.target)}|${Math.max(edge.source, edge.target)}`;
+        if (!byPair.has(pair)) byPair.set(pair, []);
+        byPair.get(pair).push(edge);
+    });
+    byPair.forEach(pairEdges => {
+        pairEdges.forEach((edge, index) => {
+            edge.offset = (index - (pairEdges.length - 1) / 2) * PARALLEL_EDGE_OFFSET;
+        });
+    });
+
+    nodes.forEach(node => { node.radius = getNodeRadius(node.degree); });
+    const types = Array.from(typeCounts.entries())
+        .map(([type, count]) => ({ type, count }))
+        .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+    return { nodes, edges, types };
+}
+
+/**
+ * Starting positions: saved ones where there are any, otherwise next to already placed
+ * neighbours, otherwise on a spiral around the centre
+ * @returns {boolean} - Whether every node had a saved position
+ */
+function placeGraphNodes(graph, width) {
+    const layout = loadGraphLayout();
+    const centerX = width / 2;
+    const centerY = GRAPH_HEIGHT / 2;
+    let allSaved = true;
+
+    graph.nodes.forEach(node => {
+        const saved = layout[node.id];
+        if (saved && Number.isFinite(saved.x) && Number.isFinite(saved.y)) {
+            node.x = saved.x;
+            node.y = saved.y;
+            node.pinned = Boolean(saved.pinned);
+            node.placed = true;
+        } else {
+            node.pinned = false;
+            node.placed = false;
+            allSaved = false;
+        }
+    });
+
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+    graph.nodes.forEach((node, index) => {
+        if (node.placed) return;
+        const neighbours = graph.edges
+            .filter(edge => edge.source === index || edge.target === index)
+            .map(edge => graph.nodes[edge.source === index ? edge.target : edge.source])
+            .filter(neighbour => neighbour.placed);
+        const spiralRadius = 30 * Math.sqrt(0.5 + index);
+        const angle = index * goldenAngle;
+
+        if (neighbours.length > 0) {
+            node.x = neighbours.reduce((sum, n) => sum + n.x, 0) / neighbours.length + 40 * Math.cos(angle);
+            node.y = neighbours.reduce((sum, n) => sum + n.y, 0) / neighbours.length + 40 * Math.sin(angle);
+        } else {
+            node.x = centerX + spiralRadius * Math.cos(angle);
+            node.y = centerY + spiralRadius * Math.sin(angle);
+        }
+        node.placed = true;
+    });
+
+    return allSaved;
+}
+
+// ---- Drawing ----
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+// Path data for every edge of one type, each bent towards the middle of its type's edges
+function getBundlePath(graph, typeEdges) {
+    let centerX = 0;
+    let centerY = 0;
+    typeEdges.forEach(edge => {
+        centerX += (graph.nodes[edge.source].x + graph.nodes[edge.target].x) / 2;
+        centerY += (graph.nodes[edge.source].y + graph.nodes[edge.target].y) / 2;
+    });
+    centerX /= typeEdges.length;
+    centerY /= typeEdges.length;
+
+    return typeEdges.map(edge => {
+        const source = graph.nodes[edge.source];
+        const target = graph.nodes[edge.target];
+        const midX = (source.x + target.x) / 2;
+        const midY = (source.y + target.y) / 2;
+        const length = Math.hypot(target.x - source.x, target.y - source.y) || 1;
+        // Offset along the normal keeps parallel edges of different types apart
+        const normalX = -(target.y - source.y) / length;
+        const normalY = (target.x - source.x) / length;
+        const controlX = midX + (centerX - midX) * BUNDLE_STRENGTH + normalX * edge.offset * 2;
+        const controlY = midY + (centerY - midY) * BUNDLE_STRENGTH + normalY * edge.offset * 2;
+        return `M${source.x.toFixed(1)},${source.y.toFixed(1)}Q${controlX.toFixed(1)},${controlY.toFixed(1)} ${target.x.toFixed(1)},${target.y.toFixed(1)}`;
+    }).join('');
+}
+
+function drawGraphFrame(graph) {
+    graph.frameRequested = false;
+    graph.bundles.forEach(bundle => {
+        bundle.path.setAttribute('d', getBundlePath(graph, bundle.edges));
+    });
+    graph.nodes.forEach(node => {
+        node.element.setAttribute('transform', `translate(${node.x.toFixed(1)},${node.y.toFixed(1)})`);
+        node.element.classList.toggle('pinned', node.pinned);
+    });
+}
+
+// Redraw on the next animation frame, however many updates arrive before it
+function requestGraphFrame(graph) {
+    if (graph.frameRequested) return;
+    graph.frameRequested = true;
+    requestAnimationFrame(() => {
+        if (graph === activeGraph) drawGraphFrame(graph);
+    });
+}
+
+function renderGraphLegend(graph, getColor) {
+    const legend = document.createElement('div');
+    legend.className = 'graph-legend';
+    graph.types.forEach(({ type, count }) => {
+        const item = document.createElement('div');
+        item.className = 'graph-legend-item';
+        item.dataset.type = type;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'graph-legend-swatch';
+        swatch.style.backgroundColor = getColor(type);
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(`${type.charAt(0).toUpperCase() + type.slice(1)} (${count})`));
+
+        // Highlight one type's bundle while hovering its legend entry
+        item.addEventListener('mouseenter', () => setHighlightedType(graph, type));
+        item.addEventListener('mouseleave', () => setHighlightedType(graph, null));
+        legend.appendChild(item);
+    });
+    return legend;
+}
+
+function setHighlightedType(graph, type) {
+    graph.svg.classList.toggle('highlight-type', type !== null);
+    graph.bundles.forEach(bundle => bundle.path.classList.toggle('highlighted', bundle.type === type));
+}
+
+function renderLayoutControls(graph) {
+    const controls = document.createElement('div');
+    controls.className = 'graph-layout-controls';
+    controls.innerHTML = `
+        <button type="button" data-action="relayout" title="Run the layout again from the current positions"><i class="fas fa-project-diagram"></i> Re-run Layout</button>
+        <button type="button" data-action="unpin" title="Let every pinned character move again"><i class="fas fa-thumbtack"></i> Unpin All</button>
+    `;
+    controls.querySelector('[data-action="relayout"]').addEventListener('click', () => relayoutGraph());
+    controls.querySelector('[data-action="unpin"]').addEventListener('click', () => unpinAllNodes());
+    return controls;
+}
+
+// ---- Layout worker ----
+
+function createLayoutWorker(graph) {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        const worker = new Worker(LAYOUT_WORKER_URL);
+        worker.onmessage = event => {
+            if (graph !== activeGraph) return;
+            const { type, positions } = event.data;
+            graph.nodes.forEach((node, index) => {
+                node.x = positions[index * 2];
+                node.y = positions[index * 2 + 1];
+            });
+            requestGraphFrame(graph);
+
+            if (type === 'settled') {
+                saveGraphLayout(graph);
+                if (graph.onLayoutSettled) graph.onLayoutSettled();
+            }
+        };
+        worker.onerror = error => {
+            console.error('Relationship layout worker failed:', error.message || error);
+            worker.terminate();
+            graph.worker = null;
+        };
+        return worker;
+    } catch (error) {
+        console.warn('Relationship graph layout is unavailable, showing saved positions only:', error);
+        return null;
+    }
+}
+
+function startLayout(graph, alpha) {
+    if (!graph.worker) return;
+    graph.worker.postMessage({
+        type: 'start',
+        nodes: graph.nodes.map(node => ({ x: node.x, y: node.y, radius: node.radius, pinned: node.pinned })),
+        edges: graph.edges.map(edge => ({ source: edge.source, target: edge.target })),
+        width: graph.width,
+        height: GRAPH_HEIGHT,
+        alpha
+    });
+}
+
+// ---- Dragging and pinning ----
+
+// Pointer position in graph coordinates, taking zoom and pan into account
+function getGraphPoint(graph, event) {
+    const matrix = graph.mainGroup.getScreenCTM();
+    if (!matrix) return null;
+    const point = graph.svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(matrix.inverse());
+}
+
+function setupNodeDragging(graph, node, index) {
+    node.element.addEventListener('mousedown', downEvent => {
+        if (downEvent.button !== 0) return;
+        // Keep the background from panning while a node is held
+        downEvent.stopPropagation();
+        downEvent.preventDefault();
+
+        const startX = downEvent.clientX;
+        const startY = downEvent.clientY;
+        let dragging = false;
+
+        const onMove = moveEvent => {
+            if (!dragging && Math.hypot(moveEvent.clientX - startX, moveEvent.clientY - startY) < DRAG_THRESHOLD) return;
+            const point = getGraphPoint(graph, moveEvent);
+            if (!point) return;
+            dragging = true;
+            node.x = point.x;
+            node.y = point.y;
+            node.pinned = true;
+            if (graph.worker) graph.worker.postMessage({ type: 'drag', index, x: point.x, y: point.y });
+            requestGraphFrame(graph);
+        };
+
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            if (!dragging) return;
+            // The click that ends a drag shouldn't open the character
+            graph.suppressClick = true;
+            if (graph.worker) {
+                graph.worker.postMessage({ type: 'release', index, pinned: true });
+            } else {
+                saveGraphLayout(graph);
+            }
+        };
+
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    });
+
+    node.element.addEventListener('click', clickEvent => {
+        clickEvent.stopPropagation();
+        if (graph.suppressClick) {
+            graph.suppressClick = false;
+            return;
+        }
+        if (graph.onNodeClick) graph.onNodeClick(node.id, node.name);
+    });
+
+    // Double-clicking a pinned node lets it move with the layout again
+    node.element.addEventListener('dblclick', dblclickEvent => {
+        dblclickEvent.stopPropagation();
+        if (!node.pinned) return;
+        node.pinned = false;
+        if (graph.worker) {
+            graph.worker.postMessage({ type: 'release', index, pinned: false });
+        } else {
+            saveGraphLayout(graph);
+        }
+        requestGraphFrame(graph);
+    });
+}
+
+function setupNodeTooltip(graph, node) {
+    const tooltip = graph.tooltip;
+    if (!tooltip) return;
+
+    const moveTooltip = event => {
+        const svgRect = graph.svg.getBoundingClientRect();
+        tooltip.style.left = (event.clientX - svgRect.left + 10) + 'px';
+        tooltip.style.top = (event.clientY - svgRect.top - 30) + 'px';
+    };
+    node.element.addEventListener('mouseover', event => {
+        tooltip.textContent = `${node.name} (${node.degree} ${node.degree === 1 ? 'relationship' : 'relationships'})${node.pinned ? ', pinned' : ''}`;
+        tooltip.style.display = 'block';
+        tooltip.style.opacity = '1';
+        moveTooltip(event);
+    });
+    node.element.addEventListener('mousemove', moveTooltip);
+    node.element.addEventListener('mouseout', () => {
+        tooltip.style.display = 'none';
+        tooltip.style.opacity = '0';
+    });
+}
+
+// ---- Public functions ----
+
+/**
+ * Draw the relationship graph and start laying it out
+ * @param {Object} options
+ * @param {SVGElement} options.svg - SVG to draw in
+ * @param {SVGGElement} options.mainGroup - Group that carries the zoom and pan transform
+ * @param {HTMLElement} options.container - Positioned element for the legend and layout controls
+ * @param {HTMLElement} [options.tooltip] - Tooltip element for character names
+ * @param {Array} options.relationships - Relationships to show
+ * @param {Function} options.getColor - Colour for a relationship type
+ * @param {Function} [options.onNodeClick] - Called with (characterId, name) when a node is clicked
+ * @param {Function} [options.onLayoutSettled] - Called whenever the layout comes to rest
+ */
+function renderGraph(options) {
+    stopGraph();
+
+    const graph = buildGraphData(options.relationships);
+    Object.assign(graph, {
+        svg: options.svg,
+        mainGroup: options.mainGroup,
+        tooltip: options.tooltip || null,
+        onNodeClick: options.onNodeClick,
+        onLayoutSettled: options.onLayoutSettled,
+        width: options.svg.clientWidth || options.container.offsetWidth || 800,
+        frameRequested: false,
+        suppressClick: false,
+        worker: null
+    });
+    activeGraph = graph;
+
+    const allSaved = placeGraphNodes(graph, graph.width);
+
+    // One path per relationship type, behind the nodes
+    const edgesGroup = createSvgElement('g', { class: 'graph-edges' });
+    graph.bundles = graph.types.map(({ type }) => {
+        const path = createSvgElement('path', {
+            class: 'graph-edge-bundle',
+            'data-type': type,
+            stroke: options.getColor(type),
+            fill: 'none'
+        });
+        edgesGroup.appendChild(path);
+        return { type, path, edges: graph.edges.filter(edge => edge.type === type) };
+    });
+    options.mainGroup.appendChild(edgesGroup);
+
+    const nodesGroup = createSvgElement('g', { class: 'character-nodes' });
+    graph.nodes.forEach((node, index) => {
+        node.element = createSvgElement('g', { class: 'graph-node', 'data-character-id': node.id });
+        node.element.appendChild(createSvgElement('circle', { r: node.radius.toFixed(1) }));
+
+        const label = createSvgElement('text', { class: 'graph-node-label', y: (node.radius + 13).toFixed(1), 'text-anchor': 'middle' });
+        const firstName = node.name.split(' ')[0];
+        label.textContent = firstName.length > 12 ? firstName.substring(0, 11) + '...' : firstName;
+        node.element.appendChild(label);
+
+        setupNodeDragging(graph, node, index);
+        setupNodeTooltip(graph, node);
+        nodesGroup.appendChild(node.element);
+    });
+    options.mainGroup.appendChild(nodesGroup);
+
+    options.container.appendChild(renderLayoutControls(graph));
+    if (graph.types.length > 0) options.container.appendChild(renderGraphLegend(graph, options.getColor));
+
+    drawGraphFrame(graph);
+
+    // A layout saved for every character is shown as it was left
+    graph.worker = createLayoutWorker(graph);
+    startLayout(graph, allSaved ? 0 : 1);
+    if (!graph.worker && graph.onLayoutSettled) graph.onLayoutSettled();
+}
+
+// Stop the layout of the graph on screen
+function stopGraph() {
+    if (activeGraph && activeGraph.worker) {
+        activeGraph.worker.terminate();
+    }
+    activeGraph = null;
+}
+
+// Run the layout again from the current positions, keeping pinned characters where they are
+function relayoutGraph() {
+    if (!activeGraph || !activeGraph.worker) return;
+    activeGraph.worker.postMessage({ type: 'reheat', alpha: 1 });
+}
+
+function unpinAllNodes() {
+    if (!activeGraph) return;
+    activeGraph.nodes.forEach(node => { node.pinned = false; });
+    if (activeGraph.worker) {
+        activeGraph.worker.postMessage({ type: 'unpinAll' });
+    } else {
+        saveGraphLayout(activeGraph);
+    }
+    requestGraphFrame(activeGraph);
+}
+
+/**
+ * Zoom and pan that fit the whole graph in view
+ * @returns {Object|null} - { scale, translateX, translateY }, or null without a graph
+ */
+function getFitTransform() {
+    if (!activeGraph || activeGraph.nodes.length === 0) return null;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    activeGraph.nodes.forEach(node => {
+        minX = Math.min(minX, node.x - node.radius);
+        maxX = Math.max(maxX, node.x + node.radius);
+        minY = Math.min(minY, node.y - node.radius);
+        // Leave room for the name under the node
+        maxY = Math.max(maxY, node.y + node.radius + 18);
+    });
+
+    const width = activeGraph.svg.clientWidth || activeGraph.width;
+    const margin = 20;
+    const scale = Math.max(0.2, Math.min(1, (width - margin * 2) / (maxX - minX || 1), (GRAPH_HEIGHT - margin * 2) / (maxY - minY || 1)));
+    return {
+        scale,
+        translateX: (width - (maxX - minX) * scale) / 2 - minX * scale,
+        translateY: (GRAPH_HEIGHT - (maxY - minY) * scale) / 2 - minY * scale
+    };
+}
+
+// Export relationship graph functions
+window.RelationshipGraph = {
+    renderGraph,
+    stopGraph,
+    relayoutGraph,
+    unpinAllNodes,
+    getFitTransform,
+    buildGraphData
+};
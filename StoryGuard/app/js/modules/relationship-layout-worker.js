@@ -0,0 +1,290 @@
+/**
+ * Force-directed layout for the relationship graph (see relationship-graph.js)
+ * Runs in a Web Worker so large casts don't block the page. Links pull related characters
+ * together, every character pushes the others away (Barnes-Hut approximation, so a tick
+ * costs O(n log n)) and a weak pull towards the centre keeps separate groups in view.
+ *
+ * Messages in:
+ *   start    { nodes: [{ x, y, radius, pinned }], edges: [{ source, target }], width, height, alpha }
+ *   drag     { index, x, y }       Hold a node where the user is dragging it
+ *   release  { index, pinned }     Let go of a dragged node, leaving it pinned or not
+ *   unpinAll                       Free every pinned node
+ *   reheat   { alpha }             Run the layout again from the current positions
+ * Messages out:
+ *   tick     { positions, alpha }  Float64Array of x, y pairs in node order
+ *   settled  { positions }         The layout has come to rest
+ */
+
+const LINK_DISTANCE = 60;
+const CHARGE_STRENGTH = -300;
+const CENTER_STRENGTH = 0.04;
+const VELOCITY_DECAY = 0.4;
+const THETA_SQUARED = 0.81;
+const ALPHA_MIN = 0.001;
+const ALPHA_DECAY = 1 - Math.pow(ALPHA_MIN, 1 / 300);
+// Time spent on ticks before handing positions back, so each frame gets an update
+const BATCH_MS = 12;
+
+let nodes = [];
+let edges = [];
+let centerX = 0;
+let centerY = 0;
+let alpha = 0;
+let alphaTarget = 0;
+let timer = null;
+
+// Nudge coincident nodes apart in a repeatable way
+function jiggle(index) {
+    return ((index * 7919) % 13 - 6) * 1e-3 || 1e-3;
+}
+
+// ---- Barnes-Hut quadtree ----
+
+function createQuad(x0, y0, size) {
+    return { x0, y0, size, children: null, members: [], mass: 0, cx: 0, cy: 0 };
+}
+
+function buildQuadtree() {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    nodes.forEach(node => {
+        if (node.x < x0) x0 = node.x;
+        if (node.y < y0) y0 = node.y;
+        if (node.x > x1) x1 = node.x;
+        if (node.y > y1) y1 = node.y;
+    });
+    const root = createQuad(x0, y0, Math.max(x1 - x0, y1 - y0, 1));
+    nodes.forEach((node, index) => insertIntoQuad(root, index, 0));
+    accumulateQuad(root);
+    return root;
+}
+
+function insertIntoQuad(quad, index, depth) {
+    // A leaf holds one node, or several that are too close together to split
+    if (!quad.children && (quad.members.length === 0 || depth > 30)) {
+        quad.members.push(index);
+        return;
+    }
+    if (!quad.children) {
+        quad.children = [null, null, null, null];
+        quad.members.splice(0).forEach(member => insertIntoChild(quad, member, depth));
+    }
+    insertIntoChild(quad, index, depth);
+}
+
+function insertIntoChild(quad, index, depth) {
+    const half = quad.size / 2;
+    const node = nodes[index];
+    const right = node.x >= quad.x0 + half ? 1 : 0;
+    const bottom = node.y >= quad.y0 + half ? 1 : 0;
+    const slot = right + bottom * 2;
+    if (!quad.children[slot]) {
+        quad.children[slot] = createQuad(quad.x0 + right * half, quad.y0 + bottom * half, half);
+    }
+    insertIntoQuad(quad.children[slot], index, depth + 1);
+}
+
+// Total charge and centre of charge of every quad
+function accumulateQuad(quad) {
+    let mass = 0, cx = 0, cy = 0;
+    if (quad.children) {
+        quad.children.forEach(child => {
+            if (!child) return;
+            accumulateQuad(child);
+            mass += child.mass;
+            cx += child.cx * child.mass;
+            cy += child.cy * child.mass;
+        });
+    } else {
+        quad.members.forEach(index => {
+            mass += CHARGE_STRENGTH;
+            cx += nodes[index].x * CHARGE_STRENGTH;
+            cy += nodes[index].y * CHARGE_STRENGTH;
+        });
+    }
+    quad.mass = mass;
+    quad.cx = mass ? cx / mass : 0;
+    quad.cy = mass ? cy / mass : 0;
+}
+
+function pushAway(node, index, dx, dy, mass) {
+    if (dx === 0) dx = jiggle(index);
+    if (dy === 0) dy = jiggle(index + 1);
+    let distanceSquared = dx * dx + dy * dy;
+    if (distanceSquared < 1) distanceSquared = Math.sqrt(distanceSquared);
+    node.vx += dx * mass * alpha / distanceSquared;
+    node.vy += dy * mass * alpha / distanceSquared;
+}
+
+function applyCharge(root) {
+    nodes.forEach((node, index) => {
+        const stack = [root];
+        while (stack.length > 0) {
+            const quad = stack.pop();
+            if (!quad.mass) continue;
+
+            if (!quad.children) {
+                quad.members.forEach(member => {
+                    if (member !== index) pushAway(node, index, nodes[member].x - node.x, nodes[member].y - node.y, CHARGE_STRENGTH);
+                });
+                continue;
+            }
+
+            // Far enough away to treat the whole quad as one body
+            const dx = quad.cx - node.x;
+            const dy = quad.cy - node.y;
+            if ((quad.size * quad.size) / THETA_SQUARED < dx * dx + dy * dy) {
+                pushAway(node, index, dx, dy, quad.mass);
+                continue;
+            }
+            quad.children.forEach(child => { if (child) stack.push(child); });
+        }
+    });
+}
+
+// ---- Other forces ----
+
+function applyLinks() {
+    edges.forEach(edge => {
+        const source = nodes[edge.source];
+        const target = nodes[edge.target];
+        let dx = target.x + target.vx - source.x - source.vx || jiggle(edge.source);
+        let dy = target.y + target.vy - source.y - source.vy || jiggle(edge.target);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const length = (distance - edge.distance) / distance * alpha * edge.strength;
+        dx *= length;
+        dy *= length;
+        target.vx -= dx * edge.bias;
+        target.vy -= dy * edge.bias;
+        source.vx += dx * (1 - edge.bias);
+        source.vy += dy * (1 - edge.bias);
+    });
+}
+
+function applyCentering() {
+    nodes.forEach(node => {
+        node.vx += (centerX - node.x) * CENTER_STRENGTH * alpha;
+        node.vy += (centerY - node.y) * CENTER_STRENGTH * alpha;
+    });
+}
+
+function tick() {
+    alpha += (alphaTarget - alpha) * ALPHA_DECAY;
+
+    applyLinks();
+    applyCharge(buildQuadtree());
+    applyCentering();
+
+    nodes.forEach(node => {
+        if (node.fx !== null) {
+            node.x = node.fx;
+            node.y = node.fy;
+            node.vx = 0;
+            node.vy = 0;
+            return;
+        }
+        node.vx *= 1 - VELOCITY_DECAY;
+        node.vy *= 1 - VELOCITY_DECAY;
+        node.x += node.vx;
+        node.y += node.vy;
+    });
+}
+
+function getPositions() {
+    const positions = new Float64Array(nodes.length * 2);
+    nodes.forEach((node, index) => {
+        positions[index * 2] = node.x;
+        positions[index * 2 + 1] = node.y;
+    });
+    return positions;
+}
+
+function run() {
+    timer = null;
+    const started = Date.now();
+    while (Date.now() - started < BATCH_MS && (alpha >= ALPHA_MIN || alphaTarget > 0)) {
+        tick();
+    }
+
+    const positions = getPositions();
+    if (alpha < ALPHA_MIN && alphaTarget === 0) {
+        self.postMessage({ type: 'settled', positions }, [positions.buffer]);
+        return;
+    }
+    self.postMessage({ type: 'tick', positions, alpha }, [positions.buffer]);
+    timer = setTimeout(run, 0);
+}
+
+function restart(newAlpha) {
+    alpha = Math.max(alpha, newAlpha);
+    if (timer === null) timer = setTimeout(run, 0);
+}
+
+function start(data) {
+    nodes = data.nodes.map(node => ({
+        x: node.x,
+        y: node.y,
+        vx: 0,
+        vy: 0,
+        radius: node.radius || 10,
+        fx: node.pinned ? node.x : null,
+        fy: node.pinned ? node.y : null
+    }));
+
+    // Characters with many relationships are held less tightly by each of them
+    const degree = new Array(nodes.length).fill(0);
+    data.edges.forEach(edge => {
+        degree[edge.source]++;
+        degree[edge.target]++;
+    });
+    edges = data.edges.map(edge => ({
+        source: edge.source,
+        target: edge.target,
+        distance: LINK_DISTANCE + nodes[edge.source].radius + nodes[edge.target].radius,
+        strength: 1 / Math.min(degree[edge.source], degree[edge.target]),
+        bias: degree[edge.source] / (degree[edge.source] + degree[edge.target])
+    }));
+
+    centerX = data.width / 2;
+    centerY = data.height / 2;
+    alpha = 0;
+    alphaTarget = 0;
+    restart(data.alpha === undefined ? 1 : data.alpha);
+}
+
+self.onmessage = function(event) {
+    const data = event.data || {};
+    const node = nodes[data.index];
+
+    switch (data.type) {
+        case 'start':
+            start(data);
+            break;
+        case 'drag':
+            if (!node) return;
+            node.fx = data.x;
+            node.fy = data.y;
+            // Keep the layout warm while the node moves so its neighbours follow
+            alphaTarget = 0.3;
+            restart(0.3);
+            break;
+        case 'release':
+            if (!node) return;
+            if (!data.pinned) {
+                node.fx = null;
+                node.fy = null;
+            }
+            alphaTarget = 0;
+            restart(0.1);
+            break;
+        case 'unpinAll':
+            nodes.forEach(n => {
+                n.fx = null;
+                n.fy = null;
+            });
+            restart(0.3);
+            break;
+        case 'reheat':
+            restart(data.alpha || 1);
+            break;
+    }
+};
@@ -0,0 +1,402 @@
+/**
+ * Relationship suggestions for Story Database
+ * Finds existing characters that keep appearing together in an analysed manuscript
+ * and proposes relationships between them, ranked by how often they co-occur.
+ */
+
+// Default co-occurrence window, in paragraphs
+const DEFAULT_SUGGESTION_WINDOW = 3;
+
+// Pairs must co-occur in at least this many windows to be suggested
+const MIN_SUGGESTION_STRENGTH = 2;
+
+// Example passages kept per suggestion
+const MAX_SUGGESTION_EXAMPLES = 3;
+
+// Lines that mark a scene break inside a chapter (***, * * *, #, ~~~, ---)
+const SCENE_BREAK_PATTERN = /^\s*(?:(?:\*\s*){3,}|#|(?:~\s*){3,}|(?:-\s*){3,}|(?:•\s*){3,})\s*$/;
+
+// Manuscript from the most recent book analysis
+let suggestionManuscript = null;
+
+// Remember the manuscript analysed by Book Analysis
+function setSuggestionManuscript(manuscript) {
+    suggestionManuscript = manuscript && manuscript.text ? manuscript : null;
+}
+
+// Keys of suggestions the user rejected; stored with the rest of the database
+function getRejectedSuggestions() {
+    return Array.isArray(window.rejectedRelationshipSuggestions) ? window.rejectedRelationshipSuggestions : [];
+}
+
+// Replace the rejected suggestions, putting the previous list back if it can't be saved
+async function saveRejectedSuggestions(rejected) {
+    const previous = getRejectedSuggestions();
+    window.rejectedRelationshipSuggestions = rejected;
+    const saved = await Core.safelyStoreItem('rejectedRelationshipSuggestions', JSON.stringify(rejected));
+    if (!saved) {
+        window.rejectedRelationshipSuggestions = previous;
+    }
+    return saved;
+}
+
+// A pair's key does not depend on which character comes first
+function getSuggestionPairKey(characterA, characterB) {
+    return [characterA.id, characterB.id].sort().join('|');
+}
+
+function getSuggestionCharacterName(character) {
+    return `${character.firstName || ''} ${character.lastName || ''}`.trim();
+}
+
+// Names each character can be found by in the text
+// Names shared by several characters (e.g. a family surname) would be ambiguous, so they are left out
+function buildCharacterNameForms(characterList) {
+    const formOwners = new Map();
+
+    characterList.forEach(character => {
+        const fullName = getSuggestionCharacterName(character);
+        const forms = new Set([fullName, character.firstName, character.lastName, ...(character.aliases || [])]);
+        forms.forEach(form => {
+            const cleanForm = (form || '').trim();
+            if (cleanForm.length < 2) return;
+            if (!formOwners.has(cleanForm)) formOwners.set(cleanForm, new Set());
+            formOwners.get(cleanForm).add(character.id);
+        });
+    });
+
+    const forms = [];
+    formOwners.forEach((owners, form) => {
+        if (owners.size === 1) {
+            forms.push({ form, characterId: [...owners][0] });
+        }
+    });
+
+    // Longest first so "Harry Potter" is matched before "Harry"
+    return forms.sort((a, b) => b.form.length - a.form.length);
+}
+
+// Characters mentioned in a passage
+function findCharactersInPassage(passage, nameForms) {
+    const found = new Set();
+    const taken = [];
+
+    nameForms.forEach(({ form, characterId }) => {
+        const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[^\\w'])(${escaped})(?![\\w])`, 'g');
+        let match;
+        while ((match = pattern.exec(passage)) !== null) {
+            const start = match.index + match[1].length;
+            const end = start + match[2].length;
+            if (!taken.some(range => start < range.end && end > range.start)) {
+                taken.push({ start, end });
+                found.add(characterId);
+            }
+        }
+    });
+
+    return found;
+}
+
+// Split a chapter into paragraphs, using blank lines when the text has them
+function splitSuggestionParagraphs(text) {
+    const lines = text.split('\n');
+    const blankLines = lines.filter(line => !line.trim()).length;
+    // Hard-wrapped text separates paragraphs with blank lines; otherwise each line is a paragraph
+    const blocks = blankLines * 10 >= lines.length ? text.split(/\n\s*\n/) : lines;
+    return blocks.map(block => block.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+// Windows of passages to look for co-occurrence in, never crossing a chapter
+function buildSuggestionWindows(manuscript, options) {
+    const chapters = manuscript.chapters && manuscript.chapters.length > 0 ?
+        manuscript.chapters :
+        [{ index: 0, title: 'Full text', text: manuscript.text }];
+    const windows = [];
+
+    chapters.forEach(chapter => {
+        if (options.mode === 'scene') {
+            // Each scene is one window
+            let scene = [];
+            chapter.text.split('\n').forEach(line => {
+                if (SCENE_BREAK_PATTERN.test(line)) {
+                    if (scene.length) windows.push({ chapter, paragraphs: splitSuggestionParagraphs(scene.join('\n')) });
+                    scene = [];
+                } else {
+                    scene.push(line);
+                }
+            });
+            if (scene.length) windows.push({ chapter, paragraphs: splitSuggestionParagraphs(scene.join('\n')) });
+            return;
+        }
+
+        // Sliding window of consecutive paragraphs
+        const paragraphs = splitSuggestionParagraphs(chapter.text);
+        const size = Math.max(1, options.windowSize || DEFAULT_SUGGESTION_WINDOW);
+        const lastStart = Math.max(0, paragraphs.length - size);
+        for (let start = 0; start <= lastStart; start++) {
+            windows.push({ chapter, paragraphs: paragraphs.slice(start, start + size) });
+        }
+    });
+
+    return windows;
+}
+
+// Rank pairs of existing characters by how often they appear together
+// options.mode: 'paragraphs' (sliding window of options.windowSize paragraphs) or 'scene'
+function computeRelationshipSuggestions(manuscript, options = {}) {
+    if (!manuscript || !manuscript.text) return [];
+
+    const characterList = (window.characters || []).filter(character => character && character.id);
+    const charactersById = new Map(characterList.map(character => [character.id, character]));
+    const nameForms = buildCharacterNameForms(characterList);
+    if (nameForms.length === 0) return [];
+
+    // Presence is cached per paragraph, since sliding windows overlap
+    const presenceCache = new Map();
+    const getPresence = paragraph => {
+        if (!presenceCache.has(paragraph)) {
+            presenceCache.set(paragraph, findCharactersInPassage(paragraph, nameForms));
+        }
+        return presenceCache.get(paragraph);
+    };
+
+    const pairs = new Map();
+    buildSuggestionWindows(manuscript, options).forEach(({ chapter, paragraphs }) => {
+        const present = new Set();
+        paragraphs.forEach(paragraph => getPresence(paragraph).forEach(id => present.add(id)));
+        if (present.size < 2) return;
+
+        const ids = [...present].sort();
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const key = `${ids[i]}|${ids[j]}`;
+                if (!pairs.has(key)) {
+                    pairs.set(key, { key, ids: [ids[i], ids[j]], strength: 0, sameParagraph: 0, chapters: new Set(), examples: [], exampleTexts: new Set() });
+                }
+                const pair = pairs.get(key);
+                pair.strength++;
+                pair.chapters.add(chapter.index);
+
+                // Prefer passages where both are named in the same paragraph
+                paragraphs.forEach(paragraph => {
+                    const presence = getPresence(paragraph);
+                    if (!presence.has(ids[i]) || !presence.has(ids[j]) || pair.exampleTexts.has(paragraph)) return;
+                    pair.exampleTexts.add(paragraph);
+                    pair.sameParagraph++;
+                    if (pair.examples.length < MAX_SUGGESTION_EXAMPLES) {
+                        pair.examples.push({
+                            chapterTitle: chapter.title,
+                            text: paragraph.length > 400 ? `${paragraph.slice(0, 400)}…` : paragraph
+                        });
+                    }
+                });
+            }
+        }
+    });
+
+    // Leave out pairs that are already related or were rejected
+    const rejected = new Set(getRejectedSuggestions());
+    const related = new Set((window.relationships || []).map(relationship =>
+        [relationship.character1Id, relationship.character2Id].sort().join('|')
+    ));
+
+    return [...pairs.values()]
+        .filter(pair => pair.strength >= MIN_SUGGESTION_STRENGTH && !rejected.has(pair.key) && !related.has(pair.key))
+        .map(pair => {
+            const [character1, character2] = pair.ids.map(id => charactersById.get(id));
+            return {
+                key: pair.key,
+                character1,
+                character2,
+                strength: pair.strength,
+                sameParagraph: pair.sameParagraph,
+                chapterCount: pair.chapters.size,
+                examples: pair.examples
+            };
+        })
+        .sort((a, b) => b.strength - a.strength || b.sameParagraph - a.sameParagraph);
+}
+
+// Create the suggested relationship
+function acceptRelationshipSuggestion(suggestion, type) {
+    const name1 = getSuggestionCharacterName(suggestion.character1);
+    const name2 = getSuggestionCharacterName(suggestion.character2);
+
+    const added = UndoManager.transaction(`Add ${type} relationship between ${name1} and ${name2}`, () =>
+        Relationships.addRelationship(suggestion.character1.id, suggestion.character2.id, type)
+    );
+    if (!added) {
+        Core.showToast('Could not add the relationship', 'error');
+        return false;
+    }
+
+    if (window.Dashboard) {
+        Dashboard.addActivity('relationship_added', `Added ${type} relationship between ${name1} and ${name2} from manuscript suggestions`);
+    }
+    Core.showToast(`Added ${type} relationship between ${name1} and ${name2}`);
+    return true;
+}
+
+// Remember that a suggestion was rejected so it isn't proposed again
+function rejectRelationshipSuggestion(suggestion) {
+    const rejected = getRejectedSuggestions();
+    if (rejected.includes(suggestion.key)) {
+        return Promise.resolve(true);
+    }
+    return saveRejectedSuggestions([...rejected, suggestion.key]);
+}
+
+// Forget all rejections for the current database
+function clearRejectedSuggestions() {
+    return saveRejectedSuggestions([]);
+}
+
+function escapeSuggestionHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Markup for one suggestion row
+function renderSuggestionRow(suggestion, index, maxStrength) {
+    const name1 = escapeSuggestionHtml(getSuggestionCharacterName(suggestion.character1));
+    const name2 = escapeSuggestionHtml(getSuggestionCharacterName(suggestion.character2));
+    const typeOptions = (window.relationshipTypes || ['friend', 'family', 'ally', 'enemy', 'other'])
+        .map(type => `<option value="${escapeSuggestionHtml(type)}">${escapeSuggestionHtml(type.charAt(0).toUpperCase() + type.slice(1))}</option>`)
+        .join('');
+    const examples = suggestion.examples.map(example => `
+        <blockquote class="suggestion-example">
+            <small>${escapeSuggestionHtml(example.chapterTitle)}</small>
+            ${escapeSuggestionHtml(example.text)}
+        </blockquote>
+    `).join('');
+
+    return `
+        <div class="relationship-suggestion" data-index="${index}">
+            <div class="suggestion-header">
+                <strong>${name1}</strong> &amp; <strong>${name2}</strong>
+                <div class="suggestion-strength" title="Appear together in ${suggestion.strength} windows">
+                    <div style="width: ${Math.round((suggestion.strength / maxStrength) * 100)}%;"></div>
+                </div>
+            </div>
+            <div class="suggestion-meta">
+                Together in ${suggestion.strength} passage window${suggestion.strength === 1 ? '' : 's'}
+                across ${suggestion.chapterCount} chapter${suggestion.chapterCount === 1 ? '' : 's'};
+                named in the same paragraph ${suggestion.sameParagraph} time${suggestion.sameParagraph === 1 ? '' : 's'}.
+            </div>
+            ${examples ? `<details><summary>Example passages</summary>${examples}</details>` : ''}
+            <div class="suggestion-actions">
+                <select class="suggestion-type">${typeOptions}</select>
+                <button type="button" class="suggestion-accept"><i class="fas fa-check"></i> Accept</button>
+                <button type="button" class="suggestion-reject"><i class="fas fa-times"></i> Reject</button>
+            </div>
+        </div>
+    `;
+}
+
+// Show the suggestions dialog for the last analysed manuscript
+function showRelationshipSuggestions(options = {}) {
+    if (!suggestionManuscript) {
+        Core.showToast('Analyze a book in the Analyze Book tab first', 'warning');
+        return;
+    }
+
+    const settings = {
+        mode: options.mode || 'paragraphs',
+        windowSize: options.windowSize || DEFAULT_SUGGESTION_WINDOW
+    };
+    const suggestions = computeRelationshipSuggestions(suggestionManuscript, settings);
+    const maxStrength = Math.max(1, ...suggestions.map(suggestion => suggestion.strength));
+
+    const windowOptions = [1, 2, 3, 5, 8].map(size =>
+        `<option value="${size}" ${settings.mode === 'paragraphs' && settings.windowSize === size ? 'selected' : ''}>Within ${size} paragraph${size === 1 ? '' : 's'}</option>`
+    ).join('');
+
+    const content = `
+        <div class="suggestion-controls">
+            <label>Count characters as together when they appear
+                <select id="suggestionWindow">
+                    ${windowOptions}
+                    <option value="scene" ${settings.mode === 'scene' ? 'selected' : ''}>In the same scene</option>
+                </select>
+            </label>
+            <button type="button" id="clearRejectedSuggestionsBtn" title="Propose previously rejected pairs again">Reset rejected</button>
+        </div>
+        ${suggestions.length === 0 ?
+            '<p>No new relationship suggestions. Suggestions only cover characters already in the database that aren\'t related yet.</p>' :
+            suggestions.map((suggestion, index) => renderSuggestionRow(suggestion, index, maxStrength)).join('')}
+    `;
+
+    const modal = UI.showModal(`Relationship Suggestions (${suggestions.length})`, content);
+    addSuggestionStyles();
+
+    modal.querySelector('#suggestionWindow').addEventListener('change', (e) => {
+        const value = e.target.value;
+        UI.closeModal();
+        showRelationshipSuggestions(value === 'scene' ? { mode: 'scene' } : { mode: 'paragraphs', windowSize: parseInt(value, 10) });
+    });
+
+    modal.querySelector('#clearRejectedSuggestionsBtn').addEventListener('click', async () => {
+        if (!await clearRejectedSuggestions()) {
+            Core.showToast('Could not reset the rejected suggestions', 'error');
+            return;
+        }
+        UI.closeModal();
+        showRelationshipSuggestions(settings);
+    });
+
+    modal.querySelectorAll('.relationship-suggestion').forEach(row => {
+        const suggestion = suggestions[parseInt(row.dataset.index, 10)];
+
+        row.querySelector('.suggestion-accept').addEventListener('click', () => {
+            if (acceptRelationshipSuggestion(suggestion, row.querySelector('.suggestion-type').value)) {
+                row.remove();
+            }
+        });
+
+        row.querySelector('.suggestion-reject').addEventListener('click', async () => {
+            if (!await rejectRelationshipSuggestion(suggestion)) {
+                Core.showToast('Could not save the rejected suggestion', 'error');
+                return;
+            }
+            row.remove();
+        });
+    });
+}
+
+// Styles for the suggestions dialog
+function addSuggestionStyles() {
+    if (document.getElementById('relationship-suggestion-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'relationship-suggestion-styles';
+    style.textContent = `
+        .suggestion-controls { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 15px; }
+        .relationship-suggestion { border: 1px solid #ddd; border-radius: 6px; padding: 10px; margin-bottom: 10px; }
+        .suggestion-header { display: flex; align-items: center; gap: 10px; }
+        .suggestion-strength { flex: 1; height: 6px; background: #eee; border-radius: 3px; overflow: hidden; }
+        .suggestion-strength div { height: 100%; background: #3498db; }
+        .suggestion-meta { font-size: 0.85em; color: #666; margin: 5px 0; }
+        .suggestion-example { margin: 6px 0; padding: 4px 10px; border-left: 3px solid #3498db; font-size: 0.9em; }
+        .suggestion-example small { display: block; color: #888; }
+        .suggestion-actions { display: flex; gap: 6px; justify-content: flex-end; margin-top: 6px; }
+        .dark-mode .relationship-suggestion { border-color: #555; }
+        .dark-mode .suggestion-strength { background: #495057; }
+        .dark-mode .suggestion-meta, .dark-mode .suggestion-example small { color: #adb5bd; }
+    `;
+    document.head.appendChild(style);
+}
+
+// Export relationship suggestion functions
+window.RelationshipSuggestions = {
+    setManuscript: setSuggestionManuscript,
+    computeSuggestions: computeRelationshipSuggestions,
+    acceptSuggestion: acceptRelationshipSuggestion,
+    rejectSuggestion: rejectRelationshipSuggestion,
+    getRejectedSuggestions,
+    clearRejectedSuggestions,
+    showSuggestions: showRelationshipSuggestions
+};
@@ -28,7 +28,8 @@
     }
 
     // Initialize global variables
-    window.relationships = window.relationships || JSON.parse(localStorage.getItem('relationships') || '[]');
+    // Core.initializeState fills this array once the database has loaded
+    window.relationships = window.relationships || JSON.parse(Core.getStoredItem('relationships') || '[]');
     const relationships = window.relationships;
     let comparisonCharacters = [];
     let selectedSourceCharacter = null;
@@ -107,7 +108,7 @@
                     sortedCharacters.forEach(char => {
                         const fullName = `${char.firstName} ${char.lastName || ''}`.trim();
                         const option = document.createElement('option');
-                        option.value = fullName;
+                        option.value = char.id;
                         option.textContent = fullName;
                         characterFilter.appendChild(option);
                     });
@@ -489,11 +490,10 @@
             const target = getCharacterFullName(selectedTargetCharacter);
             
             // Skip this check if it's the same character (other validation will catch that)
-            if (source !== target) {
+            if (selectedSourceCharacter.id !== selectedTargetCharacter.id) {
                 // Check existing relationship count
                 const existingRelationships = relationships.filter(r => 
-                    (r.character1 === source && r.character2 === target) || 
-                    (r.character1 === target && r.character2 === source)
+                    EntityReferences.relationshipConnects(r, selectedSourceCharacter.id, selectedTargetCharacter.id)
                 );
                 
                 if (existingRelationships.length >= 3) {
@@ -626,22 +626,20 @@
             // Now check for invalid conditions
             
             // 1. Check if trying to create relationship with self
-            const isSelfRelationship = getCharacterFullName(selectedSourceCharacter) === getCharacterFullName(selectedTargetCharacter);
+            const isSelfRelationship = selectedSourceCharacter.id === selectedTargetCharacter.id;
             
             // 2. Check if this specific relationship type already exists
-            const char1 = getCharacterFullName(selectedSourceCharacter);
-            const char2 = getCharacterFullName(selectedTargetCharacter);
+            const char1 = selectedSourceCharacter.id;
+            const char2 = selectedTargetCharacter.id;
             
             const relationshipExists = relationships.some(r => 
-                ((r.character1 === char1 && r.character2 === char2) || 
-                 (r.character1 === char2 && r.character2 === char1)) && 
+                EntityReferences.relationshipConnects(r, char1, char2) && 
                 r.type.toLowerCase() === selectedRelationshipType.toLowerCase()
             );
             
             // 3. Check total relationship count between these characters
             const existingRelationships = relationships.filter(r => 
-                (r.character1 === char1 && r.character2 === char2) || 
-                (r.character1 === char2 && r.character2 === char1)
+                EntityReferences.relationshipConnects(r, char1, char2)
             );
             
             const tooManyRelationships = existingRelationships.length >= 3;
@@ -901,38 +899,30 @@
             // Keep the "All Characters" option
             characterFilter.innerHTML = '<option value="all">All Characters</option>';
             
-            // Get unique character names from relationships instead of all characters
+            // Get unique characters from relationships instead of all characters
             const uniqueCharacters = new Set();
             if (window.relationships && Array.isArray(window.relationships)) {
                 window.relationships.forEach(rel => {
-                    if (characterExists(rel.character1)) {
-                        uniqueCharacters.add(rel.character1);
+                    if (characterExists(rel.character1Id)) {
+                        uniqueCharacters.add(rel.character1Id);
                     }
-                    if (characterExists(rel.character2)) {
-                        uniqueCharacters.add(rel.character2);
+                    if (characterExists(rel.character2Id)) {
+                        uniqueCharacters.add(rel.character2Id);
                     }
                 });
             }
             
-            // Sort characters alphabetically
-            const sortedCharacters = Array.from(uniqueCharacters).sort();
+            // Sort characters alphabetically by their current names
+            const sortedCharacters = Array.from(uniqueCharacters).sort((a, b) =>
+                EntityReferences.getCharacterNameById(a).localeCompare(EntityReferences.getCharacterNameById(b))
+            );
             
             // Add each character that has relationships
-            sortedCharacters.forEach(characterName => {
+            sortedCharacters.forEach(characterId => {
                 const option = document.createElement('option');
-                option.value = characterName;
-                option.textContent = characterName;
-                
-                // Try to find the character ID if available
-                const character = getActiveCharacters().find(c => {
-                    const fullName = `${c.firstName} ${c.lastName || ''}`.trim();
-                    return fullName === characterName;
-                });
-                
-                if (character && character.id) {
-                    option.setAttribute('data-character-id', character.id);
-                }
-                
+                option.value = characterId;
+                option.textContent = EntityReferences.getCharacterNameById(characterId);
+                option.setAttribute('data-character-id', characterId);
                 characterFilter.appendChild(option);
             });
             
@@ -1129,9 +1119,9 @@
             return false;
         }
         
-        // Get character names for checks
-        const char1 = getCharacterFullName(selectedSourceCharacter);
-        const char2 = getCharacterFullName(selectedTargetCharacter);
+        // Get character ids for checks
+        const char1 = selectedSourceCharacter.id;
+        const char2 = selectedTargetCharacter.id;
         
         // Check if this is the same character
         if (char1 === char2) {
@@ -1141,8 +1131,7 @@
         
         // Check if this exact relationship already exists
         const existingRelationship = relationships.find(r => 
-            (r.character1 === char1 && r.character2 === char2 && r.type === selectedRelationshipType) ||
-            (r.character1 === char2 && r.character2 === char1 && r.type === selectedRelationshipType)
+            EntityReferences.relationshipConnects(r, char1, char2) && r.type === selectedRelationshipType
         );
         
         if (existingRelationship) {
@@ -1152,8 +1141,7 @@
         
         // Check total number of relationships between these characters (max 3)
         const existingRelationships = relationships.filter(r => 
-            (r.character1 === char1 && r.character2 === char2) || 
-            (r.character1 === char2 && r.character2 === char1)
+            EntityReferences.relationshipConnects(r, char1, char2)
         );
         
         if (existingRelationships.length >= 3) {
@@ -1180,8 +1168,8 @@
         // Create new relationship
         const newRelationship = {
             id: Core.generateId(),
-            character1: char1,
-            character2: char2,
+            character1Id: selectedSourceCharacter.id,
+            character2Id: selectedTargetCharacter.id,
             type: selectedRelationshipType,
             createdAt: new Date().toISOString()
         };
@@ -1221,16 +1209,19 @@
     }
 
     // Core relationship functions
+    // Characters can be given as ids, character objects or names
     function addRelationship(character1, character2, type) {
-        if (!character1 || !character2 || !type) {
+        const character1Id = EntityReferences.resolveCharacterId(character1);
+        const character2Id = EntityReferences.resolveCharacterId(character2);
+        if (!character1Id || !character2Id || !type) {
             console.error('Missing required parameters for addRelationship');
             return false;
         }
 
         const newRelationship = {
             id: Core.generateId(),
-            character1: character1,
-            character2: character2,
+            character1Id: character1Id,
+            character2Id: character2Id,
             type: type,
             createdAt: new Date().toISOString()
         };
@@ -1251,6 +1242,7 @@
     window.Relationships.displayRelationships = displayRelationships;
     window.Relationships.updateFilteredVisualization = updateFilteredVisualization;
     window.Relationships.handleCharacterDeleted = handleCharacterDeleted;
+    window.Relationships.deleteRelationship = deleteRelationship;
     window.Relationships.getRelationshipColor = getRelationshipColor;
     window.Relationships.createNewRelationship = createNewRelationship;
     window.Relationships.clearSelections = clearSelections;
@@ -1350,14 +1342,14 @@
         
         // Check if character is already selected for comparison
         const characterName = getCharacterFullName(character);
-        if (comparisonCharacters.includes(characterName)) {
+        if (comparisonCharacters.includes(character.id)) {
             console.log('Character already selected for comparison');
             return;
         }
         
         // Add to comparison array (max 2 characters)
         if (comparisonCharacters.length < 2) {
-            comparisonCharacters.push(characterName);
+            comparisonCharacters.push(character.id);
             Core.showToast(`Added ${characterName} to comparison`);
             
             // If we have 2 characters, show comparison dialog
@@ -1366,7 +1358,7 @@
             }
         } else {
             // Replace the second character if we already have 2
-            comparisonCharacters[1] = characterName;
+            comparisonCharacters[1] = character.id;
             Core.showToast(`Added ${characterName} to comparison`);
             showCharacterComparison();
         }
@@ -1383,9 +1375,9 @@
         
         // Check if a relationship already exists
         const existingRelationship = window.relationships.find(rel => 
-            (rel.character1 === comparisonCharacters[0] && rel.character2 === comparisonCharacters[1]) ||
-            (rel.character1 === comparisonCharacters[1] && rel.character2 === comparisonCharacters[0])
+            EntityReferences.relationshipConnects(rel, comparisonCharacters[0], comparisonCharacters[1])
         );
+        const [name1, name2] = comparisonCharacters.map(id => EntityReferences.getCharacterNameById(id));
         
         if (existingRelationship) {
             // Show existing relationship
@@ -1395,7 +1387,7 @@
             const dialogContent = `
                 <div class="comparison-dialog">
                     <h3>Create Relationship</h3>
-                    <p>Create a relationship between ${comparisonCharacters[0]} and ${comparisonCharacters[1]}</p>
+                    <p>Create a relationship between ${name1} and ${name2}</p>
                     <select id="comparisonRelationshipType">
                         <option value="friend">Friend</option>
                         <option value="family">Family</option>
@@ -1419,7 +1411,7 @@
                 UI.showModal('Create Relationship', dialogContent);
             } else {
                 // Fallback
-                const confirmed = confirm(`Create a relationship between ${comparisonCharacters[0]} and ${comparisonCharacters[1]}?`);
+                const confirmed = confirm(`Create a relationship between ${name1} and ${name2}?`);
                 if (confirmed) {
                     addComparisonRelationship();
                 }
@@ -1434,7 +1426,7 @@
     }
 
     // Save relationship from comparison
-    function saveComparisonRelationship(type) {
+    async function saveComparisonRelationship(type) {
         if (comparisonCharacters.length !== 2) {
             console.error('Need exactly 2 characters for comparison relationship');
             return;
@@ -1443,8 +1435,8 @@
         // Create the relationship
         const newRelationship = {
             id: Core.generateId(),
-            character1: comparisonCharacters[0],
-            character2: comparisonCharacters[1],
+            character1Id: comparisonCharacters[0],
+            character2Id: comparisonCharacters[1],
             type: type,
             createdAt: new Date().toISOString()
         };
@@ -1453,8 +1445,9 @@
         window.relationships.push(newRelationship);
         
         // Save to localStorage
-        if (Core.safelyStoreItem('relationships', JSON.stringify(window.relationships))) {
-            Core.showToast(`Added ${type} relationship between ${comparisonCharacters[0]} and ${comparisonCharacters[1]}`);
+        if (await Core.safelyStoreItem('relationships', JSON.stringify(window.relationships))) {
+            const [name1, name2] = comparisonCharacters.map(id => EntityReferences.getCharacterNameById(id));
+            Core.showToast(`Added ${type} relationship between ${name1} and ${name2}`);
             
             // Close modal if UI module is available
             if (window.UI && window.UI.closeModal) {
@@ -1471,7 +1464,8 @@
             updateRelationshipFilterDropdowns();
         } else {
             // If storage fails, remove the relationship
-            window.relationships.pop();
+            window.relationships.splice(window.relationships.indexOf(newRelationship), 1);
+            Core.safelyStoreItem('relationships', JSON.stringify(window.relationships));
             Core.showToast('Failed to save relationship', 'error');
         }
     }
@@ -2039,38 +2033,24 @@
             }
         }
         
-        // If not found, try to find the name in existing relationships as a fallback
-        if (!characterName && window.relationships && Array.isArray(window.relationships)) {
-            // Look for any relationships with this character ID
-            const relWithChar = window.relationships.find(rel => 
-                rel.character1Id === characterId || rel.character2Id === characterId
-            );
-            
-            if (relWithChar) {
-                characterName = relWithChar.character1Id === characterId ? 
-                    relWithChar.character1 : relWithChar.character2;
-            }
-        }
-        
         console.log(`Character name for deletion: ${characterName || 'Not found in data sources'}`);
         
         // Track if any relationships were removed
         const originalCount = window.relationships.length;
         
         // Create a filtered array of relationships without the deleted character
-        // Check by BOTH name AND id to be thorough
-        const filteredRelationships = window.relationships.filter(rel => {
-            const matchesId = (rel.character1Id === characterId || rel.character2Id === characterId);
-            const matchesName = (rel.character1 === characterName || rel.character2 === characterName);
-            return !matchesId && !matchesName;
-        });
+        const filteredRelationships = window.relationships.filter(rel => 
+            !EntityReferences.relationshipInvolves(rel, characterId)
+        );
         
         // Update the global relationships array without reassignment
         window.relationships.length = 0; // Clear the array
         window.relationships.push(...filteredRelationships); // Add filtered items back
         
-        // Save to localStorage
-        Core.safelyStoreItem('relationships', JSON.stringify(window.relationships));
+        // Save to localStorage (part of the character deletion's undo step when called from there)
+        UndoManager.transaction(`Remove relationships of ${characterName || 'deleted character'}`, () => {
+            Core.safelyStoreItem('relationships', JSON.stringify(window.relationships));
+        });
         
         // Calculate how many relationships were removed
         const removedCount = originalCount - window.relationships.length;
@@ -2129,7 +2109,7 @@
             sortedCharacters.forEach(character => {
                 const fullName = `${character.firstName} ${character.lastName || ''}`.trim();
                 const option = document.createElement('option');
-                option.value = fullName;
+                option.value = character.id || '';
                 option.textContent = fullName;
                 option.setAttribute('data-character-id', character.id || '');
                 dropdown.appendChild(option);
@@ -2147,7 +2127,8 @@
         });
     }
 
-    function setupZoomAndPan(svg, mainGroup) {
+    // getHomeView, if given, returns the { scale, translateX, translateY } that Reset View goes back to
+    function setupZoomAndPan(svg, mainGroup, getHomeView) {
         // Current transformation values
         let currentScale = 1;
         let currentTranslateX = 0;
@@ -2155,6 +2136,8 @@
         let isDragging = false;
         let startDragX = 0;
         let startDragY = 0;
+        // Whether the user has zoomed or panned since the last reset
+        let viewMoved = false;
         
         // Apply transformation to the main group
         function applyTransform() {
@@ -2163,9 +2146,11 @@
         
         // Reset function to be called by button
         function resetView() {
-            currentScale = 1;
-            currentTranslateX = 0;
-            currentTranslateY = 0;
+            const home = getHomeView ? getHomeView() : null;
+            currentScale = home ? home.scale : 1;
+            currentTranslateX = home ? home.translateX : 0;
+            currentTranslateY = home ? home.translateY : 0;
+            viewMoved = false;
             applyTransform();
         }
         
@@ -2190,6 +2175,7 @@
                 currentTranslateX = mouseX - (mouseX - currentTranslateX) * scaleFactor;
                 currentTranslateY = mouseY - (mouseY - currentTranslateY) * scaleFactor;
                 currentScale = newScale;
+                viewMoved = true;
                 
                 // Apply new transformation
                 applyTransform();
@@ -2213,6 +2199,7 @@
                 
                 currentTranslateX += dx;
                 currentTranslateY += dy;
+                viewMoved = true;
                 
                 startDragX = e.clientX;
                 startDragY = e.clientY;
@@ -2242,21 +2229,27 @@
         svg.style.cursor = 'grab';
         
         // Return the reset function for external use (by the reset button)
-        return resetView;
+        return {
+            resetView,
+            hasViewMoved: () => viewMoved
+        };
     }
 
     // Function to delete a relationship
     function deleteRelationship(index) {
         if (index >= 0 && index < relationships.length) {
             const deleted = relationships.splice(index, 1)[0];
+            const [name1, name2] = EntityReferences.getRelationshipNames(deleted);
             
-            // Save to localStorage
-            Core.safelyStoreItem('relationships', JSON.stringify(relationships));
+            // Save to localStorage as one undoable step
+            UndoManager.transaction(`Delete relationship ${name1} – ${name2}`, () => {
+                Core.safelyStoreItem('relationships', JSON.stringify(relationships));
+            });
             
             // Log activity
             if (window.Dashboard && typeof window.Dashboard.addActivity === 'function') {
                 Dashboard.addActivity('relationship_deleted', 
-                    `Deleted ${deleted.type} relationship between ${deleted.character1} and ${deleted.character2}`);
+                    `Deleted ${deleted.type} relationship between ${name1} and ${name2}`);
             }
             
             // Update UI
@@ -2307,12 +2300,12 @@
         
         // Make sure we only show relationships where both characters still exist
         filteredRelationships = filteredRelationships.filter(rel => 
-            characterExists(rel.character1) && characterExists(rel.character2)
+            characterExists(rel.character1Id) && characterExists(rel.character2Id)
         );
         
         if (filterCharacter !== 'all') {
             filteredRelationships = filteredRelationships.filter(rel => {
-                return (rel.character1 === filterCharacter || rel.character2 === filterCharacter);
+                return EntityReferences.relationshipInvolves(rel, filterCharacter);
             });
         }
         
@@ -2325,7 +2318,7 @@
         // Group relationships by character pairs
         const groupedRelationships = {};
         filteredRelationships.forEach(rel => {
-            const key = `${rel.character1}|${rel.character2}`;
+            const key = `${rel.character1Id}|${rel.character2Id}`;
             if (!groupedRelationships[key]) {
                 groupedRelationships[key] = [];
             }
@@ -2359,13 +2352,15 @@
             // Add relationships to table
             Object.entries(groupedRelationships).forEach(([key, rels]) => {
                 const [source, target] = key.split('|');
+                // Names are looked up now so renamed characters show their current name
+                const [sourceName, targetName] = EntityReferences.getRelationshipNames(rels[0]);
                 const row = document.createElement('tr');
                 
                 // Only show up to 3 relationships
                 const displayedRels = rels.slice(0, 3);
                 
                 row.innerHTML = `
-                    <td>${source}</td>
+                    <td>${sourceName}</td>
                     <td class="relationship-types-cell">
                         <div class="relationship-icons-container">
                             ${displayedRels.map(rel => {
@@ -2382,7 +2377,7 @@
                             }).join('')}
                         </div>
                     </td>
-                    <td>${target}</td>
+                    <td>${targetName}</td>
                 `;
                 
                 tbody.appendChild(row);
@@ -2410,7 +2405,7 @@
                 
                 // Find the index of the relationship to remove
                 const relIndex = relationships.findIndex(rel => 
-                    rel.character1 === source && rel.character2 === target && rel.type === type
+                    rel.character1Id === source && rel.character2Id === target && rel.type === type
                 );
                 
                 // Remove the relationship if found
@@ -2423,8 +2418,11 @@
                         window.relationships = [...relationships];
                     }
                     
-                    // Save relationships to storage
-                    Core.safelyStoreItem('relationships', JSON.stringify(relationships));
+                    // Save relationships to storage as one undoable step
+                    const [sourceName, targetName] = [source, target].map(id => EntityReferences.getCharacterNameById(id));
+                    UndoManager.transaction(`Delete relationship ${sourceName} – ${targetName}`, () => {
+                        Core.safelyStoreItem('relationships', JSON.stringify(relationships));
+                    });
                     
                     // Update just this relationship icon/row
                     const relationshipIcon = this.closest('.relationship-icon');
@@ -2460,8 +2458,7 @@
                 // If this was the last relationship between these characters,
                 // they should be deselected in the character tables
                 const remainingRels = relationships.filter(rel =>
-                    (rel.character1 === source && rel.character2 === target) ||
-                    (rel.character1 === target && rel.character2 === source)
+                    EntityReferences.relationshipConnects(rel, source, target)
                 );
                 
                 if (remainingRels.length === 0) {
@@ -2470,8 +2467,8 @@
                     tables.forEach(table => {
                         const rows = table.querySelectorAll('tbody tr');
                         rows.forEach(row => {
-                            const name = row.cells[0].textContent;
-                            if (name === source || name === target) {
+                            const characterId = row.dataset.characterId;
+                            if (characterId === source || characterId === target) {
                                 row.classList.remove('selected');
                             }
                         });
@@ -2494,7 +2491,7 @@
         
         if (filterCharacter !== 'all') {
             filteredRels = filteredRels.filter(rel => {
-                return (rel.character1 === filterCharacter || rel.character2 === filterCharacter);
+                return EntityReferences.relationshipInvolves(rel, filterCharacter);
             });
         }
         
@@ -2570,12 +2567,12 @@
         
         // Make sure we only show relationships where both characters still exist
         visualRelationships = visualRelationships.filter(rel => 
-            characterExists(rel.character1) && characterExists(rel.character2)
+            characterExists(rel.character1Id) && characterExists(rel.character2Id)
         );
         
         if (filterCharacter !== 'all') {
             visualRelationships = visualRelationships.filter(rel => {
-                return (rel.character1 === filterCharacter || rel.character2 === filterCharacter);
+                return EntityReferences.relationshipInvolves(rel, filterCharacter);
             });
         }
         
@@ -2605,6 +2602,7 @@
         
         // If no relationships to show, display a message
         if (relationshipsToShow.length === 0) {
+            RelationshipGraph.stopGraph();
             const emptyMessage = document.createElement('div');
             emptyMessage.className = 'empty-network-message';
             emptyMessage.textContent = 'No relationships to display. Add relationships to see them visualized here.';
@@ -2637,80 +2635,14 @@
         const mainGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
         svg.appendChild(mainGroup);
         
-        // Reference to reset function for use with button
-        let resetViewFunction;
-        
-        // Set up zoom and pan functionality with reference to reset function
-        resetViewFunction = setupZoomAndPan(svg, mainGroup);
+        // Set up zoom and pan functionality; resetting fits the whole graph in view
+        const zoom = setupZoomAndPan(svg, mainGroup, () => RelationshipGraph.getFitTransform());
         
         // Add click event to reset button
         resetButton.addEventListener('click', function() {
-            resetViewFunction();
-        });
-        
-        // Extract unique characters from relationships
-        const characterSet = new Set();
-        relationshipsToShow.forEach(rel => {
-            characterSet.add(rel.character1);
-            characterSet.add(rel.character2);
-        });
-        const characters = Array.from(characterSet);
-        
-        // Calculate positions for characters in a circle
-        const positions = {};
-        const centerX = networkContainer.offsetWidth / 2 || 400;
-        const centerY = 300;
-        const radius = Math.min(280, 100 + characters.length * 20);
-        
-        characters.forEach((character, index) => {
-            const angle = (index / characters.length) * 2 * Math.PI;
-            positions[character] = {
-                x: centerX + radius * Math.cos(angle),
-                y: centerY + radius * Math.sin(angle)
-            };
+            zoom.resetView();
         });
         
-        // Set minimum distance between nodes
-        const minDistance = 120; // Minimum distance between node centers
-        
-        // Function to adjust positions to maintain minimum distance
-        function adjustPositions() {
-            const nodes = Array.from(characterSet);
-            let positionsChanged = false;
-            
-            for (let i = 0; i < nodes.length; i++) {
-                for (let j = i + 1; j < nodes.length; j++) {
-                    const node1 = nodes[i];
-                    const node2 = nodes[j];
-                    const pos1 = positions[node1];
-                    const pos2 = positions[node2];
-                    
-                    const dx = pos2.x - pos1.x;
-                    const dy = pos2.y - pos1.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (distance < minDistance) {
-                        positionsChanged = true;
-                        const angle = Math.atan2(dy, dx);
-                        const distanceToAdd = (minDistance - distance) / 2;
-                        
-                        // Move nodes apart
-                        pos1.x -= Math.cos(angle) * distanceToAdd;
-                        pos1.y -= Math.sin(angle) * distanceToAdd;
-                        pos2.x += Math.cos(angle) * distanceToAdd;
-                        pos2.y += Math.sin(angle) * distanceToAdd;
-                    }
-                }
-            }
-            
-            return positionsChanged;
-        }
-        
-        // Run the adjustment algorithm multiple times to stabilize
-        for (let i = 0; i < 10; i++) {
-            if (!adjustPositions()) break;
-        }
-        
         // Create tooltip div for character information
         const tooltipDiv = document.createElement('div');
         tooltipDiv.className = 'character-tooltip';
@@ -2727,227 +2659,19 @@
         tooltipDiv.style.transition = 'opacity 0.15s';
         networkContainer.appendChild(tooltipDiv);
         
-        // Draw relationships (lines) first so they're behind nodes
-        const linesGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        linesGroup.setAttribute('class', 'relationship-lines');
-        mainGroup.appendChild(linesGroup);
-        
-        // Define node size for line calculations
-        const nodeSize = 45; // This matches the node circle radius below
-        
-        relationshipsToShow.forEach(rel => {
-            const source = positions[rel.character1];
-            const target = positions[rel.character2];
-            
-            if (!source || !target) {
-                console.error(`Position not found for characters in relationship: ${rel.character1} -> ${rel.character2}`);
-                return;
+        // Lay out and draw the characters; see relationship-graph.js
+        RelationshipGraph.renderGraph({
+            svg,
+            mainGroup,
+            container: visualizationContainer,
+            tooltip: tooltipDiv,
+            relationships: relationshipsToShow,
+            getColor: getRelationshipColor,
+            onNodeClick: (characterId, name) => openCharacterPanelByName(name),
+            // Fit the settled layout in view unless the user has already moved it
+            onLayoutSettled: () => {
+                if (!zoom.hasViewMoved()) zoom.resetView();
             }
-
-            // Calculate the angle between the nodes
-            const dx = target.x - source.x;
-            const dy = target.y - source.y;
-            const angle = Math.atan2(dy, dx);
-            
-            // Calculate the start and end points to make lines reach the edge of circles
-            const startX = source.x + (nodeSize * Math.cos(angle));
-            const startY = source.y + (nodeSize * Math.sin(angle));
-            const endX = target.x - (nodeSize * Math.cos(angle));
-            const endY = target.y - (nodeSize * Math.sin(angle));
-            
-            // Draw line that extends exactly to the edge of both circles
-            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-            line.setAttribute('x1', startX);
-            line.setAttribute('y1', startY);
-            line.setAttribute('x2', endX);
-            line.setAttribute('y2', endY);
-            line.setAttribute('stroke', getRelationshipColor(rel.type));
-            line.setAttribute('stroke-width', '2.5');
-            
-            // For dark mode, make lines more visible
-            if (document.body.classList.contains('dark-mode')) {
-                line.setAttribute('stroke-opacity', '0.85');
-            } else {
-                line.setAttribute('stroke-opacity', '0.7');
-            }
-            
-            linesGroup.appendChild(line);
-            
-            // Add relationship type label in the middle of the line - PARALLEL TO THE LINE
-            const labelX = (startX + endX) / 2;
-            const labelY = (startY + endY) / 2;
-            
-            // Calculate angle for rotation
-            const labelAngle = Math.atan2(endY - startY, endX - startX) * 180 / Math.PI;
-            // Adjust angle to keep text readable (not upside down)
-            const adjustedAngle = (labelAngle > 90 || labelAngle < -90) ? labelAngle + 180 : labelAngle;
-            
-            // Create a group to hold the label and apply rotation
-            const labelGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            labelGroup.setAttribute('transform', `translate(${labelX}, ${labelY}) rotate(${adjustedAngle})`);
-            
-            const textElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            textElement.textContent = rel.type.charAt(0).toUpperCase() + rel.type.slice(1);
-            textElement.setAttribute('x', 0);
-            textElement.setAttribute('y', 0);
-            textElement.setAttribute('text-anchor', 'middle');
-            textElement.setAttribute('dominant-baseline', 'middle');
-            textElement.setAttribute('font-size', '13');
-            textElement.setAttribute('font-weight', 'bold');
-            textElement.setAttribute('class', 'relationship-label-text');
-            
-            // Set text color - BLACK for light mode, WHITE for dark mode
-            if (document.body.classList.contains('dark-mode')) {
-                textElement.setAttribute('fill', '#FFFFFF'); // White in dark mode
-                // Remove the stroke completely in dark mode
-                textElement.setAttribute('stroke', 'none');
-                textElement.setAttribute('stroke-width', '0');
-            } else {
-                textElement.setAttribute('fill', '#000000'); // Black in light mode
-                textElement.setAttribute('stroke', '#FFFFFF');
-                textElement.setAttribute('stroke-width', '0.5');
-            }
-            
-            labelGroup.appendChild(textElement);
-            linesGroup.appendChild(labelGroup);
-        });
-        
-        // Draw nodes (characters)
-        const nodesGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        nodesGroup.setAttribute('class', 'character-nodes');
-        mainGroup.appendChild(nodesGroup);
-        
-        characters.forEach(character => {
-            const pos = positions[character];
-            
-            // Create node group
-            const nodeGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            nodeGroup.setAttribute('class', 'character-node');
-            nodeGroup.setAttribute('data-character', character);
-            nodeGroup.style.cursor = 'pointer';
-            nodesGroup.appendChild(nodeGroup);
-            
-            // Draw node circle
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('cx', pos.x);
-            circle.setAttribute('cy', pos.y);
-            circle.setAttribute('r', nodeSize);
-            
-            // Blue node with white stroke
-            circle.setAttribute('fill', '#4A9FE6');
-            circle.setAttribute('stroke', '#ffffff');
-            circle.setAttribute('stroke-width', '2');
-            
-            nodeGroup.appendChild(circle);
-            
-            // Get first name for inside the node
-            const nameParts = character.split(' ');
-            const firstName = nameParts[0];
-            
-            // Less aggressive truncation to show more of the name
-            const displayName = firstName.length > 10 ? firstName.substring(0, 9) + '...' : firstName;
-            
-            // Add text inside the node
-            const nameText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            nameText.textContent = displayName;
-            nameText.setAttribute('x', pos.x);
-            nameText.setAttribute('y', pos.y - 5); // Move up slightly to make room for button
-            nameText.setAttribute('text-anchor', 'middle');
-            nameText.setAttribute('font-size', '15'); // Larger font
-            nameText.setAttribute('font-weight', 'bold');
-            nameText.setAttribute('fill', '#ffffff');
-            nameText.setAttribute('pointer-events', 'none');
-            
-            nodeGroup.appendChild(nameText);
-            
-            // Add View button inside the node
-            const foreignObject = document.createElementNS('http://www.w3.org/2000/svg', 'foreignObject');
-            foreignObject.setAttribute('x', pos.x - 20); // Center of circle minus half button width
-            foreignObject.setAttribute('y', pos.y + 5); // Below the name text
-            foreignObject.setAttribute('width', 40); // Width of button
-            foreignObject.setAttribute('height', 25); // Height of button
-            
-            const viewButton = document.createElement('button');
-            viewButton.textContent = 'View';
-            viewButton.style.width = '100%';
-            viewButton.style.height = '100%';
-            viewButton.style.fontSize = '12px';
-            viewButton.style.padding = '2px 0';
-            viewButton.style.backgroundColor = '#ffffff';
-            viewButton.style.color = '#4A9FE6'; // Match node color
-            viewButton.style.border = '1px solid #ffffff';
-            viewButton.style.borderRadius = '3px';
-            viewButton.style.cursor = 'pointer';
-            viewButton.style.fontWeight = 'bold';
-            viewButton.style.textAlign = 'center';
-            
-            // Add click handler for the button
-            viewButton.onclick = function(e) {
-                e.stopPropagation(); // Prevent event from bubbling to the nodeGroup
-                e.preventDefault(); // Prevent default behavior
-                
-                console.log('View button clicked for character:', character);
-                
-                // Find character in the global characters array
-                const charObj = window.characters.find(c => 
-                    `${c.firstName} ${c.lastName || ''}`.trim() === character
-                );
-                
-                if (charObj) {
-                    const charIndex = window.characters.indexOf(charObj);
-                    
-                    if (charIndex !== -1) {
-                        console.log('Found character at index:', charIndex);
-                        
-                        // Try all possible methods to show character details
-                        if (window.Characters && typeof window.Characters.showCharacterDetails === 'function') {
-                            window.Characters.showCharacterDetails(charIndex);
-                        } else if (typeof Characters !== 'undefined' && typeof Characters.showCharacterDetails === 'function') {
-                            Characters.showCharacterDetails(charIndex);
-                        } else if (typeof showCharacterDetails === 'function') {
-                            showCharacterDetails(charIndex);
-                        } else {
-                            console.error('No method available to show character details');
-                        }
-                    } else {
-                        console.error('Character found but index is invalid');
-                    }
-                } else {
-                    console.error('Character not found in the global array');
-                }
-            };
-            
-            foreignObject.appendChild(viewButton);
-            nodeGroup.appendChild(foreignObject);
-            
-            // Add tooltip functionality
-            nodeGroup.addEventListener('mouseover', (e) => {
-                tooltipDiv.textContent = character; // Full name in tooltip
-                tooltipDiv.style.display = 'block';
-                tooltipDiv.style.opacity = '1';
-                
-                // Position the tooltip near the mouse
-                const svgRect = svg.getBoundingClientRect();
-                tooltipDiv.style.left = (e.clientX - svgRect.left + 10) + 'px';
-                tooltipDiv.style.top = (e.clientY - svgRect.top - 30) + 'px';
-            });
-            
-            nodeGroup.addEventListener('mousemove', (e) => {
-                // Update tooltip position when mouse moves
-                const svgRect = svg.getBoundingClientRect();
-                tooltipDiv.style.left = (e.clientX - svgRect.left + 10) + 'px';
-                tooltipDiv.style.top = (e.clientY - svgRect.top - 30) + 'px';
-            });
-            
-            nodeGroup.addEventListener('mouseout', () => {
-                tooltipDiv.style.display = 'none';
-                tooltipDiv.style.opacity = '0';
-            });
-            
-            // Make the node clickable to open character panel
-            nodeGroup.addEventListener('click', () => {
-                openCharacterPanelByName(character.name);
-            });
         });
         
         console.log('Enhanced network visualization updated successfully');
@@ -3076,18 +2800,15 @@
             return { exists: false, count: 0 };
         }
         
-        const name1 = getCharacterFullName(char1);
-        const name2 = getCharacterFullName(char2);
+        const id1 = EntityReferences.resolveCharacterId(char1);
+        const id2 = EntityReferences.resolveCharacterId(char2);
         
         // Count relationships between these characters
         let relationshipCount = 0;
         let typeExists = false;
         
         relationships.forEach(rel => {
-            const isMatch = (
-                (rel.character1 === name1 && rel.character2 === name2) || 
-                (rel.character1 === name2 && rel.character2 === name1)
-            );
+            const isMatch = EntityReferences.relationshipConnects(rel, id1, id2);
             
             if (isMatch) {
                 relationshipCount++;
@@ -3341,14 +3062,10 @@
     }
 
     // Create a single function to check if a character exists
-    function characterExists(characterName) {
-        if (!characterName) return false;
+    function characterExists(characterId) {
+        if (!characterId) return false;
         
-        const characters = getActiveCharacters();
-        return characters.some(char => {
-            const fullName = `${char.firstName} ${char.lastName || ''}`.trim();
-            return fullName === characterName;
-        });
+        return getActiveCharacters().some(char => char.id === characterId);
     }
 
     // Unified function to rebuild all relationship UI components
@@ -3388,7 +3105,7 @@
         
         // Filter relationships to keep only those where both characters still exist
         const validRelationships = window.relationships.filter(rel => 
-            characterExists(rel.character1) && characterExists(rel.character2)
+            characterExists(rel.character1Id) && characterExists(rel.character2Id)
         );
         
         if (validRelationships.length !== originalCount) {
@@ -3422,14 +3139,15 @@
         
         // Find orphaned relationships
         const orphanedRelationships = window.relationships.filter(rel => 
-            !characterExists(rel.character1) || !characterExists(rel.character2)
+            !characterExists(rel.character1Id) || !characterExists(rel.character2Id)
         );
         
         console.log(`Found ${orphanedRelationships.length} orphaned relationships:`);
         orphanedRelationships.forEach(rel => {
-            const char1Exists = characterExists(rel.character1);
-            const char2Exists = characterExists(rel.character2);
-            console.log(`- ${rel.character1} (${char1Exists ? 'exists' : 'MISSING'}) ${rel.type} ${rel.character2} (${char2Exists ? 'exists' : 'MISSING'})`);
+            const char1Exists = characterExists(rel.character1Id);
+            const char2Exists = characterExists(rel.character2Id);
+            const [name1, name2] = EntityReferences.getRelationshipNames(rel);
+            console.log(`- ${name1} (${char1Exists ? 'exists' : 'MISSING'}) ${rel.type} ${name2} (${char2Exists ? 'exists' : 'MISSING'})`);
         });
         
         // Check character dropdowns
@@ -3438,7 +3156,7 @@
         
         characterDropdowns.forEach(dropdown => {
             const options = Array.from(dropdown.options).map(opt => opt.value).filter(v => v !== 'all');
-            const invalidOptions = options.filter(name => !characterExists(name) && name !== '');
+            const invalidOptions = options.filter(id => !characterExists(id) && id !== '');
             
             console.log(`- ${dropdown.id}: ${options.length} options, ${invalidOptions.length} invalid`);
             if (invalidOptions.length > 0) {
@@ -0,0 +1,402 @@
+/**
+ * Revision history for characters, plots, locations and world elements
+ * Every save appends a revision to the IndexedDB history store; the details views
+ * show a History panel with a field-level diff and can restore any earlier revision.
+ */
+
+// Entity types with history, and how to reach their collection and views
+const HISTORY_ENTITY_TYPES = {
+    character: {
+        storageKey: 'characters',
+        getList: () => characters,
+        getLabel: record => `${record.firstName || ''} ${record.lastName || ''}`.trim() || 'Unnamed character',
+        refresh: () => Characters.displayCharacters(),
+        showDetails: id => Characters.showCharacterDetails(characters.findIndex(c => c.id === id))
+    },
+    plot: {
+        storageKey: 'plots',
+        getList: () => plots,
+        getLabel: record => record.title || 'Untitled plot',
+        refresh: () => Plots.displayPlots(),
+        showDetails: id => Plots.showPlotDetails(id)
+    },
+    location: {
+        storageKey: 'locations',
+        getList: () => locations,
+        getLabel: record => record.name || 'Unnamed location',
+        refresh: () => Locations.displayLocations(),
+        showDetails: id => Locations.showLocationDetails(id)
+    },
+    worldElement: {
+        storageKey: 'worldElements',
+        getList: () => worldElements,
+        getLabel: record => record.name || 'Unnamed element',
+        refresh: () => WorldBuilding.displayWorldBuilding(),
+        showDetails: id => WorldBuilding.showWorldElementDetails(id)
+    }
+};
+
+// Fields that change on every save and would only add noise to a diff
+const HISTORY_IGNORED_FIELDS = ['updatedAt'];
+
+// Friendly names for common fields
+const HISTORY_FIELD_LABELS = {
+    firstName: 'First Name',
+    lastName: 'Last Name',
+    customFields: 'Additional Details',
+    relatedElements: 'Related Elements',
+    createdAt: 'Created'
+};
+
+// Escape text for safe insertion into HTML
+function escapeHistoryHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Turn a field value into comparable plain text; rich text is reduced to its visible text
+function historyValueToText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(historyValueToText).join(', ');
+    if (typeof value === 'object') {
+        return Object.entries(value).map(([key, val]) => `${key}: ${historyValueToText(val)}`).join('\n');
+    }
+
+    const text = String(value);
+    if (/<[a-z][\s\S]*>/i.test(text)) {
+        const container = document.createElement('div');
+        // Keep paragraph and line breaks so the diff lines up with what the user sees
+        container.innerHTML = text.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|h[1-6])>/gi, '\n');
+        return container.textContent.replace(/\n{3,}/g, '\n\n').trim();
+    }
+    return text;
+}
+
+// Display name of a field
+function getHistoryFieldLabel(field) {
+    if (HISTORY_FIELD_LABELS[field]) return HISTORY_FIELD_LABELS[field];
+    return field.charAt(0).toUpperCase() + field.slice(1).replace(/([A-Z])/g, ' $1');
+}
+
+// Resolve tag ids to tag names so tag changes read naturally
+function describeHistoryValue(field, value) {
+    if (field === 'tags' && Array.isArray(value) && Array.isArray(window.tags)) {
+        return value.map(tagId => {
+            const tag = window.tags.find(t => t.id === tagId);
+            return tag ? tag.name : tagId;
+        });
+    }
+    return value;
+}
+
+// Compare two revisions field by field
+function diffRevisionData(older, newer) {
+    const before = older || {};
+    const after = newer || {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (HISTORY_IGNORED_FIELDS.includes(field)) return;
+        if (JSON.stringify(before[field]) === JSON.stringify(after[field])) return;
+
+        const beforeText = historyValueToText(describeHistoryValue(field, before[field]));
+        const afterText = historyValueToText(describeHistoryValue(field, after[field]));
+        // Markup-only edits (e.g. re-saving the rich text editor) are not real changes
+        if (beforeText === afterText) return;
+
+        changes.push({
+            field,
+            type: !beforeText ? 'added' : !afterText ? 'removed' : 'changed',
+            before: beforeText,
+            after: afterText
+        });
+    });
+
+    return changes;
+}
+
+// Word-level diff of two texts using the longest common subsequence
+function diffHistoryWords(beforeText, afterText) {
+    const a = beforeText.split(/(\s+)/).filter(Boolean);
+    const b = afterText.split(/(\s+)/).filter(Boolean);
+
+    // Very long texts would make the LCS table too large; show them as a full replacement
+    if (a.length * b.length > 250000) {
+        return [{ type: 'removed', text: beforeText }, { type: 'added', text: afterText }];
+    }
+
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+}
+
+// Render one field change as HTML
+function renderHistoryChange(change) {
+    const label = escapeHistoryHtml(getHistoryFieldLabel(change.field));
+    const parts = change.type === 'changed'
+        ? diffHistoryWords(change.before, change.after)
+        : [{ type: change.type, text: change.type === 'added' ? change.after : change.before }];
+
+    const body = parts.map(part => {
+        const text = escapeHistoryHtml(part.text);
+        if (part.type === 'added') return `<ins class="history-added">${text}</ins>`;
+        if (part.type === 'removed') return `<del class="history-removed">${text}</del>`;
+        return text;
+    }).join('');
+
+    return `
+        <div class="history-change">
+            <strong>${label}</strong>
+            <div class="history-diff">${body}</div>
+        </div>
+    `;
+}
+
+// Record a revision of an entity after it was saved.
+// previous is the version before this save; it becomes the first revision if the entity has no history yet.
+async function recordRevision(entityType, entity, previous = null, options = {}) {
+    if (!window.Storage || typeof window.Storage.appendRevision !== 'function' || !entity || !entity.id) {
+        return null;
+    }
+
+    try {
+        const revisions = await window.Storage.getRevisions(entityType, entity.id);
+        if (revisions.length === 0 && previous && previous.id === entity.id) {
+            await window.Storage.appendRevision(entityType, previous, { action: 'baseline' });
+        }
+
+        // Skip saves that did not change anything
+        const latest = revisions[revisions.length - 1];
+        if (latest && diffRevisionData(latest.data, entity).length === 0) {
+            return latest;
+        }
+
+        return await window.Storage.appendRevision(entityType, entity, options);
+    } catch (error) {
+        // History must never block a save
+        console.warn(`Could not record revision for ${entityType} ${entity.id}:`, error);
+        return null;
+    }
+}
+
+// Restore an entity to an earlier revision
+async function restoreRevision(entityType, revisionId) {
+    const config = HISTORY_ENTITY_TYPES[entityType];
+    if (!config) {
+        throw new Error(`Unknown entity type: ${entityType}`);
+    }
+
+    const revision = await window.Storage.getRevision(revisionId);
+    if (!revision) {
+        Core.showToast('Revision not found', 'error');
+        return false;
+    }
+
+    const list = config.getList();
+    const restored = {
+        ...JSON.parse(JSON.stringify(revision.data)),
+        updatedAt: new Date().toISOString()
+    };
+
+    const index = list.findIndex(item => item.id === revision.entityId);
+    const current = index !== -1 ? list[index] : null;
+    if (index !== -1) {
+        list[index] = restored;
+    } else {
+        // The entity was deleted (or is open in the form); bring it back
+        list.push(restored);
+    }
+
+    const stored = await UndoManager.transaction(`Restore earlier version of "${config.getLabel(restored)}"`, async () => {
+        if (await Core.safelyStoreItem(config.storageKey, JSON.stringify(list))) return true;
+
+        // Undo the in-memory change if it could not be saved
+        if (index !== -1) {
+            list[index] = current;
+        } else {
+            list.splice(list.indexOf(restored), 1);
+        }
+        Core.safelyStoreItem(config.storageKey, JSON.stringify(list));
+        return false;
+    });
+    if (!stored) return false;
+
+    await recordRevision(entityType, restored, current, {
+        action: 'restore',
+        note: `Restored version from ${new Date(revision.timestamp).toLocaleString()}`
+    });
+
+    config.refresh();
+    Core.showToast(`Restored "${config.getLabel(restored)}"`, 'success');
+    return true;
+}
+
+// Build the History panel for a details view
+function createHistoryPanel(entityType, entityId) {
+    const panel = document.createElement('div');
+    panel.className = 'details-section history-panel';
+    panel.innerHTML = `
+        <h3>History</h3>
+        <button type="button" class="history-load-btn">Show History</button>
+        <div class="history-content"></div>
+    `;
+
+    const content = panel.querySelector('.history-content');
+    panel.querySelector('.history-load-btn').addEventListener('click', function() {
+        this.remove();
+        loadHistoryPanel(entityType, entityId, content);
+    });
+
+    return panel;
+}
+
+// Fill a History panel with the revisions of an entity
+async function loadHistoryPanel(entityType, entityId, container) {
+    if (!window.Storage || typeof window.Storage.getRevisions !== 'function') {
+        container.innerHTML = '<p>History is not available.</p>';
+        return;
+    }
+
+    container.innerHTML = '<p>Loading history...</p>';
+
+    let revisions;
+    try {
+        revisions = await window.Storage.getRevisions(entityType, entityId);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        container.innerHTML = `<p>Could not load history: ${escapeHistoryHtml(error.message)}</p>`;
+        return;
+    }
+
+    if (revisions.length === 0) {
+        container.innerHTML = '<p>No earlier versions have been saved yet.</p>';
+        return;
+    }
+
+    // Newest first
+    const ordered = revisions.map((revision, index) => ({ revision, previous: revisions[index - 1] || null })).reverse();
+
+    container.innerHTML = `
+        <ul class="history-list">
+            ${ordered.map(({ revision, previous }, position) => {
+                const changes = previous ? diffRevisionData(previous.data, revision.data) : [];
+                const summary = !previous
+                    ? (revision.action === 'baseline' ? 'Earliest recorded version' : 'Created')
+                    : `${changes.length} field${changes.length === 1 ? '' : 's'} changed`;
+                return `
+                    <li class="history-item" data-revision-id="${escapeHistoryHtml(revision.id)}">
+                        <div class="history-item-header">
+                            <span class="history-time">${escapeHistoryHtml(new Date(revision.timestamp).toLocaleString())}</span>
+                            <span class="history-summary">${escapeHistoryHtml(revision.note || summary)}</span>
+                            ${position === 0 ? '<span class="history-current">Current</span>' : '<button type="button" class="history-restore-btn">Restore</button>'}
+                            ${changes.length > 0 ? '<button type="button" class="history-toggle-btn">Show changes</button>' : ''}
+                        </div>
+                        <div class="history-changes" style="display: none;">
+                            ${changes.map(renderHistoryChange).join('')}
+                        </div>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+
+    container.querySelectorAll('.history-toggle-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const changes = button.closest('.history-item').querySelector('.history-changes');
+            const hidden = changes.style.display === 'none';
+            changes.style.display = hidden ? 'block' : 'none';
+            button.textContent = hidden ? 'Hide changes' : 'Show changes';
+        });
+    });
+
+    container.querySelectorAll('.history-restore-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            const revisionId = button.closest('.history-item').dataset.revisionId;
+            if (!confirm('Restore this version? The current version stays in the history.')) return;
+
+            try {
+                if (await restoreRevision(entityType, revisionId)) {
+                    // Reopen the details view so it shows the restored data
+                    const popup = container.closest('.character-popup, .modal');
+                    if (popup) popup.remove();
+                    HISTORY_ENTITY_TYPES[entityType].showDetails(entityId);
+                }
+            } catch (error) {
+                console.error('Error restoring revision:', error);
+                Core.showToast('Error restoring version: ' + error.message, 'error');
+            }
+        });
+    });
+}
+
+// Add the styles used by the History panel
+function initializeHistoryStyles() {
+    if (document.getElementById('history-panel-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'history-panel-styles';
+    style.textContent = `
+        .history-list { list-style: none; padding: 0; margin: 0; }
+        .history-item { border-top: 1px solid #eee; padding: 6px 0; }
+        .history-item-header { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+        .history-time { font-weight: bold; }
+        .history-summary { color: #666; flex: 1; }
+        .history-current { background: #27ae60; color: #fff; border-radius: 3px; padding: 1px 6px; font-size: 0.8em; }
+        .history-change { margin: 6px 0 6px 12px; }
+        .history-diff { white-space: pre-wrap; }
+        .history-added { background: #d4f8d4; text-decoration: none; }
+        .history-removed { background: #f8d4d4; }
+        .dark-mode .history-item { border-top-color: #444; }
+        .dark-mode .history-summary { color: #aaa; }
+        .dark-mode .history-added { background: #1e4620; }
+        .dark-mode .history-removed { background: #5a1e1e; }
+    `;
+    document.head.appendChild(style);
+}
+
+document.addEventListener('DOMContentLoaded', initializeHistoryStyles);
+
+// Export revision history functions
+window.RevisionHistory = {
+    recordRevision,
+    restoreRevision,
+    diffRevisionData,
+    createHistoryPanel,
+    loadHistoryPanel
+};
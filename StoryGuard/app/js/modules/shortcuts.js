@@ -20,6 +20,11 @@ const SHORTCUTS = {
     'Alt+N': { action: 'newItem', description: 'Clear form / New item' },
     'Alt+S': { action: 'saveForm', description: 'Save current form' },
     
+    // Undo/redo shortcuts
+    'Ctrl+Z': { action: 'undo', description: 'Undo last change' },
+    'Ctrl+Shift+Z': { action: 'redo', description: 'Redo last undone change' },
+    'Alt+H': { action: 'showUndoHistory', description: 'Show undo history' },
+    
     // Search shortcuts
     'Ctrl+F': { action: 'focusSearch', description: 'Focus search box' },
     'Escape': { action: 'clearSearch', description: 'Clear search' },
@@ -131,6 +136,18 @@ function executeShortcut(shortcut) {
             }
             break;
             
+        case 'undo':
+            UndoManager.undo();
+            break;
+            
+        case 'redo':
+            UndoManager.redo();
+            break;
+            
+        case 'showUndoHistory':
+            UndoManager.showUndoHistory();
+            break;
+            
         case 'showShortcutsHelp':
             showShortcutsHelpDialog();
             break;
@@ -252,8 +269,9 @@ function showShortcutsHelpDialog() {
     const categories = {
         'Navigation': Object.entries(SHORTCUTS).filter(([_, s]) => s.action === 'switchTab'),
         'Form Actions': Object.entries(SHORTCUTS).filter(([_, s]) => ['newItem', 'saveForm'].includes(s.action)),
+        'Undo/Redo': Object.entries(SHORTCUTS).filter(([_, s]) => ['undo', 'redo', 'showUndoHistory'].includes(s.action)),
         'Search': Object.entries(SHORTCUTS).filter(([_, s]) => ['focusSearch', 'clearSearch'].includes(s.action)),
-        'Other': Object.entries(SHORTCUTS).filter(([_, s]) => !['switchTab', 'newItem', 'saveForm', 'focusSearch', 'clearSearch'].includes(s.action))
+        'Other': Object.entries(SHORTCUTS).filter(([_, s]) => !['switchTab', 'newItem', 'saveForm', 'undo', 'redo', 'showUndoHistory', 'focusSearch', 'clearSearch'].includes(s.action))
     };
     
     // Add shortcuts by category
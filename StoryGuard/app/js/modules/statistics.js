@@ -623,18 +623,24 @@ function analyzeCharacterNetwork(seriesFilter = '') {
     resultsContainer.innerHTML = '<div class="loading">Analyzing character network...</div>';
     
     // Short delay to show loading message
-    setTimeout(() => {
-        // Filter characters by series if needed
-        const filteredCharacters = seriesFilter
-            ? characters.filter(c => c.series === seriesFilter)
-            : characters;
+    setTimeout(async () => {
+        // Filter characters by series if needed, through the repository's series index
+        let filteredCharacters = characters;
+        if (seriesFilter) {
+            try {
+                const ids = await window.Repository.findMatchingIds('characters', { series: seriesFilter });
+                filteredCharacters = characters.filter(c => c.id ? ids.has(String(c.id)) : c.series === seriesFilter);
+            } catch (error) {
+                console.warn('Could not query the characters by series:', error);
+                filteredCharacters = characters.filter(c => c.series === seriesFilter);
+            }
+        }
             
         // Filter relationships to only include characters in our filtered set
-        const filteredRelationships = relationships.filter(rel => {
-            const char1 = filteredCharacters.find(c => `${c.firstName} ${c.lastName}`.trim() === rel.character1);
-            const char2 = filteredCharacters.find(c => `${c.firstName} ${c.lastName}`.trim() === rel.character2);
-            return char1 && char2;
-        });
+        const filteredIds = new Set(filteredCharacters.map(c => c.id));
+        const filteredRelationships = relationships.filter(rel =>
+            filteredIds.has(rel.character1Id) && filteredIds.has(rel.character2Id)
+        );
         
         if (filteredCharacters.length === 0 || filteredRelationships.length === 0) {
             resultsContainer.innerHTML = '<div class="no-data">Not enough data for network analysis. Add more characters and relationships.</div>';
@@ -650,22 +656,24 @@ function analyzeCharacterNetwork(seriesFilter = '') {
             network[name] = { connections: [], relationshipCount: 0 };
         });
         
-        // Add relationships to network
+        // Add relationships to network, using the characters' current names
         filteredRelationships.forEach(rel => {
-            if (network[rel.character1]) {
-                network[rel.character1].connections.push({
-                    character: rel.character2,
+            const [name1, name2] = EntityReferences.getRelationshipNames(rel);
+            
+            if (network[name1]) {
+                network[name1].connections.push({
+                    character: name2,
                     type: rel.type
                 });
-                network[rel.character1].relationshipCount++;
+                network[name1].relationshipCount++;
             }
             
-            if (network[rel.character2]) {
-                network[rel.character2].connections.push({
-                    character: rel.character1,
+            if (network[name2]) {
+                network[name2].connections.push({
+                    character: name1,
                     type: rel.type
                 });
-                network[rel.character2].relationshipCount++;
+                network[name2].relationshipCount++;
             }
         });
         
@@ -732,7 +740,7 @@ function findDiverseRelationships(relationships) {
     
     relationships.forEach(rel => {
         // Create a consistent key for the pair regardless of order
-        const pair = [rel.character1, rel.character2].sort().join(' & ');
+        const pair = EntityReferences.getRelationshipNames(rel).sort().join(' & ');
         
         if (!pairCounts[pair]) {
             pairCounts[pair] = new Set();
@@ -66,6 +66,11 @@ pdfFunctions.forEach(func => {
 // Direct implementation of PDF functions as a fallback
 // This ensures the functions are available even if the module exports fail
 
+// Rows the entity's table shows, narrowed to the checked rows, as the module exports use
+function getTableRows(entityType, allItems) {
+    return window.TableSelection ? window.TableSelection.getExportItems(entityType, allItems) : allItems;
+}
+
 // Create a PDF with individual views for each item
 if (typeof window.Storage.createDetailedPDF !== 'function') {
     window.Storage.createDetailedPDF = function(items, generateItemHTML, filename) {
@@ -143,7 +148,7 @@ if (typeof window.Storage.exportCharactersToPDF !== 'function') {
             };
             
             // Call the createDetailedPDF function
-            return window.Storage.createDetailedPDF(characters, generateCharacterHTML, filename);
+            return window.Storage.createDetailedPDF(getTableRows('characters', characters), generateCharacterHTML, filename, 'characters');
         } catch (error) {
             console.error('Error exporting characters to PDF:', error);
             return false;
@@ -194,7 +199,7 @@ if (typeof window.Storage.exportLocationsToPDF !== 'function') {
             };
             
             // Call the createDetailedPDF function
-            return window.Storage.createDetailedPDF(locations, generateLocationHTML, filename);
+            return window.Storage.createDetailedPDF(getTableRows('locations', locations), generateLocationHTML, filename, 'locations');
         } catch (error) {
             console.error('Error exporting locations to PDF:', error);
             return false;
@@ -244,7 +249,7 @@ if (typeof window.Storage.exportPlotsToPDF !== 'function') {
             };
             
             // Call the createDetailedPDF function
-            return window.Storage.createDetailedPDF(plots, generatePlotHTML, filename);
+            return window.Storage.createDetailedPDF(getTableRows('plots', plots), generatePlotHTML, filename, 'plots');
         } catch (error) {
             console.error('Error exporting plots to PDF:', error);
             return false;
@@ -294,7 +299,7 @@ if (typeof window.Storage.exportWorldBuildingToPDF !== 'function') {
             };
             
             // Call the createDetailedPDF function
-            return window.Storage.createDetailedPDF(worldElements, generateWorldElementHTML, filename);
+            return window.Storage.createDetailedPDF(getTableRows('worldElements', worldElements), generateWorldElementHTML, filename, 'worldElements');
         } catch (error) {
             console.error('Error exporting world-building to PDF:', error);
             return false;
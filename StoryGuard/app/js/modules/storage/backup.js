@@ -1,41 +1,492 @@
 // Backup-related functions
-function backupDatabase(toCloud = false) {
+import { getSettings, saveSettings, getDefaultSettings } from './settings.js';
+import { SCHEMA_VERSION, DATABASE_COLLECTIONS, migrateDatabaseSchema } from './schema.js';
+import { flush } from './repository.js';
+
+// Marks a file as a backup archive rather than a plain database export
+const BACKUP_FORMAT = 'storyguard-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Collections whose records may point to an image file on disk
+const IMAGE_COLLECTIONS = ['characters', 'locations'];
+
+// Friendly names for the parts shown in the restore browser
+const BACKUP_PART_LABELS = {
+    characters: 'Characters',
+    locations: 'Locations',
+    titles: 'Titles',
+    seriesList: 'Series',
+    books: 'Books',
+    roles: 'Roles',
+    customFieldTypes: 'Custom Field Types',
+    relationships: 'Relationships',
+    tags: 'Tags',
+    plots: 'Plots',
+    worldElements: 'World Elements',
+    exportTemplates: 'Export Templates',
+    calendars: 'Calendars',
+    timelineEvents: 'Timeline Events',
+    rejectedRelationshipSuggestions: 'Rejected Relationship Suggestions',
+    relationshipGraphLayout: 'Relationship Graph Layout',
+    settings: 'Settings',
+    images: 'Images'
+};
+
+// Current contents of a collection; relationships.js keeps its own array on window
+function getCurrentCollection(collection) {
+    const current = {
+        characters: () => characters,
+        locations: () => locations,
+        titles: () => titles,
+        seriesList: () => seriesList,
+        books: () => books,
+        roles: () => roles,
+        customFieldTypes: () => customFieldTypes,
+        relationships: () => window.relationships || relationships,
+        tags: () => tags,
+        plots: () => plots,
+        worldElements: () => worldElements
+    }[collection];
+    
     try {
-        // Get the current database name
-        const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
+        const value = current ? current() : window[collection];
+        return Array.isArray(value) ? value : [];
+    } catch (error) {
+        // Collection not loaded in this window
+        return Array.isArray(window[collection]) ? window[collection] : [];
+    }
+}
+
+/**
+ * SHA-256 checksum of a backup part
+ * @param {string} content - Part content
+ * @returns {Promise<string>} - Hex digest
+ */
+async function computeChecksum(content) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function isImageFilePath(value) {
+    return typeof value === 'string' && value.trim() !== '' && !value.startsWith('data:');
+}
+
+function getImageFileName(imagePath) {
+    return imagePath.split(/[\\/]/).pop();
+}
+
+// Read every image file referenced by a character or location
+async function collectImageFiles() {
+    if (!window.api || typeof window.api.loadImageFile !== 'function') return [];
+    
+    const paths = new Set();
+    IMAGE_COLLECTIONS.forEach(collection => {
+        getCurrentCollection(collection).forEach(record => {
+            if (record && isImageFilePath(record.image)) paths.add(record.image);
+        });
+    });
+    
+    const images = [];
+    const usedNames = new Set();
+    for (const imagePath of paths) {
+        try {
+            const result = await window.api.loadImageFile(imagePath);
+            if (!result || !result.success) {
+                console.warn('Image missing from backup:', imagePath, result && result.error);
+                continue;
+            }
+            
+            let fileName = getImageFileName(imagePath);
+            if (usedNames.has(fileName)) fileName = `${images.length}-${fileName}`;
+            usedNames.add(fileName);
+            images.push({ name: `images/${fileName}`, path: imagePath, data: result.data });
+        } catch (error) {
+            console.warn('Could not read image for backup:', imagePath, error);
+        }
+    }
+    return images;
+}
+
+/**
+ * Build a backup archive of the current database
+ * The archive holds a manifest and one part per collection, the settings and each
+ * referenced image; every part carries a checksum so the backup can be verified.
+ * @param {string} type - 'manual' or 'auto'
+ * @returns {Promise<Object>} - The archive
+ */
+async function createBackupArchive(type = 'manual') {
+    const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
+    const parts = {};
+    const manifestParts = [];
+    
+    async function addPart(name, kind, content, details = {}) {
+        parts[name] = content;
+        manifestParts.push({ name, kind, ...details, size: content.length, checksum: await computeChecksum(content) });
+    }
+    
+    for (const collection of DATABASE_COLLECTIONS) {
+        const records = getCurrentCollection(collection);
+        await addPart(`collections/${collection}`, 'collection', JSON.stringify(records), { collection, count: records.length });
+    }
+    
+    await addPart('settings', 'settings', JSON.stringify(getSettings()));
+    
+    for (const image of await collectImageFiles()) {
+        await addPart(image.name, 'image', image.data, { path: image.path });
+    }
+    
+    // Identifies the backed-up content regardless of when the backup was made
+    const fingerprint = await computeChecksum(manifestParts.map(part => `${part.name}:${part.checksum}`).join('\n'));
+    
+    return {
+        format: BACKUP_FORMAT,
+        manifest: {
+            formatVersion: BACKUP_FORMAT_VERSION,
+            databaseName: dbName,
+            createdAt: new Date().toISOString(),
+            type,
+            schemaVersion: SCHEMA_VERSION,
+            fingerprint,
+            parts: manifestParts
+        },
+        parts
+    };
+}
+
+/**
+ * Parse a backup file into an archive
+ * Backups written before archives existed are wrapped in an unchecked manifest
+ * @param {string} content - File content
+ * @param {Object} fileInfo - Optional file details from the backup listing
+ * @returns {Object} - The archive
+ */
+function parseBackupArchive(content, fileInfo = {}) {
+    const data = JSON.parse(content);
+    if (data && data.format === BACKUP_FORMAT && data.manifest && data.parts) {
+        return data;
+    }
+    
+    if (!data || !Array.isArray(data.characters)) {
+        throw new Error('This file is not a StoryGuard backup.');
+    }
+    
+    const parts = {};
+    const manifestParts = DATABASE_COLLECTIONS
+        .filter(collection => Array.isArray(data[collection]))
+        .map(collection => {
+            parts[`collections/${collection}`] = JSON.stringify(data[collection]);
+            return { name: `collections/${collection}`, kind: 'collection', collection, count: data[collection].length };
+        });
+    
+    return {
+        format: BACKUP_FORMAT,
+        manifest: {
+            formatVersion: 0,
+            databaseName: data.databaseName || data.dbName || (data.metadata && data.metadata.databaseName) || 'Unknown',
+            createdAt: (data.metadata && data.metadata.backupTime) || data.backupDate || fileInfo.modified || null,
+            type: 'legacy',
+            schemaVersion: data.schemaVersion,
+            parts: manifestParts
+        },
+        parts
+    };
+}
+
+/**
+ * Check every part of an archive against its manifest checksum
+ * @param {Object} archive - Backup archive
+ * @returns {Promise<Object>} - { valid, results: { [partName]: 'ok' | 'missing' | 'mismatch' | 'unchecked' } }
+ */
+async function verifyBackupArchive(archive) {
+    const results = {};
+    let valid = true;
+    
+    for (const part of archive.manifest.parts) {
+        const content = archive.parts[part.name];
+        if (typeof content !== 'string') {
+            results[part.name] = 'missing';
+            valid = false;
+        } else if (!part.checksum) {
+            results[part.name] = 'unchecked';
+        } else if (await computeChecksum(content) !== part.checksum) {
+            results[part.name] = 'mismatch';
+            valid = false;
+        } else {
+            results[part.name] = 'ok';
+        }
+    }
+    return { valid, results };
+}
+
+// Collections stored in an archive, upgraded to the current schema
+function readBackupCollections(archive) {
+    const data = { schemaVersion: archive.manifest.schemaVersion };
+    archive.manifest.parts
+        .filter(part => part.kind === 'collection' && typeof archive.parts[part.name] === 'string')
+        .forEach(part => {
+            data[part.collection] = JSON.parse(archive.parts[part.name]);
+        });
+    
+    migrateDatabaseSchema(data);
+    return data;
+}
+
+// Database names match whether written as display names or as formatted file names
+function normalizeBackupDatabaseName(name) {
+    return String(name || '').trim().toLowerCase().replace(/[\s_-]+/g, '-');
+}
+
+/**
+ * Find the most recent readable backup of a database
+ * @param {string} databaseName - Display name or file name of the database
+ * @returns {Promise<Object|null>} - { createdAt, type, data } with the backed-up collections, or null
+ */
+async function findLatestBackup(databaseName) {
+    if (!window.api || typeof window.api.listBackups !== 'function') return null;
+    
+    const target = normalizeBackupDatabaseName(databaseName);
+    const files = (await window.api.listBackups(await resolveBackupDirectory()))
+        .filter(file => file.manifest && normalizeBackupDatabaseName(file.manifest.databaseName) === target)
+        .sort((a, b) => new Date(b.manifest.createdAt) - new Date(a.manifest.createdAt));
+    
+    for (const file of files) {
+        try {
+            const result = await window.api.readBackupFile(file.filePath);
+            if (!result || !result.success) continue;
+            
+            const archive = parseBackupArchive(result.content, file);
+            if (!(await verifyBackupArchive(archive)).valid) continue;
+            
+            const data = readBackupCollections(archive);
+            data.databaseName = archive.manifest.databaseName;
+            return { createdAt: archive.manifest.createdAt, type: archive.manifest.type, data };
+        } catch (error) {
+            console.warn('Skipping unreadable backup:', file.filePath, error);
+        }
+    }
+    return null;
+}
+
+// Write the archive's images to the images folder; returns a map from old to new path
+async function restoreBackupImages(archive) {
+    const pathMap = {};
+    if (!window.api || typeof window.api.saveImageFile !== 'function') return pathMap;
+    
+    const imagesDir = localStorage.getItem('imagePath') || 'images';
+    for (const part of archive.manifest.parts.filter(item => item.kind === 'image')) {
+        const dataUrl = archive.parts[part.name];
+        if (typeof dataUrl !== 'string') continue;
         
-        // Create a database object with all data
-        const data = {
-            characters,
-            titles,
-            seriesList,
-            books,
-            roles,
-            customFieldTypes,
-            relationships,
-            tags,
-            plots,
-            worldElements,
-            version: APP_VERSION,
-            dbName: dbName,
-            metadata: {
-                databaseName: dbName,
-                backupTime: new Date().toISOString(),
-                backupType: 'manual'
+        const result = await window.api.saveImageFile({
+            filename: getImageFileName(part.name),
+            data: dataUrl.split(',')[1],
+            directory: imagesDir
+        });
+        if (result && result.success) {
+            pathMap[part.path] = result.path;
+        } else {
+            console.error('Failed to restore image:', part.name, result && result.error);
+        }
+    }
+    return pathMap;
+}
+
+/**
+ * Restore collections, settings and images from an archive into the current database
+ * @param {Object} archive - Backup archive
+ * @param {Array<string>} selection - Collection names, 'settings' and/or 'images'
+ * @returns {Promise<Array<string>>} - Names of the restored parts
+ */
+async function restoreFromBackup(archive, selection) {
+    const verification = await verifyBackupArchive(archive);
+    const damaged = archive.manifest.parts.filter(part =>
+        ['missing', 'mismatch'].includes(verification.results[part.name]) &&
+        selection.includes(part.kind === 'collection' ? part.collection : part.kind === 'image' ? 'images' : part.kind));
+    if (damaged.length > 0) {
+        throw new Error(`The backup is damaged: ${damaged.map(part => part.name).join(', ')} failed verification.`);
+    }
+    
+    const data = readBackupCollections(archive);
+    const restored = [];
+    
+    // Images go first so restored records can point at their new location
+    if (selection.includes('images')) {
+        const pathMap = await restoreBackupImages(archive);
+        IMAGE_COLLECTIONS.forEach(collection => {
+            const records = selection.includes(collection) ? data[collection] || [] : getCurrentCollection(collection);
+            let changed = false;
+            records.forEach(record => {
+                if (record && pathMap[record.image]) {
+                    record.image = pathMap[record.image];
+                    changed = true;
+                }
+            });
+            if (changed && !selection.includes(collection)) {
+                Core.safelyStoreItem(collection, JSON.stringify(records));
             }
-        };
+        });
+        restored.push('images');
+    }
+    
+    DATABASE_COLLECTIONS.forEach(collection => {
+        if (!selection.includes(collection) || !Array.isArray(data[collection])) return;
+        Core.safelyStoreItem(collection, JSON.stringify(data[collection]));
+        restored.push(collection);
+    });
+    
+    if (selection.includes('settings') && typeof archive.parts.settings === 'string') {
+        saveSettings(JSON.parse(archive.parts.settings));
+        restored.push('settings');
+    }
+    
+    // The page reloads after a restore, so wait until the collections are written
+    await flush();
+    return restored;
+}
+
+// Backup settings with defaults for values saved before they existed
+function getBackupSettings() {
+    return { ...getDefaultSettings(), ...getSettings() };
+}
+
+function getRetentionBucketKeys(date) {
+    const day = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+    return {
+        hour: `${day} ${date.getHours()}`,
+        day,
+        week: `${weekStart.getFullYear()}-${weekStart.getMonth() + 1}-${weekStart.getDate()}`
+    };
+}
+
+/**
+ * Choose which automatic backups a retention policy removes
+ * A backup is kept if it is one of the last N, or the newest backup of its hour,
+ * day or week while that period is inside the policy's window
+ * @param {Array} backups - Backups as { filePath, createdAt }
+ * @param {Object} settings - Settings with the retention values
+ * @param {Date} now - Current time
+ * @returns {Array} - Backups to delete
+ */
+function selectBackupsToPrune(backups, settings, now = new Date()) {
+    const HOUR = 60 * 60 * 1000;
+    const sorted = backups
+        .filter(backup => !isNaN(new Date(backup.createdAt)))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const keep = new Set(sorted.slice(0, Math.max(1, parseInt(settings.retentionKeepLast, 10) || 1)));
+    
+    const periods = [
+        { bucket: 'hour', window: (parseInt(settings.retentionHourlyHours, 10) || 0) * HOUR },
+        { bucket: 'day', window: (parseInt(settings.retentionDailyDays, 10) || 0) * 24 * HOUR },
+        { bucket: 'week', window: settings.retentionKeepWeekly ? Infinity : 0 }
+    ];
+    
+    periods.forEach(period => {
+        const seen = new Set();
+        sorted.forEach(backup => {
+            const date = new Date(backup.createdAt);
+            if (now - date > period.window) return;
+            const key = getRetentionBucketKeys(date)[period.bucket];
+            if (seen.has(key)) return;
+            seen.add(key);
+            keep.add(backup);
+        });
+    });
+    
+    return sorted.filter(backup => !keep.has(backup));
+}
+
+/**
+ * Delete automatic backups of the current database that the retention policy no longer keeps
+ * @returns {Promise<Array<string>>} - Paths of the deleted backups
+ */
+async function rotateBackups() {
+    const settings = getBackupSettings();
+    if (!settings.enableBackupRetention) return [];
+    if (!window.api || typeof window.api.listBackups !== 'function' || typeof window.api.deleteBackupFile !== 'function') {
+        return [];
+    }
+    
+    try {
+        const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
+        const files = await window.api.listBackups(await resolveBackupDirectory());
+        const autoBackups = files
+            .filter(file => file.manifest && file.manifest.type === 'auto' && file.manifest.databaseName === dbName)
+            .map(file => ({ filePath: file.filePath, createdAt: file.manifest.createdAt }));
         
-        // Get current date and time for the backup filename
-        const now = new Date();
-        const date = now.toISOString().split('T')[0]; // YYYY-MM-DD
-        const time = now.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
+        const deleted = [];
+        for (const backup of selectBackupsToPrune(autoBackups, settings)) {
+            const result = await window.api.deleteBackupFile(backup.filePath);
+            if (result && result.success) {
+                deleted.push(backup.filePath);
+            } else {
+                console.error('Failed to delete old backup:', backup.filePath, result && result.error);
+            }
+        }
         
+        if (deleted.length > 0) {
+            console.log(`Backup rotation removed ${deleted.length} old automatic backups`);
+        }
+        return deleted;
+    } catch (error) {
+        console.error('Error rotating backups:', error);
+        return [];
+    }
+}
+
+// Whether an automatic backup would contain exactly what the last backup did
+function isUnchangedSinceLastBackup(archive) {
+    if (!getBackupSettings().skipUnchangedAutoBackups) return false;
+    const lastFingerprint = localStorage.getItem(`${archive.manifest.databaseName}_lastBackupFingerprint`);
+    return lastFingerprint === archive.manifest.fingerprint;
+}
+
+// Remember what the latest backup contained, then prune old automatic backups
+function recordBackupSaved(archive) {
+    localStorage.setItem(`${archive.manifest.databaseName}_lastBackupFingerprint`, archive.manifest.fingerprint);
+    rotateBackups();
+}
+
+// Directory backups are written to, following the same order as backupDatabase
+async function resolveBackupDirectory() {
+    const settings = getSettings();
+    let backupDir = settings.backupDirectory || localStorage.getItem('backupDirectory') || window.backupDirectory;
+    
+    if (!backupDir && window.api && window.api.getPaths) {
+        try {
+            const paths = await window.api.getPaths();
+            backupDir = paths && paths.backup;
+        } catch (error) {
+            console.error('Failed to get backup path from API:', error);
+        }
+    }
+    return backupDir || 'backup';
+}
+
+async function backupDatabase(toCloud = false, isAutoBackup = false) {
+    try {
         // If toCloud is true, sync to cloud
         if (toCloud) {
             syncWithCloud();
             return;
         }
         
+        // Get the current database name
+        const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
+        
+        // Archive every collection, the settings and referenced images
+        const data = await createBackupArchive(isAutoBackup ? 'auto' : 'manual');
+        
+        if (isAutoBackup && isUnchangedSinceLastBackup(data)) {
+            console.log('Auto backup skipped - nothing has changed since the last backup');
+            return;
+        }
+        
+        // Get current date and time for the backup filename
+        const now = new Date();
+        const date = now.toISOString().split('T')[0]; // YYYY-MM-DD
+        const time = now.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
+        
         // CRITICAL FIX: Ensure we have a valid backup directory
         // Get backup directory from settings
         const settings = getSettings();
@@ -142,6 +593,7 @@ function backupDatabase(toCloud = false) {
                         window.api.saveFile(backupPath, jsonData, (success) => {
                             if (success) {
                                 console.log('BACKUP DEBUG - Database backup created successfully at:', backupPath);
+                                recordBackupSaved(data);
                                 // Format the path display but don't show the full path to avoid confusion
                                 if (window.Core && window.Core.showToast) {
                                     // Show the full directory path in the success message for debugging
@@ -195,6 +647,7 @@ function backupDatabase(toCloud = false) {
                 window.api.saveFile(backupPath, jsonData, (success) => {
                     if (success) {
                         console.log('Database backup created successfully at:', backupPath);
+                        recordBackupSaved(data);
                         // Format the path display but don't show the full path to avoid confusion
                         if (window.Core && window.Core.showToast) {
                             // Show the full directory path in the success message for debugging
@@ -247,6 +700,9 @@ function createBrowserBackup(data, date, time, dbName) {
         URL.revokeObjectURL(url);
         
         console.log('Database backup created successfully (browser download)');
+        if (data.manifest) {
+            recordBackupSaved(data);
+        }
         if (window.Core && window.Core.showToast) {
             window.Core.showToast(`Backup downloaded to your browser's download folder: ${filename}`, 'success');
         } else {
@@ -304,7 +760,7 @@ function performAutoBackup() {
         
         // Simply call the same backup function used by the manual backup button
         // This ensures consistent behavior between manual and automatic backups
-        backupDatabase(false);
+        backupDatabase(false, true);
         
         console.log('Auto backup completed');
     } catch (error) {
@@ -317,9 +773,282 @@ function performAutoBackup() {
     }
 }
 
+function escapeBackupHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatBackupSize(bytes) {
+    if (!bytes && bytes !== 0) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatBackupTime(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toLocaleString() : 'Unknown time';
+}
+
+// Rows shown in the preview: one per collection, plus settings and images when present
+function getBackupPreviewRows(archive, verification) {
+    const rows = archive.manifest.parts
+        .filter(part => part.kind === 'collection')
+        .map(part => ({
+            key: part.collection,
+            backupCount: part.count,
+            currentCount: getCurrentCollection(part.collection).length,
+            status: verification.results[part.name]
+        }));
+    
+    const settingsPart = archive.manifest.parts.find(part => part.kind === 'settings');
+    if (settingsPart) {
+        rows.push({ key: 'settings', backupCount: '', currentCount: '', status: verification.results[settingsPart.name] });
+    }
+    
+    const imageParts = archive.manifest.parts.filter(part => part.kind === 'image');
+    if (imageParts.length > 0) {
+        const statuses = imageParts.map(part => verification.results[part.name]);
+        rows.push({
+            key: 'images',
+            backupCount: imageParts.length,
+            currentCount: '',
+            status: statuses.find(status => status !== 'ok') || 'ok'
+        });
+    }
+    return rows;
+}
+
+const BACKUP_STATUS_LABELS = {
+    ok: '<span class="backup-status ok"><i class="fas fa-check"></i> Verified</span>',
+    unchecked: '<span class="backup-status">Not checked</span>',
+    missing: '<span class="backup-status bad"><i class="fas fa-times"></i> Missing</span>',
+    mismatch: '<span class="backup-status bad"><i class="fas fa-times"></i> Checksum mismatch</span>'
+};
+
+// Show the contents of a backup next to the current database, with restore controls
+async function showBackupPreview(modal, archive) {
+    const preview = modal.querySelector('.backup-preview');
+    preview.innerHTML = '<p>Verifying backup...</p>';
+    
+    const verification = await verifyBackupArchive(archive);
+    const rows = getBackupPreviewRows(archive, verification);
+    const { manifest } = archive;
+    
+    preview.innerHTML = `
+        <h4>${escapeBackupHtml(manifest.databaseName)} &mdash; ${escapeBackupHtml(formatBackupTime(manifest.createdAt))}</h4>
+        ${verification.valid ? '' : '<p class="backup-warning">Some parts of this backup failed verification and cannot be restored.</p>'}
+        <table class="backup-parts">
+            <thead>
+                <tr><th><input type="checkbox" class="backup-select-all" checked></th><th>Part</th><th>In Backup</th><th>Current</th><th>Status</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => {
+                    const damaged = row.status === 'missing' || row.status === 'mismatch';
+                    return `
+                        <tr>
+                            <td><input type="checkbox" class="backup-part" value="${escapeBackupHtml(row.key)}" ${damaged ? 'disabled' : 'checked'}></td>
+                            <td>${escapeBackupHtml(BACKUP_PART_LABELS[row.key] || row.key)}</td>
+                            <td>${row.backupCount}</td>
+                            <td>${row.currentCount}</td>
+                            <td>${BACKUP_STATUS_LABELS[row.status] || ''}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+        <div class="backup-actions">
+            <button type="button" class="restore-selected-btn">Restore Selected</button>
+            <button type="button" class="restore-all-btn">Restore All</button>
+        </div>
+    `;
+    
+    const checkboxes = Array.from(preview.querySelectorAll('.backup-part:not(:disabled)'));
+    preview.querySelector('.backup-select-all').addEventListener('change', event => {
+        checkboxes.forEach(checkbox => { checkbox.checked = event.target.checked; });
+    });
+    
+    const restore = selection => {
+        if (selection.length === 0) {
+            Core.showToast('Select at least one part to restore', 'warning');
+            return;
+        }
+        const labels = selection.map(key => BACKUP_PART_LABELS[key] || key).join(', ');
+        Core.showConfirmationDialog(
+            `Replace the current ${labels} with the versions from this backup? This cannot be undone.`,
+            async () => {
+                try {
+                    const restored = await restoreFromBackup(archive, selection);
+                    UI.closeModal();
+                    if (window.Dashboard && typeof Dashboard.addActivity === 'function') {
+                        Dashboard.addActivity('restore', `Restored ${restored.length} parts from the backup of ${formatBackupTime(manifest.createdAt)}`);
+                    }
+                    Core.showToast('Backup restored. Reloading...', 'success');
+                    Core.reloadAfterSaving(1500);
+                } catch (error) {
+                    console.error('Error restoring backup:', error);
+                    Core.showToast('Failed to restore backup: ' + error.message, 'error');
+                }
+            }
+        );
+    };
+    
+    preview.querySelector('.restore-selected-btn').addEventListener('click', () => {
+        restore(checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value));
+    });
+    preview.querySelector('.restore-all-btn').addEventListener('click', () => {
+        restore(checkboxes.map(checkbox => checkbox.value));
+    });
+}
+
+async function openBackupEntry(modal, entry) {
+    try {
+        const result = await window.api.readBackupFile(entry.filePath);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not read backup file');
+        }
+        await showBackupPreview(modal, parseBackupArchive(result.content, entry));
+    } catch (error) {
+        console.error('Error opening backup:', error);
+        modal.querySelector('.backup-preview').innerHTML =
+            `<p class="backup-warning">Could not open this backup: ${escapeBackupHtml(error.message)}</p>`;
+    }
+}
+
+// Fill the backup list, newest first, limited to the selected type
+function renderBackupList(modal, entries) {
+    const typeFilter = modal.querySelector('.backup-type-filter').value;
+    const list = modal.querySelector('.backup-list tbody');
+    const visible = entries
+        .filter(entry => typeFilter === 'all' || entry.type === typeFilter)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    if (visible.length === 0) {
+        list.innerHTML = '<tr><td colspan="4">No backups found.</td></tr>';
+        return;
+    }
+    
+    list.innerHTML = visible.map(entry => `
+        <tr data-path="${escapeBackupHtml(entry.filePath)}">
+            <td>${escapeBackupHtml(formatBackupTime(entry.createdAt))}</td>
+            <td>${escapeBackupHtml(entry.type)}</td>
+            <td>${escapeBackupHtml(entry.databaseName)}</td>
+            <td>${escapeBackupHtml(formatBackupSize(entry.size))}</td>
+        </tr>
+    `).join('');
+    
+    list.querySelectorAll('tr[data-path]').forEach(row => {
+        row.addEventListener('click', () => {
+            list.querySelectorAll('tr').forEach(other => other.classList.remove('selected'));
+            row.classList.add('selected');
+            openBackupEntry(modal, visible.find(entry => entry.filePath === row.dataset.path));
+        });
+    });
+}
+
+/**
+ * Show the restore browser: backups listed by time and type, a preview of the
+ * selected backup against the current database, and restore of all or some parts
+ */
+async function showRestoreBrowser() {
+    addBackupStyles();
+    
+    const modal = UI.showModal('Restore from Backup', `
+        <div class="backup-browser">
+            <div class="backup-controls">
+                <label>Show
+                    <select class="backup-type-filter">
+                        <option value="all">All backups</option>
+                        <option value="manual">Manual</option>
+                        <option value="auto">Automatic</option>
+                        <option value="legacy">Older format</option>
+                    </select>
+                </label>
+                <button type="button" class="open-backup-file-btn"><i class="fas fa-folder-open"></i> Open Backup File...</button>
+                <input type="file" class="backup-file-input" accept=".json" style="display: none;">
+            </div>
+            <table class="backup-list">
+                <thead><tr><th>Created</th><th>Type</th><th>Database</th><th>Size</th></tr></thead>
+                <tbody><tr><td colspan="4">Loading backups...</td></tr></tbody>
+            </table>
+            <div class="backup-preview"><p>Select a backup to see what it contains.</p></div>
+        </div>
+    `);
+    
+    const fileInput = modal.querySelector('.backup-file-input');
+    modal.querySelector('.open-backup-file-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = async event => {
+            try {
+                await showBackupPreview(modal, parseBackupArchive(event.target.result));
+            } catch (error) {
+                modal.querySelector('.backup-preview').innerHTML =
+                    `<p class="backup-warning">Could not open this backup: ${escapeBackupHtml(error.message)}</p>`;
+            }
+        };
+        reader.readAsText(file);
+    });
+    
+    let entries = [];
+    if (window.api && typeof window.api.listBackups === 'function') {
+        try {
+            const files = await window.api.listBackups(await resolveBackupDirectory());
+            entries = files.map(file => ({
+                filePath: file.filePath,
+                size: file.size,
+                createdAt: file.manifest ? file.manifest.createdAt : file.modified,
+                type: file.manifest ? file.manifest.type : 'legacy',
+                databaseName: file.manifest ? file.manifest.databaseName : file.fileName.split('_backup_')[0]
+            }));
+        } catch (error) {
+            console.error('Error listing backups:', error);
+        }
+    }
+    
+    modal.querySelector('.backup-type-filter').addEventListener('change', () => renderBackupList(modal, entries));
+    renderBackupList(modal, entries);
+}
+
+function addBackupStyles() {
+    if (document.getElementById('backup-browser-styles')) return;
+    
+    const style = document.createElement('style');
+    style.id = 'backup-browser-styles';
+    style.textContent = `
+        .backup-controls { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 10px; }
+        .backup-list, .backup-parts { width: 100%; border-collapse: collapse; margin-bottom: 10px; }
+        .backup-list th, .backup-list td, .backup-parts th, .backup-parts td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #eee; }
+        .backup-list tbody { display: block; max-height: 200px; overflow-y: auto; }
+        .backup-list thead, .backup-list tbody tr { display: table; width: 100%; table-layout: fixed; }
+        .backup-list tr[data-path] { cursor: pointer; }
+        .backup-list tr.selected { background-color: rgba(52, 152, 219, 0.15); }
+        .backup-status.ok { color: #27ae60; }
+        .backup-status.bad, .backup-warning { color: #c0392b; }
+        .backup-actions { display: flex; gap: 6px; justify-content: flex-end; }
+        .dark-mode .backup-list th, .dark-mode .backup-list td,
+        .dark-mode .backup-parts th, .dark-mode .backup-parts td { border-color: #444; }
+    `;
+    document.head.appendChild(style);
+}
+
 // Export the functions
 export { 
     backupDatabase, 
+    getCurrentCollection,
+    createBackupArchive,
+    parseBackupArchive,
+    verifyBackupArchive,
+    restoreFromBackup,
+    findLatestBackup,
+    showRestoreBrowser,
+    selectBackupsToPrune,
+    rotateBackups,
     createBrowserBackup, 
     startAutoBackupTimer, 
     stopAutoBackupTimer, 
@@ -1,3 +1,5 @@
+import { renderActiveTemplate, wrapHtmlDocument } from './templates.js';
+
 // Export utility functions
 async function getExportDirectory() {
     try {
@@ -24,9 +26,29 @@ function getCurrentDatabaseName() {
     return localStorage.getItem('currentDatabaseName') || 'Default';
 }
 
+// The rows an entity's table shows, in its sort order, narrowed to the checked rows if any
+function getExportItems(entityType, allItems) {
+    return window.TableSelection ? window.TableSelection.getExportItems(entityType, allItems) : allItems;
+}
+
+// Nothing to write when the table's filters hide every row
+function hasItemsToExport(items) {
+    if (items.length > 0) return true;
+    if (window.Core && window.Core.showToast) {
+        window.Core.showToast('Nothing to export: no rows match the current filters', 'warning');
+    }
+    return false;
+}
+
 // Common export functions
-async function exportToHTML(items, generateItemHTML, filename) {
-    const content = `
+// entityType selects the export template; without one in use the item generator lays out each item
+async function exportToHTML(items, generateItemHTML, filename, entityType) {
+    if (!hasItemsToExport(items)) return;
+
+    const templateOutput = renderActiveTemplate(entityType, 'html', items);
+    if (templateOutput === false) return;
+
+    const content = templateOutput !== null ? wrapHtmlDocument(templateOutput, filename) : `
 <!DOCTYPE html>
 <html>
 <head>
@@ -80,8 +102,15 @@ async function exportToHTML(items, generateItemHTML, filename) {
     }
 }
 
-async function exportToTXT(items, generateItemText, filename) {
-    const content = items.map(item => generateItemText(item)).join('\n\n---\n\n');
+async function exportToTXT(items, generateItemText, filename, entityType) {
+    if (!hasItemsToExport(items)) return;
+
+    const templateOutput = renderActiveTemplate(entityType, 'text', items);
+    if (templateOutput === false) return;
+
+    const content = templateOutput !== null ?
+        templateOutput :
+        items.map(item => generateItemText(item)).join('\n\n---\n\n');
 
     try {
         if (window.api && window.api.invoke) {
@@ -129,13 +158,13 @@ function generateCharacterHTML(character) {
     if (typeof window.relationships !== 'undefined' && Array.isArray(window.relationships)) {
         // Filter relationships manually
         const filteredRelationships = window.relationships.filter(rel => 
-            rel.character1 === characterName || rel.character2 === characterName
+            window.EntityReferences.relationshipInvolves(rel, character.id)
         );
         
         // Format the relationships for display
         characterRelationships = filteredRelationships.map(rel => {
             // Determine which character is the other one (not this character)
-            const otherCharacter = rel.character1 === characterName ? rel.character2 : rel.character1;
+            const otherCharacter = window.EntityReferences.getCharacterNameById(window.EntityReferences.getOtherCharacterId(rel, character.id));
             
             return {
                 character: otherCharacter,
@@ -214,13 +243,13 @@ function generateCharacterText(character) {
     if (typeof window.relationships !== 'undefined' && Array.isArray(window.relationships)) {
         // Filter relationships manually
         const filteredRelationships = window.relationships.filter(rel => 
-            rel.character1 === characterName || rel.character2 === characterName
+            window.EntityReferences.relationshipInvolves(rel, character.id)
         );
         
         // Format the relationships for display
         characterRelationships = filteredRelationships.map(rel => {
             // Determine which character is the other one (not this character)
-            const otherCharacter = rel.character1 === characterName ? rel.character2 : rel.character1;
+            const otherCharacter = window.EntityReferences.getCharacterNameById(window.EntityReferences.getOtherCharacterId(rel, character.id));
             
             return {
                 character: otherCharacter,
@@ -254,9 +283,10 @@ async function exportCharactersToHTML() {
         const filename = `${dbName}-characters_${timestamp}.html`;
         
         await exportToHTML(
-            window.characters || [],
+            getExportItems('characters', window.characters || []),
             generateCharacterHTML,
-            filename
+            filename,
+            'characters'
         );
     } catch (error) {
         console.error('Error in exportCharactersToHTML:', error);
@@ -273,9 +303,10 @@ async function exportCharactersToTXT() {
         const filename = `${dbName}-characters_${timestamp}.txt`;
         
         await exportToTXT(
-            window.characters || [],
+            getExportItems('characters', window.characters || []),
             generateCharacterText,
-            filename
+            filename,
+            'characters'
         );
     } catch (error) {
         console.error('Error in exportCharactersToTXT:', error);
@@ -393,9 +424,10 @@ async function exportLocationsToHTML() {
         const filename = `${dbName}-locations_${timestamp}.html`;
         
         await exportToHTML(
-            window.locations || [],
+            getExportItems('locations', window.locations || []),
             generateLocationHTML,
-            filename
+            filename,
+            'locations'
         );
     } catch (error) {
         console.error('Error in exportLocationsToHTML:', error);
@@ -412,9 +444,10 @@ async function exportLocationsToTXT() {
         const filename = `${dbName}-locations_${timestamp}.txt`;
         
         await exportToTXT(
-            window.locations || [],
+            getExportItems('locations', window.locations || []),
             generateLocationText,
-            filename
+            filename,
+            'locations'
         );
     } catch (error) {
         console.error('Error in exportLocationsToTXT:', error);
@@ -485,9 +518,10 @@ async function exportPlotsToHTML() {
         const filename = `${dbName}-plots_${timestamp}.html`;
         
         await exportToHTML(
-            window.plots || [],
+            getExportItems('plots', window.plots || []),
             generatePlotHTML,
-            filename
+            filename,
+            'plots'
         );
     } catch (error) {
         console.error('Error in exportPlotsToHTML:', error);
@@ -504,9 +538,10 @@ async function exportPlotsToTXT() {
         const filename = `${dbName}-plots_${timestamp}.txt`;
         
         await exportToTXT(
-            window.plots || [],
+            getExportItems('plots', window.plots || []),
             generatePlotText,
-            filename
+            filename,
+            'plots'
         );
     } catch (error) {
         console.error('Error in exportPlotsToTXT:', error);
@@ -575,9 +610,10 @@ async function exportWorldBuildingToHTML() {
         const filename = `${dbName}-worldbuilding_${timestamp}.html`;
         
         await exportToHTML(
-            window.worldElements || [],
+            getExportItems('worldElements', window.worldElements || []),
             generateWorldBuildingHTML,
-            filename
+            filename,
+            'worldElements'
         );
     } catch (error) {
         console.error('Error in exportWorldBuildingToHTML:', error);
@@ -594,9 +630,10 @@ async function exportWorldBuildingToTXT() {
         const filename = `${dbName}-worldbuilding_${timestamp}.txt`;
         
         await exportToTXT(
-            window.worldElements || [],
+            getExportItems('worldElements', window.worldElements || []),
             generateWorldBuildingText,
-            filename
+            filename,
+            'worldElements'
         );
     } catch (error) {
         console.error('Error in exportWorldBuildingToTXT:', error);
@@ -625,5 +662,7 @@ export {
     exportPlotsToHTML,
     exportPlotsToTXT,
     exportWorldBuildingToHTML,
-    exportWorldBuildingToTXT
+    exportWorldBuildingToTXT,
+    getExportItems,
+    hasItemsToExport
 }; 
\ No newline at end of file
@@ -1,24 +1,23 @@
 // Import-related functions
+import {
+    SCHEMA_VERSION,
+    DATABASE_COLLECTIONS,
+    getSchemaVersion,
+    isSchemaVersionSupported,
+    migrateDatabaseSchema,
+    validateDatabaseRecords,
+    removeInvalidRecords
+} from './schema.js';
+import { parseMarkdownVault } from './markdown.js';
 
-// Define the current app version for version compatibility checks
+// Define the current app version, written to exported files for reference
 const APP_VERSION = '2.0.0'; // Update this to match your application's version
 
-// Function to check if import file version is compatible with current app version
-function isVersionCompatible(importVersion) {
-    // Simple version check - can be made more sophisticated if needed
+// Function to check if an import file can be read by this version of the app
+// Compatibility is decided by the file's schema version; migrations upgrade anything older
+function isVersionCompatible(data) {
     try {
-        if (!importVersion) return false;
-        
-        const importParts = importVersion.split('.');
-        const appParts = APP_VERSION.split('.');
-        
-        // Major version check - only compatible if major versions match
-        if (parseInt(importParts[0]) !== parseInt(appParts[0])) {
-            return false;
-        }
-        
-        // If we got here, the version is compatible
-        return true;
+        return isSchemaVersionSupported(getSchemaVersion(data));
     } catch (error) {
         console.error('Error checking version compatibility:', error);
         return false;
@@ -27,29 +26,88 @@ function isVersionCompatible(importVersion) {
 
 function validateImportFile(data) {
     // Check if the data is valid JSON
-    if (!data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
         return { valid: false, message: 'No data found in the import file.' };
     }
     
-    // Check if the data has the required properties
-    const requiredProperties = ['characters', 'titles', 'version'];
-    for (const prop of requiredProperties) {
-        if (!data.hasOwnProperty(prop)) {
-            return { valid: false, message: `Missing required property: ${prop}` };
-        }
+    // Check that the file holds at least one database collection
+    if (!DATABASE_COLLECTIONS.some(collection => data.hasOwnProperty(collection))) {
+        return { valid: false, message: 'The file does not contain any database collections.' };
     }
     
-    // Check if the version is compatible
-    if (data.version && !isVersionCompatible(data.version)) {
+    // Check if the schema version is one this app can read
+    if (!isVersionCompatible(data)) {
         return { 
             valid: false, 
-            message: `The database was created with version ${data.version}, which may not be compatible with the current version ${APP_VERSION}.` 
+            message: `The database uses schema version ${getSchemaVersion(data)}, which is newer than this version of the app supports (${SCHEMA_VERSION}). Please update the app to import it.` 
         };
     }
     
     return { valid: true };
 }
 
+function escapeImportHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Show which records failed validation and let the user import the rest
+ * @param {Object} report - Result of validateDatabaseRecords
+ * @param {Function} onImportValid - Called when the user chooses to skip the malformed records
+ * @param {Function} [onCancel] - Called when the user cancels instead
+ */
+function showValidationReport(report, onImportValid, onCancel = () => {}) {
+    const rows = report.errors.map(error => `
+        <tr>
+            <td>${escapeImportHtml(error.collection)}</td>
+            <td>${error.index === null ? 'All' : error.index + 1}</td>
+            <td>${escapeImportHtml(error.label)}</td>
+            <td>${error.problems.map(problem =>
+                `<div><code>${escapeImportHtml(problem.field || 'record')}</code> ${escapeImportHtml(problem.message)}</div>`).join('')}</td>
+        </tr>
+    `).join('');
+    
+    const html = `
+        <p>${report.errors.length} record${report.errors.length === 1 ? '' : 's'} in this file could not be read. 
+        The rest of the database is fine and can be imported without them.</p>
+        <div style="max-height: 320px; overflow-y: auto;">
+            <table class="data-table" style="width: 100%;">
+                <thead><tr><th>Collection</th><th>Record</th><th>Name</th><th>Problems</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <div class="form-actions" style="margin-top: 15px; text-align: right;">
+            <button type="button" class="cancel-import-btn">Cancel Import</button>
+            <button type="button" class="import-valid-btn">Import Valid Records</button>
+        </div>
+    `;
+    
+    if (!window.UI || typeof window.UI.showModal !== 'function') {
+        console.warn('Malformed records found in import file:', report.errors);
+        if (window.confirm(`${report.errors.length} malformed records were found. Import the remaining records?`)) {
+            onImportValid();
+        } else {
+            onCancel();
+        }
+        return;
+    }
+    
+    // Only the buttons close the report, so one of the callbacks always runs
+    const modal = window.UI.showModal('Import Validation Report', html, { closeOnBackdropClick: false });
+    modal.querySelector('.cancel-import-btn').addEventListener('click', () => {
+        window.UI.closeModal();
+        onCancel();
+    });
+    modal.querySelector('.import-valid-btn').addEventListener('click', () => {
+        window.UI.closeModal();
+        onImportValid();
+    });
+}
+
 function showImportError(title, message) {
     console.error(`${title}: ${message}`);
     
@@ -107,6 +165,22 @@ function processImportContent(content, forceExistingDb) {
             worldElements: data.worldElements ? `${data.worldElements.length} items` : 'none'
         });
         
+        processImportData(data);
+    } catch (error) {
+        console.error('Error processing import content:', error);
+        if (window.Core && typeof window.Core.showToast === 'function') {
+            window.Core.showToast('Failed to import database: ' + error.message, 'error');
+        } else if (window.Core && typeof window.Core.showNotification === 'function') {
+            window.Core.showNotification('Failed to import database: ' + error.message, 'error');
+        } else {
+            console.error('Failed to import database:', error.message);
+        }
+    }
+}
+
+// Validate, migrate and check a parsed database object, then import it
+function processImportData(data) {
+    try {
         // Validate the import file
         const validation = validateImportFile(data);
         if (!validation.valid) {
@@ -114,6 +188,34 @@ function processImportContent(content, forceExistingDb) {
             return;
         }
         
+        // Upgrade older files to the current schema, then check every record
+        migrateDatabaseSchema(data);
+        const report = validateDatabaseRecords(data);
+        if (!report.valid) {
+            showValidationReport(report, () => {
+                const removed = removeInvalidRecords(data, report);
+                console.log(`Skipped ${removed} malformed records during import`);
+                applyImportedData(data);
+            });
+            return;
+        }
+        
+        applyImportedData(data);
+    } catch (error) {
+        console.error('Error processing import data:', error);
+        if (window.Core && typeof window.Core.showToast === 'function') {
+            window.Core.showToast('Failed to import database: ' + error.message, 'error');
+        } else if (window.Core && typeof window.Core.showNotification === 'function') {
+            window.Core.showNotification('Failed to import database: ' + error.message, 'error');
+        } else {
+            console.error('Failed to import database:', error.message);
+        }
+    }
+}
+
+// Load validated, migrated data into the app using the selected import option
+function applyImportedData(data) {
+    try {
         // Get the import preferences from global variables set by importDatabase
         const createNew = window.tempCreateNewDatabase === true;
         const updateExisting = window.tempUpdateExistingDatabase === true;
@@ -135,14 +237,18 @@ function processImportContent(content, forceExistingDb) {
             updateCurrentDatabase(data);
         }
         
-        // Force a complete reload of the page after a delay
-        setTimeout(() => {
-            console.log('Forcing complete page reload after import');
-            window.location.reload(true); // true forces reload from server, not cache
-        }, 2000); // Allow time for user to see success message
+        if (window.Core && typeof window.Core.showToast === 'function') {
+            const databaseName = localStorage.getItem('currentDatabaseName') || 'Default';
+            window.Core.showToast(createNew
+                ? `Database "${databaseName}" imported successfully!`
+                : 'Database updated successfully!', 'success');
+        }
+        
+        // Reload once the imported data is written, leaving time to see the success message
+        navigateToDashboard(2000);
         
     } catch (error) {
-        console.error('Error processing import content:', error);
+        console.error('Error applying imported data:', error);
         if (window.Core && typeof window.Core.showToast === 'function') {
             window.Core.showToast('Failed to import database: ' + error.message, 'error');
         } else if (window.Core && typeof window.Core.showNotification === 'function') {
@@ -153,6 +259,26 @@ function processImportContent(content, forceExistingDb) {
     }
 }
 
+// Collections written by an import
+const IMPORTED_COLLECTIONS = [
+    'characters', 'locations', 'seriesList', 'titles', 'books', 'roles',
+    'customFieldTypes', 'relationships', 'tags', 'plots', 'worldElements', 'exportTemplates',
+    'calendars', 'timelineEvents', 'rejectedRelationshipSuggestions', 'relationshipGraphLayout'
+];
+
+// Parse a collection as last saved for the current database
+function getStoredCollection(key) {
+    return JSON.parse(Core.getStoredItem(key) || '[]');
+}
+
+// Save the imported collections held on window to a database in one batch
+function saveImportedCollections(databaseName) {
+    IMPORTED_COLLECTIONS.forEach(collection => {
+        window.Repository.saveCollection(collection, window[collection] || [], databaseName);
+    });
+    return window.Repository.flush();
+}
+
 function loadAsNewDatabase(data) {
     // Implementation for creating a new database from the imported data
     console.log('Loading as new database:', data);
@@ -163,6 +289,7 @@ function loadAsNewDatabase(data) {
     
     // Clear existing data
     window.characters = [];
+    window.locations = [];
     window.titles = [];
     window.seriesList = [];
     window.books = [];
@@ -172,9 +299,15 @@ function loadAsNewDatabase(data) {
     window.tags = [];
     window.plots = [];
     window.worldElements = [];
+    window.exportTemplates = [];
+    window.calendars = [];
+    window.timelineEvents = [];
+    window.rejectedRelationshipSuggestions = [];
+    window.relationshipGraphLayout = [];
     
     // Load the imported data
     if (data.characters) window.characters = data.characters;
+    if (data.locations) window.locations = data.locations;
     if (data.titles) window.titles = data.titles;
     if (data.seriesList) window.seriesList = data.seriesList;
     if (data.books) window.books = data.books;
@@ -184,6 +317,11 @@ function loadAsNewDatabase(data) {
     if (data.tags) window.tags = data.tags;
     if (data.plots) window.plots = data.plots;
     if (data.worldElements) window.worldElements = data.worldElements;
+    if (data.exportTemplates) window.exportTemplates = data.exportTemplates;
+    if (data.calendars) window.calendars = data.calendars;
+    if (data.timelineEvents) window.timelineEvents = data.timelineEvents;
+    if (data.rejectedRelationshipSuggestions) window.rejectedRelationshipSuggestions = data.rejectedRelationshipSuggestions;
+    if (data.relationshipGraphLayout) window.relationshipGraphLayout = data.relationshipGraphLayout;
     
     // Save the data to ensure it persists
     try {
@@ -191,38 +329,14 @@ function loadAsNewDatabase(data) {
         const currentDbName = localStorage.getItem('currentDatabaseName') || 'Default';
         console.log('Current database name for saving imported data:', currentDbName);
         
-        // Save to both generic keys and database-specific keys
-        // Generic keys (for backward compatibility)
-        localStorage.setItem('characters', JSON.stringify(window.characters));
-        localStorage.setItem('seriesList', JSON.stringify(window.seriesList));
-        localStorage.setItem('titles', JSON.stringify(window.titles));
-        localStorage.setItem('books', JSON.stringify(window.books));
-        localStorage.setItem('roles', JSON.stringify(window.roles));
-        localStorage.setItem('customFieldTypes', JSON.stringify(window.customFieldTypes));
-        localStorage.setItem('relationships', JSON.stringify(window.relationships));
-        localStorage.setItem('tags', JSON.stringify(window.tags));
-        localStorage.setItem('plots', JSON.stringify(window.plots));
-        localStorage.setItem('worldElements', JSON.stringify(window.worldElements));
-        
-        // Database-specific keys (to ensure data is properly associated with the current database)
-        localStorage.setItem(`${currentDbName}_characters`, JSON.stringify(window.characters));
-        localStorage.setItem(`${currentDbName}_seriesList`, JSON.stringify(window.seriesList));
-        localStorage.setItem(`${currentDbName}_titles`, JSON.stringify(window.titles));
-        localStorage.setItem(`${currentDbName}_books`, JSON.stringify(window.books));
-        localStorage.setItem(`${currentDbName}_roles`, JSON.stringify(window.roles));
-        localStorage.setItem(`${currentDbName}_customFieldTypes`, JSON.stringify(window.customFieldTypes));
-        localStorage.setItem(`${currentDbName}_relationships`, JSON.stringify(window.relationships));
-        localStorage.setItem(`${currentDbName}_tags`, JSON.stringify(window.tags));
-        localStorage.setItem(`${currentDbName}_plots`, JSON.stringify(window.plots));
-        localStorage.setItem(`${currentDbName}_worldElements`, JSON.stringify(window.worldElements));
-        
-        console.log('Data saved to both generic and database-specific localStorage keys');
+        saveImportedCollections(currentDbName);
+        console.log('Data queued for the repository');
         
         // Trigger storage events to notify the application of data changes
         window.dispatchEvent(new Event('storage'));
         document.dispatchEvent(new CustomEvent('dataLoaded', { detail: { source: 'import' } }));
     } catch (error) {
-        console.error('Error saving imported data to localStorage:', error);
+        console.error('Error saving imported data:', error);
     }
     
     // Force refresh and go to dashboard
@@ -248,11 +362,6 @@ function loadAsNewDatabase(data) {
     if (databaseNameElement) {
         databaseNameElement.textContent = dbName;
     }
-    
-    // Navigate to dashboard or perform hard refresh
-    setTimeout(() => {
-        navigateToDashboard();
-    }, 1500); // 1.5 second delay to let the notification appear
 }
 
 function updateCurrentDatabase(data) {
@@ -263,29 +372,17 @@ function updateCurrentDatabase(data) {
     const currentDbName = localStorage.getItem('currentDatabaseName') || 'Default';
     console.log('Current database name for appending data:', currentDbName);
     
-    // First, try to load data from database-specific keys
-    let existingCharacters = JSON.parse(localStorage.getItem(`${currentDbName}_characters`) || '[]');
-    let existingTitles = JSON.parse(localStorage.getItem(`${currentDbName}_titles`) || '[]');
-    let existingSeriesList = JSON.parse(localStorage.getItem(`${currentDbName}_seriesList`) || '[]');
-    let existingBooks = JSON.parse(localStorage.getItem(`${currentDbName}_books`) || '[]');
-    let existingRoles = JSON.parse(localStorage.getItem(`${currentDbName}_roles`) || '[]');
-    let existingCustomFieldTypes = JSON.parse(localStorage.getItem(`${currentDbName}_customFieldTypes`) || '[]');
-    let existingRelationships = JSON.parse(localStorage.getItem(`${currentDbName}_relationships`) || '[]');
-    let existingTags = JSON.parse(localStorage.getItem(`${currentDbName}_tags`) || '[]');
-    let existingPlots = JSON.parse(localStorage.getItem(`${currentDbName}_plots`) || '[]');
-    let existingWorldElements = JSON.parse(localStorage.getItem(`${currentDbName}_worldElements`) || '[]');
-    
-    // If database-specific keys are empty, fall back to generic keys
-    if (existingCharacters.length === 0) existingCharacters = JSON.parse(localStorage.getItem('characters') || '[]');
-    if (existingTitles.length === 0) existingTitles = JSON.parse(localStorage.getItem('titles') || '[]');
-    if (existingSeriesList.length === 0) existingSeriesList = JSON.parse(localStorage.getItem('seriesList') || '[]');
-    if (existingBooks.length === 0) existingBooks = JSON.parse(localStorage.getItem('books') || '[]');
-    if (existingRoles.length === 0) existingRoles = JSON.parse(localStorage.getItem('roles') || '[]');
-    if (existingCustomFieldTypes.length === 0) existingCustomFieldTypes = JSON.parse(localStorage.getItem('customFieldTypes') || '[]');
-    if (existingRelationships.length === 0) existingRelationships = JSON.parse(localStorage.getItem('relationships') || '[]');
-    if (existingTags.length === 0) existingTags = JSON.parse(localStorage.getItem('tags') || '[]');
-    if (existingPlots.length === 0) existingPlots = JSON.parse(localStorage.getItem('plots') || '[]');
-    if (existingWorldElements.length === 0) existingWorldElements = JSON.parse(localStorage.getItem('worldElements') || '[]');
+    // Start from what is saved for the current database
+    let existingCharacters = getStoredCollection('characters');
+    let existingTitles = getStoredCollection('titles');
+    let existingSeriesList = getStoredCollection('seriesList');
+    let existingBooks = getStoredCollection('books');
+    let existingRoles = getStoredCollection('roles');
+    let existingCustomFieldTypes = getStoredCollection('customFieldTypes');
+    let existingRelationships = getStoredCollection('relationships');
+    let existingTags = getStoredCollection('tags');
+    let existingPlots = getStoredCollection('plots');
+    let existingWorldElements = getStoredCollection('worldElements');
     
     console.log('Existing data before merge:', {
         characters: existingCharacters.length,
@@ -413,44 +510,38 @@ function updateCurrentDatabase(data) {
         console.log(`Added ${uniqueWorldElements.length} world elements, skipped ${duplicateWorldElements} duplicates, new total: ${window.worldElements.length}`);
     }
     
+    // Export templates are kept unless the current database already has one with the same id
+    if (Array.isArray(data.exportTemplates) && data.exportTemplates.length > 0) {
+        const existingTemplates = getStoredCollection('exportTemplates');
+        const newTemplates = data.exportTemplates
+            .filter(template => !existingTemplates.some(existing => existing.id === template.id))
+            .map(template => ({ ...template, isDefault: false }));
+        window.exportTemplates = existingTemplates.concat(newTemplates);
+    }
+    
+    // Calendars and timeline events are added unless the current database already has the same id
+    ['calendars', 'timelineEvents'].forEach(collection => {
+        if (!Array.isArray(data[collection]) || data[collection].length === 0) return;
+        const existingRecords = getStoredCollection(collection);
+        const newRecords = data[collection].filter(record => !existingRecords.some(existing => existing.id === record.id));
+        window[collection] = existingRecords.concat(newRecords);
+        console.log(`Added ${newRecords.length} ${collection}, new total: ${window[collection].length}`);
+    });
+    
     // Save the merged data to ensure it persists
     try {
         // Get the current database name
         const currentDbName = localStorage.getItem('currentDatabaseName') || 'Default';
         console.log('Current database name for saving imported data:', currentDbName);
         
-        // Save to both generic keys and database-specific keys
-        // Generic keys (for backward compatibility)
-        localStorage.setItem('characters', JSON.stringify(window.characters));
-        localStorage.setItem('seriesList', JSON.stringify(window.seriesList));
-        localStorage.setItem('titles', JSON.stringify(window.titles));
-        localStorage.setItem('books', JSON.stringify(window.books));
-        localStorage.setItem('roles', JSON.stringify(window.roles));
-        localStorage.setItem('customFieldTypes', JSON.stringify(window.customFieldTypes));
-        localStorage.setItem('relationships', JSON.stringify(window.relationships));
-        localStorage.setItem('tags', JSON.stringify(window.tags));
-        localStorage.setItem('plots', JSON.stringify(window.plots));
-        localStorage.setItem('worldElements', JSON.stringify(window.worldElements));
-        
-        // Database-specific keys (to ensure data is properly associated with the current database)
-        localStorage.setItem(`${currentDbName}_characters`, JSON.stringify(window.characters));
-        localStorage.setItem(`${currentDbName}_seriesList`, JSON.stringify(window.seriesList));
-        localStorage.setItem(`${currentDbName}_titles`, JSON.stringify(window.titles));
-        localStorage.setItem(`${currentDbName}_books`, JSON.stringify(window.books));
-        localStorage.setItem(`${currentDbName}_roles`, JSON.stringify(window.roles));
-        localStorage.setItem(`${currentDbName}_customFieldTypes`, JSON.stringify(window.customFieldTypes));
-        localStorage.setItem(`${currentDbName}_relationships`, JSON.stringify(window.relationships));
-        localStorage.setItem(`${currentDbName}_tags`, JSON.stringify(window.tags));
-        localStorage.setItem(`${currentDbName}_plots`, JSON.stringify(window.plots));
-        localStorage.setItem(`${currentDbName}_worldElements`, JSON.stringify(window.worldElements));
-        
-        console.log('Merged data saved to both generic and database-specific localStorage keys');
+        saveImportedCollections(currentDbName);
+        console.log('Merged data queued for the repository');
         
         // Trigger storage events to notify the application of data changes
         window.dispatchEvent(new Event('storage'));
         document.dispatchEvent(new CustomEvent('dataLoaded', { detail: { source: 'import' } }));
     } catch (error) {
-        console.error('Error saving imported data to localStorage:', error);
+        console.error('Error saving imported data:', error);
     }
     
     // Show a detailed success message if items were skipped
@@ -463,7 +554,7 @@ function updateCurrentDatabase(data) {
     // Force refresh and go to dashboard with a longer delay to ensure data is loaded
     setTimeout(() => {
         console.log('Refreshing UI after append operation');
-        reloadDataFromLocalStorage(); // Reload from localStorage to ensure data is fresh
+        reloadDataFromStorage(); // Reload the saved data to ensure it is fresh
         refreshAllUI();
         triggerDataLoadEvents();
     }, 500);
@@ -483,12 +574,11 @@ function refreshAllUI() {
             plots: window.plots ? `${window.plots.length} items` : 'none'
         });
         
-        // Force database reload from localStorage
+        // Force a reload of the saved data
         try {
-            // Try to reload from localStorage first
-            reloadDataFromLocalStorage();
+            reloadDataFromStorage();
         } catch (e) {
-            console.warn('Error reloading from localStorage:', e);
+            console.warn('Error reloading saved data:', e);
         }
         
         // Refresh characters list
@@ -563,51 +653,19 @@ function refreshAllUI() {
     }
 }
 
-function reloadDataFromLocalStorage() {
+function reloadDataFromStorage() {
     try {
-        // Get the current database name
-        const currentDbName = localStorage.getItem('currentDatabaseName') || 'Default';
-        console.log('Reloading data from localStorage for database:', currentDbName);
-        
-        // First try to load from database-specific keys
-        const dbCharactersData = localStorage.getItem(`${currentDbName}_characters`);
-        const dbSeriesListData = localStorage.getItem(`${currentDbName}_seriesList`);
-        const dbTitlesData = localStorage.getItem(`${currentDbName}_titles`);
-        const dbBooksData = localStorage.getItem(`${currentDbName}_books`);
-        const dbRolesData = localStorage.getItem(`${currentDbName}_roles`);
-        const dbCustomFieldTypesData = localStorage.getItem(`${currentDbName}_customFieldTypes`);
-        const dbRelationshipsData = localStorage.getItem(`${currentDbName}_relationships`);
-        const dbTagsData = localStorage.getItem(`${currentDbName}_tags`);
-        const dbPlotsData = localStorage.getItem(`${currentDbName}_plots`);
-        const dbWorldElementsData = localStorage.getItem(`${currentDbName}_worldElements`);
-        
-        // Fall back to generic keys if database-specific keys are not available
-        const charactersData = dbCharactersData || localStorage.getItem('characters');
-        const seriesListData = dbSeriesListData || localStorage.getItem('seriesList');
-        const titlesData = dbTitlesData || localStorage.getItem('titles');
-        const booksData = dbBooksData || localStorage.getItem('books');
-        const rolesData = dbRolesData || localStorage.getItem('roles');
-        const customFieldTypesData = dbCustomFieldTypesData || localStorage.getItem('customFieldTypes');
-        const relationshipsData = dbRelationshipsData || localStorage.getItem('relationships');
-        const tagsData = dbTagsData || localStorage.getItem('tags');
-        const plotsData = dbPlotsData || localStorage.getItem('plots');
-        const worldElementsData = dbWorldElementsData || localStorage.getItem('worldElements');
-        
-        // Parse and assign the data
-        if (charactersData) window.characters = JSON.parse(charactersData);
-        if (seriesListData) window.seriesList = JSON.parse(seriesListData);
-        if (titlesData) window.titles = JSON.parse(titlesData);
-        if (booksData) window.books = JSON.parse(booksData);
-        if (rolesData) window.roles = JSON.parse(rolesData);
-        if (customFieldTypesData) window.customFieldTypes = JSON.parse(customFieldTypesData);
-        if (relationshipsData) window.relationships = JSON.parse(relationshipsData);
-        if (tagsData) window.tags = JSON.parse(tagsData);
-        if (plotsData) window.plots = JSON.parse(plotsData);
-        if (worldElementsData) window.worldElements = JSON.parse(worldElementsData);
-        
-        console.log('Data reloaded from localStorage with priority given to database-specific keys');
+        console.log('Reloading saved data for database:', localStorage.getItem('currentDatabaseName') || 'Default');
+        
+        // Collections of a database that isn't loaded yet (a new import) keep their in-memory values
+        IMPORTED_COLLECTIONS.forEach(collection => {
+            const stored = Core.getStoredItem(collection);
+            if (stored) window[collection] = JSON.parse(stored);
+        });
+        
+        console.log('Data reloaded from storage');
     } catch (error) {
-        console.error('Error reloading data from localStorage:', error);
+        console.error('Error reloading saved data:', error);
     }
 }
 
@@ -747,9 +805,15 @@ function exportDatabase(syncToCloud = false) {
         tags,
         plots,
         worldElements,
+        exportTemplates: window.exportTemplates || [],
+        calendars: window.calendars || [],
+        timelineEvents: window.timelineEvents || [],
+        rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+        relationshipGraphLayout: window.relationshipGraphLayout || [],
         databaseName: dbName,
         exportDate: new Date().toISOString(),
-        version: '2.0.0' // Added version for future compatibility
+        version: APP_VERSION,
+        schemaVersion: SCHEMA_VERSION
     };
     
     // Convert to JSON
@@ -803,6 +867,19 @@ function exportDatabase(syncToCloud = false) {
     }
 }
 
+// Merge the copy synced to the configured cloud provider into the current database
+function importFromCloud() {
+    if (!window.CloudStorage) {
+        showImportError('Import Error', 'Cloud storage is not available');
+        return Promise.resolve(null);
+    }
+    // cloud-storage.js reports its own errors
+    return window.CloudStorage.loadFromCloud().catch(error => {
+        console.error('Error importing from cloud:', error);
+        return null;
+    });
+}
+
 function importDatabase(fromCloud = false) {
     window.databaseManagerModalRemoved = true;
     window.databaseSelectionModalRemoved = true;
@@ -815,8 +892,7 @@ function importDatabase(fromCloud = false) {
     console.log('importDatabase - modal state fully reset at start');
     
     if (fromCloud) {
-        // Import from cloud directly
-        loadFromCloud();
+        importFromCloud();
         return;
     }
     
@@ -831,24 +907,81 @@ function importDatabase(fromCloud = false) {
     openFileWithStandardInput(false);
 }
 
+// Read the .md files of a folder chosen with a directory file input
+function readVaultWithStandardInput() {
+    return new Promise(resolve => {
+        const folderInput = document.createElement('input');
+        folderInput.type = 'file';
+        folderInput.multiple = true;
+        folderInput.webkitdirectory = true;
+
+        folderInput.addEventListener('change', async (event) => {
+            const notes = Array.from(event.target.files).filter(file => /\.md$/i.test(file.name));
+            try {
+                const files = await Promise.all(notes.map(async file => ({
+                    // Paths start with the chosen folder's name; the vault is what's inside it
+                    path: (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name,
+                    content: await file.text()
+                })));
+                resolve({ success: true, files });
+            } catch (error) {
+                resolve({ success: false, error: error.message });
+            }
+        });
+
+        folderInput.click();
+    });
+}
+
+/**
+ * Import a Markdown vault written by exportMarkdownVault as a new database
+ * Notes edited or added in Obsidian are read too; see parseMarkdownVault.
+ */
+async function importMarkdownVault() {
+    window.tempCreateNewDatabase = true;
+    window.tempUpdateExistingDatabase = false;
+
+    try {
+        const result = window.api && typeof window.api.readMarkdownVault === 'function'
+            ? await window.api.readMarkdownVault()
+            : await readVaultWithStandardInput();
+        if (!result || result.canceled) return;
+        if (!result.success) {
+            throw new Error(result.error || 'Unknown error');
+        }
+
+        const data = parseMarkdownVault(result.files);
+        const { vaultReport } = data;
+        delete data.vaultReport;
+
+        if (vaultReport.notes === 0) {
+            showImportError('Import Error', 'No StoryGuard notes were found in the selected folder.');
+            return;
+        }
+
+        console.log(`Read ${vaultReport.notes} notes from Markdown vault`, vaultReport);
+        if (vaultReport.unresolvedLinks.length > 0) {
+            console.warn('Links to notes that are not in the vault:', vaultReport.unresolvedLinks);
+            Core.showToast(`${vaultReport.unresolvedLinks.length} links point to notes that are not in the vault and were skipped`, 'warning');
+        }
+
+        processImportData(data);
+    } catch (error) {
+        console.error('Error importing Markdown vault:', error);
+        Core.showToast('Failed to import Markdown vault: ' + error.message, 'error');
+    }
+}
+
 // Function to navigate to dashboard or hard refresh application
-function navigateToDashboard() {
+function navigateToDashboard(delay = 500) {
     console.log('Attempting to navigate to dashboard with forced reload...');
     
-    // Delay to allow any pending operations to complete
-    setTimeout(() => {
-        try {
-            // Store a flag in localStorage to indicate we should go to dashboard after reload
-            localStorage.setItem('redirectToDashboard', 'true');
-            localStorage.setItem('redirectTimestamp', Date.now().toString());
-            
-            // Force window reload - most direct approach
-            console.log('Forcing application reload...');
-            window.location.reload(true);
-        } catch (error) {
-            console.error('Error during forced reload:', error);
-        }
-    }, 500);
+    // Store a flag in localStorage to indicate we should go to dashboard after reload
+    localStorage.setItem('redirectToDashboard', 'true');
+    localStorage.setItem('redirectTimestamp', Date.now().toString());
+    
+    // Reload once the repository has stored every pending write
+    Core.reloadAfterSaving(delay);
 }
 
 // Function to trigger all the standard data loading events in the application
@@ -989,11 +1122,15 @@ if (window.api) {
 // Export the functions
 export { 
     validateImportFile, 
+    showValidationReport,
     showImportError, 
     isUsingNonDefaultDatabase, 
     importFromLocalFile, 
     processImportContent,
+    processImportData,
+    importFromCloud,
     importDatabase,
+    importMarkdownVault,
     exportDatabase,
     openFileWithStandardInput,
     openFileWithDefaultPath,
@@ -1001,8 +1138,11 @@ export {
     loadAsNewDatabase,
     updateCurrentDatabase,
     refreshAllUI,
-    reloadDataFromLocalStorage,
+    reloadDataFromStorage,
     refreshAllTables,
     navigateToDashboard,
-    triggerDataLoadEvents
+    triggerDataLoadEvents,
+    areCharactersIdentical,
+    arePlotsIdentical,
+    areWorldElementsIdentical
 };
@@ -4,9 +4,25 @@
  */
 
 // Import all module components
-import { exportDatabase, importDatabase, importFromLocalFile, processImportContent } from './import.js';
+import {
+    exportDatabase,
+    importDatabase,
+    importFromLocalFile,
+    processImportContent,
+    processImportData,
+    importFromCloud,
+    importMarkdownVault,
+    areCharactersIdentical,
+    arePlotsIdentical,
+    areWorldElementsIdentical
+} from './import.js';
 import { saveDatabase, exportLocations, importLocations } from './fileOperations.js';
-import { backupDatabase } from './backup.js';
+import { backupDatabase, showRestoreBrowser, rotateBackups } from './backup.js';
+import { appendRevision, getRevisions, getRevision, saveSyncBase, loadSyncBase } from './indexedDB.js';
+import { findBySeries, findByBook, findByTag, findByRole, findMatchingIds, getRecord } from './repository.js';
+import { exportStoryBibleToDOCX } from './story-bible.js';
+import { exportMarkdownVault } from './markdown.js';
+import { showTemplateManager } from './templates.js';
 import { 
     createDetailedPDF,
     exportCharactersToPDF,
@@ -21,21 +37,38 @@ const Storage = {
     importDatabase,
     importFromLocalFile,
     backupDatabase,
+    showRestoreBrowser,
+    rotateBackups,
     saveDatabase,
     createDetailedPDF,
     exportCharactersToPDF,
     exportLocationsToPDF,
     exportPlotsToPDF,
     exportWorldBuildingToPDF,
+    exportStoryBibleToDOCX,
+    exportMarkdownVault,
+    importMarkdownVault,
+    showTemplateManager,
     exportLocations,
     importLocations,
     processImportContent,
+    processImportData,
+    importFromCloud,
+    appendRevision,
+    getRevisions,
+    getRevision,
+    saveSyncBase,
+    loadSyncBase,
+    findBySeries,
+    findByBook,
+    findByTag,
+    findByRole,
+    findMatchingIds,
+    getRecord,
     
-    // Add stub implementation for setupCloudStorage to prevent errors
+    // Cloud storage lives in the classic cloud-storage.js script
     setupCloudStorage: function() {
-        console.log('Cloud storage setup is not implemented in this version');
-        // This stub implementation prevents errors when the function is called
-        return Promise.resolve();
+        return setupCloudStorage();
     }
     // Add other functions as needed
 };
@@ -58,20 +91,45 @@ export {
     importDatabase,
     importFromLocalFile,
     backupDatabase,
+    showRestoreBrowser,
+    rotateBackups,
     saveDatabase,
     createDetailedPDF,
     exportCharactersToPDF,
     exportLocationsToPDF,
     exportPlotsToPDF,
     exportWorldBuildingToPDF,
+    exportStoryBibleToDOCX,
+    exportMarkdownVault,
+    importMarkdownVault,
+    showTemplateManager,
     exportLocations,
     importLocations,
-    processImportContent
+    processImportContent,
+    processImportData,
+    importFromCloud,
+    areCharactersIdentical,
+    arePlotsIdentical,
+    areWorldElementsIdentical,
+    appendRevision,
+    getRevisions,
+    getRevision,
+    saveSyncBase,
+    loadSyncBase,
+    findBySeries,
+    findByBook,
+    findByTag,
+    findByRole,
+    findMatchingIds,
+    getRecord
 };
 
 // Export the setupCloudStorage function separately
 export function setupCloudStorage() {
-    console.log('Cloud storage setup is not implemented in this version');
-    // This stub implementation prevents errors when the function is called
+    if (window.CloudStorage && typeof window.CloudStorage.initializeCloudStorage === 'function') {
+        window.CloudStorage.initializeCloudStorage();
+    } else {
+        console.log('Cloud storage module is not loaded');
+    }
     return Promise.resolve();
 }
@@ -1,441 +1,300 @@
 // IndexedDB-related functions
-function initIndexedDB() {
+
+// Database name and schema version - bump the version whenever stores or indexes change
+const DB_NAME = 'StoryDatabase';
+const DB_VERSION = 5;
+
+// Stores holding one row per entity record
+const RECORD_STORES = ['characters', 'locations', 'plots', 'worldElements', 'relationships', 'tags', 'timelineEvents'];
+
+// Store holding the string lists of each database
+const LIST_STORE = 'lists';
+
+// Revisions kept per entity; older ones are pruned whenever a new one is written
+const MAX_REVISIONS_PER_ENTITY = 100;
+
+// Store holding the snapshot of each database taken at its last cloud sync
+const SYNC_BASE_STORE = 'syncBases';
+
+// Stores from schema versions before 3
+const LEGACY_STORES = [
+    'characters', 'titles', 'series', 'books', 'roles', 'customFieldTypes',
+    'relationships', 'tags', 'plots', 'worldElements'
+];
+
+// Open the database, creating or upgrading the stores when needed
+function openDatabaseRequest() {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = function(event) {
+        const db = event.target.result;
+        console.log(`Database upgrade needed (${event.oldVersion} -> ${event.newVersion})`);
+        
+        // Create object stores
+        createObjectStores(db, event.oldVersion);
+        
+        // Add indexes using the upgrade transaction
+        addIndexesToStores(db, event.target.transaction);
+    };
+    
+    return request;
+}
+
+// Promise wrapper around openDatabaseRequest
+function openDatabase() {
     return new Promise((resolve, reject) => {
-        try {
-            // Check if IndexedDB is supported
-            if (!window.indexedDB) {
-                console.error('Your browser does not support IndexedDB');
-                reject(new Error('IndexedDB not supported'));
-                return;
-            }
-            
-            // Open the database
-            const request = window.indexedDB.open('StoryDatabase', 1);
-            
-            // Handle database upgrade needed
-            request.onupgradeneeded = function(event) {
-                const db = event.target.result;
-                console.log('Database upgrade needed');
-                
-                // Create object stores
-                createObjectStores(db);
-                
-                // Add indexes to stores
-                addIndexesToStores(db);
-            };
-            
-            // Handle database open success
-            request.onsuccess = function(event) {
-                const db = event.target.result;
-                console.log('Database opened successfully');
-                
-                // Check if we need to migrate data from localStorage
-                checkAndMigrateFromLocalStorage(db)
-                    .then(() => {
-                        resolve(db);
-                    })
-                    .catch(error => {
-                        console.error('Error migrating data:', error);
-                        reject(error);
-                    });
-            };
-            
-            // Handle database open error
-            request.onerror = function(event) {
-                console.error('Error opening database:', event.target.error);
-                reject(event.target.error);
-            };
-        } catch (error) {
-            console.error('Error initializing IndexedDB:', error);
-            reject(error);
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
         }
+        
+        const request = openDatabaseRequest();
+        request.onsuccess = function(event) {
+            resolve(event.target.result);
+        };
+        request.onerror = function(event) {
+            console.error('Error opening database:', event.target.error);
+            reject(event.target.error);
+        };
     });
 }
 
-function createObjectStores(db) {
+function createObjectStores(db, oldVersion = 0) {
     try {
-        // Create object stores for each data type
-        const storeNames = [
-            'characters',
-            'titles',
-            'series',
-            'books',
-            'roles',
-            'customFieldTypes',
-            'relationships',
-            'tags',
-            'plots',
-            'worldElements',
-            'settings'
-        ];
+        // Before version 3 every entity type had a store keyed by id alone. Those stores
+        // were never the primary copy of the data, so they are replaced rather than migrated.
+        if (oldVersion > 0 && oldVersion < 3) {
+            LEGACY_STORES.forEach(storeName => {
+                if (db.objectStoreNames.contains(storeName)) {
+                    db.deleteObjectStore(storeName);
+                    console.log(`Removed legacy object store: ${storeName}`);
+                }
+            });
+        }
+        
+        // One row per record, keyed by the database it belongs to and the record id
+        for (const storeName of RECORD_STORES) {
+            if (!db.objectStoreNames.contains(storeName)) {
+                db.createObjectStore(storeName, { keyPath: ['database', 'id'] });
+                console.log(`Created object store: ${storeName}`);
+            }
+        }
+        
+        // String lists (titles, roles, ...) are stored whole, one row per database and list
+        if (!db.objectStoreNames.contains(LIST_STORE)) {
+            db.createObjectStore(LIST_STORE, { keyPath: ['database', 'name'] });
+            console.log(`Created object store: ${LIST_STORE}`);
+        }
         
-        // Create each store with an id key path
-        for (const storeName of storeNames) {
+        for (const storeName of ['settings', 'history']) {
             if (!db.objectStoreNames.contains(storeName)) {
-                const store = db.createObjectStore(storeName, { keyPath: 'id' });
+                db.createObjectStore(storeName, { keyPath: 'id' });
                 console.log(`Created object store: ${storeName}`);
             }
         }
+        
+        // Sync snapshots can be as large as the database, so they live here rather than in localStorage
+        if (!db.objectStoreNames.contains(SYNC_BASE_STORE)) {
+            db.createObjectStore(SYNC_BASE_STORE, { keyPath: 'database' });
+            console.log(`Created object store: ${SYNC_BASE_STORE}`);
+        }
     } catch (error) {
         console.error('Error creating object stores:', error);
         throw error;
     }
 }
 
-function addIndexesToStores(db) {
+// Create an index if the store doesn't have it yet
+function ensureIndex(store, name, keyPath, options = {}) {
+    if (!store.indexNames.contains(name)) {
+        store.createIndex(name, keyPath, { unique: false, ...options });
+        console.log(`Created ${name} index for ${store.name} store`);
+    }
+}
+
+function addIndexesToStores(db, transaction) {
     try {
-        // Add indexes to stores for faster querying
+        // Add indexes to stores for faster querying.
+        // Indexes can only be created inside the versionchange transaction.
         
-        // Characters store
-        if (db.objectStoreNames.contains('characters')) {
-            const charactersStore = db.transaction('characters', 'readwrite').objectStore('characters');
-            
-            // Add name index if it doesn't exist
-            if (!charactersStore.indexNames.contains('name')) {
-                charactersStore.createIndex('name', 'name', { unique: false });
-                console.log('Created name index for characters store');
-            }
-            
-            // Add role index if it doesn't exist
-            if (!charactersStore.indexNames.contains('role')) {
-                charactersStore.createIndex('role', 'role', { unique: false });
-                console.log('Created role index for characters store');
-            }
+        // Record stores - rows carry copies of the indexed fields next to the record
+        for (const storeName of RECORD_STORES) {
+            const store = transaction.objectStore(storeName);
+            ensureIndex(store, 'database', 'database');
+            ensureIndex(store, 'series', ['database', 'series']);
+            ensureIndex(store, 'book', ['database', 'book']);
+            // tagKeys holds one [database, tag] pair per tag
+            ensureIndex(store, 'tag', 'tagKeys', { multiEntry: true });
         }
         
-        // Titles store
-        if (db.objectStoreNames.contains('titles')) {
-            const titlesStore = db.transaction('titles', 'readwrite').objectStore('titles');
-            
-            // Add name index if it doesn't exist
-            if (!titlesStore.indexNames.contains('name')) {
-                titlesStore.createIndex('name', 'name', { unique: false });
-                console.log('Created name index for titles store');
-            }
-        }
+        ensureIndex(transaction.objectStore('characters'), 'role', ['database', 'role']);
         
-        // Add more indexes as needed for other stores
+        // History store - revisions are looked up per entity and ordered by time
+        if (db.objectStoreNames.contains('history')) {
+            const historyStore = transaction.objectStore('history');
+            ensureIndex(historyStore, 'entity', ['database', 'entityType', 'entityId']);
+            ensureIndex(historyStore, 'timestamp', 'timestamp');
+        }
     } catch (error) {
         console.error('Error adding indexes to stores:', error);
         throw error;
     }
 }
 
-async function checkAndMigrateFromLocalStorage(db) {
-    try {
-        // Check if we've already migrated
-        const migrated = localStorage.getItem('indexedDBMigrated');
-        if (migrated === 'true') {
-            console.log('Data already migrated from localStorage to IndexedDB');
-            return;
-        }
-        
-        console.log('Migrating data from localStorage to IndexedDB...');
+// Name of the database the revision history belongs to
+function getHistoryDatabaseName() {
+    return localStorage.getItem('currentDatabaseName') || 'Default';
+}
+
+// Oldest revision first
+function compareRevisions(a, b) {
+    return a.timestamp.localeCompare(b.timestamp) || a.id.localeCompare(b.id);
+}
+
+// Append a revision of an entity to the history store, pruning the entity's oldest revisions
+async function appendRevision(entityType, entity, options = {}) {
+    if (!entity || !entity.id) {
+        throw new Error('Cannot record a revision for an entity without an id');
+    }
+    
+    const db = await openDatabase();
+    const revision = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+        database: getHistoryDatabaseName(),
+        entityType,
+        entityId: entity.id,
+        timestamp: new Date().toISOString(),
+        action: options.action || 'save',
+        note: options.note || '',
+        // Store a deep copy so later edits to the live object don't change the revision
+        data: JSON.parse(JSON.stringify(entity))
+    };
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction('history', 'readwrite');
+        const store = transaction.objectStore('history');
+        store.add(revision);
         
-        // Get data from localStorage
-        const data = {
-            characters: JSON.parse(localStorage.getItem('characters') || '[]'),
-            titles: JSON.parse(localStorage.getItem('titles') || '[]'),
-            seriesList: JSON.parse(localStorage.getItem('series') || '[]'),
-            books: JSON.parse(localStorage.getItem('books') || '[]'),
-            roles: JSON.parse(localStorage.getItem('roles') || '[]'),
-            customFieldTypes: JSON.parse(localStorage.getItem('customFieldTypes') || '[]'),
-            relationships: JSON.parse(localStorage.getItem('relationships') || '[]'),
-            tags: JSON.parse(localStorage.getItem('tags') || '[]'),
-            plots: JSON.parse(localStorage.getItem('plots') || '[]'),
-            worldElements: JSON.parse(localStorage.getItem('worldElements') || '[]')
+        // Prune in the same transaction, so the cap holds even if the app closes right after
+        const getRequest = store.index('entity').getAll([revision.database, entityType, revision.entityId]);
+        getRequest.onsuccess = function() {
+            const revisions = (getRequest.result || []).sort(compareRevisions);
+            revisions.slice(0, Math.max(0, revisions.length - MAX_REVISIONS_PER_ENTITY))
+                .forEach(old => store.delete(old.id));
         };
         
-        // Store data in IndexedDB
-        const storePromises = [];
-        
-        // Characters
-        if (data.characters.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'characters', data.characters));
-        }
-        
-        // Titles
-        if (data.titles.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'titles', data.titles));
-        }
-        
-        // Series
-        if (data.seriesList.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'series', data.seriesList));
-        }
-        
-        // Books
-        if (data.books.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'books', data.books));
-        }
-        
-        // Roles
-        if (data.roles.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'roles', data.roles));
-        }
-        
-        // Custom Field Types
-        if (data.customFieldTypes.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'customFieldTypes', data.customFieldTypes));
-        }
-        
-        // Relationships
-        if (data.relationships.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'relationships', data.relationships));
-        }
-        
-        // Tags
-        if (data.tags.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'tags', data.tags));
-        }
-        
-        // Plots
-        if (data.plots.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'plots', data.plots));
-        }
-        
-        // World Elements
-        if (data.worldElements.length > 0) {
-            storePromises.push(storeDataInObjectStore(db, 'worldElements', data.worldElements));
-        }
-        
-        // Wait for all stores to complete
-        await Promise.all(storePromises);
-        
-        // Mark as migrated
-        localStorage.setItem('indexedDBMigrated', 'true');
+        transaction.oncomplete = function() {
+            db.close();
+            resolve(revision);
+        };
         
-        console.log('Data migration from localStorage to IndexedDB completed');
-    } catch (error) {
-        console.error('Error migrating data from localStorage to IndexedDB:', error);
-        throw error;
-    }
+        transaction.onerror = function(event) {
+            console.error('Error appending revision:', event.target.error);
+            db.close();
+            reject(event.target.error);
+        };
+    });
 }
 
-function storeDataInObjectStore(db, storeName, data) {
+// Get all revisions of an entity, oldest first
+async function getRevisions(entityType, entityId) {
+    const db = await openDatabase();
+    
     return new Promise((resolve, reject) => {
-        try {
-            // Start a transaction
-            const transaction = db.transaction(storeName, 'readwrite');
-            const store = transaction.objectStore(storeName);
-            
-            // Clear existing data
-            const clearRequest = store.clear();
-            
-            clearRequest.onsuccess = function() {
-                console.log(`Cleared existing data in ${storeName} store`);
-                
-                // Add each item to the store
-                let count = 0;
-                for (const item of data) {
-                    const request = store.add(item);
-                    
-                    request.onsuccess = function() {
-                        count++;
-                        if (count === data.length) {
-                            console.log(`Added ${count} items to ${storeName} store`);
-                        }
-                    };
-                    
-                    request.onerror = function(event) {
-                        console.error(`Error adding item to ${storeName} store:`, event.target.error);
-                    };
-                }
-            };
-            
-            // Handle transaction completion
-            transaction.oncomplete = function() {
-                console.log(`Transaction completed for ${storeName} store`);
-                resolve();
-            };
-            
-            // Handle transaction error
-            transaction.onerror = function(event) {
-                console.error(`Transaction error for ${storeName} store:`, event.target.error);
-                reject(event.target.error);
-            };
-        } catch (error) {
-            console.error(`Error storing data in ${storeName} store:`, error);
-            reject(error);
-        }
+        const transaction = db.transaction('history', 'readonly');
+        const index = transaction.objectStore('history').index('entity');
+        const getRequest = index.getAll([getHistoryDatabaseName(), entityType, entityId]);
+        
+        getRequest.onsuccess = function() {
+            const revisions = getRequest.result || [];
+            revisions.sort(compareRevisions);
+            db.close();
+            resolve(revisions);
+        };
+        
+        getRequest.onerror = function(event) {
+            console.error(`Error retrieving revisions for ${entityType} ${entityId}:`, event.target.error);
+            db.close();
+            reject(event.target.error);
+        };
     });
 }
 
-async function storeData(storeName, data, options = {}) {
+// Get a single revision by its id
+async function getRevision(revisionId) {
+    const db = await openDatabase();
+    
     return new Promise((resolve, reject) => {
-        try {
-            // Open the database
-            const request = window.indexedDB.open('StoryDatabase', 1);
-            
-            request.onsuccess = function(event) {
-                const db = event.target.result;
-                
-                // Start a transaction
-                const transaction = db.transaction(storeName, 'readwrite');
-                const store = transaction.objectStore(storeName);
-                
-                // Clear existing data if specified
-                if (options.clear) {
-                    const clearRequest = store.clear();
-                    
-                    clearRequest.onsuccess = function() {
-                        console.log(`Cleared existing data in ${storeName} store`);
-                    };
-                    
-                    clearRequest.onerror = function(event) {
-                        console.error(`Error clearing ${storeName} store:`, event.target.error);
-                    };
-                }
-                
-                // Add or update each item in the store
-                let count = 0;
-                const isArray = Array.isArray(data);
-                const items = isArray ? data : [data];
-                
-                for (const item of items) {
-                    // Use put to add or update
-                    const request = store.put(item);
-                    
-                    request.onsuccess = function() {
-                        count++;
-                        if (count === items.length) {
-                            console.log(`Stored ${count} items in ${storeName} store`);
-                        }
-                    };
-                    
-                    request.onerror = function(event) {
-                        console.error(`Error storing item in ${storeName} store:`, event.target.error);
-                    };
-                }
-                
-                // Handle transaction completion
-                transaction.oncomplete = function() {
-                    console.log(`Transaction completed for ${storeName} store`);
-                    resolve(true);
-                };
-                
-                // Handle transaction error
-                transaction.onerror = function(event) {
-                    console.error(`Transaction error for ${storeName} store:`, event.target.error);
-                    reject(event.target.error);
-                };
-            };
-            
-            request.onerror = function(event) {
-                console.error('Error opening database:', event.target.error);
-                reject(event.target.error);
-            };
-        } catch (error) {
-            console.error(`Error storing data in ${storeName} store:`, error);
-            reject(error);
-        }
+        const transaction = db.transaction('history', 'readonly');
+        const getRequest = transaction.objectStore('history').get(revisionId);
+        
+        getRequest.onsuccess = function() {
+            db.close();
+            resolve(getRequest.result || null);
+        };
+        
+        getRequest.onerror = function(event) {
+            console.error(`Error retrieving revision ${revisionId}:`, event.target.error);
+            db.close();
+            reject(event.target.error);
+        };
     });
 }
 
-async function retrieveData(storeName, options = {}) {
+// Store the snapshot of a database taken at a successful cloud sync
+async function saveSyncBase(database, data) {
+    const db = await openDatabase();
+    
     return new Promise((resolve, reject) => {
-        try {
-            // Open the database
-            const request = window.indexedDB.open('StoryDatabase', 1);
-            
-            request.onsuccess = function(event) {
-                const db = event.target.result;
-                
-                // Start a transaction
-                const transaction = db.transaction(storeName, 'readonly');
-                const store = transaction.objectStore(storeName);
-                
-                // Get all data from the store
-                const getRequest = store.getAll();
-                
-                getRequest.onsuccess = function() {
-                    const data = getRequest.result;
-                    console.log(`Retrieved ${data.length} items from ${storeName} store`);
-                    
-                    // Apply filters if specified
-                    let filteredData = data;
-                    
-                    if (options.filter) {
-                        filteredData = filteredData.filter(options.filter);
-                    }
-                    
-                    // Apply sorting if specified
-                    if (options.sort) {
-                        filteredData.sort(options.sort);
-                    }
-                    
-                    // Apply limit if specified
-                    if (options.limit) {
-                        filteredData = filteredData.slice(0, options.limit);
-                    }
-                    
-                    resolve(filteredData);
-                };
-                
-                getRequest.onerror = function(event) {
-                    console.error(`Error retrieving data from ${storeName} store:`, event.target.error);
-                    reject(event.target.error);
-                };
-            };
-            
-            request.onerror = function(event) {
-                console.error('Error opening database:', event.target.error);
-                reject(event.target.error);
-            };
-        } catch (error) {
-            console.error(`Error retrieving data from ${storeName} store:`, error);
-            reject(error);
-        }
+        const transaction = db.transaction(SYNC_BASE_STORE, 'readwrite');
+        transaction.objectStore(SYNC_BASE_STORE).put({ database, savedAt: new Date().toISOString(), data });
+        
+        transaction.oncomplete = function() {
+            db.close();
+            resolve();
+        };
+        
+        transaction.onerror = function(event) {
+            console.error(`Error saving sync base for ${database}:`, event.target.error);
+            db.close();
+            reject(event.target.error);
+        };
     });
 }
 
-async function getItemById(storeName, id) {
+// Get the snapshot taken at the last cloud sync, or null if there is none
+async function loadSyncBase(database) {
+    const db = await openDatabase();
+    
     return new Promise((resolve, reject) => {
-        try {
-            // Open the database
-            const request = window.indexedDB.open('StoryDatabase', 1);
-            
-            request.onsuccess = function(event) {
-                const db = event.target.result;
-                
-                // Start a transaction
-                const transaction = db.transaction(storeName, 'readonly');
-                const store = transaction.objectStore(storeName);
-                
-                // Get the item by ID
-                const getRequest = store.get(id);
-                
-                getRequest.onsuccess = function() {
-                    const item = getRequest.result;
-                    console.log(`Retrieved item with ID ${id} from ${storeName} store`);
-                    resolve(item);
-                };
-                
-                getRequest.onerror = function(event) {
-                    console.error(`Error retrieving item with ID ${id} from ${storeName} store:`, event.target.error);
-                    reject(event.target.error);
-                };
-            };
-            
-            request.onerror = function(event) {
-                console.error('Error opening database:', event.target.error);
-                reject(event.target.error);
-            };
-        } catch (error) {
-            console.error(`Error retrieving item with ID ${id} from ${storeName} store:`, error);
-            reject(error);
-        }
+        const transaction = db.transaction(SYNC_BASE_STORE, 'readonly');
+        const getRequest = transaction.objectStore(SYNC_BASE_STORE).get(database);
+        
+        getRequest.onsuccess = function() {
+            db.close();
+            resolve(getRequest.result ? getRequest.result.data : null);
+        };
+        
+        getRequest.onerror = function(event) {
+            console.error(`Error loading sync base for ${database}:`, event.target.error);
+            db.close();
+            reject(event.target.error);
+        };
     });
 }
 
 // Export the functions
 export {
-    initIndexedDB,
+    DB_NAME,
+    DB_VERSION,
+    RECORD_STORES,
+    LIST_STORE,
+    openDatabase,
     createObjectStores,
     addIndexesToStores,
-    checkAndMigrateFromLocalStorage,
-    storeDataInObjectStore,
-    storeData,
-    retrieveData,
-    getItemById
+    appendRevision,
+    getRevisions,
+    getRevision,
+    saveSyncBase,
+    loadSyncBase
 }; 
\ No newline at end of file
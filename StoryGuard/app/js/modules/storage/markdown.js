@@ -0,0 +1,583 @@
+/**
+ * Markdown vault export
+ * Writes the current database as a folder of Markdown notes that Obsidian and other
+ * plain-text tools can open: one note per character, location, plot and world element,
+ * plus a StoryGuard.md index note with the database-wide lists. Structured fields are
+ * YAML front matter and references between records are [[wikilinks]], so
+ * parseMarkdownVault can rebuild the database from the notes.
+ *
+ * A note looks like:
+ *
+ *   ---
+ *   storyguard: plot
+ *   id: m3k9...
+ *   title: The Heist
+ *   tags:
+ *     - act-one
+ *   characters:
+ *     - "[[Jane Doe]]"
+ *   ---
+ *
+ *   # The Heist
+ *
+ *   ## Description
+ *   %% storyguard: description %%
+ *   Text or HTML, kept exactly as stored
+ *
+ * The %% marker %% lines are Obsidian comments; they tell the importer which field a
+ * section holds. Sections marked "generated" are only for reading and are not imported.
+ */
+
+import { getCurrentCollection } from './backup.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+const INDEX_NOTE = 'StoryGuard.md';
+
+// One folder of notes per collection; `type` is the note's `storyguard` property
+const VAULT_SECTIONS = [
+    { collection: 'characters', type: 'character', folder: 'Characters' },
+    { collection: 'locations', type: 'location', folder: 'Locations' },
+    { collection: 'plots', type: 'plot', folder: 'Plots' },
+    { collection: 'worldElements', type: 'worldElement', folder: 'World Elements' }
+];
+
+// Text fields written as sections of the note body rather than front matter
+const BODY_FIELDS = {
+    description: 'Description',
+    notes: 'Notes',
+    summary: 'Summary',
+    details: 'Details'
+};
+
+// Fields that hold ids of other records and are written as wikilinks
+const LINK_FIELDS = {
+    plots: ['characters', 'locations', 'resolves'],
+    worldElements: ['relatedElements']
+};
+
+// Fields that hold a single id, also written as a link
+const SINGLE_LINK_FIELDS = {
+    plots: ['pov', 'setting', 'thread']
+};
+
+// Database-wide lists kept in the index note
+const INDEX_LISTS = ['titles', 'seriesList', 'books', 'roles', 'customFieldTypes', 'tags', 'exportTemplates', 'calendars', 'timelineEvents'];
+
+const GENERATED_SECTION = 'generated';
+const SECTION_MARKER = /^%% storyguard: ([\w-]+) %%$/;
+
+// Strings that can be written without quotes and read back unchanged
+const PLAIN_SCALAR = /^[A-Za-z][A-Za-z0-9 _.,'()\/&+-]*$/;
+const RESERVED_WORDS = /^(true|false|null|yes|no|on|off|y|n)$/i;
+
+function getCharacterName(character) {
+    return `${character.firstName || ''} ${character.lastName || ''}`.trim() || 'Unnamed Character';
+}
+
+function getEntityName(collection, record) {
+    if (collection === 'characters') return getCharacterName(record);
+    if (collection === 'plots') return record.title || 'Unnamed Plot';
+    return record.name || (collection === 'locations' ? 'Unnamed Location' : 'Unnamed Element');
+}
+
+// ---- YAML front matter ----
+
+function isScalar(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// Flow values are JSON, which YAML reads as flow collections and double-quoted strings
+function yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (typeof value === 'string' && PLAIN_SCALAR.test(value) && !/\s$/.test(value) && !RESERVED_WORDS.test(value)) {
+        return value;
+    }
+    return JSON.stringify(value);
+}
+
+function yamlKey(key) {
+    return /^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Write an object as a front matter block
+ * Lists of scalars use block style, which is what Obsidian's property editor writes.
+ * @param {Object} fields - Values to write; undefined values are left out
+ * @returns {string} - The block, including its --- fences
+ */
+function toFrontMatter(fields) {
+    const lines = ['---'];
+    Object.keys(fields).forEach(key => {
+        const value = fields[key];
+        if (value === undefined) return;
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                lines.push(`${yamlKey(key)}: []`);
+                return;
+            }
+            lines.push(`${yamlKey(key)}:`);
+            value.forEach(item => {
+                lines.push(`  - ${isScalar(item) ? yamlScalar(item) : JSON.stringify(item)}`);
+            });
+        } else if (isScalar(value)) {
+            lines.push(`${yamlKey(key)}: ${yamlScalar(value)}`);
+        } else {
+            lines.push(`${yamlKey(key)}: ${JSON.stringify(value)}`);
+        }
+    });
+    lines.push('---');
+    return lines.join('\n');
+}
+
+function parseYamlScalar(text) {
+    const value = text.trim();
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value)) return Number(value);
+
+    // An unquoted link; strict YAML would read it as a nested list
+    if (/^\[\[[^\]]+\]\]$/.test(value)) return value;
+
+    if (value[0] === '"' || value[0] === '[' || value[0] === '{') {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            // Not JSON; handled below
+        }
+    }
+    if (value[0] === "'" && value.length > 1 && value.endsWith("'")) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value[0] === '[' && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner ? inner.split(',').map(parseYamlScalar) : [];
+    }
+    return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Read a front matter block written by toFrontMatter or edited in Obsidian
+ * Handles scalars, quoted strings, flow (JSON) collections, block lists and | or > text.
+ * Nested block mappings aren't supported and are skipped.
+ * @param {string} text - The lines between the --- fences
+ * @returns {Object} - The fields
+ */
+function parseFrontMatter(text) {
+    const lines = text.split('\n');
+    const fields = {};
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim() || /^\s/.test(line) || line.startsWith('#')) continue;
+
+        const match = line.match(/^("(?:[^"\\]|\\.)*"|[^\s"][^:]*?)\s*:(?:\s+(.*))?$/);
+        if (!match) continue;
+
+        const key = match[1][0] === '"' ? JSON.parse(match[1]) : match[1];
+        const rest = (match[2] || '').trim();
+
+        if (/^[|>][+-]?$/.test(rest)) {
+            // Block text: every following line that is indented or blank
+            const blockLines = [];
+            while (i + 1 < lines.length && (/^\s/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+                blockLines.push(lines[++i]);
+            }
+            while (blockLines.length && !blockLines[blockLines.length - 1].trim()) blockLines.pop();
+            const indent = Math.min(...blockLines.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+            const content = blockLines.map(l => l.slice(Number.isFinite(indent) ? indent : 0));
+            const joined = rest[0] === '>' ? content.join(' ') : content.join('\n');
+            fields[key] = rest.endsWith('-') ? joined : `${joined}\n`;
+        } else if (rest === '') {
+            const items = [];
+            while (i + 1 < lines.length && /^\s*-(\s|$)/.test(lines[i + 1])) {
+                items.push(parseYamlScalar(lines[++i].replace(/^\s*-\s?/, '')));
+            }
+            fields[key] = items.length > 0 ? items : null;
+        } else {
+            fields[key] = parseYamlScalar(rest);
+        }
+    }
+    return fields;
+}
+
+// ---- Notes ----
+
+function section(label, key, content) {
+    return `## ${label}\n%% storyguard: ${key} %%\n${content}\n`;
+}
+
+function buildNote(frontMatter, title, sections) {
+    return `${toFrontMatter(frontMatter)}\n\n# ${title}\n\n${sections.join('\n')}`;
+}
+
+/**
+ * Split a note into its front matter and body sections
+ * @param {string} content - The note's text
+ * @returns {Object} - { fields, sections: { key: text }, body }
+ */
+function parseNote(content) {
+    const text = String(content || '').replace(/\r\n?/g, '\n').replace(/^﻿/, '');
+    let fields = {};
+    let body = text;
+
+    const frontMatter = text.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+    if (frontMatter) {
+        fields = parseFrontMatter(frontMatter[1]);
+        body = text.slice(frontMatter[0].length);
+    }
+
+    const lines = body.split('\n');
+    const markers = [];
+    lines.forEach((line, index) => {
+        const marker = line.match(SECTION_MARKER);
+        if (marker) markers.push({ key: marker[1], index });
+    });
+
+    // A section runs to the heading of the next marked section, or to the end of the note
+    const sections = {};
+    markers.forEach((marker, position) => {
+        const next = markers[position + 1];
+        let end = lines.length;
+        if (next) {
+            end = next.index > 0 && lines[next.index - 1].startsWith('## ') ? next.index - 1 : next.index;
+        }
+        const sectionLines = lines.slice(marker.index + 1, end);
+        // buildNote ends every section with one newline
+        if (sectionLines.length && sectionLines[sectionLines.length - 1] === '') sectionLines.pop();
+        sections[marker.key] = sectionLines.join('\n');
+    });
+
+    return { fields, sections, body };
+}
+
+// Turn record names into file names that are unique across the vault
+function createNoteNamer() {
+    const used = new Set([INDEX_NOTE.replace(/\.md$/, '').toLowerCase()]);
+    return name => {
+        const base = String(name)
+            .replace(/[\\/:*?"<>|#^\[\]]/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s.]+|[\s.]+$/g, '')
+            .slice(0, 100) || 'Untitled';
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base} (${n})`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    };
+}
+
+function wikilink(noteName) {
+    return `[[${noteName}]]`;
+}
+
+// Note name a link points to, without its folder, heading or alias
+function getLinkTarget(value) {
+    const match = typeof value === 'string' && value.trim().match(/^\[\[([^\]]+)\]\]$/);
+    if (!match) return null;
+    return match[1].split('|')[0].split('#')[0].split('/').pop().replace(/\.md$/i, '').trim();
+}
+
+/**
+ * Build the notes of a Markdown vault for the current database
+ * @returns {Object} - { databaseName, files: [{ path, content }] }
+ */
+function buildMarkdownVault() {
+    const databaseName = localStorage.getItem('currentDatabaseName') || 'Default';
+    const relationshipList = getCurrentCollection('relationships');
+    const tagList = getCurrentCollection('tags');
+    const tagNames = new Map(tagList.map(tag => [tag.id, tag.name]));
+
+    // Every record's note name first, so links can point forwards
+    const nameNote = createNoteNamer();
+    const noteNames = new Map();
+    const sections = VAULT_SECTIONS.map(vaultSection => {
+        const records = getCurrentCollection(vaultSection.collection);
+        records.forEach(record => {
+            noteNames.set(record.id, nameNote(getEntityName(vaultSection.collection, record)));
+        });
+        return { ...vaultSection, records };
+    });
+
+    // Links to records that no longer exist keep their id so nothing is lost
+    const toLink = id => (noteNames.has(id) ? wikilink(noteNames.get(id)) : id);
+
+    const files = [];
+    const attachedRelationships = new Set();
+
+    sections.forEach(({ collection, type, folder, records }) => {
+        records.forEach(record => {
+            const noteName = noteNames.get(record.id);
+            const frontMatter = { storyguard: type, id: record.id };
+            const bodySections = [];
+
+            Object.keys(record).forEach(key => {
+                const value = record[key];
+                if (key === 'id') return;
+                if (BODY_FIELDS[key] && typeof value === 'string') {
+                    bodySections.push(section(BODY_FIELDS[key], key, value));
+                } else if (key === 'tags' && Array.isArray(value)) {
+                    frontMatter.tags = value.map(tagId => tagNames.get(tagId) || tagId);
+                } else if ((LINK_FIELDS[collection] || []).includes(key) && Array.isArray(value)) {
+                    frontMatter[key] = value.map(toLink);
+                } else if ((SINGLE_LINK_FIELDS[collection] || []).includes(key) && typeof value === 'string' && value) {
+                    frontMatter[key] = toLink(value);
+                } else {
+                    frontMatter[key] = value;
+                }
+            });
+
+            if (collection === 'characters') {
+                // Relationships are stored with the first character; the list below is for reading
+                const owned = relationshipList.filter(rel => rel.character1Id === record.id);
+                if (owned.length > 0) {
+                    frontMatter.relationships = owned.map(rel => {
+                        attachedRelationships.add(rel);
+                        const { character1Id, character2Id, ...rest } = rel;
+                        return { ...rest, with: toLink(character2Id) };
+                    });
+                }
+
+                const involved = relationshipList.filter(rel =>
+                    rel.character1Id === record.id || rel.character2Id === record.id);
+                if (involved.length > 0) {
+                    const lines = involved.map(rel => {
+                        const otherId = rel.character1Id === record.id ? rel.character2Id : rel.character1Id;
+                        return `- ${rel.type || 'Related'}: ${toLink(otherId)}`;
+                    });
+                    bodySections.push(section('Relationships', GENERATED_SECTION, lines.join('\n')));
+                }
+            }
+
+            files.push({
+                path: `${folder}/${noteName}.md`,
+                content: buildNote(frontMatter, getEntityName(collection, record), bodySections)
+            });
+        });
+    });
+
+    // Index note: database-wide lists, relationships no character note holds, and a contents list
+    const index = {
+        storyguard: 'database',
+        databaseName,
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: new Date().toISOString()
+    };
+    INDEX_LISTS.forEach(list => {
+        index[list] = getCurrentCollection(list);
+    });
+    index.relationships = relationshipList.filter(rel => !attachedRelationships.has(rel));
+
+    const contents = sections
+        .filter(({ records }) => records.length > 0)
+        .map(({ folder, records }) => `### ${folder}\n${records.map(record => `- ${wikilink(noteNames.get(record.id))}`).join('\n')}`);
+    files.unshift({
+        path: INDEX_NOTE,
+        content: buildNote(index, databaseName, contents.length ? [section('Contents', GENERATED_SECTION, contents.join('\n\n'))] : [])
+    });
+
+    return { databaseName, files };
+}
+
+/**
+ * Rebuild a database from the notes of a Markdown vault
+ * Notes without a `storyguard` property are typed by their folder, so notes added in
+ * Obsidian are imported too; they get new ids, and their name comes from the file name.
+ * @param {Array} files - [{ path, content }] with paths relative to the vault folder
+ * @returns {Object} - Database object in the format exportDatabase writes, plus `vaultReport`
+ */
+function parseMarkdownVault(files) {
+    const data = { characters: [], locations: [], plots: [], worldElements: [], relationships: [] };
+    INDEX_LISTS.forEach(list => {
+        data[list] = [];
+    });
+    const report = { notes: 0, skipped: [], unresolvedLinks: [] };
+
+    const notes = [];
+    (files || []).forEach(file => {
+        const filePath = String(file.path || '').replace(/\\/g, '/');
+        if (!/\.md$/i.test(filePath)) return;
+
+        const parsed = parseNote(file.content);
+        const noteName = filePath.split('/').pop().replace(/\.md$/i, '');
+        const folder = filePath.includes('/') ? filePath.split('/').slice(-2, -1)[0] : '';
+
+        if (parsed.fields.storyguard === 'database') {
+            notes.unshift({ isIndex: true, parsed });
+            return;
+        }
+
+        const vaultSection = VAULT_SECTIONS.find(candidate => candidate.type === parsed.fields.storyguard) ||
+            VAULT_SECTIONS.find(candidate => candidate.folder.toLowerCase() === folder.toLowerCase());
+        if (!vaultSection) {
+            report.skipped.push(filePath);
+            return;
+        }
+        notes.push({ vaultSection, noteName, parsed });
+    });
+
+    // Database-wide lists first, so tag names can be matched to their ids
+    const indexNote = notes.find(note => note.isIndex);
+    let orphanRelationships = [];
+    if (indexNote) {
+        const { fields } = indexNote.parsed;
+        if (fields.databaseName) data.databaseName = String(fields.databaseName);
+        if (fields.schemaVersion) data.schemaVersion = fields.schemaVersion;
+        INDEX_LISTS.forEach(list => {
+            if (Array.isArray(fields[list])) data[list] = fields[list];
+        });
+        if (Array.isArray(fields.relationships)) orphanRelationships = fields.relationships;
+    }
+    data.schemaVersion = data.schemaVersion || SCHEMA_VERSION;
+
+    const entityNotes = notes.filter(note => !note.isIndex);
+
+    // Every note's id, by note name, for resolving links
+    const idsByNoteName = new Map();
+    entityNotes.forEach(note => {
+        if (!note.parsed.fields.id) note.parsed.fields.id = Core.generateId();
+        idsByNoteName.set(note.noteName.toLowerCase(), String(note.parsed.fields.id));
+    });
+
+    const resolveLink = (value, noteName) => {
+        const target = getLinkTarget(value);
+        if (target === null) return value;
+        const id = idsByNoteName.get(target.toLowerCase());
+        if (!id) report.unresolvedLinks.push(`${noteName} → ${target}`);
+        return id || null;
+    };
+
+    const tagIds = new Map(data.tags.map(tag => [String(tag.name).toLowerCase(), tag.id]));
+    const resolveTag = name => {
+        const tagName = String(name).replace(/^#/, '').trim();
+        if (!tagIds.has(tagName.toLowerCase())) {
+            // A tag typed in Obsidian; StoryGuard needs it in the tag list
+            const tag = { id: Core.generateId(), name: tagName, color: '#6c757d' };
+            data.tags.push(tag);
+            tagIds.set(tagName.toLowerCase(), tag.id);
+        }
+        return tagIds.get(tagName.toLowerCase());
+    };
+
+    entityNotes.forEach(({ vaultSection, noteName, parsed }) => {
+        const { collection } = vaultSection;
+        const { storyguard, relationships: ownedRelationships, ...fields } = parsed.fields;
+        const record = { id: String(fields.id) };
+
+        Object.keys(fields).forEach(key => {
+            const value = fields[key];
+            if (key === 'id') return;
+            if (key === 'tags') {
+                record.tags = (Array.isArray(value) ? value : [value]).filter(tag => tag !== null && tag !== '').map(resolveTag);
+            } else if ((LINK_FIELDS[collection] || []).includes(key)) {
+                record[key] = (Array.isArray(value) ? value : [value])
+                    .filter(item => item !== null)
+                    .map(item => resolveLink(item, noteName))
+                    .filter(id => id !== null);
+            } else if ((SINGLE_LINK_FIELDS[collection] || []).includes(key)) {
+                record[key] = value === null || value === '' ? '' : resolveLink(String(value), noteName) || '';
+            } else {
+                record[key] = value;
+            }
+        });
+
+        Object.keys(parsed.sections).forEach(key => {
+            if (key !== GENERATED_SECTION) record[key] = parsed.sections[key];
+        });
+
+        // A note written by hand has no marked sections; its text becomes the main text field
+        if (Object.keys(parsed.sections).length === 0) {
+            const text = parsed.body.replace(/^\s*# .*\n?/, '').trim();
+            if (text) record[collection === 'characters' ? 'notes' : 'description'] = text;
+        }
+
+        // Names for notes created outside StoryGuard come from the file name
+        if (collection === 'characters' && !record.firstName && !record.lastName) {
+            const [firstName, ...lastName] = noteName.split(' ');
+            record.firstName = firstName;
+            record.lastName = lastName.join(' ');
+        } else if (collection === 'plots' && !record.title) {
+            record.title = noteName;
+        } else if ((collection === 'locations' || collection === 'worldElements') && !record.name) {
+            record.name = noteName;
+        }
+
+        if (collection === 'characters' && Array.isArray(ownedRelationships)) {
+            ownedRelationships.forEach(rel => {
+                if (!rel || typeof rel !== 'object') return;
+                const { with: other, ...rest } = rel;
+                const character2Id = resolveLink(other, noteName);
+                if (!character2Id) return;
+                data.relationships.push({ id: rest.id || Core.generateId(), ...rest, character1Id: record.id, character2Id: String(character2Id) });
+            });
+        }
+
+        data[collection].push(record);
+        report.notes++;
+    });
+
+    data.relationships.push(...orphanRelationships.filter(rel => rel && typeof rel === 'object'));
+    data.vaultReport = report;
+    return data;
+}
+
+/**
+ * Export the current database as a Markdown vault
+ * The desktop app writes a folder to the documents directory; the web version downloads a zip.
+ * @returns {Promise<Object|null>} - The save result, or null when it failed
+ */
+async function exportMarkdownVault() {
+    const { databaseName, files } = buildMarkdownVault();
+    const folderName = `${databaseName}-vault_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)}`;
+
+    try {
+        let result;
+        if (window.api && typeof window.api.saveMarkdownVault === 'function') {
+            result = await window.api.saveMarkdownVault(folderName, files);
+            if (!result || !result.success) {
+                throw new Error((result && result.error) || 'Unknown error');
+            }
+            Core.showToast(`Markdown vault saved: ${result.path}`, 'success');
+        } else {
+            if (typeof JSZip === 'undefined') {
+                throw new Error('The zip library is not loaded');
+            }
+            const zip = new JSZip();
+            files.forEach(file => zip.file(`${folderName}/${file.path}`, file.content));
+            const blob = await zip.generateAsync({ type: 'blob' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${folderName}.zip`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            result = { success: true, path: `${folderName}.zip` };
+            Core.showToast('Markdown vault downloaded', 'success');
+        }
+
+        console.log(`Markdown vault saved with ${files.length} notes:`, result.path);
+        if (window.Dashboard && typeof window.Dashboard.addActivity === 'function') {
+            window.Dashboard.addActivity('export', `Exported ${databaseName} as a Markdown vault`);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error exporting Markdown vault:', error);
+        Core.showToast(`Failed to export Markdown vault: ${error.message}`, 'error');
+        return null;
+    }
+}
+
+export {
+    toFrontMatter,
+    parseFrontMatter,
+    parseNote,
+    buildMarkdownVault,
+    parseMarkdownVault,
+    exportMarkdownVault
+};
@@ -1,6 +1,20 @@
+import { renderActiveTemplate } from './templates.js';
+import { getExportItems, hasItemsToExport } from './exports.js';
+
 // PDF export functions
-function createDetailedPDF(items, generateItemHTML, filename) {
+// entityType selects the export template; without one in use the item generator lays out each item
+function createDetailedPDF(items, generateItemHTML, filename, entityType) {
     try {
+        if (!hasItemsToExport(items)) return;
+        
+        // A template lays out the whole document, so its output is rendered as a single item
+        const templateOutput = renderActiveTemplate(entityType, 'html', items);
+        if (templateOutput === false) return;
+        if (templateOutput !== null) {
+            items = [templateOutput];
+            generateItemHTML = html => html;
+        }
+        
         // Check if we have a large dataset
         const isLargeDataset = items.length > 20;
         console.log(`PDF generation started for ${items.length} items. Large dataset: ${isLargeDataset}`);
@@ -513,13 +527,13 @@ function exportCharactersToPDF() {
         if (typeof window.relationships !== 'undefined' && Array.isArray(window.relationships)) {
             // Filter relationships manually
             const filteredRelationships = window.relationships.filter(rel => 
-                rel.character1 === characterName || rel.character2 === characterName
+                window.EntityReferences.relationshipInvolves(rel, character.id)
             );
             
             // Format the relationships for display
             characterRelationships = filteredRelationships.map(rel => {
                 // Determine which character is the other one (not this character)
-                const otherCharacter = rel.character1 === characterName ? rel.character2 : rel.character1;
+                const otherCharacter = window.EntityReferences.getCharacterNameById(window.EntityReferences.getOtherCharacterId(rel, character.id));
                 
                 return {
                     character: otherCharacter,
@@ -596,9 +610,9 @@ function exportCharactersToPDF() {
     const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
     const filename = `${dbName}-characters.pdf`;
     
-    // Access characters from the window.characters global property
+    // Access characters from the window.characters global property, limited to what the table shows
     // This ensures we're using the same data source that the import/database loader uses
-    createDetailedPDF(window.characters || [], generateCharacterHTML, filename);
+    createDetailedPDF(getExportItems('characters', window.characters || []), generateCharacterHTML, filename, 'characters');
 }
 
 function exportLocationsToPDF() {
@@ -660,8 +674,8 @@ function exportLocationsToPDF() {
     const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
     const filename = `${dbName}-locations.pdf`;
     
-    // Access locations from the window.locations global property
-    createDetailedPDF(window.locations || [], generateLocationHTML, filename);
+    // Access locations from the window.locations global property, limited to what the table shows
+    createDetailedPDF(getExportItems('locations', window.locations || []), generateLocationHTML, filename, 'locations');
 }
 
 function exportPlotsToPDF() {
@@ -727,8 +741,8 @@ function exportPlotsToPDF() {
     const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
     const filename = `${dbName}-plots.pdf`;
     
-    // Access plots from the window.plots global property
-    createDetailedPDF(window.plots || [], generatePlotHTML, filename);
+    // Access plots from the window.plots global property, limited to what the table shows
+    createDetailedPDF(getExportItems('plots', window.plots || []), generatePlotHTML, filename, 'plots');
 }
 
 function exportWorldBuildingToPDF() {
@@ -796,8 +810,8 @@ function exportWorldBuildingToPDF() {
     const dbName = localStorage.getItem('currentDatabaseName') || 'Default';
     const filename = `${dbName}-worldbuilding.pdf`;
     
-    // Access world building elements from the window.worldElements global property 
-    createDetailedPDF(window.worldElements || [], generateWorldBuildingHTML, filename);
+    // Access world building elements from the window.worldElements global property, limited to what the table shows
+    createDetailedPDF(getExportItems('worldElements', window.worldElements || []), generateWorldBuildingHTML, filename, 'worldElements');
 }
 
 // Export the functions
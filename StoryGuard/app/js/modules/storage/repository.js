@@ -0,0 +1,583 @@
+/**
+ * Entity repository backed by IndexedDB
+ * Records are stored one row each, keyed by [database, id], so saving a collection only
+ * writes the records that changed since the last save. Writes made in the same tick are
+ * batched into a single transaction. Small lists (titles, roles, export templates, calendars, ...) are stored whole.
+ * The in-memory arrays in core.js stay the working copy; this module is where they persist.
+ */
+
+import { openDatabase, RECORD_STORES, LIST_STORE } from './indexedDB.js';
+
+// Collections stored as one row per record
+const RECORD_COLLECTIONS = RECORD_STORES;
+
+// Collections stored as a single list
+const LIST_COLLECTIONS = [
+    'titles', 'seriesList', 'books', 'roles', 'customFieldTypes', 'locationTypes', 'exportTemplates', 'calendars',
+    'rejectedRelationshipSuggestions', 'relationshipGraphLayout'
+];
+
+// Older storage keys that hold the same collection
+const COLLECTION_ALIASES = { series: 'seriesList' };
+
+// Collections older versions kept in localStorage in another shape, converted to a list when moved
+const LEGACY_FORMATS = {
+    // Positions keyed by character id
+    relationshipGraphLayout: data => data && typeof data === 'object' && !Array.isArray(data)
+        ? Object.keys(data).map(id => ({ ...data[id], id }))
+        : data
+};
+
+let connection = null;
+// Database whose collections are loaded in memory
+let loadedDatabase = null;
+// Database that failed to load. Saving it would replace stored records with whatever is in memory.
+let unreadableDatabase = null;
+// What was last persisted for the loaded database.
+// Record collections: Map of id -> { json, position }; list collections: the JSON text
+let snapshots = {};
+// Writes waiting for the next batch, keyed by database and collection
+let pendingWrites = new Map();
+let scheduledFlush = null;
+// Batches are written one after another so a later save never lands before an earlier one
+let writeChain = Promise.resolve();
+
+function getCurrentDatabaseName() {
+    return localStorage.getItem('currentDatabaseName') || 'Default';
+}
+
+function isCollection(name) {
+    return RECORD_COLLECTIONS.includes(name) || LIST_COLLECTIONS.includes(name);
+}
+
+/**
+ * Work out which collection a storage key refers to
+ * Accepts plain keys ('characters'), aliases ('series') and database keys ('Saga_characters')
+ * @param {string} key - Storage key
+ * @returns {Object|null} - { database, collection }, or null when the key is not an entity collection
+ */
+function resolveStorageKey(key) {
+    if (typeof key !== 'string') return null;
+
+    let database = getCurrentDatabaseName();
+    let name = key;
+    // Database names may contain underscores, collection names never do
+    const separator = key.lastIndexOf('_');
+    if (separator > 0) {
+        database = key.slice(0, separator);
+        name = key.slice(separator + 1);
+    }
+
+    const collection = COLLECTION_ALIASES[name] || name;
+    return isCollection(collection) ? { database, collection } : null;
+}
+
+// Storage keys older versions used for a collection, without the database prefix
+function getLegacyKeys(collection) {
+    return [collection, ...Object.keys(COLLECTION_ALIASES).filter(alias => COLLECTION_ALIASES[alias] === collection)];
+}
+
+async function getConnection() {
+    if (!connection) {
+        connection = await openDatabase();
+        // Let a newer version of the app upgrade the database
+        connection.onversionchange = () => {
+            connection.close();
+            connection = null;
+        };
+    }
+    return connection;
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+// Key range covering every row of one database
+function databaseRange(database) {
+    // Arrays sort after every other key type, so [database, []] is past any id or name
+    return IDBKeyRange.bound([database], [database, []]);
+}
+
+// Build the stored row for a record, copying the indexed fields next to it
+function toRow(database, record, position) {
+    const row = { database, id: String(record.id), position, record };
+    ['series', 'book', 'role'].forEach(field => {
+        if (typeof record[field] === 'string' && record[field]) {
+            row[field] = record[field];
+        }
+    });
+    if (Array.isArray(record.tags)) {
+        row.tagKeys = record.tags
+            .filter(tag => typeof tag === 'string' && tag)
+            .map(tag => [database, tag]);
+    }
+    return row;
+}
+
+// Records need a unique id to get a row of their own
+function ensureRecordId(collection, record, seenIds) {
+    const missing = record.id === undefined || record.id === null || record.id === '';
+    if (missing || seenIds.has(String(record.id))) {
+        const newId = window.Core ? Core.generateId() : crypto.randomUUID();
+        console.warn(`${collection} record ${missing ? 'without an id' : `with duplicate id ${record.id}`} was given id ${newId}`);
+        record.id = newId;
+    }
+    seenIds.add(String(record.id));
+}
+
+// Add a write to the pending batch, merging it with an earlier write to the same collection
+function queueWrite(write) {
+    const key = `${write.database}\u0000${write.collection}`;
+    const existing = pendingWrites.get(key);
+
+    if (!existing || write.replace || write.list) {
+        pendingWrites.set(key, write);
+    } else {
+        write.puts.forEach((row, id) => {
+            existing.puts.set(id, row);
+            existing.deletes.delete(id);
+        });
+        write.deletes.forEach(id => {
+            existing.puts.delete(id);
+            // A replace clears the database rows anyway
+            if (!existing.replace) existing.deletes.add(id);
+        });
+    }
+    return scheduleFlush();
+}
+
+// Write everything queued in this tick as one transaction
+function scheduleFlush() {
+    if (!scheduledFlush) {
+        scheduledFlush = Promise.resolve().then(() => {
+            scheduledFlush = null;
+            const writes = pendingWrites;
+            pendingWrites = new Map();
+            const batch = writeChain.then(() => writeBatch(writes));
+            writeChain = batch.catch(() => {});
+            return batch;
+        });
+    }
+    return scheduledFlush;
+}
+
+async function writeBatch(writes) {
+    if (writes.size === 0) return;
+
+    try {
+        const db = await getConnection();
+        const storeNames = new Set();
+        writes.forEach(write => storeNames.add(write.list ? LIST_STORE : write.collection));
+
+        const transaction = db.transaction([...storeNames], 'readwrite');
+        writes.forEach(write => {
+            if (write.list) {
+                transaction.objectStore(LIST_STORE).put({ database: write.database, name: write.collection, items: write.items });
+                return;
+            }
+
+            const store = transaction.objectStore(write.collection);
+            if (write.replace) {
+                store.delete(databaseRange(write.database));
+            }
+            write.deletes.forEach(id => store.delete([write.database, id]));
+            write.puts.forEach(row => store.put(row));
+        });
+        await transactionDone(transaction);
+    } catch (error) {
+        // The rows on disk no longer match the snapshots; rewrite these collections in full next time
+        writes.forEach(write => {
+            if (write.database === loadedDatabase) {
+                delete snapshots[write.collection];
+            }
+        });
+        if (window.Core && typeof Core.handleStorageError === 'function') {
+            Core.handleStorageError(error, [...new Set([...writes.values()].map(write => write.collection))].join(', '));
+        } else {
+            console.error('Error writing to the repository:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Save a whole collection, writing only the records that changed
+ * @param {string} collection - Collection name
+ * @param {Array|string} value - Records, or their JSON text
+ * @param {string} database - Database the collection belongs to (defaults to the current one)
+ * @returns {Promise} - Resolves once the batch containing this save is written
+ */
+function saveCollection(collection, value, database = getCurrentDatabaseName()) {
+    if (!isCollection(collection)) {
+        throw new Error(`Unknown collection: ${collection}`);
+    }
+
+    if (database === unreadableDatabase) {
+        throw new Error(`Database "${database}" could not be loaded, so changes to it are not saved`);
+    }
+
+    const data = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(data)) {
+        throw new Error(`${collection} must be a list`);
+    }
+
+    if (LIST_COLLECTIONS.includes(collection)) {
+        if (database === loadedDatabase) {
+            snapshots[collection] = JSON.stringify(data);
+        }
+        return queueWrite({ database, collection, list: true, items: data });
+    }
+
+    const previous = database === loadedDatabase ? snapshots[collection] : null;
+    const rows = new Map();
+    const puts = new Map();
+    const seenIds = new Set();
+    let previousPosition = -1;
+
+    data.forEach(record => {
+        ensureRecordId(collection, record, seenIds);
+        const id = String(record.id);
+        const json = JSON.stringify(record);
+        const stored = previous ? previous.get(id) : null;
+
+        // Keep stored positions while they are still in order so appends and deletes don't renumber the rest
+        const position = stored && stored.position > previousPosition ? stored.position : previousPosition + 1;
+        previousPosition = position;
+        rows.set(id, { json, position });
+
+        if (!stored || stored.json !== json || stored.position !== position) {
+            puts.set(id, toRow(database, record, position));
+        }
+    });
+
+    const deletes = new Set(previous ? [...previous.keys()].filter(id => !rows.has(id)) : []);
+    if (database === loadedDatabase) {
+        snapshots[collection] = rows;
+    }
+
+    if (previous && puts.size === 0 && deletes.size === 0) {
+        return Promise.resolve();
+    }
+    // Without a snapshot we can't tell what is stored, so replace the collection
+    return queueWrite({ database, collection, replace: !previous, puts, deletes });
+}
+
+/**
+ * Save a single record of the loaded database
+ * @param {string} collection - Record collection name
+ * @param {Object} record - Record with an id
+ * @returns {Promise}
+ */
+function putRecord(collection, record) {
+    if (!RECORD_COLLECTIONS.includes(collection)) {
+        throw new Error(`${collection} is not a record collection`);
+    }
+    if (!record || record.id === undefined || record.id === null || record.id === '') {
+        throw new Error('Cannot save a record without an id');
+    }
+
+    const database = loadedDatabase || getCurrentDatabaseName();
+    const rows = snapshots[collection] instanceof Map ? snapshots[collection] : null;
+    const id = String(record.id);
+    const stored = rows ? rows.get(id) : null;
+    let position = stored ? stored.position : 0;
+    if (!stored && rows) {
+        rows.forEach(row => { position = Math.max(position, row.position + 1); });
+    }
+
+    if (rows) rows.set(id, { json: JSON.stringify(record), position });
+    return queueWrite({ database, collection, puts: new Map([[id, toRow(database, record, position)]]), deletes: new Set() });
+}
+
+/**
+ * Delete a single record of the loaded database
+ * @param {string} collection - Record collection name
+ * @param {string} id - Record id
+ * @returns {Promise}
+ */
+function deleteRecord(collection, id) {
+    if (!RECORD_COLLECTIONS.includes(collection)) {
+        throw new Error(`${collection} is not a record collection`);
+    }
+
+    const database = loadedDatabase || getCurrentDatabaseName();
+    if (snapshots[collection] instanceof Map) {
+        snapshots[collection].delete(String(id));
+    }
+    return queueWrite({ database, collection, puts: new Map(), deletes: new Set([String(id)]) });
+}
+
+/**
+ * Wait until every queued write has been stored
+ * Call before reloading the page after a save.
+ * @returns {Promise}
+ */
+async function flush() {
+    if (pendingWrites.size > 0) {
+        await scheduleFlush().catch(() => {});
+    } else if (scheduledFlush) {
+        await scheduledFlush.catch(() => {});
+    }
+    await writeChain;
+}
+
+/**
+ * Get the JSON text last saved for a storage key, like localStorage.getItem
+ * Only the loaded database is kept in memory; other keys return null.
+ * @param {string} key - Storage key
+ * @returns {string|null}
+ */
+function getStoredJson(key) {
+    const target = resolveStorageKey(key);
+    if (!target || target.database !== loadedDatabase) return null;
+
+    const snapshot = snapshots[target.collection];
+    if (snapshot === undefined) return null;
+    if (typeof snapshot === 'string') return snapshot;
+
+    const rows = [...snapshot.values()].sort((a, b) => a.position - b.position);
+    return `[${rows.map(row => row.json).join(',')}]`;
+}
+
+// Read every collection of a database in one transaction
+async function readDatabase(database) {
+    const db = await getConnection();
+    const transaction = db.transaction([...RECORD_COLLECTIONS, LIST_STORE], 'readonly');
+    const range = databaseRange(database);
+
+    const [recordRows, listRows] = await Promise.all([
+        Promise.all(RECORD_COLLECTIONS.map(collection => requestResult(transaction.objectStore(collection).getAll(range)))),
+        requestResult(transaction.objectStore(LIST_STORE).getAll(range))
+    ]);
+
+    const collections = {};
+    const loaded = {};
+
+    RECORD_COLLECTIONS.forEach((collection, index) => {
+        const rows = recordRows[index].sort((a, b) => a.position - b.position);
+        collections[collection] = rows.map(row => row.record);
+        loaded[collection] = new Map(rows.map(row => [row.id, { json: JSON.stringify(row.record), position: row.position }]));
+    });
+
+    listRows.forEach(row => {
+        if (!LIST_COLLECTIONS.includes(row.name)) return;
+        collections[row.name] = row.items;
+        loaded[row.name] = JSON.stringify(row.items);
+    });
+
+    const isEmpty = listRows.length === 0 && recordRows.every(rows => rows.length === 0);
+    return { collections, snapshots: loaded, isEmpty };
+}
+
+/**
+ * Move collections that older code paths left in localStorage into the repository
+ * Database keys always win, since they are newer than anything stored here. The
+ * unprefixed keys are only used for a database that has nothing stored yet.
+ * @param {string} database - Database name
+ * @param {boolean} includeGenericKeys - Whether unprefixed keys may be used
+ * @returns {Promise<string[]>} - Collections that were moved
+ */
+async function absorbLocalStorage(database, includeGenericKeys) {
+    const absorbed = [];
+    const consumedKeys = [];
+
+    [...RECORD_COLLECTIONS, ...LIST_COLLECTIONS].forEach(collection => {
+        const legacyKeys = getLegacyKeys(collection);
+        const databaseKeys = legacyKeys.map(key => `${database}_${key}`);
+        const candidates = includeGenericKeys ? [...databaseKeys, ...legacyKeys] : databaseKeys;
+        const sourceKey = candidates.find(key => localStorage.getItem(key) !== null);
+        if (!sourceKey) return;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(sourceKey));
+            const data = LEGACY_FORMATS[collection] ? LEGACY_FORMATS[collection](stored) : stored;
+            if (!Array.isArray(data)) {
+                throw new Error('not a list');
+            }
+            saveCollection(collection, data, database);
+            absorbed.push(collection);
+            consumedKeys.push(...databaseKeys, ...legacyKeys);
+        } catch (error) {
+            // Leave the key where it is so nothing is lost
+            console.warn(`Could not move ${sourceKey} from localStorage:`, error);
+        }
+    });
+
+    if (absorbed.length === 0) return absorbed;
+
+    await flush();
+    consumedKeys.forEach(key => localStorage.removeItem(key));
+    console.log(`Moved ${absorbed.join(', ')} from localStorage into IndexedDB for database: ${database}`);
+    return absorbed;
+}
+
+/**
+ * Load a database into memory, moving any data still in localStorage first
+ * @param {string} database - Database name (defaults to the current one)
+ * @returns {Promise<Object>} - Collections keyed by name. List collections that were
+ *                              never saved are left out so callers can apply defaults.
+ */
+async function loadDatabase(database = getCurrentDatabaseName()) {
+    // Saves still queued for the previous database must not be compared against the new snapshots
+    await flush();
+
+    let result;
+    try {
+        result = await readDatabase(database);
+        const absorbed = await absorbLocalStorage(database, result.isEmpty);
+        if (absorbed.length > 0) {
+            result = await readDatabase(database);
+        }
+    } catch (error) {
+        loadedDatabase = null;
+        snapshots = {};
+        unreadableDatabase = database;
+        throw error;
+    }
+
+    unreadableDatabase = null;
+    loadedDatabase = database;
+    snapshots = result.snapshots;
+    return result.collections;
+}
+
+/**
+ * Remove every record and list of a database
+ * @param {string} database - Database name
+ * @returns {Promise}
+ */
+async function deleteDatabase(database) {
+    await flush();
+    const db = await getConnection();
+    const transaction = db.transaction([...RECORD_COLLECTIONS, LIST_STORE], 'readwrite');
+    [...RECORD_COLLECTIONS, LIST_STORE].forEach(storeName => {
+        transaction.objectStore(storeName).delete(databaseRange(database));
+    });
+    await transactionDone(transaction);
+
+    if (database === loadedDatabase) {
+        snapshots = {};
+    }
+}
+
+// Look up records of the current database through one of the store indexes
+async function findByIndex(collection, indexName, value) {
+    if (!RECORD_COLLECTIONS.includes(collection)) {
+        throw new Error(`${collection} is not a record collection`);
+    }
+
+    await flush();
+    const db = await getConnection();
+    const store = db.transaction(collection, 'readonly').objectStore(collection);
+    const rows = await requestResult(store.index(indexName).getAll([getCurrentDatabaseName(), value]));
+    return rows.sort((a, b) => a.position - b.position).map(row => row.record);
+}
+
+/**
+ * Get a record of the current database by id
+ * @param {string} collection - Record collection name
+ * @param {string} id - Record id
+ * @returns {Promise<Object|null>}
+ */
+async function getRecord(collection, id) {
+    if (!RECORD_COLLECTIONS.includes(collection)) {
+        throw new Error(`${collection} is not a record collection`);
+    }
+
+    await flush();
+    const db = await getConnection();
+    const store = db.transaction(collection, 'readonly').objectStore(collection);
+    const row = await requestResult(store.get([getCurrentDatabaseName(), String(id)]));
+    return row ? row.record : null;
+}
+
+// Records of a collection that belong to a series
+function findBySeries(collection, series) {
+    return findByIndex(collection, 'series', series);
+}
+
+// Records of a collection that belong to a book
+function findByBook(collection, book) {
+    return findByIndex(collection, 'book', book);
+}
+
+// Records of a collection carrying a tag
+function findByTag(collection, tag) {
+    return findByIndex(collection, 'tag', tag);
+}
+
+// Characters with a role
+function findByRole(role) {
+    return findByIndex('characters', 'role', role);
+}
+
+/**
+ * Ids of the current database's records matching every given criterion
+ * @param {string} collection - Record collection name
+ * @param {Object} criteria - series, book, role and tag values; empty ones are ignored
+ * @returns {Promise<Set<string>|null>} - null when no criterion is set
+ */
+async function findMatchingIds(collection, criteria) {
+    const lookups = [];
+    if (criteria.series) lookups.push(findBySeries(collection, criteria.series));
+    if (criteria.book) lookups.push(findByBook(collection, criteria.book));
+    if (criteria.role) lookups.push(findByIndex(collection, 'role', criteria.role));
+    if (criteria.tag) lookups.push(findByTag(collection, criteria.tag));
+    if (lookups.length === 0) return null;
+
+    const results = await Promise.all(lookups);
+    return results
+        .map(records => new Set(records.map(record => String(record.id))))
+        .reduce((matching, ids) => new Set([...matching].filter(id => ids.has(id))));
+}
+
+// Classic scripts (core.js, undo manager) can't import modules, so expose the repository on window
+window.Repository = {
+    RECORD_COLLECTIONS,
+    LIST_COLLECTIONS,
+    resolveStorageKey,
+    loadDatabase,
+    saveCollection,
+    putRecord,
+    deleteRecord,
+    deleteDatabase,
+    flush,
+    getStoredJson,
+    getRecord,
+    findBySeries,
+    findByBook,
+    findByTag,
+    findByRole,
+    findMatchingIds
+};
+
+export {
+    RECORD_COLLECTIONS,
+    LIST_COLLECTIONS,
+    resolveStorageKey,
+    loadDatabase,
+    saveCollection,
+    putRecord,
+    deleteRecord,
+    deleteDatabase,
+    flush,
+    getStoredJson,
+    getRecord,
+    findBySeries,
+    findByBook,
+    findByTag,
+    findByRole,
+    findMatchingIds
+};
@@ -0,0 +1,448 @@
+/**
+ * Database schema for Story Database files
+ * Every exported database carries a schemaVersion. Older files are upgraded one
+ * step at a time by the migrations below, then each collection is checked against
+ * its record schema so malformed records can be reported individually.
+ */
+
+// Bump this and add a migration step whenever the stored data format changes
+const SCHEMA_VERSION = 3;
+
+// Collections stored in a database file
+const DATABASE_COLLECTIONS = [
+    'characters', 'locations', 'titles', 'seriesList', 'books', 'roles',
+    'customFieldTypes', 'relationships', 'tags', 'plots', 'worldElements', 'exportTemplates',
+    'calendars', 'timelineEvents', 'rejectedRelationshipSuggestions', 'relationshipGraphLayout'
+];
+
+// Fields that hold lists of ids or names and may have been saved as comma-separated text
+const LIST_FIELDS = {
+    characters: ['tags', 'aliases'],
+    locations: ['tags'],
+    plots: ['tags', 'characters', 'locations', 'resolves'],
+    worldElements: ['tags', 'relatedElements'],
+    timelineEvents: ['characters', 'locations', 'plots']
+};
+
+// Fields that refer to other records by id (or, before schema version 3, by name).
+// Their numeric ids become strings together with the record ids.
+const REFERENCE_FIELDS = {
+    characters: ['tags'],
+    locations: ['tags'],
+    plots: ['tags', 'characters', 'locations', 'resolves', 'pov', 'setting', 'thread'],
+    worldElements: ['tags', 'relatedElements'],
+    relationships: ['character1Id', 'character2Id'],
+    timelineEvents: ['characters', 'locations', 'plots']
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const OPTIONAL_TEXT = { type: 'string' };
+
+// A date in one of the database's calendars; see calendars.js
+const IN_WORLD_DATE = {
+    type: 'object',
+    required: ['calendarId', 'year', 'month', 'day'],
+    properties: {
+        calendarId: { type: 'string', minLength: 1 },
+        year: { type: 'number' },
+        month: { type: 'number' },
+        day: { type: 'number' }
+    }
+};
+
+// Where a character appears in an analysed manuscript; see NameExtractor.analyzeChapterAppearances
+const CHAPTER_APPEARANCES = {
+    type: 'object',
+    properties: {
+        chapterCount: { type: 'number' },
+        chapters: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    index: { type: 'number' },
+                    title: OPTIONAL_TEXT,
+                    mentions: { type: 'number' }
+                }
+            }
+        },
+        firstAppearance: {
+            type: 'object',
+            properties: {
+                chapterIndex: { type: 'number' },
+                chapterTitle: OPTIONAL_TEXT,
+                offset: { type: 'number' },
+                excerpt: OPTIONAL_TEXT
+            }
+        },
+        source: OPTIONAL_TEXT,
+        book: OPTIONAL_TEXT,
+        analyzedAt: OPTIONAL_TEXT
+    }
+};
+
+// JSON-schema style record definitions for the collections that hold records
+const RECORD_SCHEMAS = {
+    characters: {
+        type: 'object',
+        required: ['id', 'firstName'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            firstName: { type: 'string' },
+            lastName: OPTIONAL_TEXT,
+            title: OPTIONAL_TEXT,
+            aliases: STRING_LIST,
+            series: OPTIONAL_TEXT,
+            book: OPTIONAL_TEXT,
+            role: OPTIONAL_TEXT,
+            birthDate: IN_WORLD_DATE,
+            deathDate: IN_WORLD_DATE,
+            lifespanBasis: OPTIONAL_TEXT,
+            notes: OPTIONAL_TEXT,
+            customFields: { type: 'object' },
+            tags: STRING_LIST,
+            appearances: CHAPTER_APPEARANCES
+        }
+    },
+    locations: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            type: OPTIONAL_TEXT,
+            series: OPTIONAL_TEXT,
+            book: OPTIONAL_TEXT,
+            description: OPTIONAL_TEXT,
+            tags: STRING_LIST
+        }
+    },
+    plots: {
+        type: 'object',
+        required: ['id', 'title'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            title: { type: 'string', minLength: 1 },
+            type: OPTIONAL_TEXT,
+            series: OPTIONAL_TEXT,
+            book: OPTIONAL_TEXT,
+            description: OPTIONAL_TEXT,
+            characters: STRING_LIST,
+            locations: STRING_LIST,
+            pov: OPTIONAL_TEXT,
+            setting: OPTIONAL_TEXT,
+            thread: OPTIONAL_TEXT,
+            threadRole: OPTIONAL_TEXT,
+            resolves: STRING_LIST,
+            tags: STRING_LIST,
+            order: { type: ['number', 'string', 'null'] }
+        }
+    },
+    worldElements: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            category: OPTIONAL_TEXT,
+            series: OPTIONAL_TEXT,
+            description: OPTIONAL_TEXT,
+            relatedElements: STRING_LIST,
+            tags: STRING_LIST
+        }
+    },
+    relationships: {
+        type: 'object',
+        required: ['id', 'character1Id', 'character2Id', 'type'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            character1Id: { type: 'string', minLength: 1 },
+            character2Id: { type: 'string', minLength: 1 },
+            type: { type: 'string', minLength: 1 }
+        }
+    },
+    timelineEvents: {
+        type: 'object',
+        required: ['id', 'title', 'date'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            title: { type: 'string', minLength: 1 },
+            date: IN_WORLD_DATE,
+            endDate: IN_WORLD_DATE,
+            description: OPTIONAL_TEXT,
+            characters: STRING_LIST,
+            locations: STRING_LIST,
+            plots: STRING_LIST,
+            series: OPTIONAL_TEXT,
+            book: OPTIONAL_TEXT,
+            chapter: { type: ['number', 'string'] }
+        }
+    },
+    tags: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            color: OPTIONAL_TEXT
+        }
+    }
+};
+
+// Numeric ids as strings, in a single reference or a list of them
+function stringifyReference(value) {
+    if (typeof value === 'number') return String(value);
+    if (Array.isArray(value)) return value.map(item => typeof item === 'number' ? String(item) : item);
+    return value;
+}
+
+function generateRecordId() {
+    if (window.Core && typeof window.Core.generateId === 'function') {
+        return window.Core.generateId();
+    }
+    return crypto.randomUUID();
+}
+
+/**
+ * Ordered migration steps. Each step upgrades a database from `version - 1`
+ * to `version` and changes the data object in place.
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Add missing collections, record ids and list fields, and store ids as text',
+        migrate(data) {
+            DATABASE_COLLECTIONS.forEach(collection => {
+                if (data[collection] === undefined || data[collection] === null) {
+                    data[collection] = [];
+                }
+            });
+
+            Object.keys(RECORD_SCHEMAS).forEach(collection => {
+                if (!Array.isArray(data[collection])) return;
+                data[collection].forEach(record => {
+                    if (!record || typeof record !== 'object') return;
+                    if (record.id === undefined || record.id === null || record.id === '') {
+                        record.id = generateRecordId();
+                    } else if (typeof record.id === 'number') {
+                        record.id = String(record.id);
+                    }
+
+                    (LIST_FIELDS[collection] || []).forEach(field => {
+                        if (typeof record[field] === 'string') {
+                            record[field] = record[field].split(',').map(value => value.trim()).filter(Boolean);
+                        }
+                    });
+
+                    // References must keep matching the ids converted above
+                    (REFERENCE_FIELDS[collection] || []).forEach(field => {
+                        if (record[field] !== undefined) {
+                            record[field] = stringifyReference(record[field]);
+                        }
+                    });
+                });
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Reference characters, locations and world elements by id instead of name',
+        migrate(data) {
+            // Stop before schemaVersion moves past 2, so the names are migrated on the next load
+            if (!window.EntityReferences || typeof window.EntityReferences.migrateDatabase !== 'function') {
+                throw new Error('Cannot upgrade the database: the entity references module is not loaded.');
+            }
+            window.EntityReferences.migrateDatabase(data);
+        }
+    }
+];
+
+/**
+ * Get the schema version of a database object
+ * Files written before schema versions were introduced count as version 1
+ * @param {Object} data - Parsed database
+ * @returns {number} - Schema version
+ */
+function getSchemaVersion(data) {
+    const version = parseInt(data && data.schemaVersion, 10);
+    return Number.isFinite(version) && version > 0 ? version : 1;
+}
+
+// Whether this version of the app can read a database with the given schema version
+function isSchemaVersionSupported(schemaVersion) {
+    return schemaVersion <= SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a database object to the current schema version
+ * @param {Object} data - Parsed database, changed in place
+ * @returns {Object} - { fromVersion, toVersion, applied: descriptions of the steps that ran }
+ */
+function migrateDatabaseSchema(data) {
+    const fromVersion = getSchemaVersion(data);
+    const applied = [];
+
+    if (!isSchemaVersionSupported(fromVersion)) {
+        throw new Error(`The database uses schema version ${fromVersion}, but this version of the app only supports up to version ${SCHEMA_VERSION}.`);
+    }
+
+    MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .sort((a, b) => a.version - b.version)
+        .forEach(step => {
+            step.migrate(data);
+            data.schemaVersion = step.version;
+            applied.push(step.description);
+        });
+
+    data.schemaVersion = SCHEMA_VERSION;
+    if (applied.length > 0) {
+        console.log(`Migrated database from schema version ${fromVersion} to ${SCHEMA_VERSION}:`, applied);
+    }
+    return { fromVersion, toVersion: SCHEMA_VERSION, applied };
+}
+
+function describeValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.includes(describeValueType(value));
+}
+
+// Check a value against a schema node, adding a problem for every mismatch
+function validateValue(value, schema, field, problems) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+        problems.push({ field, message: `should be ${expected}, found ${describeValueType(value)}` });
+        return;
+    }
+
+    if (schema.minLength && typeof value === 'string' && value.trim().length < schema.minLength) {
+        problems.push({ field, message: 'should not be empty' });
+    }
+
+    if (schema.required) {
+        schema.required.forEach(name => {
+            if (value[name] === undefined || value[name] === null) {
+                problems.push({ field: field ? `${field}.${name}` : name, message: 'is missing' });
+            }
+        });
+    }
+
+    if (schema.properties) {
+        Object.entries(schema.properties).forEach(([name, propertySchema]) => {
+            // Optional fields may be left out or cleared
+            if (value[name] === undefined) return;
+            if (value[name] === null && !(schema.required || []).includes(name)) return;
+            validateValue(value[name], propertySchema, field ? `${field}.${name}` : name, problems);
+        });
+    }
+
+    if (schema.items && Array.isArray(value)) {
+        value.forEach((item, index) => validateValue(item, schema.items, `${field}[${index}]`, problems));
+    }
+}
+
+/**
+ * Validate every record collection in a database
+ * @param {Object} data - Parsed (and migrated) database
+ * @returns {Object} - { valid, errors: [{ collection, index, id, label, problems }] }
+ */
+function validateDatabaseRecords(data) {
+    const errors = [];
+
+    Object.entries(RECORD_SCHEMAS).forEach(([collection, schema]) => {
+        const records = data[collection];
+        if (records === undefined) return;
+        if (!Array.isArray(records)) {
+            errors.push({
+                collection,
+                index: null,
+                id: null,
+                label: collection,
+                problems: [{ field: collection, message: `should be a list, found ${describeValueType(records)}` }]
+            });
+            return;
+        }
+
+        const seenIds = new Set();
+        records.forEach((record, index) => {
+            const problems = [];
+            validateValue(record, schema, '', problems);
+
+            if (record && typeof record === 'object' && typeof record.id === 'string') {
+                if (seenIds.has(record.id)) {
+                    problems.push({ field: 'id', message: `duplicates an earlier ${collection} record` });
+                }
+                seenIds.add(record.id);
+            }
+
+            if (problems.length > 0) {
+                errors.push({
+                    collection,
+                    index,
+                    id: record && typeof record === 'object' ? record.id || null : null,
+                    label: getRecordLabel(record),
+                    problems
+                });
+            }
+        });
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+function getRecordLabel(record) {
+    if (!record || typeof record !== 'object') return String(record);
+    const name = [record.firstName, record.lastName].filter(value => typeof value === 'string' && value).join(' ');
+    return name || record.name || record.title || record.type || record.id || 'Unnamed record';
+}
+
+/**
+ * Remove the records a validation report flagged, leaving the rest of the database intact
+ * @param {Object} data - Database, changed in place
+ * @param {Object} report - Result of validateDatabaseRecords
+ * @returns {number} - Number of records removed
+ */
+function removeInvalidRecords(data, report) {
+    let removed = 0;
+    const byCollection = {};
+
+    report.errors.forEach(error => {
+        if (error.index === null) {
+            data[error.collection] = [];
+            return;
+        }
+        (byCollection[error.collection] = byCollection[error.collection] || new Set()).add(error.index);
+    });
+
+    Object.entries(byCollection).forEach(([collection, indexes]) => {
+        data[collection] = data[collection].filter((record, index) => !indexes.has(index));
+        removed += indexes.size;
+    });
+    return removed;
+}
+
+// Classic scripts (cloud sync) can't import modules, so expose the pipeline on window
+window.DatabaseSchema = {
+    SCHEMA_VERSION,
+    getSchemaVersion,
+    migrate: migrateDatabaseSchema,
+    validate: validateDatabaseRecords,
+    removeInvalidRecords
+};
+
+export {
+    SCHEMA_VERSION,
+    DATABASE_COLLECTIONS,
+    MIGRATIONS,
+    getSchemaVersion,
+    isSchemaVersionSupported,
+    migrateDatabaseSchema,
+    validateDatabaseRecords,
+    removeInvalidRecords
+};
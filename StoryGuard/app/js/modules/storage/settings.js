@@ -121,6 +121,36 @@ function showSettingsDialog() {
                             <button id="browseBackupDir" class="btn btn-secondary">Browse</button>
                         </div>
                     </div>
+                    <div class="setting-item">
+                        <label for="skipUnchangedAutoBackups">
+                            <input type="checkbox" id="skipUnchangedAutoBackups" ${settings.skipUnchangedAutoBackups !== false ? 'checked' : ''}>
+                            Skip automatic backups when nothing has changed
+                        </label>
+                    </div>
+                    <div class="setting-item">
+                        <label for="enableBackupRetention">
+                            <input type="checkbox" id="enableBackupRetention" ${settings.enableBackupRetention !== false ? 'checked' : ''}>
+                            Delete old automatic backups (manual backups are always kept)
+                        </label>
+                    </div>
+                    <div class="setting-item">
+                        <label for="retentionKeepLast">Always keep the last:</label>
+                        <input type="number" id="retentionKeepLast" value="${settings.retentionKeepLast ?? 10}" min="1" max="1000"> backups
+                    </div>
+                    <div class="setting-item">
+                        <label for="retentionHourlyHours">Keep one per hour for:</label>
+                        <input type="number" id="retentionHourlyHours" value="${settings.retentionHourlyHours ?? 24}" min="0" max="720"> hours
+                    </div>
+                    <div class="setting-item">
+                        <label for="retentionDailyDays">Keep one per day for:</label>
+                        <input type="number" id="retentionDailyDays" value="${settings.retentionDailyDays ?? 30}" min="0" max="3650"> days
+                    </div>
+                    <div class="setting-item">
+                        <label for="retentionKeepWeekly">
+                            <input type="checkbox" id="retentionKeepWeekly" ${settings.retentionKeepWeekly !== false ? 'checked' : ''}>
+                            Keep one backup per week forever
+                        </label>
+                    </div>
                     <div class="setting-item">
                         <label for="enableLocalBackup">
                             <input type="checkbox" id="enableLocalBackup" ${settings.enableLocalBackup ? 'checked' : ''}>
@@ -196,6 +226,12 @@ function showSettingsDialog() {
             autoBackupInterval: parseInt(document.getElementById('autoBackupInterval').value),
             backupInterval: parseInt(document.getElementById('autoBackupInterval').value),
             backupDirectory: document.getElementById('backupDirectory').value,
+            skipUnchangedAutoBackups: document.getElementById('skipUnchangedAutoBackups').checked,
+            enableBackupRetention: document.getElementById('enableBackupRetention').checked,
+            retentionKeepLast: parseInt(document.getElementById('retentionKeepLast').value) || 1,
+            retentionHourlyHours: parseInt(document.getElementById('retentionHourlyHours').value) || 0,
+            retentionDailyDays: parseInt(document.getElementById('retentionDailyDays').value) || 0,
+            retentionKeepWeekly: document.getElementById('retentionKeepWeekly').checked,
             enableLocalBackup: document.getElementById('enableLocalBackup').checked,
             enableCloudBackup: document.getElementById('enableCloudBackup').checked,
             enableCloudSync: document.getElementById('enableCloudSync').checked,
@@ -228,6 +264,11 @@ function showSettingsDialog() {
             stopAutoBackupTimer();
         }
         
+        // Apply a changed retention policy to the existing backups
+        if (window.Storage && typeof window.Storage.rotateBackups === 'function') {
+            window.Storage.rotateBackups();
+        }
+        
         // Close the modal
         removeModal();
         
@@ -374,6 +415,13 @@ function getDefaultSettings() {
         autoBackupInterval: 30, // minutes
         backupInterval: 30, // duplicate for compatibility
         backupDirectory: '',
+        // Retention for automatic backups; manual backups are never deleted
+        enableBackupRetention: true,
+        retentionKeepLast: 10, // most recent backups, always kept
+        retentionHourlyHours: 24, // one per hour for this many hours
+        retentionDailyDays: 30, // one per day for this many days
+        retentionKeepWeekly: true, // one per week after that, forever
+        skipUnchangedAutoBackups: true,
         enableLocalBackup: true,
         enableCloudBackup: false,
         enableCloudSync: false,
@@ -0,0 +1,420 @@
+/**
+ * Story Bible export
+ * Assembles every character, location, plot, world element and relationship of the
+ * current database into one document model. The main process turns the model into a
+ * native DOCX with officegen, so the model only holds plain data:
+ *
+ *   { type: 'title', text, subtitle }
+ *   { type: 'toc', title, entries: [{ level, text, anchor }] }
+ *   { type: 'heading', level, text, anchor }
+ *   { type: 'paragraph', runs: [{ text, bold, italic, underline, strike, color, link, anchor } | { lineBreak: true }] }
+ *   { type: 'list', ordered, items: [{ level, runs }] }
+ *   { type: 'image', src } - a file path or a data URI
+ *   { type: 'pageBreak' }
+ */
+
+import { getCurrentCollection } from './backup.js';
+
+const NO_SERIES = 'Standalone';
+const NO_BOOK = 'Series-wide';
+
+// Entity sections in the order they appear under each book
+const SECTIONS = [
+    { collection: 'characters', title: 'Characters', prefix: 'char' },
+    { collection: 'locations', title: 'Locations', prefix: 'loc' },
+    { collection: 'plots', title: 'Plots', prefix: 'plot' },
+    { collection: 'worldElements', title: 'World Elements', prefix: 'world' }
+];
+
+function getCharacterName(character) {
+    return `${character.firstName || ''} ${character.lastName || ''}`.trim() || 'Unnamed Character';
+}
+
+function getEntityName(collection, record) {
+    if (collection === 'characters') return getCharacterName(record);
+    if (collection === 'plots') return record.title || 'Unnamed Plot';
+    return record.name || (collection === 'locations' ? 'Unnamed Location' : 'Unnamed Element');
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : Infinity;
+}
+
+// Plots follow the story: explicit order first, then chapter, then title
+function comparePlots(a, b) {
+    return toNumber(a.order) - toNumber(b.order) ||
+        toNumber(a.chapter) - toNumber(b.chapter) ||
+        String(a.chapter || '').localeCompare(String(b.chapter || '')) ||
+        String(a.title || '').localeCompare(String(b.title || ''));
+}
+
+// Known names in list order, then any names only found on records, alphabetically
+function orderNames(known, found) {
+    const ordered = known.filter(name => found.has(name));
+    const extra = [...found].filter(name => !known.includes(name)).sort((a, b) => a.localeCompare(b));
+    return [...ordered, ...extra];
+}
+
+/**
+ * Group the entity collections by series and book
+ * @returns {Array} - [{ series, books: [{ book, sections: { collection: records } }] }]
+ */
+function groupBySeriesAndBook() {
+    const groups = new Map();
+
+    SECTIONS.forEach(({ collection }) => {
+        getCurrentCollection(collection).forEach(record => {
+            if (!record || typeof record !== 'object') return;
+            const series = (record.series || '').trim() || NO_SERIES;
+            // World elements belong to a series, not to a single book
+            const book = collection === 'worldElements' ? NO_BOOK : (record.book || '').trim() || NO_BOOK;
+
+            if (!groups.has(series)) groups.set(series, new Map());
+            const bookGroups = groups.get(series);
+            if (!bookGroups.has(book)) bookGroups.set(book, {});
+            const sections = bookGroups.get(book);
+            (sections[collection] = sections[collection] || []).push(record);
+        });
+    });
+
+    const seriesNames = orderNames(getCurrentCollection('seriesList').filter(name => name !== NO_SERIES), new Set(groups.keys()));
+    if (groups.has(NO_SERIES)) {
+        seriesNames.splice(seriesNames.indexOf(NO_SERIES), 1);
+        seriesNames.push(NO_SERIES);
+    }
+
+    return seriesNames.map(series => {
+        const bookGroups = groups.get(series);
+        const bookNames = orderNames(getCurrentCollection('books'), new Set([...bookGroups.keys()].filter(book => book !== NO_BOOK)));
+        if (bookGroups.has(NO_BOOK)) bookNames.unshift(NO_BOOK);
+
+        return {
+            series,
+            books: bookNames.map(book => {
+                const sections = bookGroups.get(book);
+                if (sections.plots) sections.plots.sort(comparePlots);
+                return { book, sections };
+            })
+        };
+    });
+}
+
+function parseColor(value) {
+    if (!value) return null;
+    const hex = value.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+        return digits.toUpperCase();
+    }
+    const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+    if (rgb) {
+        return rgb.slice(1, 4).map(channel => Number(channel).toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+    return null;
+}
+
+// Formatting added by an element of the rich-text editor
+function getElementFormat(element, format) {
+    const next = { ...format };
+    const tag = element.tagName;
+    const style = element.style || {};
+
+    if (tag === 'B' || tag === 'STRONG' || /^H[1-6]$/.test(tag) || style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600) next.bold = true;
+    if (tag === 'I' || tag === 'EM' || style.fontStyle === 'italic') next.italic = true;
+    if (tag === 'U' || (style.textDecoration || '').includes('underline')) next.underline = true;
+    if (tag === 'S' || tag === 'STRIKE' || tag === 'DEL' || (style.textDecoration || '').includes('line-through')) next.strike = true;
+
+    const color = parseColor(style.color || element.getAttribute('color'));
+    if (color) next.color = color;
+
+    if (tag === 'A' && /^https?:\/\//i.test(element.getAttribute('href') || '')) {
+        next.link = element.getAttribute('href');
+    }
+    return next;
+}
+
+/**
+ * Convert the HTML saved by the rich-text editor into paragraph and list blocks
+ * Plain text is split into paragraphs on blank lines.
+ * @param {string} html - Notes or description as stored on the record
+ * @returns {Array} - Document blocks
+ */
+function richTextToBlocks(html) {
+    if (!html || typeof html !== 'string' || !html.trim()) return [];
+
+    if (!/<[a-z][\s\S]*>/i.test(html)) {
+        return html.split(/\n\s*\n/).filter(text => text.trim()).map(text => ({
+            type: 'paragraph',
+            runs: text.split('\n').flatMap((line, index) => index === 0 ? [{ text: line }] : [{ lineBreak: true }, { text: line }])
+        }));
+    }
+
+    const body = new DOMParser().parseFromString(html, 'text/html').body;
+    const blocks = [];
+    let runs = [];
+
+    const flushParagraph = () => {
+        if (runs.some(run => run.lineBreak || run.text.trim())) {
+            blocks.push({ type: 'paragraph', runs });
+        }
+        runs = [];
+    };
+
+    const walkInline = (node, format) => {
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                const text = child.textContent.replace(/\s+/g, ' ');
+                if (text) runs.push({ text, ...format });
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                walkElement(child, format);
+            }
+        });
+    };
+
+    const walkList = (list, level, items) => {
+        list.querySelectorAll(':scope > li').forEach(item => {
+            const outer = runs;
+            runs = [];
+            const nested = [];
+            item.childNodes.forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === 'UL' || child.tagName === 'OL')) {
+                    nested.push(child);
+                } else if (child.nodeType === Node.TEXT_NODE) {
+                    const text = child.textContent.replace(/\s+/g, ' ');
+                    if (text) runs.push({ text });
+                } else if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'BR') {
+                    runs.push({ lineBreak: true });
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    walkInline(child, getElementFormat(child, {}));
+                }
+            });
+            items.push({ level, runs });
+            runs = outer;
+            nested.forEach(child => walkList(child, level + 1, items));
+        });
+    };
+
+    const walkElement = (element, format) => {
+        const tag = element.tagName;
+        if (tag === 'BR') {
+            runs.push({ lineBreak: true });
+        } else if (tag === 'UL' || tag === 'OL') {
+            flushParagraph();
+            const items = [];
+            walkList(element, 0, items);
+            blocks.push({ type: 'list', ordered: tag === 'OL', items });
+        } else if (['P', 'DIV', 'BLOCKQUOTE', 'PRE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'].includes(tag)) {
+            flushParagraph();
+            walkInline(element, getElementFormat(element, format));
+            flushParagraph();
+        } else if (tag !== 'SCRIPT' && tag !== 'STYLE') {
+            walkInline(element, getElementFormat(element, format));
+        }
+    };
+
+    walkInline(body, {});
+    flushParagraph();
+    return blocks;
+}
+
+// "Label: value" paragraph, skipped when there is no value
+function field(label, value) {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) return null;
+    const valueRuns = Array.isArray(value) ? value : [{ text: String(value) }];
+    return { type: 'paragraph', runs: [{ text: `${label}: `, bold: true }, ...valueRuns] };
+}
+
+// Comma-separated runs, linked to the referenced entries where they are in the document
+function referenceRuns(ids, lookup) {
+    const runs = [];
+    (ids || []).forEach(id => {
+        const target = lookup(id);
+        if (!target) return;
+        if (runs.length > 0) runs.push({ text: ', ' });
+        runs.push(target.anchor ? { text: target.name, anchor: target.anchor } : { text: target.name });
+    });
+    return runs;
+}
+
+function notesSection(label, html) {
+    const blocks = richTextToBlocks(html);
+    if (blocks.length === 0) return [];
+    return [{ type: 'paragraph', runs: [{ text: label, bold: true }] }, ...blocks];
+}
+
+/**
+ * Build the Story Bible document model for the current database
+ * @returns {Object} - { title, blocks }
+ */
+function buildStoryBible() {
+    const databaseName = localStorage.getItem('currentDatabaseName') || 'Default';
+    const groups = groupBySeriesAndBook();
+    const tagList = getCurrentCollection('tags');
+    const relationshipList = getCurrentCollection('relationships');
+
+    // Give every entry a bookmark first so entries can link to ones that come later
+    const anchors = new Map();
+    let anchorCount = 0;
+    const nextAnchor = prefix => `sb_${prefix}_${++anchorCount}`;
+    groups.forEach(group => group.books.forEach(({ sections }) => {
+        SECTIONS.forEach(({ collection, prefix }) => {
+            (sections[collection] || []).forEach(record => {
+                anchors.set(`${collection}:${record.id}`, { anchor: nextAnchor(prefix), name: getEntityName(collection, record) });
+            });
+        });
+    }));
+
+    const lookup = collection => id => {
+        const entry = anchors.get(`${collection}:${id}`);
+        if (entry) return entry;
+        const record = getCurrentCollection(collection).find(item => item.id === id);
+        return record ? { name: getEntityName(collection, record) } : null;
+    };
+    const tagNames = ids => (ids || [])
+        .map(id => tagList.find(tag => tag.id === id || tag.name === id))
+        .filter(Boolean)
+        .map(tag => tag.name)
+        .join(', ');
+
+    const describe = {
+        characters(character) {
+            const relationshipItems = relationshipList
+                .filter(rel => window.EntityReferences.relationshipInvolves(rel, character.id))
+                .map(rel => {
+                    const other = lookup('characters')(window.EntityReferences.getOtherCharacterId(rel, character.id)) || { name: 'Unknown character' };
+                    const runs = [other.anchor ? { text: other.name, anchor: other.anchor } : { text: other.name }, { text: ` - ${rel.type || 'Related'}` }];
+                    if (rel.description) runs.push({ text: `: ${rel.description}` });
+                    return { level: 0, runs };
+                });
+
+            return [
+                character.image ? { type: 'image', src: character.image } : null,
+                field('Title', character.title),
+                field('Aliases', (character.aliases || []).join(', ')),
+                field('Role', character.role),
+                field('Sex', character.sex),
+                field('Race', character.race),
+                field('Age', character.age),
+                field('Tags', tagNames(character.tags)),
+                ...Object.entries(character.customFields || {}).map(([name, value]) => field(name, value)),
+                ...notesSection('Description', character.description),
+                ...notesSection('Notes', character.notes),
+                relationshipItems.length > 0 ? { type: 'paragraph', runs: [{ text: 'Relationships', bold: true }] } : null,
+                relationshipItems.length > 0 ? { type: 'list', ordered: false, items: relationshipItems } : null
+            ];
+        },
+        locations(location) {
+            return [
+                location.image ? { type: 'image', src: location.image } : null,
+                field('Type', location.type),
+                field('Size/Scale', location.size),
+                field('Climate/Environment', location.climate),
+                field('Population/Inhabitants', location.population),
+                field('Tags', tagNames(location.tags)),
+                ...notesSection('Description', location.description),
+                ...notesSection('Notes', location.notes)
+            ];
+        },
+        plots(plot) {
+            return [
+                field('Type', plot.type),
+                field('Status', plot.status),
+                field('Chapter', plot.chapter),
+                field('Order', plot.order),
+                field('Characters', referenceRuns(plot.characters, lookup('characters'))),
+                field('Locations', referenceRuns(plot.locations, lookup('locations'))),
+                field('Tags', tagNames(plot.tags)),
+                ...notesSection('Summary', plot.description),
+                ...notesSection('Notes', plot.notes)
+            ];
+        },
+        worldElements(element) {
+            return [
+                field('Category', element.category),
+                field('Type', element.type),
+                field('Related Elements', referenceRuns(element.relatedElements, lookup('worldElements'))),
+                field('Tags', tagNames(element.tags)),
+                ...notesSection('Description', element.description),
+                ...notesSection('Notes', element.notes)
+            ];
+        }
+    };
+
+    const tocEntries = [];
+    const body = [];
+    const heading = (level, text, anchor) => {
+        tocEntries.push({ level, text, anchor });
+        body.push({ type: 'heading', level, text, anchor });
+    };
+
+    groups.forEach((group, groupIndex) => {
+        if (groupIndex > 0) body.push({ type: 'pageBreak' });
+        heading(1, group.series === NO_SERIES ? 'Standalone' : `Series: ${group.series}`, nextAnchor('series'));
+
+        group.books.forEach(({ book, sections }) => {
+            heading(2, book === NO_BOOK ? (group.series === NO_SERIES ? 'No Book' : 'Series-wide') : `Book: ${book}`, nextAnchor('book'));
+
+            SECTIONS.forEach(({ collection, title }) => {
+                const records = sections[collection];
+                if (!records || records.length === 0) return;
+                heading(3, title, nextAnchor('section'));
+                records.forEach(record => {
+                    const entry = anchors.get(`${collection}:${record.id}`);
+                    heading(4, entry.name, entry.anchor);
+                    body.push(...describe[collection](record).filter(Boolean));
+                });
+            });
+        });
+    });
+
+    const title = `${databaseName} Story Bible`;
+    return {
+        title,
+        blocks: [
+            { type: 'title', text: title, subtitle: `Generated ${new Date().toLocaleDateString()}` },
+            { type: 'toc', title: 'Contents', entries: tocEntries },
+            { type: 'pageBreak' },
+            ...(body.length > 0 ? body : [{ type: 'paragraph', runs: [{ text: 'This database has no characters, locations, plots or world elements yet.' }] }])
+        ]
+    };
+}
+
+/**
+ * Export the current database as a Story Bible DOCX in the documents folder
+ * @returns {Promise<Object|null>} - Save result, or null when the export failed
+ */
+async function exportStoryBibleToDOCX() {
+    const databaseName = localStorage.getItem('currentDatabaseName') || 'Default';
+    const filename = `${databaseName}_Story_Bible_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)}.docx`;
+
+    if (!window.api || typeof window.api.saveDocx !== 'function') {
+        Core.showToast('The Story Bible export is only available in the desktop app', 'error');
+        return null;
+    }
+
+    try {
+        Core.showToast('Building Story Bible...', 'info');
+        const result = await window.api.saveDocx(buildStoryBible(), filename);
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'Unknown error');
+        }
+
+        console.log('Story Bible saved:', result.path);
+        Core.showToast(`Story Bible saved: ${result.path}`, 'success');
+        if (window.Dashboard && typeof window.Dashboard.addActivity === 'function') {
+            window.Dashboard.addActivity('export', `Exported Story Bible for ${databaseName}`);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error exporting Story Bible:', error);
+        Core.showToast(`Failed to export Story Bible: ${error.message}`, 'error');
+        return null;
+    }
+}
+
+export {
+    buildStoryBible,
+    richTextToBlocks,
+    exportStoryBibleToDOCX
+};
@@ -0,0 +1,750 @@
+/**
+ * Export templates
+ * User-editable layouts for the HTML, TXT and PDF exports, stored with the database in
+ * the exportTemplates collection. Templates use a small Mustache-like syntax:
+ *
+ *   {{field}}               value, HTML-escaped in HTML templates
+ *   {{{field}}}             value without escaping (formatted notes)
+ *   {{#each list}}...{{/each}}     repeat for every item; {{@index}}, {{@number}}, {{@key}}
+ *   {{#if field}}...{{else}}...{{/if}}   and {{#unless field}}...{{/unless}}
+ *   {{! comment}}
+ *
+ * A template whose isDefault flag is set is used for its entity type and format;
+ * without one the built-in layouts in exports.js and pdf.js are used.
+ */
+
+import { getCurrentCollection } from './backup.js';
+
+const TEMPLATE_FORMATS = { html: 'HTML / PDF', text: 'Text' };
+
+const ENTITY_LABELS = {
+    characters: 'Characters',
+    locations: 'Locations',
+    plots: 'Plots',
+    worldElements: 'World Building'
+};
+
+// Standard fields in their default order; rich fields hold editor HTML
+const TEMPLATE_FIELDS = {
+    characters: [
+        ['title', 'Title'], ['firstName', 'First Name'], ['lastName', 'Last Name'], ['aliases', 'Aliases'],
+        ['sex', 'Sex'], ['race', 'Race'], ['age', 'Age'], ['role', 'Role'], ['series', 'Series'],
+        ['book', 'Book'], ['tags', 'Tags'], ['description', 'Description'], ['notes', 'Notes']
+    ],
+    locations: [
+        ['type', 'Type'], ['size', 'Size/Scale'], ['climate', 'Climate/Environment'],
+        ['population', 'Population/Inhabitants'], ['series', 'Series'], ['book', 'Book'],
+        ['tags', 'Tags'], ['description', 'Description'], ['notes', 'Notes']
+    ],
+    plots: [
+        ['type', 'Type'], ['status', 'Status'], ['chapter', 'Chapter'], ['order', 'Order'],
+        ['series', 'Series'], ['book', 'Book'], ['characters', 'Characters'], ['locations', 'Locations'],
+        ['tags', 'Tags'], ['description', 'Summary'], ['notes', 'Notes']
+    ],
+    worldElements: [
+        ['category', 'Category'], ['type', 'Type'], ['series', 'Series'], ['book', 'Book'],
+        ['relatedElements', 'Related Elements'], ['tags', 'Tags'], ['description', 'Description'], ['notes', 'Notes']
+    ]
+};
+const RICH_FIELDS = ['description', 'notes'];
+
+const GROUP_OPTIONS = { '': 'No grouping', series: 'Series', book: 'Book', tag: 'Tag' };
+
+const BLOCK_HELPERS = ['each', 'if', 'unless'];
+const TOKEN_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#/!]?)\s*([^}]*?)\s*\}\}/g;
+
+const STARTER_BODIES = {
+    html: `<h1>{{title}}</h1>
+<p>{{database}} - {{date}} - {{count}} entries</p>
+{{#each groups}}
+{{#if grouped}}
+<h2>{{name}} ({{count}})</h2>
+{{/if}}
+{{#each items}}
+<section>
+  <h3>{{name}}</h3>
+  {{#if image}}
+  <img src="{{image}}" alt="{{name}}">
+  {{/if}}
+  <table>
+    {{#each fields}}
+    <tr><th>{{label}}</th><td>{{{html}}}</td></tr>
+    {{/each}}
+    {{#each customFieldList}}
+    <tr><th>{{name}}</th><td>{{value}}</td></tr>
+    {{/each}}
+  </table>
+  {{#if relationships}}
+  <h4>Relationships</h4>
+  <ul>
+    {{#each relationships}}
+    <li><strong>{{character}}</strong>: {{type}}</li>
+    {{/each}}
+  </ul>
+  {{/if}}
+</section>
+<hr>
+{{/each}}
+{{/each}}
+`,
+    text: `{{title}} - {{database}} ({{date}})
+
+{{#each groups}}
+{{#if grouped}}
+== {{name}} ==
+
+{{/if}}
+{{#each items}}
+{{name}}
+{{#each fields}}
+{{label}}: {{value}}
+{{/each}}
+{{#each customFieldList}}
+{{name}}: {{value}}
+{{/each}}
+{{#if relationships}}
+Relationships:
+{{#each relationships}}
+  - {{character}}: {{type}}
+{{/each}}
+{{/if}}
+
+---
+
+{{/each}}
+{{/each}}
+`
+};
+
+function escapeTemplateHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Parse template source into a tree of text, value and block nodes
+ * A block tag alone on its line takes the whole line with it, so templates can put
+ * one tag per line without leaving blank lines in the output.
+ * @param {string} source - Template source
+ * @returns {Array} - Nodes
+ * @throws {Error} - For unknown, unclosed or mismatched blocks
+ */
+function parseTemplate(source) {
+    const root = { children: [] };
+    const stack = [root];
+    const lineAt = index => source.slice(0, index).split('\n').length;
+    let last = 0;
+    let match;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        const target = current.inElse ? current.elseChildren : current.children;
+        const [, rawPath, sigil, body] = match;
+        const isBlockTag = !rawPath && (sigil !== '' || body === 'else');
+
+        let textEnd = match.index;
+        let next = TOKEN_PATTERN.lastIndex;
+        if (isBlockTag) {
+            const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+            const newline = source.indexOf('\n', next);
+            const lineEnd = newline === -1 ? source.length : newline;
+            if (lineStart >= last &&
+                /^[ \t]*$/.test(source.slice(lineStart, match.index)) &&
+                /^[ \t\r]*$/.test(source.slice(next, lineEnd))) {
+                textEnd = lineStart;
+                next = newline === -1 ? source.length : newline + 1;
+            }
+        }
+        if (textEnd > last) target.push({ type: 'text', value: source.slice(last, textEnd) });
+        last = next;
+
+        if (rawPath) {
+            target.push({ type: 'raw', path: rawPath });
+        } else if (sigil === '#') {
+            const [helper, path] = body.split(/\s+/);
+            if (!BLOCK_HELPERS.includes(helper) || !path) {
+                throw new Error(`Unknown block {{#${body}}} on line ${lineAt(match.index)}`);
+            }
+            const node = { type: helper, path, children: [], elseChildren: [], line: lineAt(match.index) };
+            target.push(node);
+            stack.push(node);
+        } else if (sigil === '/') {
+            if (stack.length === 1 || current.type !== body) {
+                throw new Error(`Unexpected {{/${body}}} on line ${lineAt(match.index)}`);
+            }
+            delete current.inElse;
+            stack.pop();
+        } else if (body === 'else') {
+            if (stack.length === 1) {
+                throw new Error(`{{else}} outside a block on line ${lineAt(match.index)}`);
+            }
+            current.inElse = true;
+        } else if (sigil !== '!') {
+            target.push({ type: 'value', path: body });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`{{#${open.type} ${open.path}}} on line ${open.line} is never closed`);
+    }
+    if (last < source.length) root.children.push({ type: 'text', value: source.slice(last) });
+    return root.children;
+}
+
+// Find a name in the innermost scope that has it, like Mustache
+function lookup(scopes, path) {
+    const scope = scopes[scopes.length - 1];
+    if (path === 'this' || path === '.') return scope.value;
+    if (path.startsWith('@')) return scope.meta ? scope.meta[path.slice(1)] : undefined;
+
+    const parts = path.replace(/^this\./, '').split('.');
+    const candidates = path.startsWith('this.') ? [scope] : [...scopes].reverse();
+    const owner = candidates.find(candidate =>
+        candidate.value !== null && typeof candidate.value === 'object' && parts[0] in candidate.value);
+    if (!owner) return undefined;
+    return parts.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), owner.value);
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return Boolean(value);
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) {
+        return value.map(item => (item && typeof item === 'object' ? item.name || '' : item)).join(', ');
+    }
+    if (typeof value === 'object') return '';
+    return String(value);
+}
+
+function renderNodes(nodes, scopes, escape) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'value':
+                return escape(formatValue(lookup(scopes, node.path)));
+            case 'raw':
+                return formatValue(lookup(scopes, node.path));
+            case 'if':
+            case 'unless': {
+                const show = isTruthy(lookup(scopes, node.path)) === (node.type === 'if');
+                return renderNodes(show ? node.children : node.elseChildren, scopes, escape);
+            }
+            case 'each': {
+                const value = lookup(scopes, node.path);
+                const entries = Array.isArray(value)
+                    ? value.map((item, index) => [index, item])
+                    : (value && typeof value === 'object' ? Object.entries(value) : []);
+                if (entries.length === 0) return renderNodes(node.elseChildren, scopes, escape);
+                return entries.map(([key, item], index) => renderNodes(node.children, [...scopes, {
+                    value: item,
+                    meta: { key, index, number: index + 1, first: index === 0, last: index === entries.length - 1 }
+                }], escape)).join('');
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+/**
+ * Render template source against a context
+ * @param {string} source - Template source
+ * @param {Object} context - Values the template can use
+ * @param {string} format - 'html' escapes {{values}}, 'text' leaves them as they are
+ * @returns {string} - Rendered output
+ */
+function renderTemplate(source, context, format = 'html') {
+    const escape = format === 'html' ? escapeTemplateHtml : value => value;
+    return renderNodes(parseTemplate(source || ''), [{ value: context }], escape);
+}
+
+// Plain text of editor HTML, keeping paragraph and list breaks
+function htmlToText(html) {
+    if (!html || typeof html !== 'string') return '';
+    if (!/<[a-z][\s\S]*>/i.test(html)) return html;
+
+    const body = new DOMParser().parseFromString(html, 'text/html').body;
+    body.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    body.querySelectorAll('li').forEach(item => item.prepend('- '));
+    body.querySelectorAll('p, div, li, h1, h2, h3, h4, h5, h6').forEach(block => block.append('\n'));
+    return body.textContent.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function getEntityName(entityType, record) {
+    if (entityType === 'characters') {
+        return `${record.firstName || ''} ${record.lastName || ''}`.trim() || 'Unnamed Character';
+    }
+    if (entityType === 'plots') return record.title || 'Unnamed Plot';
+    return record.name || 'Unnamed';
+}
+
+// Names for a list of ids, falling back to the stored value for older name references
+function resolveNames(ids, collection, entityType) {
+    const records = getCurrentCollection(collection);
+    return (Array.isArray(ids) ? ids : [])
+        .map(id => {
+            const record = records.find(item => item.id === id);
+            return record ? getEntityName(entityType, record) : String(id);
+        })
+        .filter(Boolean);
+}
+
+function getTagList(record) {
+    const tagIds = Array.isArray(record.tags) ? record.tags : [];
+    return getCurrentCollection('tags')
+        .filter(tag => tagIds.includes(tag.id) || tagIds.includes(tag.name))
+        .map(tag => ({ name: tag.name, color: tag.color || '' }));
+}
+
+/**
+ * Build what a template sees for one record
+ * Besides the record's own fields it gets name, tagList, fields (standard fields with a
+ * value, in default order), customFieldList and, for characters, relationships.
+ */
+function buildItemContext(entityType, record, hiddenFields, format) {
+    const item = { ...record };
+    item.name = getEntityName(entityType, record);
+    item.tagList = getTagList(record);
+    item.tagNames = item.tagList.map(tag => tag.name).join(', ');
+
+    const listValues = {
+        tags: item.tagList.map(tag => tag.name),
+        aliases: Array.isArray(record.aliases) ? record.aliases : [],
+        characters: entityType === 'plots' ? resolveNames(record.characters, 'characters', 'characters') : null,
+        locations: entityType === 'plots' ? resolveNames(record.locations, 'locations', 'locations') : null,
+        relatedElements: resolveNames(record.relatedElements, 'worldElements', 'worldElements')
+    };
+
+    item.fields = (TEMPLATE_FIELDS[entityType] || [])
+        .filter(([key]) => !hiddenFields.includes(key))
+        .map(([key, label]) => {
+            const rich = RICH_FIELDS.includes(key);
+            const list = listValues[key];
+            const value = list ? list.join(', ') : rich ? htmlToText(record[key]) : formatValue(record[key]);
+            const html = rich && format === 'html' && record[key] ? record[key] : escapeTemplateHtml(value);
+            return { key, label, value, html };
+        })
+        .filter(field => field.value.trim() !== '');
+
+    RICH_FIELDS.forEach(key => {
+        item[`${key}Text`] = htmlToText(record[key]);
+    });
+
+    item.customFieldList = Object.entries(record.customFields || {})
+        .filter(([name, value]) => !hiddenFields.includes(name) && value !== '' && value !== null && value !== undefined)
+        .map(([name, value]) => ({ name, value: formatValue(value) }));
+
+    if (entityType === 'characters' && window.EntityReferences) {
+        item.relationships = getCurrentCollection('relationships')
+            .filter(rel => window.EntityReferences.relationshipInvolves(rel, record.id))
+            .map(rel => ({
+                character: window.EntityReferences.getCharacterNameById(window.EntityReferences.getOtherCharacterId(rel, record.id)),
+                type: rel.type || ''
+            }));
+    }
+    return item;
+}
+
+// Group items in list order (series list, book list, tag list), empty group last
+function groupItems(items, groupBy) {
+    if (!groupBy) return [{ name: '', items, count: items.length }];
+
+    const emptyName = { series: 'No Series', book: 'No Book', tag: 'Untagged' }[groupBy];
+    const groups = new Map();
+    items.forEach(item => {
+        const names = groupBy === 'tag'
+            ? item.tagList.map(tag => tag.name)
+            : [String(item[groupBy] || '').trim()].filter(Boolean);
+        (names.length > 0 ? names : [emptyName]).forEach(name => {
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(item);
+        });
+    });
+
+    const known = groupBy === 'tag' ? getCurrentCollection('tags').map(tag => tag.name) : getCurrentCollection(groupBy === 'series' ? 'seriesList' : 'books');
+    const rank = name => {
+        if (name === emptyName) return Infinity;
+        const index = known.indexOf(name);
+        return index === -1 ? known.length : index;
+    };
+    return [...groups.keys()]
+        .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+        .map(name => ({ name, items: groups.get(name), count: groups.get(name).length }));
+}
+
+/**
+ * Build the full context a template renders against
+ * @param {Object} template - Template settings (entityType, format, groupBy, hiddenFields)
+ * @param {Array} records - Records to export
+ * @returns {Object} - { title, database, date, entityType, count, grouped, items, groups }
+ */
+function buildTemplateContext(template, records) {
+    const hiddenFields = template.hiddenFields || [];
+    const items = (records || [])
+        .filter(record => record && typeof record === 'object')
+        .map(record => buildItemContext(template.entityType, record, hiddenFields, template.format));
+
+    return {
+        title: ENTITY_LABELS[template.entityType] || template.entityType,
+        database: localStorage.getItem('currentDatabaseName') || 'Default',
+        date: new Date().toLocaleDateString(),
+        entityType: template.entityType,
+        count: items.length,
+        grouped: Boolean(template.groupBy),
+        items,
+        groups: groupItems(items, template.groupBy)
+    };
+}
+
+function getTemplates() {
+    if (!Array.isArray(window.exportTemplates)) window.exportTemplates = [];
+    return window.exportTemplates;
+}
+
+/**
+ * The template selected for an entity type and format
+ * @param {string} entityType - 'characters', 'locations', 'plots' or 'worldElements'
+ * @param {string} format - 'html' (HTML and PDF) or 'text'
+ * @returns {Object|null} - Template, or null to use the built-in layout
+ */
+function getActiveTemplate(entityType, format) {
+    if (!entityType) return null;
+    return getTemplates().find(template =>
+        template.isDefault && template.entityType === entityType && template.format === format) || null;
+}
+
+/**
+ * Render records with a template
+ * @returns {string} - Rendered document body
+ */
+function renderExportTemplate(template, records) {
+    return renderTemplate(template.body, buildTemplateContext(template, records), template.format);
+}
+
+/**
+ * Render items with the export template selected for an entity type and format
+ * @returns {string|null|false} - Output, null when no template is in use, false when rendering failed
+ */
+function renderActiveTemplate(entityType, format, items) {
+    const template = getActiveTemplate(entityType, format);
+    if (!template) return null;
+
+    try {
+        return renderExportTemplate(template, items);
+    } catch (error) {
+        console.error('Error rendering export template:', error);
+        if (window.Core && window.Core.showToast) {
+            window.Core.showToast(`Template "${template.name}" could not be rendered: ${error.message}`, 'error');
+        }
+        return false;
+    }
+}
+
+function saveTemplates() {
+    Core.safelyStoreItem('exportTemplates', JSON.stringify(getTemplates()));
+}
+
+function createTemplate(entityType, format = 'html') {
+    return {
+        id: Core.generateId(),
+        name: `${ENTITY_LABELS[entityType]} ${format === 'html' ? 'HTML' : 'text'} template`,
+        entityType,
+        format,
+        groupBy: '',
+        hiddenFields: [],
+        isDefault: false,
+        body: STARTER_BODIES[format]
+    };
+}
+
+// Field names a template can hide, including the custom fields in use
+function getAvailableFieldNames(entityType) {
+    const customNames = new Set(getCurrentCollection('customFieldTypes').map(type => (type && typeof type === 'object' ? type.name : type)));
+    getCurrentCollection(entityType).forEach(record => Object.keys((record && record.customFields) || {}).forEach(name => customNames.add(name)));
+    return {
+        standard: (TEMPLATE_FIELDS[entityType] || []).map(([key]) => key),
+        custom: [...customNames].filter(Boolean)
+    };
+}
+
+function addTemplateStyles() {
+    if (document.getElementById('template-manager-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'template-manager-styles';
+    style.textContent = `
+        .template-manager { display: grid; grid-template-columns: 180px 1fr 1fr; gap: 12px; min-height: 460px; }
+        .template-list { list-style: none; margin: 0 0 8px; padding: 0; max-height: 380px; overflow-y: auto; }
+        .template-list li { padding: 6px 8px; border-radius: 4px; cursor: pointer; }
+        .template-list li.selected { background-color: rgba(52, 152, 219, 0.15); }
+        .template-list .template-badge { font-size: 11px; color: #27ae60; }
+        .template-editor { display: flex; flex-direction: column; gap: 6px; }
+        .template-editor label { font-size: 13px; }
+        .template-editor input[type="text"], .template-editor select { width: 100%; box-sizing: border-box; }
+        .template-body { flex: 1; min-height: 240px; font-family: monospace; font-size: 12px; white-space: pre; }
+        .template-help { font-size: 12px; color: #666; }
+        .template-error { color: #c0392b; font-size: 12px; min-height: 16px; }
+        .template-actions { display: flex; gap: 6px; justify-content: flex-end; }
+        .template-preview { display: flex; flex-direction: column; }
+        .template-preview iframe, .template-preview pre { flex: 1; width: 100%; min-height: 420px; border: 1px solid #ddd; margin: 0; box-sizing: border-box; background: #fff; }
+        .template-preview pre { overflow: auto; padding: 8px; font-size: 12px; white-space: pre-wrap; }
+        .dark-mode .template-help { color: #aaa; }
+        .dark-mode .template-preview pre { background: #222; color: #eee; border-color: #444; }
+    `;
+    document.head.appendChild(style);
+}
+
+// Records used for the preview; large databases only show the first ones
+const PREVIEW_LIMIT = 25;
+
+/**
+ * Show the template manager for one entity type
+ * @param {string} entityType - 'characters', 'locations', 'plots' or 'worldElements'
+ */
+function showTemplateManager(entityType) {
+    addTemplateStyles();
+    const label = ENTITY_LABELS[entityType] || entityType;
+
+    const modal = UI.showModal(`${label} Export Templates`, `
+        <div class="template-manager">
+            <div class="template-sidebar">
+                <ul class="template-list"></ul>
+                <button type="button" class="new-template-btn"><i class="fas fa-plus"></i> New</button>
+            </div>
+            <div class="template-editor"></div>
+            <div class="template-preview"></div>
+        </div>
+    `, { maxWidth: '1200px', width: '95%' });
+
+    const list = modal.querySelector('.template-list');
+    const editor = modal.querySelector('.template-editor');
+    const preview = modal.querySelector('.template-preview');
+    let selected = null;
+    let previewTimer = null;
+
+    const templatesForType = () => getTemplates().filter(template => template.entityType === entityType);
+
+    const renderList = () => {
+        const templates = templatesForType();
+        list.innerHTML = templates.length === 0
+            ? '<li class="template-help">No templates yet. The built-in layout is used.</li>'
+            : templates.map(template => `
+                <li data-id="${escapeTemplateHtml(template.id)}" class="${selected && selected.id === template.id ? 'selected' : ''}">
+                    ${escapeTemplateHtml(template.name)}<br>
+                    <span class="template-help">${TEMPLATE_FORMATS[template.format]}</span>
+                    ${template.isDefault ? '<span class="template-badge">In use</span>' : ''}
+                </li>`).join('');
+        list.querySelectorAll('li[data-id]').forEach(item => {
+            item.addEventListener('click', () => select(getTemplates().find(template => template.id === item.dataset.id)));
+        });
+    };
+
+    const renderPreview = () => {
+        if (!selected) {
+            preview.innerHTML = '';
+            return;
+        }
+        const error = editor.querySelector('.template-error');
+        const records = getCurrentCollection(entityType).slice(0, PREVIEW_LIMIT);
+        try {
+            const output = renderExportTemplate(selected, records);
+            error.textContent = '';
+            if (selected.format === 'html') {
+                preview.innerHTML = '<iframe sandbox="" title="Template preview"></iframe>';
+                preview.querySelector('iframe').srcdoc = wrapHtmlDocument(output, selected.name);
+            } else {
+                preview.innerHTML = '<pre></pre>';
+                preview.querySelector('pre').textContent = output;
+            }
+        } catch (renderError) {
+            error.textContent = renderError.message;
+        }
+    };
+
+    const schedulePreview = () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(renderPreview, 300);
+    };
+
+    const renderEditor = () => {
+        if (!selected) {
+            editor.innerHTML = '<p class="template-help">Select a template, or create one to change how this tab is exported.</p>';
+            renderPreview();
+            return;
+        }
+
+        const fields = getAvailableFieldNames(entityType);
+        editor.innerHTML = `
+            <label>Name <input type="text" class="template-name"></label>
+            <label>Format
+                <select class="template-format">
+                    ${Object.entries(TEMPLATE_FORMATS).map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+                </select>
+            </label>
+            <label>Group by
+                <select class="template-group">
+                    ${Object.entries(GROUP_OPTIONS).map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+                </select>
+            </label>
+            <label>Hidden fields <input type="text" class="template-hidden" placeholder="e.g. notes, age"></label>
+            <div class="template-help">
+                Fields: ${escapeTemplateHtml(fields.standard.join(', '))}
+                ${fields.custom.length > 0 ? `<br>Custom fields: ${escapeTemplateHtml(fields.custom.join(', '))}` : ''}
+                <br>Use {{#each groups}}, {{#each items}}, {{#each fields}} and {{#each customFieldList}}; {{{notes}}} keeps formatting.
+            </div>
+            <label><input type="checkbox" class="template-default"> Use for ${escapeTemplateHtml(label)} exports in this format</label>
+            <textarea class="template-body" spellcheck="false"></textarea>
+            <div class="template-error"></div>
+            <div class="template-actions">
+                <button type="button" class="duplicate-template-btn">Duplicate</button>
+                <button type="button" class="delete-template-btn">Delete</button>
+                <button type="button" class="save-template-btn">Save</button>
+            </div>
+        `;
+
+        editor.querySelector('.template-name').value = selected.name;
+        editor.querySelector('.template-format').value = selected.format;
+        editor.querySelector('.template-group').value = selected.groupBy || '';
+        editor.querySelector('.template-hidden').value = (selected.hiddenFields || []).join(', ');
+        editor.querySelector('.template-default').checked = Boolean(selected.isDefault);
+        editor.querySelector('.template-body').value = selected.body;
+
+        const readForm = () => {
+            selected.name = editor.querySelector('.template-name').value.trim() || 'Untitled template';
+            selected.groupBy = editor.querySelector('.template-group').value;
+            selected.hiddenFields = editor.querySelector('.template-hidden').value.split(',').map(value => value.trim()).filter(Boolean);
+            selected.isDefault = editor.querySelector('.template-default').checked;
+            selected.body = editor.querySelector('.template-body').value;
+        };
+
+        editor.querySelectorAll('input, textarea, select').forEach(input => {
+            input.addEventListener('input', () => {
+                readForm();
+                schedulePreview();
+            });
+        });
+        editor.querySelector('.template-format').addEventListener('change', event => {
+            const format = event.target.value;
+            // Swap in the starter layout if the body is still the other format's starter
+            if (selected.body === STARTER_BODIES[selected.format]) {
+                selected.body = STARTER_BODIES[format];
+                editor.querySelector('.template-body').value = selected.body;
+            }
+            selected.format = format;
+            schedulePreview();
+        });
+
+        editor.querySelector('.save-template-btn').addEventListener('click', () => {
+            readForm();
+            try {
+                parseTemplate(selected.body);
+            } catch (parseError) {
+                editor.querySelector('.template-error').textContent = parseError.message;
+                return;
+            }
+            saveTemplate(selected);
+            select(getTemplates().find(template => template.id === selected.id));
+            Core.showToast(`Template "${selected.name}" saved`, 'success');
+        });
+        editor.querySelector('.duplicate-template-btn').addEventListener('click', () => {
+            readForm();
+            select({ ...selected, id: Core.generateId(), name: `${selected.name} (copy)`, isDefault: false });
+        });
+        editor.querySelector('.delete-template-btn').addEventListener('click', () => {
+            Core.showConfirmationDialog(`Delete the template "${selected.name}"?`, () => {
+                deleteTemplate(selected.id);
+                select(null);
+            });
+        });
+
+        renderPreview();
+    };
+
+    // Edits happen on a copy; only Save writes to the database
+    const select = template => {
+        selected = template ? { ...template, hiddenFields: [...(template.hiddenFields || [])] } : null;
+        renderList();
+        renderEditor();
+    };
+
+    modal.querySelector('.new-template-btn').addEventListener('click', () => select(createTemplate(entityType)));
+
+    select(templatesForType().find(template => template.isDefault) || templatesForType()[0] || null);
+}
+
+/**
+ * Add or replace a template and save the collection
+ * Marking a template as in use clears the flag on others for the same entity type and format.
+ */
+function saveTemplate(template) {
+    const templates = getTemplates();
+    if (template.isDefault) {
+        templates.forEach(other => {
+            if (other.id !== template.id && other.entityType === template.entityType && other.format === template.format) {
+                other.isDefault = false;
+            }
+        });
+    }
+    const index = templates.findIndex(other => other.id === template.id);
+    if (index === -1) {
+        templates.push({ ...template });
+    } else {
+        templates[index] = { ...template };
+    }
+    saveTemplates();
+}
+
+function deleteTemplate(templateId) {
+    const templates = getTemplates();
+    const index = templates.findIndex(template => template.id === templateId);
+    if (index === -1) return;
+    templates.splice(index, 1);
+    saveTemplates();
+}
+
+// Wrap a rendered HTML body in a page unless the template wrote a whole document
+function wrapHtmlDocument(body, title) {
+    if (/<html[\s>]/i.test(body)) return body;
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeTemplateHtml(title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; margin: 20px; }
+        h2 { color: #333; border-bottom: 1px solid #ccc; padding-bottom: 5px; }
+        h3 { color: #666; margin-top: 15px; }
+        th { text-align: left; vertical-align: top; padding-right: 12px; }
+        img { max-width: 200px; height: auto; margin: 10px 0; }
+    </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+export {
+    TEMPLATE_FIELDS,
+    parseTemplate,
+    renderTemplate,
+    buildTemplateContext,
+    getActiveTemplate,
+    renderExportTemplate,
+    renderActiveTemplate,
+    wrapHtmlDocument,
+    saveTemplate,
+    deleteTemplate,
+    showTemplateManager
+};
@@ -0,0 +1,223 @@
+/**
+ * sync-conflict-dialog.js
+ *
+ * Side-by-side resolution dialog for cloud sync conflicts.
+ * Built on the standard Modal component and exposed as window.SyncConflictDialog
+ * so the classic cloud-storage.js script can use it.
+ */
+
+import { Modal } from './ui/Modal.js';
+import { initializeComponentStyles } from './ui/index.js';
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Render a field value for display
+ * Rich-text fields are shown as plain text so both versions line up
+ * @param {*} value - Field value
+ * @returns {string} - HTML
+ */
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '<em class="sg-sync-empty">(empty)</em>';
+    }
+    if (typeof value === 'object') {
+        return `<pre class="sg-sync-json">${escapeHtml(JSON.stringify(value, null, 2))}</pre>`;
+    }
+    const text = String(value);
+    if (/<[a-z][\s\S]*>/i.test(text)) {
+        // Parse into an inert document so markup from the cloud copy never runs
+        return escapeHtml(new DOMParser().parseFromString(text, 'text/html').body.textContent);
+    }
+    return escapeHtml(text);
+}
+
+/**
+ * Build the markup for one conflict
+ * @param {Object} conflict - Conflict from SyncMerge.mergeSyncPayloads
+ * @param {number} index - Conflict index
+ * @returns {string} - HTML
+ */
+function renderConflict(conflict, index) {
+    const kind = window.SyncMerge.MERGE_COLLECTION_LABELS[conflict.collection] || conflict.collection;
+    const header = `
+        <div class="sg-sync-conflict-header">
+            <span class="sg-sync-conflict-kind">${escapeHtml(kind)}</span>
+            <strong>${escapeHtml(conflict.label || conflict.id)}</strong>
+        </div>
+    `;
+
+    if (conflict.type === 'delete') {
+        const deletedHere = !conflict.local;
+        return `
+            <div class="sg-sync-conflict" data-index="${index}">
+                ${header}
+                <p>${deletedHere ? 'You deleted this on this device, but it was edited in the cloud.' : 'This was deleted in the cloud, but you edited it on this device.'}</p>
+                <div class="sg-sync-columns">
+                    <label class="sg-sync-choice">
+                        <input type="radio" name="conflict-${index}" value="local" ${deletedHere ? '' : 'checked'}>
+                        <span>This device: ${deletedHere ? 'deleted' : 'keep edited version'}</span>
+                    </label>
+                    <label class="sg-sync-choice">
+                        <input type="radio" name="conflict-${index}" value="remote" ${deletedHere ? 'checked' : ''}>
+                        <span>Cloud: ${deletedHere ? 'keep edited version' : 'deleted'}</span>
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+
+    const rows = conflict.fields.map(fieldConflict => `
+        <tr>
+            <th>${escapeHtml(fieldConflict.field)}</th>
+            <td>
+                <label class="sg-sync-choice">
+                    <input type="radio" name="conflict-${index}-${escapeHtml(fieldConflict.field)}" data-field="${escapeHtml(fieldConflict.field)}" value="local" checked>
+                    <div>${formatValue(fieldConflict.local)}</div>
+                </label>
+            </td>
+            <td>
+                <label class="sg-sync-choice">
+                    <input type="radio" name="conflict-${index}-${escapeHtml(fieldConflict.field)}" data-field="${escapeHtml(fieldConflict.field)}" value="remote">
+                    <div>${formatValue(fieldConflict.remote)}</div>
+                </label>
+            </td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="sg-sync-conflict" data-index="${index}">
+            ${header}
+            <table class="sg-sync-table">
+                <thead>
+                    <tr><th>Field</th><th>This device</th><th>Cloud</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Read the selected options back into a resolutions map
+ * @param {HTMLElement} body - Dialog body
+ * @param {Array} conflicts - Conflicts shown
+ * @returns {Object} - Map of "collection:id" to a choice
+ */
+function collectResolutions(body, conflicts) {
+    const resolutions = {};
+    conflicts.forEach((conflict, index) => {
+        const key = `${conflict.collection}:${conflict.id}`;
+        const section = body.querySelector(`.sg-sync-conflict[data-index="${index}"]`);
+        if (!section) return;
+
+        if (conflict.type === 'delete') {
+            const selected = section.querySelector(`input[name="conflict-${index}"]:checked`);
+            resolutions[key] = selected ? selected.value : 'local';
+            return;
+        }
+
+        const fieldChoices = {};
+        section.querySelectorAll('input[data-field]:checked').forEach(input => {
+            fieldChoices[input.dataset.field] = input.value;
+        });
+        resolutions[key] = fieldChoices;
+    });
+    return resolutions;
+}
+
+/**
+ * Select the same side for every conflict
+ * @param {HTMLElement} body - Dialog body
+ * @param {string} side - 'local' or 'remote'
+ */
+function selectAll(body, side) {
+    body.querySelectorAll(`input[type="radio"][value="${side}"]`).forEach(input => {
+        input.checked = true;
+    });
+}
+
+/**
+ * Add the dialog's styles once
+ */
+function ensureStyles() {
+    initializeComponentStyles();
+    if (document.getElementById('sg-sync-conflict-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'sg-sync-conflict-styles';
+    style.textContent = `
+        .sg-sync-conflict { border: 1px solid #ddd; border-radius: 6px; padding: 12px; margin-bottom: 12px; }
+        .sg-sync-conflict-header { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; }
+        .sg-sync-conflict-kind { background: #3498db; color: #fff; border-radius: 3px; padding: 1px 6px; font-size: 0.8em; }
+        .sg-sync-columns { display: flex; gap: 20px; }
+        .sg-sync-table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+        .sg-sync-table th, .sg-sync-table td { border-top: 1px solid #eee; padding: 6px; vertical-align: top; text-align: left; }
+        .sg-sync-table th:first-child { width: 20%; }
+        .sg-sync-choice { display: flex; gap: 6px; align-items: flex-start; cursor: pointer; }
+        .sg-sync-json { white-space: pre-wrap; margin: 0; font-size: 0.85em; }
+        .sg-sync-empty { color: #999; }
+        .dark-mode .sg-sync-conflict { border-color: #555; }
+        .dark-mode .sg-sync-table th, .dark-mode .sg-sync-table td { border-top-color: #444; }
+    `;
+    document.head.appendChild(style);
+}
+
+/**
+ * Show the resolution dialog
+ * @param {Array} conflicts - Conflicts from SyncMerge.mergeSyncPayloads
+ * @returns {Promise<Object|null>} - Resolutions, or null if the user cancelled
+ */
+function resolveConflicts(conflicts) {
+    ensureStyles();
+
+    return new Promise(resolve => {
+        let settled = false;
+        const finish = (value) => {
+            if (settled) return;
+            settled = true;
+            modal.close();
+            setTimeout(() => modal.destroy(), 350);
+            resolve(value);
+        };
+
+        const modal = new Modal({
+            title: `Resolve sync conflicts (${conflicts.length})`,
+            size: 'large',
+            content: `
+                <p>These items were changed both on this device and in the cloud since the last sync. Choose which version to keep.</p>
+                ${conflicts.map(renderConflict).join('')}
+            `,
+            buttons: [
+                { text: 'Keep all from this device', variant: 'secondary', onClick: () => selectAll(modal.bodyElement, 'local') },
+                { text: 'Keep all from cloud', variant: 'secondary', onClick: () => selectAll(modal.bodyElement, 'remote') },
+                { text: 'Cancel', variant: 'danger', onClick: () => finish(null) },
+                { text: 'Apply', variant: 'primary', onClick: () => finish(collectResolutions(modal.bodyElement, conflicts)) }
+            ]
+        });
+
+        // Closing with the X or Escape counts as cancelling
+        modal.element.addEventListener('sg-modal-close', () => finish(null));
+
+        document.body.appendChild(modal.element);
+        modal.open();
+    });
+}
+
+window.SyncConflictDialog = {
+    resolveConflicts
+};
+
+export { resolveConflicts };
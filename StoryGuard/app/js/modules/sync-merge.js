@@ -0,0 +1,337 @@
+/**
+ * Three-way merge for cloud sync
+ * Merges the local database and the cloud copy against the snapshot taken at the last sync.
+ * Records are matched by id; updatedAt and field comparison decide which side changed.
+ */
+
+// Collections of records that carry an id
+const MERGE_ENTITY_COLLECTIONS = [
+    'characters', 'locations', 'plots', 'worldElements', 'relationships', 'tags',
+    'exportTemplates', 'calendars', 'timelineEvents'
+];
+
+// Collections that are plain value lists (names, series, etc.)
+const MERGE_VALUE_COLLECTIONS = ['titles', 'seriesList', 'books', 'roles', 'customFieldTypes', 'rejectedRelationshipSuggestions'];
+
+// The relationship graph layout is in neither list: positions aren't worth a conflict, so the local layout is kept
+
+// Fields that are bookkeeping rather than user content
+const MERGE_IGNORED_FIELDS = ['updatedAt'];
+
+// Human readable names for the conflict dialog
+const MERGE_COLLECTION_LABELS = {
+    characters: 'Character',
+    locations: 'Location',
+    plots: 'Plot',
+    worldElements: 'World Element',
+    relationships: 'Relationship',
+    tags: 'Tag',
+    exportTemplates: 'Export Template',
+    calendars: 'Calendar',
+    timelineEvents: 'Timeline Event'
+};
+
+// Stable JSON so objects with the same content compare equal regardless of key order
+function stableStringify(value) {
+    if (value === undefined) return 'undefined';
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+// Compare two field values by content
+function valuesEqual(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+// Compare two records, ignoring bookkeeping fields
+function recordsEqual(a, b) {
+    if (!a || !b) return a === b;
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+        if (MERGE_IGNORED_FIELDS.includes(key)) continue;
+        if (!valuesEqual(a[key], b[key])) return false;
+    }
+    return true;
+}
+
+// Whether a record changed relative to its base version
+function hasChanged(record, baseRecord) {
+    if (!baseRecord) return true;
+    // Every save stamps updatedAt, so an unchanged timestamp means an untouched record
+    if (record.updatedAt && baseRecord.updatedAt && record.updatedAt === baseRecord.updatedAt) {
+        return false;
+    }
+    // Records without timestamps (or re-saved without edits) fall back to comparing content
+    return !recordsEqual(record, baseRecord);
+}
+
+// Display name for a record in the conflict dialog
+function getRecordLabel(collection, record) {
+    if (!record) return '';
+    if (collection === 'characters') {
+        return `${record.firstName || ''} ${record.lastName || ''}`.trim() || 'Unnamed character';
+    }
+    if (collection === 'relationships') {
+        const [name1, name2] = window.EntityReferences ? EntityReferences.getRelationshipNames(record) :
+            [record.character1 || '?', record.character2 || '?'];
+        return `${name1} – ${name2} (${record.type || 'relationship'})`;
+    }
+    return record.name || record.title || record.id;
+}
+
+// Fallback identity check for legacy records without ids, using the import helpers when available
+function isSameRecord(collection, a, b) {
+    if (a.id && b.id) return a.id === b.id;
+
+    const helpers = window.Storage || {};
+    if (collection === 'characters' && typeof helpers.areCharactersIdentical === 'function') {
+        return helpers.areCharactersIdentical(a, b);
+    }
+    if (collection === 'plots' && typeof helpers.arePlotsIdentical === 'function') {
+        return helpers.arePlotsIdentical(a, b);
+    }
+    if (collection === 'worldElements' && typeof helpers.areWorldElementsIdentical === 'function') {
+        return helpers.areWorldElementsIdentical(a, b);
+    }
+    return valuesEqual(a, b);
+}
+
+// Index records by id; records without an id are matched against the other copies
+function indexRecords(collection, records, referenceLists) {
+    const index = new Map();
+    (records || []).forEach(record => {
+        let key = record.id;
+        if (!key) {
+            // Reuse the id of a matching record on another side so they line up
+            for (const list of referenceLists) {
+                const match = (list || []).find(other => other.id && isSameRecord(collection, record, other));
+                if (match) {
+                    key = match.id;
+                    break;
+                }
+            }
+        }
+        if (!key) key = `legacy:${stableStringify(record)}`;
+        index.set(key, record);
+    });
+    return index;
+}
+
+// Pick the newer of two records by updatedAt
+function newerRecord(a, b) {
+    const aTime = a && a.updatedAt ? Date.parse(a.updatedAt) : 0;
+    const bTime = b && b.updatedAt ? Date.parse(b.updatedAt) : 0;
+    return bTime > aTime ? b : a;
+}
+
+// Merge two modified versions of one record field by field
+function mergeRecordFields(collection, id, baseRecord, localRecord, remoteRecord) {
+    const merged = {};
+    const fieldConflicts = [];
+    const base = baseRecord || {};
+    const keys = new Set([...Object.keys(base), ...Object.keys(localRecord), ...Object.keys(remoteRecord)]);
+
+    keys.forEach(field => {
+        const baseValue = base[field];
+        const localValue = localRecord[field];
+        const remoteValue = remoteRecord[field];
+
+        if (valuesEqual(localValue, remoteValue)) {
+            merged[field] = localValue;
+        } else if (valuesEqual(localValue, baseValue)) {
+            merged[field] = remoteValue;
+        } else if (valuesEqual(remoteValue, baseValue)) {
+            merged[field] = localValue;
+        } else if (MERGE_IGNORED_FIELDS.includes(field)) {
+            merged[field] = newerRecord(localRecord, remoteRecord)[field];
+        } else {
+            // Both sides changed this field differently - default to the local value until resolved
+            merged[field] = localValue;
+            fieldConflicts.push({ field, base: baseValue, local: localValue, remote: remoteValue });
+        }
+
+        if (merged[field] === undefined) {
+            delete merged[field];
+        }
+    });
+
+    return {
+        record: merged,
+        conflict: fieldConflicts.length > 0 ? {
+            type: 'modify',
+            collection,
+            id,
+            label: getRecordLabel(collection, localRecord),
+            base: baseRecord || null,
+            local: localRecord,
+            remote: remoteRecord,
+            fields: fieldConflicts
+        } : null
+    };
+}
+
+// Three-way merge of one entity collection
+function mergeEntityCollection(collection, baseList, localList, remoteList) {
+    const baseIndex = indexRecords(collection, baseList, [localList, remoteList]);
+    const localIndex = indexRecords(collection, localList, [baseList, remoteList]);
+    const remoteIndex = indexRecords(collection, remoteList, [baseList, localList]);
+
+    // Keep local ordering first, then append records that only exist remotely
+    const orderedIds = [...localIndex.keys()];
+    remoteIndex.forEach((record, id) => {
+        if (!localIndex.has(id)) orderedIds.push(id);
+    });
+
+    const merged = [];
+    const conflicts = [];
+
+    orderedIds.forEach(id => {
+        const baseRecord = baseIndex.get(id);
+        const localRecord = localIndex.get(id);
+        const remoteRecord = remoteIndex.get(id);
+
+        // Present on only one side
+        if (localRecord && !remoteRecord) {
+            if (!baseRecord) {
+                merged.push(localRecord); // Added locally
+            } else if (hasChanged(localRecord, baseRecord)) {
+                // Deleted in the cloud but edited here
+                merged.push(localRecord);
+                conflicts.push({
+                    type: 'delete',
+                    collection,
+                    id,
+                    label: getRecordLabel(collection, localRecord),
+                    base: baseRecord,
+                    local: localRecord,
+                    remote: null
+                });
+            }
+            // Otherwise it was deleted in the cloud and untouched here - drop it
+            return;
+        }
+
+        if (remoteRecord && !localRecord) {
+            if (!baseRecord) {
+                merged.push(remoteRecord); // Added in the cloud
+            } else if (hasChanged(remoteRecord, baseRecord)) {
+                // Deleted here but edited in the cloud - keep the cloud edit until resolved
+                merged.push(remoteRecord);
+                conflicts.push({
+                    type: 'delete',
+                    collection,
+                    id,
+                    label: getRecordLabel(collection, remoteRecord),
+                    base: baseRecord,
+                    local: null,
+                    remote: remoteRecord
+                });
+            }
+            return;
+        }
+
+        // Present on both sides
+        const localChanged = hasChanged(localRecord, baseRecord);
+        const remoteChanged = hasChanged(remoteRecord, baseRecord);
+
+        if (!remoteChanged || recordsEqual(localRecord, remoteRecord)) {
+            merged.push(localChanged ? localRecord : newerRecord(localRecord, remoteRecord));
+        } else if (!localChanged) {
+            merged.push(remoteRecord);
+        } else {
+            const result = mergeRecordFields(collection, id, baseRecord, localRecord, remoteRecord);
+            merged.push(result.record);
+            if (result.conflict) conflicts.push(result.conflict);
+        }
+    });
+
+    return { merged, conflicts };
+}
+
+// Three-way merge of a plain value list: keep additions from both sides, honour deletions from either
+function mergeValueCollection(baseList, localList, remoteList) {
+    const baseKeys = new Set((baseList || []).map(stableStringify));
+    const localKeys = new Set((localList || []).map(stableStringify));
+    const remoteKeys = new Set((remoteList || []).map(stableStringify));
+
+    const merged = [];
+    const seen = new Set();
+    [...(localList || []), ...(remoteList || [])].forEach(value => {
+        const key = stableStringify(value);
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const deletedLocally = baseKeys.has(key) && !localKeys.has(key);
+        const deletedRemotely = baseKeys.has(key) && !remoteKeys.has(key);
+        if (!deletedLocally && !deletedRemotely) {
+            merged.push(value);
+        }
+    });
+    return merged;
+}
+
+// Merge a local payload and a remote payload against the last-synced base
+function mergeSyncPayloads(base, local, remote) {
+    const baseData = base || {};
+    const merged = { ...remote, ...local };
+    const conflicts = [];
+
+    MERGE_ENTITY_COLLECTIONS.forEach(collection => {
+        const result = mergeEntityCollection(collection, baseData[collection], local[collection], remote[collection]);
+        merged[collection] = result.merged;
+        conflicts.push(...result.conflicts);
+    });
+
+    MERGE_VALUE_COLLECTIONS.forEach(collection => {
+        merged[collection] = mergeValueCollection(baseData[collection], local[collection], remote[collection]);
+    });
+
+    return { merged, conflicts };
+}
+
+// Apply the choices made in the conflict dialog to a merged payload.
+// resolutions maps "collection:id" to 'local', 'remote' or, for field conflicts, { field: 'local' | 'remote' }
+function applyConflictResolutions(merged, conflicts, resolutions) {
+    conflicts.forEach(conflict => {
+        const key = `${conflict.collection}:${conflict.id}`;
+        const choice = resolutions[key];
+        const list = merged[conflict.collection];
+        const current = conflict.local || conflict.remote;
+        const index = list.findIndex(record => record.id ? record.id === conflict.id : recordsEqual(record, current));
+
+        if (conflict.type === 'delete') {
+            const keep = choice === 'local' ? conflict.local : conflict.remote;
+            if (keep && index === -1) list.push(keep);
+            if (!keep && index !== -1) list.splice(index, 1);
+            return;
+        }
+
+        if (index === -1) return;
+        const record = { ...list[index] };
+        conflict.fields.forEach(fieldConflict => {
+            const fieldChoice = typeof choice === 'object' && choice !== null ? choice[fieldConflict.field] : choice;
+            const value = fieldChoice === 'remote' ? fieldConflict.remote : fieldConflict.local;
+            if (value === undefined) {
+                delete record[fieldConflict.field];
+            } else {
+                record[fieldConflict.field] = value;
+            }
+        });
+        record.updatedAt = new Date().toISOString();
+        list[index] = record;
+    });
+
+    return merged;
+}
+
+// Export sync merge functions
+window.SyncMerge = {
+    MERGE_ENTITY_COLLECTIONS,
+    MERGE_VALUE_COLLECTIONS,
+    MERGE_COLLECTION_LABELS,
+    mergeSyncPayloads,
+    applyConflictResolutions,
+    recordsEqual,
+    getRecordLabel
+};
@@ -0,0 +1,202 @@
+/**
+ * Row selection for the character, location, plot and world element tables
+ * Selection mode adds a checkbox column to a table. Exports take the rows the table
+ * currently shows, in its sort order, narrowed to the checked rows when any are checked.
+ */
+
+// Tables that support selection, and how to reach their rows
+const SELECTION_TABLES = {
+    characters: {
+        tableId: 'characterTable',
+        getFiltered: () => Characters.getFilteredCharacters(),
+        refresh: () => Characters.displayCharacters()
+    },
+    locations: {
+        tableId: 'locationTable',
+        getFiltered: () => Locations.getFilteredLocations(),
+        refresh: () => Locations.displayLocations()
+    },
+    plots: {
+        tableId: 'plotTable',
+        getFiltered: () => Plots.getFilteredPlots(),
+        refresh: () => Plots.displayPlots()
+    },
+    worldElements: {
+        tableId: 'worldElementTable',
+        getFiltered: () => WorldBuilding.getFilteredWorldElements(),
+        refresh: () => WorldBuilding.displayWorldBuilding()
+    }
+};
+
+// Checked record ids per table; a table is in selection mode while it has an entry here
+const selections = {};
+
+function isSelectionMode(entityType) {
+    return !!selections[entityType];
+}
+
+function getSelectedIds(entityType) {
+    return selections[entityType] ? [...selections[entityType]] : [];
+}
+
+// Turn the checkbox column on or off; leaving selection mode forgets the checked rows
+function toggleSelectionMode(entityType) {
+    const config = SELECTION_TABLES[entityType];
+    if (!config) return;
+
+    if (selections[entityType]) {
+        delete selections[entityType];
+    } else {
+        selections[entityType] = new Set();
+    }
+
+    updateSelectionControls(entityType);
+    config.refresh();
+}
+
+function toggleRowSelection(entityType, id, checked) {
+    const selected = selections[entityType];
+    if (!selected) return;
+
+    if (checked) {
+        selected.add(id);
+    } else {
+        selected.delete(id);
+    }
+    updateSelectionControls(entityType);
+}
+
+// Check or uncheck every row that matches the table's filters, on all pages
+function selectAllRows(entityType, checked) {
+    const config = SELECTION_TABLES[entityType];
+    const selected = selections[entityType];
+    if (!config || !selected) return;
+
+    config.getFiltered().forEach(record => {
+        if (record.id === undefined) return;
+        if (checked) {
+            selected.add(String(record.id));
+        } else {
+            selected.delete(String(record.id));
+        }
+    });
+
+    updateSelectionControls(entityType);
+    config.refresh();
+}
+
+function clearSelection(entityType) {
+    if (!selections[entityType]) return;
+    selections[entityType].clear();
+    updateSelectionControls(entityType);
+    SELECTION_TABLES[entityType].refresh();
+}
+
+/**
+ * Checkbox cell for a table row; hidden by CSS unless the table is in selection mode
+ * @param {string} entityType - Key of SELECTION_TABLES
+ * @param {string} id - Record id
+ * @returns {string} - HTML for the cell
+ */
+function renderSelectionCell(entityType, id) {
+    const checked = selections[entityType] && selections[entityType].has(String(id)) ? ' checked' : '';
+    const safeId = String(id).replace(/[\\'"<>&]/g, '');
+    return `<td class="select-column"><input type="checkbox"${checked} aria-label="Select row" onclick="event.stopPropagation()" onchange="TableSelection.toggleRowSelection('${entityType}', '${safeId}', this.checked)"></td>`;
+}
+
+/**
+ * Records an export of this table should include
+ * Rows appear in the table's current sort order and respect its search, filters and tag
+ * filter. When rows are checked only those are included; checked rows the current filters
+ * hide are left out so the export always matches what the table shows.
+ * @param {string} entityType - Key of SELECTION_TABLES
+ * @param {Array} allRecords - The whole collection, used when the table isn't available
+ * @returns {Array} - Records to export
+ */
+function getExportItems(entityType, allRecords) {
+    const config = SELECTION_TABLES[entityType];
+    let records;
+    try {
+        records = config ? config.getFiltered() : null;
+    } catch (error) {
+        // The table's module hasn't loaded; export everything
+        console.warn(`Could not read the ${entityType} table filters:`, error);
+    }
+    if (!Array.isArray(records)) {
+        records = allRecords || [];
+    }
+
+    const selected = selections[entityType];
+    if (selected && selected.size > 0) {
+        records = records.filter(record => selected.has(String(record.id)));
+    }
+    return records;
+}
+
+// Sync the table class, the header checkbox and the toggle button's label
+function updateSelectionControls(entityType) {
+    const config = SELECTION_TABLES[entityType];
+    const table = config && document.getElementById(config.tableId);
+    if (!table) return;
+
+    const selected = selections[entityType];
+    table.classList.toggle('selection-mode', !!selected);
+
+    // Checked rows the current filters hide aren't exported, so they aren't counted
+    let filteredIds = [];
+    if (selected) {
+        try {
+            filteredIds = config.getFiltered().map(record => String(record.id));
+        } catch (error) {
+            filteredIds = [];
+        }
+    }
+    const checkedCount = filteredIds.filter(id => selected.has(id)).length;
+
+    const headerCheckbox = table.querySelector('thead .select-column input');
+    if (headerCheckbox) {
+        headerCheckbox.checked = filteredIds.length > 0 && checkedCount === filteredIds.length;
+        headerCheckbox.indeterminate = checkedCount > 0 && checkedCount < filteredIds.length;
+    }
+
+    const button = document.querySelector(`[data-selection-toggle="${entityType}"]`);
+    if (button) {
+        button.classList.toggle('active', !!selected);
+        const label = button.querySelector('.selection-label');
+        if (label) {
+            label.textContent = selected
+                ? (checkedCount > 0 ? `${checkedCount} selected` : 'Select rows')
+                : 'Select';
+        }
+    }
+}
+
+// Styles for the checkbox column
+function initializeSelectionStyles() {
+    if (document.getElementById('table-selection-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'table-selection-styles';
+    style.textContent = `
+        .select-column { display: none; }
+        table.selection-mode .select-column { display: table-cell; width: 32px; text-align: center; }
+        .select-column input[type="checkbox"] { margin: 0; cursor: pointer; }
+        [data-selection-toggle].active { background-color: #2e4a7d; color: #fff; }
+    `;
+    document.head.appendChild(style);
+}
+
+document.addEventListener('DOMContentLoaded', initializeSelectionStyles);
+
+// Export table selection functions
+window.TableSelection = {
+    isSelectionMode,
+    getSelectedIds,
+    toggleSelectionMode,
+    toggleRowSelection,
+    selectAllRows,
+    clearSelection,
+    renderSelectionCell,
+    getExportItems,
+    updateSelectionControls
+};
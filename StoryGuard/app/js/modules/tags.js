@@ -7,10 +7,10 @@
 function initializeTags() {
     console.log("Tags.initializeTags() called");
     
-    // Load tags from localStorage if not already loaded
+    // Load the saved tags if not already loaded
     if (tags.length === 0) {
-        tags = JSON.parse(localStorage.getItem('tags') || '[]');
-        console.log(`Loaded ${tags.length} tags from localStorage`);
+        tags = JSON.parse(Core.getStoredItem('tags') || '[]');
+        console.log(`Loaded ${tags.length} tags from storage`);
     }
     
     // Initialize tag selectors for all entity types
@@ -91,13 +91,10 @@ function addTag(name, color = '#3498db') {
     // Add to tags array
     tags.push(newTag);
     
-    // Save to localStorage
-    if (Core.safelyStoreItem('tags', JSON.stringify(tags))) {
-        Core.showToast(`Tag "${formattedName}" added successfully`);
-        return true;
-    }
-    
-    return false;
+    // Save to localStorage; a failed write is reported by Core
+    Core.safelyStoreItem('tags', JSON.stringify(tags));
+    Core.showToast(`Tag "${formattedName}" added successfully`);
+    return true;
 }
 
 // Delete a tag
@@ -109,54 +106,57 @@ function deleteTag(tagId) {
         return false;
     }
     
-    // Remove tag from array
-    const deletedTag = tags.splice(tagIndex, 1)[0];
+    // Record the deletion and the removal from all entities as one undoable step
+    return UndoManager.transaction(`Delete tag "${tags[tagIndex].name}"`, () => {
+        // Remove tag from array
+        const deletedTag = tags.splice(tagIndex, 1)[0];
+    
+        // Save to localStorage; a failed write is reported by Core
+        Core.safelyStoreItem('tags', JSON.stringify(tags));
     
-    // Save to localStorage
-    if (Core.safelyStoreItem('tags', JSON.stringify(tags))) {
         // Remove tag from all entities
         removeTagFromAllEntities(tagId);
-        
+    
         Core.showToast(`Tag "${deletedTag.name}" deleted successfully`);
         return true;
-    }
-    
-    return false;
+    });
 }
 
 // Remove tag from all entities
 function removeTagFromAllEntities(tagId) {
-    // Remove from characters
-    characters.forEach(character => {
-        if (character.tags) {
-            character.tags = character.tags.filter(id => id !== tagId);
-        }
-    });
-    Core.safelyStoreItem('characters', JSON.stringify(characters));
+    UndoManager.transaction('Remove tag from all entities', () => {
+        // Remove from characters
+        characters.forEach(character => {
+            if (character.tags) {
+                character.tags = character.tags.filter(id => id !== tagId);
+            }
+        });
+        Core.safelyStoreItem('characters', JSON.stringify(characters));
     
-    // Remove from locations
-    locations.forEach(location => {
-        if (location.tags) {
-            location.tags = location.tags.filter(id => id !== tagId);
-        }
-    });
-    Core.safelyStoreItem('locations', JSON.stringify(locations));
+        // Remove from locations
+        locations.forEach(location => {
+            if (location.tags) {
+                location.tags = location.tags.filter(id => id !== tagId);
+            }
+        });
+        Core.safelyStoreItem('locations', JSON.stringify(locations));
     
-    // Remove from plots
-    plots.forEach(plot => {
-        if (plot.tags) {
-            plot.tags = plot.tags.filter(id => id !== tagId);
-        }
-    });
-    Core.safelyStoreItem('plots', JSON.stringify(plots));
+        // Remove from plots
+        plots.forEach(plot => {
+            if (plot.tags) {
+                plot.tags = plot.tags.filter(id => id !== tagId);
+            }
+        });
+        Core.safelyStoreItem('plots', JSON.stringify(plots));
     
-    // Remove from world elements
-    worldElements.forEach(element => {
-        if (element.tags) {
-            element.tags = element.tags.filter(id => id !== tagId);
-        }
+        // Remove from world elements
+        worldElements.forEach(element => {
+            if (element.tags) {
+                element.tags = element.tags.filter(id => id !== tagId);
+            }
+        });
+        Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
     });
-    Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
 }
 
 // Add tag to entity
@@ -263,39 +263,11 @@ function addTagToEntity(entityType, entityId, tagId) {
     entity.tags.push(tagId);
     console.log(`addTagToEntity - Added tag, new tags array:`, entity.tags);
     
-    // Save to localStorage
-    if (Core.safelyStoreItem(entityType + 's', JSON.stringify(entityArray))) {
-        console.log(`addTagToEntity - Saved to localStorage successfully`);
-        
-        // DIRECT FIX: Also update the entity in localStorage directly
-        if (entityType === 'location') {
-            try {
-                console.log(`addTagToEntity - Directly updating location in localStorage with tag ${tagId}`);
-                const storedLocations = JSON.parse(localStorage.getItem('locations') || '[]');
-                const storedLocationIndex = storedLocations.findIndex(l => l.id === entity.id);
-                
-                if (storedLocationIndex !== -1) {
-                    console.log(`addTagToEntity - Found location in localStorage, updating directly`);
-                    if (!storedLocations[storedLocationIndex].tags) {
-                        storedLocations[storedLocationIndex].tags = [];
-                    }
-                    if (!storedLocations[storedLocationIndex].tags.includes(tagId)) {
-                        storedLocations[storedLocationIndex].tags.push(tagId);
-                        localStorage.setItem('locations', JSON.stringify(storedLocations));
-                        console.log(`addTagToEntity - Updated location in localStorage directly with tag ${tagId}`);
-                    }
-                }
-            } catch (error) {
-                console.error('addTagToEntity - Error updating location in localStorage directly:', error);
-            }
-        }
-        
-        Core.showToast(`Tag "${tagToAdd.name}" added successfully`);
-        return true;
-    }
+    // Save to localStorage; a failed write is reported by Core
+    Core.safelyStoreItem(entityType + 's', JSON.stringify(entityArray));
     
-    console.log(`addTagToEntity - Failed to save to localStorage`);
-    return false;
+    Core.showToast(`Tag "${tagToAdd.name}" added successfully`);
+    return true;
 }
 
 // Remove tag from entity
@@ -355,35 +327,12 @@ function removeTagFromEntity(entityType, entityId, tagId) {
     // Remove tag from entity
     entity.tags = entity.tags.filter(id => id !== tagId);
     
-    // Save to localStorage
-    if (Core.safelyStoreItem(entityType + 's', JSON.stringify(entityArray))) {
-        const tag = tags.find(t => t.id === tagId);
-        
-        // DIRECT FIX: Also update the entity in localStorage directly
-        if (entityType === 'location') {
-            try {
-                console.log(`removeTagFromEntity - Directly updating location in localStorage to remove tag ${tagId}`);
-                const storedLocations = JSON.parse(localStorage.getItem('locations') || '[]');
-                const storedLocationIndex = storedLocations.findIndex(l => l.id === entity.id);
-                
-                if (storedLocationIndex !== -1) {
-                    console.log(`removeTagFromEntity - Found location in localStorage, updating directly`);
-                    if (storedLocations[storedLocationIndex].tags) {
-                        storedLocations[storedLocationIndex].tags = storedLocations[storedLocationIndex].tags.filter(id => id !== tagId);
-                        localStorage.setItem('locations', JSON.stringify(storedLocations));
-                        console.log(`removeTagFromEntity - Updated location in localStorage directly to remove tag ${tagId}`);
-                    }
-                }
-            } catch (error) {
-                console.error('removeTagFromEntity - Error updating location in localStorage directly:', error);
-            }
-        }
-        
-        Core.showToast(`Tag "${tag.name}" removed successfully`);
-        return true;
-    }
+    // Save to localStorage; a failed write is reported by Core
+    Core.safelyStoreItem(entityType + 's', JSON.stringify(entityArray));
     
-    return false;
+    const tag = tags.find(t => t.id === tagId);
+    Core.showToast(`Tag "${tag.name}" removed successfully`);
+    return true;
 }
 
 // Get entity tags
@@ -406,13 +355,13 @@ function getEntityTags(entityType, entityId) {
             entity = window.originalEditLocation;
         }
         
-        // If we still don't have the entity, try to find it in localStorage
+        // If we still don't have the entity, try the last saved locations
         if (!entity) {
-            console.log(`getEntityTags - Trying to find location in localStorage`);
-            const storedLocations = JSON.parse(localStorage.getItem('locations') || '[]');
+            console.log(`getEntityTags - Trying to find location in storage`);
+            const storedLocations = JSON.parse(Core.getStoredItem('locations') || '[]');
             const storedLocation = storedLocations.find(l => l.id === entityId);
             if (storedLocation) {
-                console.log(`getEntityTags - Found location in localStorage:`, storedLocation);
+                console.log(`getEntityTags - Found location in storage:`, storedLocation);
                 entity = storedLocation;
             }
         }
@@ -7,11 +7,608 @@
 const timelineFilters = {
     series: 'all',
     book: 'all',
-    character: 'all'
+    character: 'all',
+    // In-world dates the chronology is limited to; null leaves that end open
+    from: null,
+    to: null
 };
 
+// How the timeline tab is shown: 'chronology', 'compare' (in-world against reading order) or 'books'
+const timelineView = {
+    mode: 'chronology',
+    calendarId: null,
+    // null fits every event into the visible width
+    pixelsPerDay: null
+};
+
+// Layout of the horizontal chronology, in pixels
+const CHRONOLOGY_PADDING = 60;
+const CHRONOLOGY_LABEL_WIDTH = 170;
+const CHRONOLOGY_ROW_HEIGHT = 46;
+const CHRONOLOGY_MIN_TICK_SPACING = 90;
+const CHRONOLOGY_ZOOM_LIMITS = { min: 0.00005, max: 40 };
+// Browsers stop drawing elements much wider than this
+const CHRONOLOGY_MAX_WIDTH = 2000000;
+
+function getTimelineEvents() {
+    return Array.isArray(window.timelineEvents) ? window.timelineEvents : [];
+}
+
+function saveTimelineEvents() {
+    return Core.safelyStoreItem('timelineEvents', JSON.stringify(getTimelineEvents()));
+}
+
+function escapeTimelineHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function getTimelineCharacterName(characterId) {
+    const character = characters.find(c => c.id === characterId);
+    return character ? `${character.firstName || ''} ${character.lastName || ''}`.trim() : null;
+}
+
+// Series, book and chapter of an event; events attached to a plot default to the plot's
+function getEventStoryContext(event) {
+    const plot = (event.plots || []).map(plotId => plots.find(p => p.id === plotId)).find(Boolean);
+    return {
+        series: event.series || (plot && plot.series) || '',
+        book: event.book || (plot && plot.book) || '',
+        chapter: event.chapter !== undefined && event.chapter !== null && event.chapter !== ''
+            ? event.chapter
+            : (plot && plot.chapter) || ''
+    };
+}
+
+/**
+ * Where an event is told in the books, for comparing against in-world order
+ * Books are read in the order of the book list, chapters in number order.
+ * @returns {Array|null} - Sort key [book, chapter], or null for events in no book
+ */
+function getReadingOrderKey(event) {
+    const context = getEventStoryContext(event);
+    if (!context.book) return null;
+
+    const bookIndex = books.indexOf(context.book);
+    const chapter = parseFloat(context.chapter);
+    return [
+        bookIndex === -1 ? books.length : bookIndex,
+        Number.isFinite(chapter) ? chapter : Infinity
+    ];
+}
+
+function compareReadingOrder(a, b) {
+    for (let i = 0; i < a.key.length; i++) {
+        if (a.key[i] !== b.key[i]) return a.key[i] < b.key[i] ? -1 : 1;
+    }
+    return a.start - b.start;
+}
+
+// Dated events that pass the series, book, character and date filters, with their day numbers
+function getFilteredTimelineEvents() {
+    const fromDay = timelineFilters.from ? Calendars.toDayNumber(timelineFilters.from) : null;
+    const toDay = timelineFilters.to ? Calendars.toDayNumber(timelineFilters.to) : null;
+    return getTimelineEvents()
+        .map(event => {
+            const start = Calendars.toDayNumber(event.date);
+            const end = event.endDate ? Calendars.toDayNumber(event.endDate) : null;
+            return { event, start, end: end !== null && end > start ? end : start };
+        })
+        .filter(({ event, start, end }) => {
+            if (start === null) return false;
+            // Events that overlap the date range at all are kept
+            if (fromDay !== null && end < fromDay) return false;
+            if (toDay !== null && start > toDay) return false;
+            const context = getEventStoryContext(event);
+            if (timelineFilters.series !== 'all' && context.series !== timelineFilters.series) return false;
+            if (timelineFilters.book !== 'all' && context.book !== timelineFilters.book) return false;
+            if (timelineFilters.character !== 'all' &&
+                !(event.characters || []).some(id => getTimelineCharacterName(id) === timelineFilters.character)) {
+                return false;
+            }
+            return true;
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
 // Display timeline
 function displayTimeline() {
+    const bookView = document.getElementById('timelineBookView');
+    const chronology = document.getElementById('timelineChronology');
+
+    syncTimelineControls();
+    updateTimelineFilterDropdowns();
+
+    if (timelineView.mode === 'books' || !chronology) {
+        if (bookView) bookView.style.display = '';
+        if (chronology) chronology.style.display = 'none';
+        displayBookTimeline();
+        return;
+    }
+
+    if (bookView) bookView.style.display = 'none';
+    chronology.style.display = '';
+    displayChronology(chronology, timelineView.mode === 'compare');
+}
+
+// Keep the view, calendar and zoom controls in step with timelineView
+function syncTimelineControls() {
+    const viewSelect = document.getElementById('timelineViewMode');
+    if (viewSelect) viewSelect.value = timelineView.mode;
+
+    const calendarSelect = document.getElementById('timelineCalendar');
+    if (calendarSelect) {
+        const calendars = Calendars.getCalendars();
+        if (!Calendars.getCalendar(timelineView.calendarId)) {
+            timelineView.calendarId = calendars.length > 0 ? calendars[0].id : null;
+        }
+        calendarSelect.innerHTML = Calendars.renderCalendarOptions(timelineView.calendarId);
+        calendarSelect.disabled = timelineView.mode === 'books' || calendars.length === 0;
+    }
+
+    document.querySelectorAll('#timeline-tab .chronology-control').forEach(control => {
+        control.disabled = timelineView.mode === 'books';
+    });
+}
+
+// Ticks for the time axis: months when they are wide enough, otherwise every n years
+function getAxisTicks(calendar, firstDay, lastDay, pixelsPerDay) {
+    const ticks = [];
+    const yearLength = Calendars.getYearLength(calendar);
+    const first = Calendars.fromDayNumber(firstDay, calendar.id);
+    const last = Calendars.fromDayNumber(lastDay, calendar.id);
+    const shortestMonth = Math.min(...calendar.months.map(month => parseInt(month.days, 10) || 1));
+
+    if (shortestMonth * pixelsPerDay >= CHRONOLOGY_MIN_TICK_SPACING && (last.year - first.year) * calendar.months.length < 2000) {
+        for (let year = first.year; year <= last.year; year++) {
+            calendar.months.forEach((month, index) => {
+                const day = Calendars.toDayNumber({ calendarId: calendar.id, year, month: index + 1, day: 1 });
+                if (day < firstDay || day > lastDay) return;
+                ticks.push({
+                    day,
+                    label: index === 0 ? `${month.name} ${Calendars.formatYear(calendar, year)}` : month.name,
+                    major: index === 0
+                });
+            });
+        }
+        return ticks;
+    }
+
+    // 1, 2, 5, 10, 20, 50, ... years between ticks
+    let step = 1;
+    for (let factor = 1; step * yearLength * pixelsPerDay < CHRONOLOGY_MIN_TICK_SPACING; factor++) {
+        step = [1, 2, 5][factor % 3] * Math.pow(10, Math.floor(factor / 3));
+    }
+    for (let year = Math.ceil(first.year / step) * step; year <= last.year + 1; year += step) {
+        const day = Calendars.toDayNumber({ calendarId: calendar.id, year, month: 1, day: 1 });
+        if (day < firstDay || day > lastDay) continue;
+        ticks.push({ day, label: Calendars.formatYear(calendar, year), major: year % (step * 5) === 0 });
+    }
+    return ticks;
+}
+
+// Give each event the first row where its label doesn't overlap the one before it
+function assignRows(items) {
+    const rowEnds = [];
+    items.forEach(item => {
+        const right = Math.max(item.x + CHRONOLOGY_LABEL_WIDTH, item.x + item.width);
+        let row = rowEnds.findIndex(end => item.x >= end + 8);
+        if (row === -1) {
+            row = rowEnds.length;
+            rowEnds.push(right);
+        } else {
+            rowEnds[row] = right;
+        }
+        item.row = row;
+    });
+    return Math.max(rowEnds.length, 1);
+}
+
+// Ages of an event's characters, e.g. "Ages: Aria 34, Bren 12"
+function getEventAgesText(event) {
+    const ages = Lifespans.getAgesAtEvent(event);
+    return ages.length > 0
+        ? `Ages: ${ages.map(({ character, age }) => `${getTimelineCharacterName(character.id)} ${age}`).join(', ')}`
+        : '';
+}
+
+function renderEventMarker(item, top, extraClass = '', label = '') {
+    const { event } = item;
+    const color = /^#[0-9a-f]{3,8}$/i.test(event.color || '') ? event.color : '';
+    const dateText = Calendars.formatDate(event.date, timelineView.calendarId) +
+        (event.endDate && item.end > item.start ? ` – ${Calendars.formatDate(event.endDate, timelineView.calendarId)}` : '');
+    const conflicts = item.conflicts || [];
+    const tooltip = [event.title, dateText, getEventAgesText(event), ...conflicts.map(conflict => `⚠ ${conflict.message}`)]
+        .filter(Boolean)
+        .join('\n');
+    return `
+        <div class="chronology-event ${extraClass}${conflicts.length > 0 ? ' has-conflict' : ''}" style="left: ${item.x}px; top: ${top}px;${color ? ` --event-color: ${color};` : ''}"
+             data-id="${escapeTimelineHtml(event.id)}" title="${escapeTimelineHtml(tooltip)}"
+             onclick="Timeline.showEventForm('${escapeTimelineHtml(event.id)}')">
+            <span class="chronology-event-bar" style="width: ${item.width}px;"></span>
+            <span class="chronology-event-title">${escapeTimelineHtml(event.title)}</span>
+            <span class="chronology-event-date">${escapeTimelineHtml(label || dateText)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Draw the zoomable horizontal chronology
+ * @param {HTMLElement} container - Element to draw into
+ * @param {boolean} compare - Also draw the events in reading order, linked to their in-world position
+ */
+function displayChronology(container, compare) {
+    const calendar = Calendars.getCalendar(timelineView.calendarId);
+    const items = getFilteredTimelineEvents();
+
+    if (!calendar || items.length === 0) {
+        const filtered = getTimelineEvents().length > 0;
+        container.innerHTML = `<div class="no-data">${filtered
+            ? 'No dated events match the current filters.'
+            : 'No timeline events yet. Use "Add Event" to place story events on the in-world timeline.'}</div>`;
+        return;
+    }
+
+    const scroll = container.querySelector('.chronology-scroll');
+    const visibleWidth = (scroll && scroll.clientWidth) || container.clientWidth || 1000;
+
+    // A little room either side of the first and last event
+    const firstDay = items[0].start;
+    const lastDay = Math.max(...items.map(item => item.end));
+    const span = Math.max(lastDay - firstDay, 1);
+    const margin = Math.max(Math.ceil(span * 0.02), 1);
+    const rangeStart = firstDay - margin;
+    const rangeEnd = lastDay + margin;
+
+    const fitScale = (visibleWidth - CHRONOLOGY_PADDING * 2 - CHRONOLOGY_LABEL_WIDTH) / (rangeEnd - rangeStart);
+    const pixelsPerDay = Math.min(
+        timelineView.pixelsPerDay || Math.min(Math.max(fitScale, CHRONOLOGY_ZOOM_LIMITS.min), CHRONOLOGY_ZOOM_LIMITS.max),
+        CHRONOLOGY_MAX_WIDTH / (rangeEnd - rangeStart)
+    );
+    const toX = day => CHRONOLOGY_PADDING + (day - rangeStart) * pixelsPerDay;
+    const trackWidth = Math.max(toX(rangeEnd) + CHRONOLOGY_PADDING + CHRONOLOGY_LABEL_WIDTH, visibleWidth);
+
+    // Events that involve a character before they are born or after they die
+    const conflicts = Lifespans.findAgeConflicts(items.map(item => item.event));
+    items.forEach(item => {
+        item.x = toX(item.start);
+        item.width = Math.max((item.end - item.start) * pixelsPerDay, 10);
+        item.conflicts = conflicts.filter(conflict => conflict.event === item.event);
+    });
+    const rows = assignRows(items);
+    const laneTop = 40;
+    const laneHeight = rows * CHRONOLOGY_ROW_HEIGHT + 10;
+
+    const ticks = getAxisTicks(calendar, rangeStart, rangeEnd, pixelsPerDay).map(tick => `
+        <div class="chronology-tick${tick.major ? ' major' : ''}" style="left: ${toX(tick.day)}px;">
+            <span>${escapeTimelineHtml(tick.label)}</span>
+        </div>
+    `).join('');
+
+    let html = `<div class="chronology-axis">${ticks}</div>
+        <div class="chronology-lane-label" style="top: ${laneTop - 18}px;">In-world order</div>
+        ${items.map(item => renderEventMarker(item, laneTop + item.row * CHRONOLOGY_ROW_HEIGHT)).join('')}`;
+    let trackHeight = laneTop + laneHeight;
+
+    if (compare) {
+        // Reading order: events in book, chapter order, evenly spaced under the in-world lane
+        const told = items.filter(item => (item.key = getReadingOrderKey(item.event)) !== null).sort(compareReadingOrder);
+        const readingTop = trackHeight + 90;
+        const spacing = Math.max((trackWidth - CHRONOLOGY_PADDING * 2 - CHRONOLOGY_LABEL_WIDTH) / Math.max(told.length, 1), CHRONOLOGY_LABEL_WIDTH / 2);
+
+        // An event is told out of order when something read before it happens later in the world
+        let latestStart = -Infinity;
+        const links = told.map((item, index) => {
+            const outOfOrder = item.start < latestStart;
+            latestStart = Math.max(latestStart, item.start);
+            const reading = { ...item, x: CHRONOLOGY_PADDING + index * spacing, width: 10 };
+            const context = getEventStoryContext(item.event);
+            const label = `${context.book}${context.chapter !== '' ? `, ch. ${context.chapter}` : ''}`;
+            const readingRow = index % 2;
+            html += renderEventMarker(reading, readingTop + readingRow * CHRONOLOGY_ROW_HEIGHT, outOfOrder ? 'out-of-order' : '', label);
+            return `<line x1="${item.x + 5}" y1="${laneTop + item.row * CHRONOLOGY_ROW_HEIGHT + 6}" x2="${reading.x + 5}" y2="${readingTop + readingRow * CHRONOLOGY_ROW_HEIGHT + 6}"${outOfOrder ? ' class="out-of-order"' : ''}/>`;
+        });
+
+        const untold = items.length - told.length;
+        html = `<svg class="chronology-links" width="${trackWidth}" height="${readingTop + CHRONOLOGY_ROW_HEIGHT * 2}">${links.join('')}</svg>` + html +
+            `<div class="chronology-lane-label" style="top: ${readingTop - 18}px;">Reading order${untold > 0 ? ` (${untold} ${untold === 1 ? 'event' : 'events'} without a book not shown)` : ''}; <span class="out-of-order-key">highlighted</span> events are told out of chronological order</div>`;
+        trackHeight = readingTop + CHRONOLOGY_ROW_HEIGHT * 2 + 10;
+    }
+
+    // Keep the day at the centre of the view where it was when zooming
+    const previousScroll = scroll ? { left: scroll.scrollLeft, anchor: container.dataset.anchorDay } : null;
+    const previousConflicts = container.querySelector('.chronology-conflicts');
+    const conflictsOpen = !!(previousConflicts && previousConflicts.open);
+
+    container.innerHTML = `
+        ${conflicts.length > 0 ? `
+            <details class="chronology-conflicts"${conflictsOpen ? ' open' : ''}>
+                <summary><i class="fas fa-exclamation-triangle"></i> ${conflicts.length} ${conflicts.length === 1 ? 'event involves a character' : 'events involve characters'} outside their lifespan</summary>
+                <ul>${conflicts.map(conflict => `
+                    <li><a href="#" onclick="Timeline.showEventForm('${escapeTimelineHtml(conflict.event.id)}'); return false;">${escapeTimelineHtml(conflict.message)}</a></li>
+                `).join('')}</ul>
+            </details>
+        ` : ''}
+        <div class="chronology-scroll">
+            <div class="chronology-track" style="width: ${trackWidth}px; height: ${trackHeight}px;">${html}</div>
+        </div>
+    `;
+
+    const newScroll = container.querySelector('.chronology-scroll');
+    if (previousScroll && previousScroll.anchor !== undefined && previousScroll.anchor !== '') {
+        newScroll.scrollLeft = toX(parseFloat(previousScroll.anchor)) - visibleWidth / 2;
+        delete container.dataset.anchorDay;
+    } else if (previousScroll) {
+        newScroll.scrollLeft = previousScroll.left;
+    }
+
+    container.dataset.rangeStart = rangeStart;
+    container.dataset.pixelsPerDay = pixelsPerDay;
+    newScroll.addEventListener('wheel', event => {
+        if (!event.ctrlKey) return;
+        event.preventDefault();
+        const bounds = newScroll.getBoundingClientRect();
+        zoomTimeline(event.deltaY < 0 ? 1.25 : 0.8, event.clientX - bounds.left);
+    }, { passive: false });
+}
+
+/**
+ * Zoom the chronology in or out
+ * @param {number} factor - Above 1 zooms in
+ * @param {number} [anchorX] - Position in the view to keep in place; defaults to its centre
+ */
+function zoomTimeline(factor, anchorX) {
+    const container = document.getElementById('timelineChronology');
+    const scroll = container && container.querySelector('.chronology-scroll');
+    if (!scroll || !container.dataset.pixelsPerDay) return;
+
+    const pixelsPerDay = parseFloat(container.dataset.pixelsPerDay);
+    const anchor = anchorX === undefined ? scroll.clientWidth / 2 : anchorX;
+    const anchorDay = parseFloat(container.dataset.rangeStart) + (scroll.scrollLeft + anchor - CHRONOLOGY_PADDING) / pixelsPerDay;
+
+    timelineView.pixelsPerDay = Math.min(Math.max(pixelsPerDay * factor, CHRONOLOGY_ZOOM_LIMITS.min), CHRONOLOGY_ZOOM_LIMITS.max);
+    // displayChronology centres the view on the anchor; shift it so the anchor stays under the pointer
+    container.dataset.anchorDay = anchorDay + (scroll.clientWidth / 2 - anchor) / timelineView.pixelsPerDay;
+    displayChronology(container, timelineView.mode === 'compare');
+}
+
+// Zoom so every event fits in the visible width
+function fitTimeline() {
+    timelineView.pixelsPerDay = null;
+    const container = document.getElementById('timelineChronology');
+    if (container) {
+        const scroll = container.querySelector('.chronology-scroll');
+        if (scroll) scroll.scrollLeft = 0;
+    }
+    displayTimeline();
+}
+
+function setTimelineView(mode) {
+    timelineView.mode = ['chronology', 'compare', 'books'].includes(mode) ? mode : 'chronology';
+    displayTimeline();
+}
+
+function setTimelineCalendar(calendarId) {
+    timelineView.calendarId = calendarId;
+    displayTimeline();
+}
+
+function renderEntityOptions(records, selectedIds, getLabel) {
+    return records
+        .map(record => ({ id: record.id, label: getLabel(record) }))
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .map(({ id, label }) => `<option value="${escapeTimelineHtml(id)}"${selectedIds.includes(id) ? ' selected' : ''}>${escapeTimelineHtml(label)}</option>`)
+        .join('');
+}
+
+function renderListOptions(values, selected) {
+    return values.map(value => `<option value="${escapeTimelineHtml(value)}"${value === selected ? ' selected' : ''}>${escapeTimelineHtml(value)}</option>`).join('');
+}
+
+/**
+ * Show the form for a timeline event
+ * @param {string} [eventId] - Event to edit; leave out to create one
+ * @param {Object} [defaults] - Fields for a new event, e.g. { plots: [plotId] }
+ */
+function showEventForm(eventId, defaults = {}) {
+    const existing = eventId ? getTimelineEvents().find(e => e.id === eventId) : null;
+    const event = existing || { title: '', description: '', characters: [], locations: [], plots: [], series: '', book: '', chapter: '', color: '#3498db', ...defaults };
+    const defaultCalendarId = timelineView.calendarId || Calendars.ensureDefaultCalendar().id;
+    const agesText = existing ? getEventAgesText(existing) : '';
+    const conflicts = existing ? Lifespans.findAgeConflicts([existing]) : [];
+
+    UI.showModal(existing ? 'Edit Timeline Event' : 'Add Timeline Event', `
+        <form id="timelineEventForm" class="timeline-event-form">
+            <div class="form-group">
+                <label for="eventTitle">Title</label>
+                <input type="text" id="eventTitle" required value="${escapeTimelineHtml(event.title)}">
+            </div>
+            <div class="form-group">
+                <label>Date</label>
+                ${Calendars.renderDateInput('eventDate', event.date || null, { calendarId: defaultCalendarId })}
+            </div>
+            <div class="form-group">
+                <label>Ends (optional)</label>
+                ${Calendars.renderDateInput('eventEndDate', event.endDate || null, { calendarId: (event.date && event.date.calendarId) || defaultCalendarId })}
+            </div>
+            <div class="form-group">
+                <label for="eventDescription">Description</label>
+                <textarea id="eventDescription" rows="3">${escapeTimelineHtml(event.description)}</textarea>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="eventCharacters">Characters</label>
+                    <select id="eventCharacters" multiple size="5">${renderEntityOptions(characters, event.characters || [], c => getTimelineCharacterName(c.id) || 'Unnamed Character')}</select>
+                </div>
+                <div class="form-group">
+                    <label for="eventLocations">Locations</label>
+                    <select id="eventLocations" multiple size="5">${renderEntityOptions(locations, event.locations || [], l => l.name || 'Unnamed Location')}</select>
+                </div>
+                <div class="form-group">
+                    <label for="eventPlots">Plots</label>
+                    <select id="eventPlots" multiple size="5">${renderEntityOptions(plots, event.plots || [], p => p.title || 'Unnamed Plot')}</select>
+                </div>
+            </div>
+            ${agesText ? `<p class="form-hint">${escapeTimelineHtml(agesText)}</p>` : ''}
+            ${conflicts.map(conflict => `<p class="form-hint event-conflict"><i class="fas fa-exclamation-triangle"></i> ${escapeTimelineHtml(conflict.message)}</p>`).join('')}
+            <p class="form-hint">Series, book and chapter place the event in reading order. Left empty, they come from the first plot it is attached to.</p>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="eventSeries">Series</label>
+                    <select id="eventSeries"><option value="">None</option>${renderListOptions(seriesList, event.series)}</select>
+                </div>
+                <div class="form-group">
+                    <label for="eventBook">Book</label>
+                    <select id="eventBook"><option value="">None</option>${renderListOptions(books, event.book)}</select>
+                </div>
+                <div class="form-group">
+                    <label for="eventChapter">Chapter</label>
+                    <input type="number" id="eventChapter" min="0" step="any" value="${escapeTimelineHtml(event.chapter)}">
+                </div>
+                <div class="form-group">
+                    <label for="eventColor">Color</label>
+                    <input type="color" id="eventColor" value="${escapeTimelineHtml(event.color || '#3498db')}">
+                </div>
+            </div>
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">${existing ? 'Save Event' : 'Add Event'}</button>
+                ${existing ? `<button type="button" class="btn" onclick="Timeline.showAliveAtEvent('${escapeTimelineHtml(existing.id)}')">Who Is Alive?</button>` : ''}
+                ${existing ? `<button type="button" class="btn btn-danger" onclick="Timeline.deleteTimelineEvent('${escapeTimelineHtml(existing.id)}')">Delete</button>` : ''}
+                <button type="button" class="btn" onclick="UI.closeModal()">Cancel</button>
+            </div>
+        </form>
+    `);
+
+    document.getElementById('timelineEventForm').addEventListener('submit', submitEvent => {
+        submitEvent.preventDefault();
+        saveEventForm(existing ? existing.id : null);
+    });
+}
+
+function getSelectedValues(selectId) {
+    return Array.from(document.getElementById(selectId).options).filter(option => option.selected).map(option => option.value);
+}
+
+async function saveEventForm(eventId) {
+    try {
+        const title = document.getElementById('eventTitle').value.trim();
+        if (!title) throw new Error('Please enter a title for the event');
+
+        const date = Calendars.readDateInput('eventDate');
+        if (!date) throw new Error('Please enter the year the event happens');
+        const endDate = Calendars.readDateInput('eventEndDate');
+        if (endDate && Calendars.toDayNumber(endDate) < Calendars.toDayNumber(date)) {
+            throw new Error('The event ends before it begins');
+        }
+
+        const chapter = document.getElementById('eventChapter').value.trim();
+        const event = {
+            id: eventId || Core.generateId(),
+            title,
+            date,
+            endDate: endDate || null,
+            description: document.getElementById('eventDescription').value.trim(),
+            characters: getSelectedValues('eventCharacters'),
+            locations: getSelectedValues('eventLocations'),
+            plots: getSelectedValues('eventPlots'),
+            series: document.getElementById('eventSeries').value,
+            book: document.getElementById('eventBook').value,
+            chapter: chapter === '' ? '' : parseFloat(chapter),
+            color: document.getElementById('eventColor').value
+        };
+
+        const events = getTimelineEvents();
+        const index = events.findIndex(existing => existing.id === event.id);
+        const previousEvents = events.slice();
+        const saved = await UndoManager.transaction(`${index === -1 ? 'Add' : 'Update'} timeline event "${title}"`, async () => {
+            if (index === -1) {
+                events.push(event);
+            } else {
+                events[index] = { ...events[index], ...event };
+            }
+            window.timelineEvents = events;
+            if (await saveTimelineEvents()) return true;
+
+            // Put the events back as they were if the change couldn't be stored
+            window.timelineEvents = previousEvents;
+            saveTimelineEvents();
+            return false;
+        });
+
+        if (!saved) return;
+        UI.closeModal();
+        Core.showToast(`Event "${title}" ${index === -1 ? 'added' : 'saved'}`, 'success');
+        if (window.Dashboard && typeof Dashboard.addActivity === 'function') {
+            Dashboard.addActivity('timeline', `${index === -1 ? 'Added' : 'Updated'} timeline event "${title}"`, event.id);
+        }
+        displayTimeline();
+    } catch (error) {
+        Core.showToast(error.message, 'error');
+    }
+}
+
+async function deleteTimelineEvent(eventId) {
+    const event = getTimelineEvents().find(e => e.id === eventId);
+    if (!event || !confirm(`Delete the timeline event "${event.title}"?`)) return;
+
+    const previousEvents = getTimelineEvents();
+    const deleted = await UndoManager.transaction(`Delete timeline event "${event.title}"`, async () => {
+        window.timelineEvents = previousEvents.filter(e => e.id !== eventId);
+        if (await saveTimelineEvents()) return true;
+
+        window.timelineEvents = previousEvents;
+        saveTimelineEvents();
+        return false;
+    });
+    if (!deleted) return;
+
+    UI.closeModal();
+    Core.showToast(`Event "${event.title}" deleted`, 'success');
+    if (window.Dashboard && typeof Dashboard.addActivity === 'function') {
+        Dashboard.addActivity('timeline', `Deleted timeline event "${event.title}"`, event.id);
+    }
+    displayTimeline();
+}
+
+/**
+ * Drop a deleted record from the events that list it
+ * @param {string} field - 'characters', 'locations' or 'plots'
+ * @param {string} id - Record id
+ * @returns {Promise<boolean>} - false if the events could not be saved
+ */
+function removeFromEvents(field, id) {
+    const affected = getTimelineEvents().filter(event => (event[field] || []).includes(id));
+    if (affected.length === 0) return Promise.resolve(true);
+
+    affected.forEach(event => {
+        event[field] = event[field].filter(value => value !== id);
+    });
+    return saveTimelineEvents();
+}
+
+// Who is alive when an event starts
+function showAliveAtEvent(eventId) {
+    const event = getTimelineEvents().find(e => e.id === eventId);
+    if (event) Lifespans.showAliveQuery(event.date);
+}
+
+/**
+ * Timeline events attached to a record, in in-world order
+ * @param {string} field - 'characters', 'locations' or 'plots'
+ * @param {string} id - Record id
+ * @returns {Array} - Events
+ */
+function getEventsFor(field, id) {
+    return getTimelineEvents()
+        .filter(event => (event[field] || []).includes(id))
+        .sort((a, b) => (Calendars.toDayNumber(a.date) || 0) - (Calendars.toDayNumber(b.date) || 0));
+}
+
+// Display the book-by-book overview, built from the series and book of characters and plots
+function displayBookTimeline() {
     const timelineContent = document.getElementById('timelineContent');
     if (!timelineContent) return;
     
@@ -241,9 +838,6 @@ function displayTimeline() {
         
         timelineContent.appendChild(timelineContainer);
     });
-    
-    // Update filter dropdowns
-    updateTimelineFilterDropdowns();
 }
 
 // Get icon for plot type
@@ -291,6 +885,13 @@ function updateTimelineFilterDropdowns() {
             });
         }
         
+        getTimelineEvents().forEach(event => {
+            const { series } = getEventStoryContext(event);
+            if (series) {
+                uniqueSeries.add(series);
+            }
+        });
+        
         // Add options
         Array.from(uniqueSeries).sort().forEach(series => {
             const option = document.createElement('option');
@@ -332,6 +933,13 @@ function updateTimelineFilterDropdowns() {
             });
         }
         
+        getTimelineEvents().forEach(event => {
+            const { book } = getEventStoryContext(event);
+            if (book) {
+                uniqueBooks.add(book);
+            }
+        });
+        
         // Add options
         Array.from(uniqueBooks).sort().forEach(book => {
             const option = document.createElement('option');
@@ -357,8 +965,9 @@ function updateTimelineFilterDropdowns() {
             characterFilter.remove(1);
         }
         
-        // Get characters with book info
-        const charactersWithBooks = characters.filter(char => char.book);
+        // Get characters with book info or a part in a timeline event
+        const eventCharacterIds = new Set(getTimelineEvents().flatMap(event => event.characters || []));
+        const charactersWithBooks = characters.filter(char => char.book || eventCharacterIds.has(char.id));
         
         // Add options
         charactersWithBooks.sort((a, b) => {
@@ -378,6 +987,25 @@ function updateTimelineFilterDropdowns() {
             characterFilter.value = currentCharacter;
         }
     }
+    
+    // Date range filter
+    const dateFilter = document.getElementById('timelineFilterDates');
+    if (dateFilter) {
+        // Redraw only when the calendars change, so dates typed but not yet applied stay
+        const calendarIds = Calendars.getCalendars().map(calendar => calendar.id).join(',');
+        if (calendarIds === '') {
+            dateFilter.innerHTML = '';
+        } else if (dateFilter.dataset.calendars !== calendarIds || !dateFilter.firstElementChild) {
+            const calendarId = timelineView.calendarId || undefined;
+            dateFilter.innerHTML = `
+                <label>From</label>
+                ${Calendars.renderDateInput('timelineFilterFrom', timelineFilters.from, { calendarId })}
+                <label>To</label>
+                ${Calendars.renderDateInput('timelineFilterTo', timelineFilters.to, { calendarId })}
+            `;
+        }
+        dateFilter.dataset.calendars = calendarIds;
+    }
 }
 
 // Function to apply filters from the UI
@@ -387,6 +1015,19 @@ function applyFiltersFromUI() {
     timelineFilters.book = document.getElementById('timelineFilterBook')?.value || 'all';
     timelineFilters.character = document.getElementById('timelineFilterCharacter')?.value || 'all';
     
+    try {
+        const from = Calendars.readDateInput('timelineFilterFrom');
+        const to = Calendars.readDateInput('timelineFilterTo');
+        if (from && to && Calendars.toDayNumber(to) < Calendars.toDayNumber(from)) {
+            throw new Error('The date range ends before it begins');
+        }
+        timelineFilters.from = from;
+        timelineFilters.to = to;
+    } catch (error) {
+        Core.showToast(error.message, 'error');
+        return;
+    }
+    
     // Display timeline with new filters
     displayTimeline();
 }
@@ -412,7 +1053,18 @@ function initializeTimeline() {
 // Export timeline functions
 window.Timeline = {
     displayTimeline,
+    displayBookTimeline,
     updateTimelineFilterDropdowns,
     initializeTimeline,
-    applyFiltersFromUI
+    applyFiltersFromUI,
+    setTimelineView,
+    setTimelineCalendar,
+    zoomTimeline,
+    fitTimeline,
+    showEventForm,
+    deleteTimelineEvent,
+    showAliveAtEvent,
+    getEventsFor,
+    removeFromEvents,
+    getEventStoryContext
 };
\ No newline at end of file
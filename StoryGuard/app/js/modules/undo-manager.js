@@ -0,0 +1,386 @@
+/**
+ * Global undo/redo for Story Database
+ * Mutations run inside UndoManager.transaction(); every collection written through
+ * Core.safelyStoreItem during the transaction (including cascades) is captured and
+ * undone or redone together as a single step.
+ */
+
+// Collections that can be undone, keyed by their storage key
+const UNDO_COLLECTIONS = {
+    characters: { get: () => characters, windowName: 'characters' },
+    locations: { get: () => locations, windowName: 'locations' },
+    plots: { get: () => plots, windowName: 'plots' },
+    worldElements: { get: () => worldElements, windowName: 'worldElements' },
+    relationships: { get: () => relationships, windowName: 'relationships' },
+    tags: { get: () => tags, windowName: 'tags' },
+    titles: { get: () => titles, windowName: 'titles' },
+    series: { get: () => seriesList, windowName: 'seriesList' },
+    seriesList: { get: () => seriesList, windowName: 'seriesList' },
+    books: { get: () => books, windowName: 'books' },
+    roles: { get: () => roles, windowName: 'roles' },
+    customFieldTypes: { get: () => customFieldTypes, windowName: 'customFieldTypes' },
+    // Only kept on window; see timeline.js, calendars.js and storage/templates.js
+    timelineEvents: { get: () => window.timelineEvents, windowName: 'timelineEvents' },
+    calendars: { get: () => window.calendars, windowName: 'calendars' },
+    exportTemplates: { get: () => window.exportTemplates, windowName: 'exportTemplates' }
+};
+
+// Maximum number of steps kept in the undo history
+const MAX_UNDO_STEPS = 50;
+
+let undoStack = [];
+let redoStack = [];
+let activeTransaction = null;
+// Previous values captured by deferred transactions (e.g. opening an editor), waiting for the save
+let heldSnapshots = {};
+let undoHistoryDialog = null;
+
+// Name of the database the history belongs to
+function getUndoDatabaseName() {
+    return localStorage.getItem('currentDatabaseName') || 'Default';
+}
+
+// Run a mutation as one undoable step. Nested calls join the outer transaction,
+// so cascades triggered by a mutation are undone together with it.
+// options.deferred: don't add a step; the captured state is used as the starting point of the next step instead
+function transaction(label, fn, options = {}) {
+    if (activeTransaction) {
+        return fn();
+    }
+
+    activeTransaction = {
+        label,
+        deferred: Boolean(options.deferred),
+        before: {}
+    };
+
+    const finish = () => {
+        const finished = activeTransaction;
+        activeTransaction = null;
+        commitTransaction(finished);
+    };
+
+    let result;
+    try {
+        result = fn();
+    } catch (error) {
+        finish();
+        throw error;
+    }
+
+    // An async mutation keeps the transaction open until it settles, so writes made
+    // after it has waited for an earlier save still join the same step
+    if (result && typeof result.then === 'function') {
+        return Promise.resolve(result).finally(finish);
+    }
+    finish();
+    return result;
+}
+
+// Called by Core.safelyStoreItem before a collection is written
+function captureBeforeWrite(key) {
+    if (!activeTransaction || !UNDO_COLLECTIONS[key]) return;
+    if (!Object.prototype.hasOwnProperty.call(activeTransaction.before, key)) {
+        activeTransaction.before[key] = Core.getStoredItem(key);
+    }
+}
+
+// Turn a finished transaction into an undo step
+function commitTransaction(finished) {
+    const keys = Object.keys(finished.before);
+    if (keys.length === 0) return;
+
+    if (finished.deferred) {
+        keys.forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(heldSnapshots, key)) {
+                heldSnapshots[key] = finished.before[key];
+            }
+        });
+        return;
+    }
+
+    const changes = {};
+    keys.forEach(key => {
+        let before = finished.before[key];
+        if (Object.prototype.hasOwnProperty.call(heldSnapshots, key)) {
+            before = heldSnapshots[key];
+            delete heldSnapshots[key];
+        }
+
+        const after = Core.getStoredItem(key);
+        if (before !== after) {
+            changes[key] = { before, after };
+        }
+    });
+
+    if (Object.keys(changes).length === 0) return;
+
+    undoStack.push({
+        id: Core.generateId(),
+        label: finished.label,
+        timestamp: new Date().toISOString(),
+        database: getUndoDatabaseName(),
+        changes
+    });
+    if (undoStack.length > MAX_UNDO_STEPS) {
+        undoStack.shift();
+    }
+    redoStack = [];
+
+    updateUndoHistoryDialog();
+}
+
+// Forget the history when it belongs to another database
+function checkUndoDatabase() {
+    const current = getUndoDatabaseName();
+    const stale = [...undoStack, ...redoStack].some(step => step.database !== current);
+    if (stale) {
+        clearHistory();
+    }
+}
+
+// Write one side of a step back into the collections
+function applyStep(step, side) {
+    Object.entries(step.changes).forEach(([key, change]) => {
+        const value = change[side] === null ? '[]' : change[side];
+        const data = JSON.parse(value);
+        const config = UNDO_COLLECTIONS[key];
+
+        // Update arrays in place so modules holding a reference see the change
+        const targets = new Set([config.get(), window[config.windowName]].filter(Array.isArray));
+        targets.forEach(list => list.splice(0, list.length, ...data));
+        if (targets.size === 0) {
+            window[config.windowName] = data;
+        }
+
+        Core.safelyStoreItem(key, value);
+    });
+
+    // Any editor that was open started from a state that no longer exists
+    heldSnapshots = {};
+    refreshViewsAfterUndo();
+}
+
+// Redraw every view that may show the restored data
+function refreshViewsAfterUndo() {
+    const refreshers = [
+        () => Characters.displayCharacters(),
+        () => Locations.displayLocations(),
+        () => Plots.displayPlots(),
+        () => WorldBuilding.displayWorldBuilding(),
+        () => Relationships.refreshAllRelationshipUI(),
+        () => Timeline.displayTimeline()
+    ];
+
+    refreshers.forEach(refresh => {
+        try {
+            refresh();
+        } catch (error) {
+            console.warn('Error refreshing view after undo:', error);
+        }
+    });
+
+    document.dispatchEvent(new CustomEvent('databaseUpdated', { detail: { source: 'undo' } }));
+}
+
+// Undo the most recent step
+function undo() {
+    checkUndoDatabase();
+    const step = undoStack.pop();
+    if (!step) {
+        Core.showToast('Nothing to undo', 'info');
+        return false;
+    }
+
+    applyStep(step, 'before');
+    redoStack.push(step);
+    Core.showToast(`Undone: ${step.label}`);
+    updateUndoHistoryDialog();
+    return true;
+}
+
+// Redo the most recently undone step
+function redo() {
+    checkUndoDatabase();
+    const step = redoStack.pop();
+    if (!step) {
+        Core.showToast('Nothing to redo', 'info');
+        return false;
+    }
+
+    applyStep(step, 'after');
+    undoStack.push(step);
+    Core.showToast(`Redone: ${step.label}`);
+    updateUndoHistoryDialog();
+    return true;
+}
+
+// Undo or redo until the given step is the latest applied one
+function jumpToStep(stepId) {
+    if (undoStack.some(step => step.id === stepId)) {
+        while (undoStack.length > 0 && undoStack[undoStack.length - 1].id !== stepId) {
+            undo();
+        }
+    } else if (redoStack.some(step => step.id === stepId)) {
+        while (redoStack.length > 0 && undoStack[undoStack.length - 1]?.id !== stepId) {
+            redo();
+        }
+    }
+}
+
+// Drop the whole undo history
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    heldSnapshots = {};
+    updateUndoHistoryDialog();
+}
+
+function canUndo() {
+    return undoStack.length > 0;
+}
+
+function canRedo() {
+    return redoStack.length > 0;
+}
+
+// Steps for display, oldest first
+function getHistory() {
+    return {
+        undo: undoStack.map(({ id, label, timestamp }) => ({ id, label, timestamp })),
+        redo: redoStack.map(({ id, label, timestamp }) => ({ id, label, timestamp }))
+    };
+}
+
+// Fill the history dialog with the current steps
+function renderUndoHistoryList(list) {
+    list.innerHTML = '';
+
+    const isDark = document.body.classList.contains('dark-mode');
+    const addRow = (step, isCurrent, isUndone) => {
+        const row = document.createElement('li');
+        row.style.cssText = `
+            padding: 8px;
+            border-bottom: 1px solid ${isDark ? '#495057' : '#eee'};
+            cursor: pointer;
+            display: flex;
+            justify-content: space-between;
+            gap: 10px;
+            ${isUndone ? 'opacity: 0.5; text-decoration: line-through;' : ''}
+            ${isCurrent ? 'font-weight: bold;' : ''}
+        `;
+        row.title = isUndone ? 'Click to redo up to this step' : 'Click to go back to this point';
+
+        const label = document.createElement('span');
+        label.textContent = step.label;
+        const time = document.createElement('span');
+        time.textContent = new Date(step.timestamp).toLocaleTimeString();
+        time.style.color = isDark ? '#adb5bd' : '#6c757d';
+
+        row.appendChild(label);
+        row.appendChild(time);
+        row.addEventListener('click', () => jumpToStep(step.id));
+        list.appendChild(row);
+    };
+
+    // Newest first: steps that can be redone, then the applied ones
+    redoStack.forEach(step => addRow(step, false, true));
+    [...undoStack].reverse().forEach((step, index) => addRow(step, index === 0, false));
+
+    if (undoStack.length === 0 && redoStack.length === 0) {
+        const empty = document.createElement('li');
+        empty.style.padding = '8px';
+        empty.textContent = 'No changes recorded yet.';
+        list.appendChild(empty);
+    }
+}
+
+// Refresh the history dialog if it is open
+function updateUndoHistoryDialog() {
+    if (!undoHistoryDialog || !document.body.contains(undoHistoryDialog)) {
+        undoHistoryDialog = null;
+        return;
+    }
+    renderUndoHistoryList(undoHistoryDialog.querySelector('.undo-history-list'));
+    undoHistoryDialog.querySelector('.undo-history-undo').disabled = !canUndo();
+    undoHistoryDialog.querySelector('.undo-history-redo').disabled = !canRedo();
+}
+
+// Show the undo history dialog
+function showUndoHistory() {
+    if (undoHistoryDialog && document.body.contains(undoHistoryDialog)) {
+        undoHistoryDialog.remove();
+    }
+    checkUndoDatabase();
+
+    const dialog = document.createElement('div');
+    dialog.className = 'undo-history-dialog';
+    dialog.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.5);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 1100;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+        background: white;
+        width: 90%;
+        max-width: 500px;
+        border-radius: 8px;
+        padding: 20px;
+        max-height: 80vh;
+        overflow-y: auto;
+        box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);
+    `;
+    if (document.body.classList.contains('dark-mode')) {
+        content.style.background = '#343a40';
+        content.style.color = '#f8f9fa';
+    }
+
+    content.innerHTML = `
+        <h2 style="margin-top: 0; border-bottom: 1px solid #eee; padding-bottom: 10px;">Undo History</h2>
+        <ul class="undo-history-list" style="list-style: none; padding: 0; margin: 0;"></ul>
+        <div style="margin-top: 20px; display: flex; gap: 8px; justify-content: flex-end;">
+            <button type="button" class="undo-history-undo">Undo (Ctrl+Z)</button>
+            <button type="button" class="undo-history-redo">Redo (Ctrl+Shift+Z)</button>
+            <button type="button" class="undo-history-close">Close</button>
+        </div>
+    `;
+
+    content.querySelector('.undo-history-undo').addEventListener('click', undo);
+    content.querySelector('.undo-history-redo').addEventListener('click', redo);
+    content.querySelector('.undo-history-close').addEventListener('click', () => dialog.remove());
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) {
+            dialog.remove();
+        }
+    });
+
+    dialog.appendChild(content);
+    document.body.appendChild(dialog);
+    undoHistoryDialog = dialog;
+    updateUndoHistoryDialog();
+}
+
+// A different database was loaded; its history does not apply
+window.addEventListener('database-loaded', clearHistory);
+
+// Export undo manager functions
+window.UndoManager = {
+    transaction,
+    captureBeforeWrite,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    getHistory,
+    clearHistory,
+    showUndoHistory
+};
@@ -119,6 +119,10 @@ let currentWorldSort = { column: 'name', direction: 'asc' };
 let lastFilteredElements = null;
 let lastFilterParams = null;
 
+// Ids matching the table's and the visualization's series/tag filters, from the repository indexes
+const worldElementIndexFilter = Core.createIndexedFilter('worldElements');
+const worldVisualizationIndexFilter = Core.createIndexedFilter('worldElements');
+
 // World element categories
 const elementCategories = [
     'Culture',
@@ -138,9 +142,9 @@ const elementCategories = [
 
 // Initialize world elements
 function initializeWorldBuilding() {
-    // Load world elements from localStorage if not already loaded
+    // Load the saved world elements if not already loaded
     if (worldElements.length === 0) {
-        const storedElements = localStorage.getItem('worldElements');
+        const storedElements = Core.getStoredItem('worldElements');
         if (storedElements) {
             worldElements = JSON.parse(storedElements);
         }
@@ -155,9 +159,9 @@ function initializeWorldBuilding() {
     // Display world elements
     displayWorldBuilding();
     
-    // Load world elements from localStorage if not already loaded
+    // Load the saved world elements if not already loaded
     if (worldElements.length === 0) {
-        worldElements = JSON.parse(localStorage.getItem('worldElements') || '[]');
+        worldElements = JSON.parse(Core.getStoredItem('worldElements') || '[]');
         
         // Add IDs to existing elements if they don't have one
         worldElements.forEach(element => {
@@ -188,7 +192,7 @@ function initializeWorldBuilding() {
 }
 
 // Handle world element form submission
-function handleWorldElementFormSubmit(e) {
+async function handleWorldElementFormSubmit(e) {
     e.preventDefault();
     const form = e.target;
     
@@ -267,10 +271,14 @@ function handleWorldElementFormSubmit(e) {
     };
 
     try {
+        let previousElement = null;
+        const previousElements = worldElements.slice();
+        
         // If we're editing, remove the old element first
         if (isEditMode) {
             const elementIndex = worldElements.findIndex(e => e.id === elementId);
             if (elementIndex !== -1) {
+                previousElement = worldElements[elementIndex];
                 worldElements.splice(elementIndex, 1);
             }
         }
@@ -278,12 +286,25 @@ function handleWorldElementFormSubmit(e) {
         // Add the new/updated element
         worldElements.push(element);
         
-        if (!Core.safelyStoreItem('worldElements', JSON.stringify(worldElements))) {
-            // If storage fails, remove the element we just added
-            worldElements.pop();
+        // Record the save as one undoable step
+        const saved = await UndoManager.transaction(`${isEditMode ? 'Update' : 'Add'} world element "${elementName}"`, async () => {
+            if (await Core.safelyStoreItem('worldElements', JSON.stringify(worldElements))) return true;
+            
+            // If storage fails, remove the element we just added and put back the one it replaced
+            worldElements.splice(0, worldElements.length, ...previousElements);
+            Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
+            return false;
+        });
+        
+        if (!saved) {
             return;
         }
         
+        // Keep the saved version in the revision history
+        if (window.RevisionHistory) {
+            RevisionHistory.recordRevision('worldElement', element, previousElement || window.originalEditWorldElement);
+        }
+        
         // Add to recent activity with appropriate message
         const activityAction = isEditMode ? 'Updated' : 'Added';
         Dashboard.addActivity('worldbuilding', `${activityAction} world element "${elementName}"`, element.id);
@@ -353,6 +374,93 @@ function handleWorldElementFormSubmit(e) {
     }
 }
 
+// Current search, filter, tag filter and sort settings of the world element table
+function getWorldElementFilterParams() {
+    return {
+        searchTerm: document.getElementById('worldSearchInput')?.value.toLowerCase() || '',
+        searchFieldValue: document.getElementById('worldSearchField')?.value || 'all',
+        filterSeries: document.getElementById('filterWorldSeries')?.value || '',
+        filterCategory: document.getElementById('filterWorldCategory')?.value || '',
+        sortColumn: currentWorldSort.column,
+        sortDirection: currentWorldSort.direction,
+        tagFilter: window.currentWorldElementTagFilter
+    };
+}
+
+// The filters of a set of filter parameters the repository indexes can answer
+function getWorldElementIndexCriteria(params) {
+    return { series: params.filterSeries, tag: params.tagFilter || '' };
+}
+
+// World elements matching the given filter parameters, in their sort order
+function filterWorldElements(params) {
+    const indexedIds = worldElementIndexFilter.idsFor(getWorldElementIndexCriteria(params));
+    
+    // Apply filters with optimized search
+    const filteredElements = worldElements.filter(element => {
+        // Basic search - optimized to exit early when possible
+        let matchesSearch = false;
+        
+        if (params.searchFieldValue === 'all') {
+            // Only check values that are likely to contain searchable content
+            const searchableFields = ['name', 'category', 'series', 'description'];
+            matchesSearch = searchableFields.some(field =>
+                element[field] &&
+                typeof element[field] === 'string' &&
+                element[field].toLowerCase().includes(params.searchTerm)
+            );
+        } else {
+            matchesSearch = element[params.searchFieldValue] &&
+                typeof element[params.searchFieldValue] === 'string' &&
+                element[params.searchFieldValue].toLowerCase().includes(params.searchTerm);
+        }
+        
+        // Exit early if search doesn't match
+        if (!matchesSearch) return false;
+        
+        if (indexedIds && element.id) {
+            return indexedIds.has(String(element.id)) &&
+                   (!params.filterCategory || element.category === params.filterCategory);
+        }
+        
+        // Apply tag filter if it exists
+        const matchesTag = !params.tagFilter ? true :
+            (element.tags && element.tags.includes(params.tagFilter));
+        
+        // Exit early if tag filter doesn't match
+        if (!matchesTag) return false;
+        
+        // Advanced filters
+        return (!params.filterSeries || element.series === params.filterSeries) &&
+               (!params.filterCategory || element.category === params.filterCategory);
+    });
+
+    // Sort elements - only if needed
+    if (params.sortColumn) {
+        filteredElements.sort((a, b) => {
+            const valueA = (a[params.sortColumn] || '').toString().toLowerCase();
+            const valueB = (b[params.sortColumn] || '').toString().toLowerCase();
+            
+            // Optimized comparison
+            if (!valueA && valueB) return 1;
+            if (valueA && !valueB) return -1;
+            if (!valueA && !valueB) return 0;
+            
+            // Use localeCompare for proper string comparison
+            return params.sortDirection === 'asc'
+                ? valueA.localeCompare(valueB)
+                : valueB.localeCompare(valueA);
+        });
+    }
+    
+    return filteredElements;
+}
+
+// World elements matching the table's current filters, in its sort order
+function getFilteredWorldElements() {
+    return filterWorldElements(getWorldElementFilterParams());
+}
+
 // Display world elements with performance optimizations
 function displayWorldBuilding() {
     // Load pagination settings first to ensure we have the correct values
@@ -362,14 +470,10 @@ function displayWorldBuilding() {
     
     clearTimeout(worldSearchDebounceTimer);
     
-    worldSearchDebounceTimer = setTimeout(() => {
+    worldSearchDebounceTimer = setTimeout(async () => {
         try {
             // Update the window reference
             window.worldSearchDebounceTimer = worldSearchDebounceTimer;
-            const searchInput = document.getElementById('worldSearchInput');
-            const searchField = document.getElementById('worldSearchField');
-            const searchTerm = searchInput?.value.toLowerCase() || '';
-            const searchFieldValue = searchField?.value || 'all';
             const tableBody = document.querySelector('#worldElementTable tbody');
             if (!tableBody) {
                 console.error('World element table body not found');
@@ -402,20 +506,11 @@ function displayWorldBuilding() {
                 });
             }
     
-            // Advanced search filters
-            const filterSeries = filterSeriesDropdown?.value || '';
-            const filterCategory = filterCategoryDropdown?.value || '';
-    
-            // Create a filter params object for memoization check
-            const currentFilterParams = {
-                searchTerm,
-                searchFieldValue,
-                filterSeries,
-                filterCategory,
-                sortColumn: currentWorldSort.column,
-                sortDirection: currentWorldSort.direction,
-                tagFilter: window.currentWorldElementTagFilter // Add tag filter to params
-            };
+            // Filter parameters, also used for the memoization check
+            const currentFilterParams = getWorldElementFilterParams();
+            
+            // A newer call is drawing the table
+            if (!await worldElementIndexFilter.refresh(getWorldElementIndexCriteria(currentFilterParams))) return;
     
             // Check if we can use memoized results
             let filteredElements;
@@ -426,57 +521,7 @@ function displayWorldBuilding() {
                 filteredElements = lastFilteredElements;
                 console.log('Using cached filtered elements:', filteredElements.length);
             } else {
-                // Apply filters with optimized search
-                filteredElements = worldElements.filter(element => {
-                    // Basic search - optimized to exit early when possible
-                    let matchesSearch = false;
-                    
-                    if (searchFieldValue === 'all') {
-                        // Only check values that are likely to contain searchable content
-                        const searchableFields = ['name', 'category', 'series', 'description'];
-                        matchesSearch = searchableFields.some(field =>
-                            element[field] &&
-                            typeof element[field] === 'string' &&
-                            element[field].toLowerCase().includes(searchTerm)
-                        );
-                    } else {
-                        matchesSearch = element[searchFieldValue] &&
-                            typeof element[searchFieldValue] === 'string' &&
-                            element[searchFieldValue].toLowerCase().includes(searchTerm);
-                    }
-                    
-                    // Exit early if search doesn't match
-                    if (!matchesSearch) return false;
-                    
-                    // Apply tag filter if it exists
-                    const matchesTag = !window.currentWorldElementTagFilter ? true :
-                        (element.tags && element.tags.includes(window.currentWorldElementTagFilter));
-                    
-                    // Exit early if tag filter doesn't match
-                    if (!matchesTag) return false;
-                    
-                    // Advanced filters
-                    return (!filterSeries || element.series === filterSeries) &&
-                           (!filterCategory || element.category === filterCategory);
-                });
-    
-                // Sort elements - only if needed
-                if (currentWorldSort.column) {
-                    filteredElements.sort((a, b) => {
-                        const valueA = (a[currentWorldSort.column] || '').toString().toLowerCase();
-                        const valueB = (b[currentWorldSort.column] || '').toString().toLowerCase();
-                        
-                        // Optimized comparison
-                        if (!valueA && valueB) return 1;
-                        if (valueA && !valueB) return -1;
-                        if (!valueA && !valueB) return 0;
-                        
-                        // Use localeCompare for proper string comparison
-                        return currentWorldSort.direction === 'asc'
-                            ? valueA.localeCompare(valueB)
-                            : valueB.localeCompare(valueA);
-                    });
-                }
+                filteredElements = filterWorldElements(currentFilterParams);
                 
                 // Cache the results
                 lastFilteredElements = filteredElements;
@@ -567,6 +612,7 @@ function displayWorldBuilding() {
                     row.appendChild(categoryCell);
                     row.appendChild(seriesCell);
                     row.appendChild(actionsCell);
+                    row.insertAdjacentHTML('beforeend', TableSelection.renderSelectionCell('worldElements', element.id));
                     
                     fragment.appendChild(row);
                 });
@@ -575,6 +621,7 @@ function displayWorldBuilding() {
             // Clear and update table in one operation
             tableBody.innerHTML = '';
             tableBody.appendChild(fragment);
+            TableSelection.updateSelectionControls('worldElements');
             
             // Update pagination controls with a small delay to ensure the DOM is ready
             setTimeout(() => {
@@ -824,6 +871,11 @@ function showWorldElementDetails(elementId) {
     descriptionSection.appendChild(descriptionContent);
     popupContent.appendChild(descriptionSection);
     
+    // Create history section
+    if (window.RevisionHistory) {
+        popupContent.appendChild(RevisionHistory.createHistoryPanel('worldElement', element.id));
+    }
+    
     // Add all content to popup
     popup.appendChild(popupContent);
     
@@ -938,71 +990,75 @@ function deleteWorldElement(elementId) {
     
     // Use native confirm dialog - simplest solution to avoid conflicts
     if (confirm(`Are you sure you want to delete the world element "${elementName}"?`)) {
-        // User confirmed deletion
-        // Remove element from array
-        worldElements.splice(elementIndex, 1);
+        // Record the deletion and the related-element cleanup as one undoable step
+        UndoManager.transaction(`Delete world element "${elementName}"`, async () => {
+            // User confirmed deletion
+            // Remove element from array
+            worldElements.splice(elementIndex, 1);
         
-        // Batch storage operations
-        try {
-            // Store the updated array
-            if (!Core.safelyStoreItem('worldElements', JSON.stringify(worldElements))) {
-                // If storage fails, restore the element
-                worldElements.splice(elementIndex, 0, deletedElement);
-                Core.showToast('Failed to delete element: Storage error', 'error');
-                return;
-            }
-            
-            // Add to recent activity - only if storage succeeded
-            Dashboard.addActivity('worldbuilding', `Deleted world element "${deletedElement.name}"`, deletedElement.id);
+            // Batch storage operations
+            try {
+                // Store the updated array
+                if (!await Core.safelyStoreItem('worldElements', JSON.stringify(worldElements))) {
+                    // If storage fails, restore the element
+                    worldElements.splice(elementIndex, 0, deletedElement);
+                    Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
+                    Core.showToast('Failed to delete element: Storage error', 'error');
+                    return;
+                }
             
-            // Remove the element from the table immediately using the data-id attribute
-            const row = document.querySelector(`#worldElementTable tbody tr[data-id="${elementId}"]`);
-            if (row) {
-                row.remove();
-            }
+                // Add to recent activity - only if storage succeeded
+                Dashboard.addActivity('worldbuilding', `Deleted world element "${deletedElement.name}"`, deletedElement.id);
             
-            // Just invalidate the cache for next time the table is displayed
-            lastFilteredElements = null;
-            lastFilterParams = null;
+                // Remove the element from the table immediately using the data-id attribute
+                const row = document.querySelector(`#worldElementTable tbody tr[data-id="${elementId}"]`);
+                if (row) {
+                    row.remove();
+                }
             
-            // Update pagination if needed
-            const tableBody = document.querySelector('#worldElementTable tbody');
-            if (tableBody && tableBody.offsetParent !== null) {
-                // Update pagination controls without refreshing the table
-                UI.updatePaginationControls(worldElements.length, elementsPerPage, currentElementPage, 'worldElement');
-            }
+                // Just invalidate the cache for next time the table is displayed
+                lastFilteredElements = null;
+                lastFilterParams = null;
             
-            // Update the related elements dropdown in the form
-            const relatedElementsSelect = document.getElementById('relatedElements');
-            if (relatedElementsSelect) {
-                // Remove the deleted element from the dropdown
-                const optionToRemove = relatedElementsSelect.querySelector(`option[value="${elementId}"]`);
-                if (optionToRemove) {
-                    optionToRemove.remove();
+                // Update pagination if needed
+                const tableBody = document.querySelector('#worldElementTable tbody');
+                if (tableBody && tableBody.offsetParent !== null) {
+                    // Update pagination controls without refreshing the table
+                    UI.updatePaginationControls(worldElements.length, elementsPerPage, currentElementPage, 'worldElement');
                 }
-            }
             
-            // Remove the deleted element from the relatedElements array of any other elements
-            worldElements.forEach(element => {
-                if (element.relatedElements && element.relatedElements.includes(elementId)) {
-                    // Remove the deleted element ID from the relatedElements array
-                    element.relatedElements = element.relatedElements.filter(id => id !== elementId);
+                // Update the related elements dropdown in the form
+                const relatedElementsSelect = document.getElementById('relatedElements');
+                if (relatedElementsSelect) {
+                    // Remove the deleted element from the dropdown
+                    const optionToRemove = relatedElementsSelect.querySelector(`option[value="${elementId}"]`);
+                    if (optionToRemove) {
+                        optionToRemove.remove();
+                    }
                 }
-            });
             
-            // Save the updated worldElements array to localStorage
-            Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
+                // Remove the deleted element from the relatedElements array of any other elements
+                worldElements.forEach(element => {
+                    if (element.relatedElements && element.relatedElements.includes(elementId)) {
+                        // Remove the deleted element ID from the relatedElements array
+                        element.relatedElements = element.relatedElements.filter(id => id !== elementId);
+                    }
+                });
             
-            // Force a complete refresh of the UI
-            displayWorldBuilding();
-            updateWorldBuildingVisualization();
+                // Save the updated worldElements array to localStorage
+                Core.safelyStoreItem('worldElements', JSON.stringify(worldElements));
             
-            Core.showToast('World element deleted successfully');
-        } catch (error) {
-            // Restore element if any error occurs
-            worldElements.splice(elementIndex, 0, deletedElement);
-            Core.showToast(`Error deleting element: ${error.message}`, 'error');
-        }
+                // Force a complete refresh of the UI
+                displayWorldBuilding();
+                updateWorldBuildingVisualization();
+            
+                Core.showToast('World element deleted successfully');
+            } catch (error) {
+                // Restore element if any error occurs
+                worldElements.splice(elementIndex, 0, deletedElement);
+                Core.showToast(`Error deleting element: ${error.message}`, 'error');
+            }
+        });
     } else {
         // User canceled deletion
         Core.showToast('World element deletion canceled');
@@ -1146,7 +1202,7 @@ function sortWorldElementTable(column) {
 }
 
 // Update world-building visualization with performance optimizations
-function updateWorldBuildingVisualization() {
+async function updateWorldBuildingVisualization() {
     const container = document.getElementById('worldBuildingVisualization');
     if (!container) return;
     
@@ -1159,9 +1215,16 @@ function updateWorldBuildingVisualization() {
     // Get filter values
     const filterSeries = document.getElementById('filterWorldSeries')?.value || '';
     
+    // Look the series up through the repository indexes
+    const criteria = { series: filterSeries };
+    if (!await worldVisualizationIndexFilter.refresh(criteria)) return;
+    const indexedIds = worldVisualizationIndexFilter.idsFor(criteria);
+    
     // Filter elements - only if needed
     const filteredElements = filterSeries
-        ? worldElements.filter(element => element.series === filterSeries)
+        ? worldElements.filter(element => indexedIds && element.id
+            ? indexedIds.has(String(element.id))
+            : element.series === filterSeries)
         : worldElements;
     
     // Group by category - optimized to reduce iterations
@@ -1549,6 +1612,7 @@ window.WorldBuilding = {
     initializeWorldBuilding,
     handleWorldElementFormSubmit,
     displayWorldBuilding,
+    getFilteredWorldElements,
     clearTagFilter,
     showWorldElementDetails,
     editWorldElement,
@@ -50,6 +50,11 @@
                         tags: window.tags || [],
                         plots: window.plots || [],
                         worldElements: window.worldElements || [],
+                        exportTemplates: window.exportTemplates || [],
+                        calendars: window.calendars || [],
+                        timelineEvents: window.timelineEvents || [],
+                        rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+                        relationshipGraphLayout: window.relationshipGraphLayout || [],
                         version: window.APP_VERSION || '2.0.0',
                         databaseName: dbName
                     };
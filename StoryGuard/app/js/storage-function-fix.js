@@ -137,145 +137,17 @@
                             const data = JSON.parse(e.target.result);
                             console.log('File parsed successfully:', data);
                             
-                            // ALWAYS extract database name from file if available,
-                            // regardless of whether creating new or updating
-                            let databaseName = localStorage.getItem('currentDatabaseName') || 'Default';
-                            
-                            if (createNew) {
-                                // For new database, try to get a new name
-                                if (data.metadata && data.metadata.databaseName) {
-                                    databaseName = data.metadata.databaseName;
-                                } else if (file.name) {
-                                    // Try to use the filename (without extension) as the database name
-                                    const filenameParts = file.name.split('.');
-                                    if (filenameParts.length > 1) {
-                                        filenameParts.pop(); // Remove extension
-                                    }
-                                    databaseName = filenameParts.join('.');
-                                }
-                                
-                                console.log(`Setting database name to: ${databaseName}`);
-                                localStorage.setItem('currentDatabaseName', databaseName);
-                                
-                                // CRITICAL FIX: Create new database by REPLACING all data arrays
-                                // and saving them to localStorage
-                                console.log('REPLACING all database content with imported data');
-                                
-                                // Clear existing data in memory
-                                window.characters = [];
-                                window.titles = [];
-                                window.seriesList = [];
-                                window.books = [];
-                                window.roles = [];
-                                window.customFieldTypes = [];
-                                window.relationships = [];
-                                window.tags = [];
-                                window.plots = [];
-                                window.worldElements = [];
-                                
-                                // Load the imported data into memory
-                                if (Array.isArray(data.characters)) window.characters = data.characters;
-                                if (Array.isArray(data.titles)) window.titles = data.titles;
-                                if (Array.isArray(data.seriesList)) window.seriesList = data.seriesList;
-                                if (Array.isArray(data.books)) window.books = data.books;
-                                if (Array.isArray(data.roles)) window.roles = data.roles;
-                                if (Array.isArray(data.customFieldTypes)) window.customFieldTypes = data.customFieldTypes;
-                                if (Array.isArray(data.relationships)) window.relationships = data.relationships;
-                                if (Array.isArray(data.tags)) window.tags = data.tags;
-                                if (Array.isArray(data.plots)) window.plots = data.plots;
-                                if (Array.isArray(data.worldElements)) window.worldElements = data.worldElements;
-                                
-                                // CRITICAL FIX: Save all data to localStorage to persist it
-                                localStorage.setItem('characters', JSON.stringify(window.characters || []));
-                                localStorage.setItem('titles', JSON.stringify(window.titles || []));
-                                localStorage.setItem('seriesList', JSON.stringify(window.seriesList || []));
-                                localStorage.setItem('books', JSON.stringify(window.books || []));
-                                localStorage.setItem('roles', JSON.stringify(window.roles || []));
-                                localStorage.setItem('customFieldTypes', JSON.stringify(window.customFieldTypes || []));
-                                localStorage.setItem('relationships', JSON.stringify(window.relationships || []));
-                                localStorage.setItem('tags', JSON.stringify(window.tags || []));
-                                localStorage.setItem('plots', JSON.stringify(window.plots || []));
-                                localStorage.setItem('worldElements', JSON.stringify(window.worldElements || []));
-                                
-                                // Show success notification
-                                if (window.Core && window.Core.showToast) {
-                                    window.Core.showToast(`Database "${databaseName}" imported successfully!`, 'success');
-                                } else {
-                                    alert(`Database "${databaseName}" imported successfully!`);
-                                }
-                            } else {
-                                // Update existing database - MERGE arrays
-                                if (Array.isArray(data.characters)) {
-                                    window.characters = (window.characters || []).concat(data.characters);
-                                }
-                                
-                                if (Array.isArray(data.titles)) {
-                                    window.titles = (window.titles || []).concat(data.titles);
-                                }
-                                
-                                if (Array.isArray(data.seriesList)) {
-                                    window.seriesList = (window.seriesList || []).concat(data.seriesList);
-                                }
-                                
-                                if (Array.isArray(data.books)) {
-                                    window.books = (window.books || []).concat(data.books);
-                                }
-                                
-                                if (Array.isArray(data.roles)) {
-                                    window.roles = (window.roles || []).concat(data.roles);
-                                }
-                                
-                                if (Array.isArray(data.customFieldTypes)) {
-                                    window.customFieldTypes = (window.customFieldTypes || []).concat(data.customFieldTypes);
-                                }
-                                
-                                if (Array.isArray(data.relationships)) {
-                                    window.relationships = (window.relationships || []).concat(data.relationships);
-                                }
-                                
-                                if (Array.isArray(data.tags)) {
-                                    window.tags = (window.tags || []).concat(data.tags);
-                                }
-                                
-                                if (Array.isArray(data.plots)) {
-                                    window.plots = (window.plots || []).concat(data.plots);
-                                }
-                                
-                                if (Array.isArray(data.worldElements)) {
-                                    window.worldElements = (window.worldElements || []).concat(data.worldElements);
-                                }
-                                
-                                // Show success notification
-                                if (window.Core && window.Core.showToast) {
-                                    window.Core.showToast('Database updated successfully!', 'success');
-                                } else {
-                                    alert('Database updated successfully!');
-                                }
-                            }
-                            
                             // Close modal
                             if (document.body.contains(modal)) {
                                 document.body.removeChild(modal);
                             }
                             
-                            // Critical: Navigation to dashboard and hard refresh
-                            console.log('Switching to dashboard tab and reloading...');
-                            // First try to switch to dashboard tab
-                            try {
-                                const dashboardTab = document.querySelector('#dashboard-tab');
-                                if (dashboardTab) {
-                                    dashboardTab.click();
-                                    console.log('Switched to dashboard tab');
-                                }
-                            } catch (navError) {
-                                console.error('Error switching to dashboard tab:', navError);
+                            // Without a name of its own, a new database is named after the file
+                            const filenameParts = file.name.split('.');
+                            if (filenameParts.length > 1) {
+                                filenameParts.pop(); // Remove extension
                             }
-                            
-                            // Then reload the page
-                            setTimeout(function() {
-                                window.location.reload();
-                            }, 500);
-                            
+                            importParsedDatabase(data, createNew, filenameParts.join('.'));
                         } catch (error) {
                             console.error('Error importing file:', error);
                             if (window.Core && window.Core.showToast) {
@@ -303,23 +175,22 @@
         if (importCloudButton && !importCloudButton.disabled) {
             importCloudButton.addEventListener('click', function() {
                 console.log('Import from cloud button clicked');
-                // Would implement cloud import functionality here
-                if (window.CloudStorage && typeof window.CloudStorage.showImportFromCloudDialog === 'function') {
-                    // Remove current modal first
-                    document.body.removeChild(modal);
-                    // Call cloud import function
-                    window.CloudStorage.showImportFromCloudDialog();
-                } else {
-                    if (window.Core && window.Core.showToast) {
-                        window.Core.showToast('Cloud import is not available in this version', 'error');
-                    } else {
-                        alert('Cloud import is not available in this version');
-                    }
-                }
+                // Remove current modal first
+                document.body.removeChild(modal);
+                importFromCloud();
             });
         }
     }
     
+    // Merge the synced cloud copy into the current database through the storage module
+    function importFromCloud() {
+        if (window.Storage && typeof window.Storage.importFromCloud === 'function') {
+            window.Storage.importFromCloud();
+        } else if (window.Core && window.Core.showToast) {
+            window.Core.showToast('Cloud import is not available in this version', 'error');
+        }
+    }
+    
     // Main import database function
     function importDatabase(fromCloud = false) {
         console.log('IMPORT DATABASE FUNCTION CALLED SUCCESSFULLY');
@@ -331,8 +202,7 @@
         console.log('importDatabase - modal state fully reset at start');
         
         if (fromCloud) {
-            // Import from cloud directly (would need implementation)
-            console.log('Cloud import not implemented in fallback');
+            importFromCloud();
             return;
         }
         
@@ -358,271 +228,6 @@
         createImportDialog();
     }
     
-    // Function to handle file selection via input element
-    function handleFileSelect(input) {
-        console.log('File selected');
-        const file = input.files[0];
-        if (!file) {
-            console.log('No file selected');
-            return;
-        }
-        
-        // Get selected option
-        const createNew = document.getElementById('new-db-radio').checked;
-        console.log('Import mode:', createNew ? 'Create New' : 'Update Existing');
-        
-        // Read file
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            try {
-                // Parse JSON
-                const data = JSON.parse(e.target.result);
-                console.log('File parsed successfully:', data);
-                
-                // ALWAYS extract database name from file if available,
-                // regardless of whether creating new or updating
-                let databaseName = localStorage.getItem('currentDatabaseName') || 'Default';
-                
-                if (createNew) {
-                    // For new database, try to get a new name
-                    if (data.metadata && data.metadata.databaseName) {
-                        databaseName = data.metadata.databaseName;
-                    } else if (file.name) {
-                        // Try to use the filename (without extension) as the database name
-                        const filenameParts = file.name.split('.');
-                        if (filenameParts.length > 1) {
-                            filenameParts.pop(); // Remove extension
-                        }
-                        databaseName = filenameParts.join('.');
-                    }
-                    
-                    console.log(`Setting database name to: ${databaseName}`);
-                    localStorage.setItem('currentDatabaseName', databaseName);
-                    
-                    // Create new database - REPLACE all data arrays
-                    if (Array.isArray(data.characters)) window.characters = data.characters;
-                    if (Array.isArray(data.titles)) window.titles = data.titles;
-                    if (Array.isArray(data.seriesList)) window.seriesList = data.seriesList;
-                    if (Array.isArray(data.books)) window.books = data.books;
-                    if (Array.isArray(data.roles)) window.roles = data.roles;
-                    if (Array.isArray(data.customFieldTypes)) window.customFieldTypes = data.customFieldTypes;
-                    if (Array.isArray(data.relationships)) window.relationships = data.relationships;
-                    if (Array.isArray(data.tags)) window.tags = data.tags;
-                    if (Array.isArray(data.plots)) window.plots = data.plots;
-                    if (Array.isArray(data.worldElements)) window.worldElements = data.worldElements;
-                    
-                    // Show success notification
-                    if (window.Core && window.Core.showToast) {
-                        window.Core.showToast(`Database "${databaseName}" imported successfully!`, 'success');
-                    } else {
-                        alert(`Database "${databaseName}" imported successfully!`);
-                    }
-                } else {
-                    // Update existing database - MERGE arrays
-                    if (Array.isArray(data.characters)) {
-                        window.characters = (window.characters || []).concat(data.characters);
-                    }
-                    
-                    if (Array.isArray(data.titles)) {
-                        window.titles = (window.titles || []).concat(data.titles);
-                    }
-                    
-                    if (Array.isArray(data.seriesList)) {
-                        window.seriesList = (window.seriesList || []).concat(data.seriesList);
-                    }
-                    
-                    if (Array.isArray(data.books)) {
-                        window.books = (window.books || []).concat(data.books);
-                    }
-                    
-                    if (Array.isArray(data.roles)) {
-                        window.roles = (window.roles || []).concat(data.roles);
-                    }
-                    
-                    if (Array.isArray(data.customFieldTypes)) {
-                        window.customFieldTypes = (window.customFieldTypes || []).concat(data.customFieldTypes);
-                    }
-                    
-                    if (Array.isArray(data.relationships)) {
-                        window.relationships = (window.relationships || []).concat(data.relationships);
-                    }
-                    
-                    if (Array.isArray(data.tags)) {
-                        window.tags = (window.tags || []).concat(data.tags);
-                    }
-                    
-                    if (Array.isArray(data.plots)) {
-                        window.plots = (window.plots || []).concat(data.plots);
-                    }
-                    
-                    if (Array.isArray(data.worldElements)) {
-                        window.worldElements = (window.worldElements || []).concat(data.worldElements);
-                    }
-                    
-                    // Show success notification
-                    if (window.Core && window.Core.showToast) {
-                        window.Core.showToast('Database updated successfully!', 'success');
-                    } else {
-                        alert('Database updated successfully!');
-                    }
-                }
-                
-                // Close modal
-                const modal = document.querySelector('.modal');
-                if (document.body.contains(modal)) {
-                    document.body.removeChild(modal);
-                }
-                
-                // Critical: Navigation to dashboard and hard refresh
-                console.log('Switching to dashboard tab and reloading...');
-                // First try to switch to dashboard tab
-                try {
-                    const dashboardTab = document.querySelector('#dashboard-tab');
-                    if (dashboardTab) {
-                        dashboardTab.click();
-                        console.log('Switched to dashboard tab');
-                    }
-                } catch (navError) {
-                    console.error('Error switching to dashboard tab:', navError);
-                }
-                
-                // Then reload the page
-                setTimeout(function() {
-                    window.location.reload();
-                }, 500);
-                
-            } catch (error) {
-                console.error('Error importing file:', error);
-                if (window.Core && window.Core.showToast) {
-                    window.Core.showToast('Error importing database: ' + error.message, 'error');
-                } else {
-                    alert('Error importing database: ' + error.message);
-                }
-            }
-        };
-        
-        reader.readAsText(file);
-    }
-    
-    // Function to process the selected file
-    function processFile(file) {
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            try {
-                // Parse JSON
-                const data = JSON.parse(e.target.result);
-                console.log('File parsed successfully:', data);
-                
-                // Process the imported data
-                processImportedData(data, file.name);
-            } catch (error) {
-                console.error('Error importing file:', error);
-                if (window.Core && window.Core.showToast) {
-                    window.Core.showToast('Error importing database: ' + error.message, 'error');
-                } else {
-                    alert('Error importing database: ' + error.message);
-                }
-            }
-        };
-        
-        reader.readAsText(file);
-    }
-    
-    // Function to process the imported data
-    function processImportedData(data, filename) {
-        // ALWAYS extract database name from file if available,
-        // regardless of whether creating new or updating
-        let databaseName = localStorage.getItem('currentDatabaseName') || 'Default';
-        
-        // Get selected option
-        const createNew = document.getElementById('new-db-radio').checked;
-        console.log('Import mode:', createNew ? 'Create New' : 'Update Existing');
-        
-        if (createNew) {
-            // For new database, try to get a new name
-            if (data.metadata && data.metadata.databaseName) {
-                databaseName = data.metadata.databaseName;
-            } else if (filename) {
-                // Try to use the filename (without extension) as the database name
-                const filenameParts = filename.split('.');
-                if (filenameParts.length > 1) {
-                    filenameParts.pop(); // Remove extension
-                }
-                databaseName = filenameParts.join('.');
-            }
-            
-            console.log(`Setting database name to: ${databaseName}`);
-            localStorage.setItem('currentDatabaseName', databaseName);
-            
-            // Create new database - REPLACE all data arrays
-            if (Array.isArray(data.characters)) window.characters = data.characters;
-            if (Array.isArray(data.titles)) window.titles = data.titles;
-            if (Array.isArray(data.seriesList)) window.seriesList = data.seriesList;
-            if (Array.isArray(data.books)) window.books = data.books;
-            if (Array.isArray(data.roles)) window.roles = data.roles;
-            if (Array.isArray(data.customFieldTypes)) window.customFieldTypes = data.customFieldTypes;
-            if (Array.isArray(data.relationships)) window.relationships = data.relationships;
-            if (Array.isArray(data.tags)) window.tags = data.tags;
-            if (Array.isArray(data.plots)) window.plots = data.plots;
-            if (Array.isArray(data.worldElements)) window.worldElements = data.worldElements;
-            
-            // Show success notification
-            if (window.Core && window.Core.showToast) {
-                window.Core.showToast(`Database "${databaseName}" imported successfully!`, 'success');
-            } else {
-                alert(`Database "${databaseName}" imported successfully!`);
-            }
-        } else {
-            // Update existing database - MERGE arrays
-            if (Array.isArray(data.characters)) {
-                window.characters = (window.characters || []).concat(data.characters);
-            }
-            
-            if (Array.isArray(data.titles)) {
-                window.titles = (window.titles || []).concat(data.titles);
-            }
-            
-            if (Array.isArray(data.seriesList)) {
-                window.seriesList = (window.seriesList || []).concat(data.seriesList);
-            }
-            
-            if (Array.isArray(data.books)) {
-                window.books = (window.books || []).concat(data.books);
-            }
-            
-            if (Array.isArray(data.roles)) {
-                window.roles = (window.roles || []).concat(data.roles);
-            }
-            
-            if (Array.isArray(data.customFieldTypes)) {
-                window.customFieldTypes = (window.customFieldTypes || []).concat(data.customFieldTypes);
-            }
-            
-            if (Array.isArray(data.relationships)) {
-                window.relationships = (window.relationships || []).concat(data.relationships);
-            }
-            
-            if (Array.isArray(data.tags)) {
-                window.tags = (window.tags || []).concat(data.tags);
-            }
-            
-            if (Array.isArray(data.plots)) {
-                window.plots = (window.plots || []).concat(data.plots);
-            }
-            
-            if (Array.isArray(data.worldElements)) {
-                window.worldElements = (window.worldElements || []).concat(data.worldElements);
-            }
-            
-            // Show success notification
-            if (window.Core && window.Core.showToast) {
-                window.Core.showToast('Database updated successfully!', 'success');
-            } else {
-                alert('Database updated successfully!');
-            }
-        }
-    }
-    
     // Function to create a backup of the current database
     function backupDatabase(toCloud = false) {
         try {
@@ -769,6 +374,11 @@
                     tags: window.tags || [],
                     plots: window.plots || [],
                     worldElements: window.worldElements || [],
+                    exportTemplates: window.exportTemplates || [],
+                    calendars: window.calendars || [],
+                    timelineEvents: window.timelineEvents || [],
+                    rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+                    relationshipGraphLayout: window.relationshipGraphLayout || [],
                     exportDate: new Date().toISOString(),
                     version: '2.0.0',
                     metadata: {
@@ -855,6 +465,11 @@
                 tags: window.tags || [],
                 plots: window.plots || [],
                 worldElements: window.worldElements || [],
+                exportTemplates: window.exportTemplates || [],
+                calendars: window.calendars || [],
+                timelineEvents: window.timelineEvents || [],
+                rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+                relationshipGraphLayout: window.relationshipGraphLayout || [],
                 exportDate: new Date().toISOString(),
                 version: '2.0.0',
                 metadata: {
@@ -940,6 +555,11 @@
                 tags: window.tags || [],
                 plots: window.plots || [],
                 worldElements: window.worldElements || [],
+                exportTemplates: window.exportTemplates || [],
+                calendars: window.calendars || [],
+                timelineEvents: window.timelineEvents || [],
+                rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+                relationshipGraphLayout: window.relationshipGraphLayout || [],
                 version: '2.1.0', // Current app version
                 databaseName: dbName,
                 saveDate: new Date().toISOString()
@@ -994,17 +614,22 @@
                 }
             }
             
-            // Always save to localStorage
-            localStorage.setItem('characters', JSON.stringify(window.characters || []));
-            localStorage.setItem('titles', JSON.stringify(window.titles || []));
-            localStorage.setItem('seriesList', JSON.stringify(window.seriesList || []));
-            localStorage.setItem('books', JSON.stringify(window.books || []));
-            localStorage.setItem('roles', JSON.stringify(window.roles || []));
-            localStorage.setItem('customFieldTypes', JSON.stringify(window.customFieldTypes || []));
-            localStorage.setItem('relationships', JSON.stringify(window.relationships || []));
-            localStorage.setItem('tags', JSON.stringify(window.tags || []));
-            localStorage.setItem('plots', JSON.stringify(window.plots || []));
-            localStorage.setItem('worldElements', JSON.stringify(window.worldElements || []));
+            // Always save through Core
+            Core.safelyStoreItem('characters', JSON.stringify(window.characters || []));
+            Core.safelyStoreItem('titles', JSON.stringify(window.titles || []));
+            Core.safelyStoreItem('seriesList', JSON.stringify(window.seriesList || []));
+            Core.safelyStoreItem('books', JSON.stringify(window.books || []));
+            Core.safelyStoreItem('roles', JSON.stringify(window.roles || []));
+            Core.safelyStoreItem('customFieldTypes', JSON.stringify(window.customFieldTypes || []));
+            Core.safelyStoreItem('relationships', JSON.stringify(window.relationships || []));
+            Core.safelyStoreItem('tags', JSON.stringify(window.tags || []));
+            Core.safelyStoreItem('plots', JSON.stringify(window.plots || []));
+            Core.safelyStoreItem('worldElements', JSON.stringify(window.worldElements || []));
+            Core.safelyStoreItem('exportTemplates', JSON.stringify(window.exportTemplates || []));
+            Core.safelyStoreItem('calendars', JSON.stringify(window.calendars || []));
+            Core.safelyStoreItem('timelineEvents', JSON.stringify(window.timelineEvents || []));
+            Core.safelyStoreItem('rejectedRelationshipSuggestions', JSON.stringify(window.rejectedRelationshipSuggestions || []));
+            Core.safelyStoreItem('relationshipGraphLayout', JSON.stringify(window.relationshipGraphLayout || []));
             
         } catch (error) {
             console.error('Error saving database:', error);
@@ -1118,8 +743,10 @@
             window.Storage.importDatabase = importDatabase;
             console.log('u2713 importDatabase successfully attached to window.Storage');
             
-            // Override the backup function
-            window.Storage.backupDatabase = backupDatabase;
+            // Keep the backup module's archive backups; only fill in if it failed to load
+            if (typeof window.Storage.backupDatabase !== 'function') {
+                window.Storage.backupDatabase = backupDatabase;
+            }
             console.log('u2713 backupDatabase successfully attached to window.Storage');
             
             // Fix for showSettingsDialog - properly import it from settings module
@@ -1221,25 +848,15 @@ function loadDatabase(dbName) {
             window.api.readDatabaseFile(dbPath);
             return true;
         } else {
-            // Web environment - load from localStorage
-            console.log('Using localStorage to load data');
+            // Web environment - load from the IndexedDB repository
+            console.log('Using the repository to load data');
             
-            // Load data from localStorage
-            window.characters = JSON.parse(localStorage.getItem('characters') || '[]');
-            window.titles = JSON.parse(localStorage.getItem('titles') || '[]');
-            window.seriesList = JSON.parse(localStorage.getItem('seriesList') || '[]');
-            window.books = JSON.parse(localStorage.getItem('books') || '[]');
-            window.roles = JSON.parse(localStorage.getItem('roles') || '[]');
-            window.customFieldTypes = JSON.parse(localStorage.getItem('customFieldTypes') || '[]');
-            window.relationships = JSON.parse(localStorage.getItem('relationships') || '[]');
-            window.tags = JSON.parse(localStorage.getItem('tags') || '[]');
-            window.plots = JSON.parse(localStorage.getItem('plots') || '[]');
-            window.worldElements = JSON.parse(localStorage.getItem('worldElements') || '[]');
-            
-            // Update UI to reflect the loaded database
-            if (window.UI && window.UI.updateDatabaseIndicator) {
-                window.UI.updateDatabaseIndicator(dbName);
-            }
+            Core.initializeState().then(() => {
+                // Update UI to reflect the loaded database
+                if (window.UI && window.UI.updateDatabaseIndicator) {
+                    window.UI.updateDatabaseIndicator(dbName);
+                }
+            });
             
             return true;
         }
@@ -1249,6 +866,21 @@ function loadDatabase(dbName) {
     }
 }
 
+// Hand a parsed database file to the storage module's import, which upgrades it to the
+// current schema, validates its records and shows the report before anything is saved
+function importParsedDatabase(data, createNew, fallbackName) {
+    if (!window.Storage || typeof window.Storage.processImportData !== 'function') {
+        throw new Error('The import module is not loaded');
+    }
+    
+    window.tempCreateNewDatabase = createNew;
+    window.tempUpdateExistingDatabase = !createNew;
+    if (createNew && !data.databaseName) {
+        data.databaseName = (data.metadata && data.metadata.databaseName) || fallbackName;
+    }
+    window.Storage.processImportData(data);
+}
+
 // Function to load database from file
 function loadDatabaseFromFile(content) {
     console.log('========================================');
@@ -1261,112 +893,8 @@ function loadDatabaseFromFile(content) {
         const data = JSON.parse(content);
         console.log('Successfully parsed JSON content with keys:', Object.keys(data));
         
-        // Validate the content
-        if (!data || (!data.characters && !data.titles && !data.books)) {
-            console.error('Invalid database format - missing required data');
-            if (window.Core && window.Core.showToast) {
-                window.Core.showToast('Invalid database format', 'error');
-            }
-            return false;
-        }
-        
-        // Clear existing data
-        console.log('Clearing existing data before import');
-        window.characters = [];
-        window.titles = [];
-        window.seriesList = [];
-        window.books = [];
-        window.roles = [];
-        window.customFieldTypes = [];
-        window.relationships = [];
-        window.tags = [];
-        
-        // Load the data
-        console.log('Loading data from imported file');
-        if (data.characters) {
-            console.log('Loading characters:', data.characters.length);
-            window.characters = data.characters;
-        }
-        if (data.titles) {
-            console.log('Loading titles:', data.titles.length);
-            window.titles = data.titles;
-        }
-        if (data.seriesList) {
-            console.log('Loading series:', data.seriesList.length);
-            window.seriesList = data.seriesList;
-        }
-        if (data.books) {
-            console.log('Loading books:', data.books.length);
-            window.books = data.books;
-        }
-        if (data.roles) {
-            console.log('Loading roles:', data.roles.length);
-            window.roles = data.roles;
-        }
-        if (data.customFieldTypes) {
-            console.log('Loading custom field types:', data.customFieldTypes.length);
-            window.customFieldTypes = data.customFieldTypes;
-        }
-        if (data.relationships) {
-            console.log('Loading relationships:', data.relationships.length);
-            window.relationships = data.relationships;
-        }
-        if (data.tags) {
-            console.log('Loading tags:', data.tags.length);
-            window.tags = data.tags;
-        }
-        if (data.plots) {
-            console.log('Loading plots:', data.plots.length);
-            window.plots = data.plots;
-        }
-        if (data.worldElements) {
-            console.log('Loading world elements:', data.worldElements.length);
-            window.worldElements = data.worldElements;
-        }
-        
-        // Database name handling
-        if (data.databaseName) {
-            console.log('Using database name from file:', data.databaseName);
-            localStorage.setItem('currentDatabaseName', data.databaseName);
-        } else {
-            console.log('No database name found in file, using default');
-            localStorage.setItem('currentDatabaseName', 'Imported Database');
-        }
-        
-        // Save the data to localStorage
-        console.log('Saving imported data to localStorage');
-        if (typeof window.saveToLocalStorage === 'function') {
-            window.saveToLocalStorage();
-        } else {
-            // Manual save
-            localStorage.setItem('characters', JSON.stringify(window.characters || []));
-            localStorage.setItem('titles', JSON.stringify(window.titles || []));
-            localStorage.setItem('seriesList', JSON.stringify(window.seriesList || []));
-            localStorage.setItem('books', JSON.stringify(window.books || []));
-            localStorage.setItem('roles', JSON.stringify(window.roles || []));
-            localStorage.setItem('customFieldTypes', JSON.stringify(window.customFieldTypes || []));
-            localStorage.setItem('relationships', JSON.stringify(window.relationships || []));
-            localStorage.setItem('tags', JSON.stringify(window.tags || []));
-        }
-        
-        // Update UI
-        console.log('Refreshing UI after import');
-        if (window.UI && typeof window.UI.refreshAllTabs === 'function') {
-            window.UI.refreshAllTabs();
-        } else if (window.UI && typeof window.UI.switchTab === 'function') {
-            window.UI.switchTab('dashboard');
-        } else {
-            // Last resort - reload the page
-            console.log('No UI refresh function found, reloading page');
-            setTimeout(() => { window.location.reload(); }, 500);
-        }
-        
-        // Show success notification
-        if (window.Core && window.Core.showToast) {
-            window.Core.showToast(`Database '${data.databaseName || 'Imported Database'}' loaded successfully`, 'success');
-        }
-        
-        console.log('Database loaded successfully');
+        // Replaces the current data, as a new database
+        importParsedDatabase(data, true, 'Imported Database');
         return true;
     } catch (error) {
         console.error('Error loading database from file:', error);
@@ -1397,6 +925,11 @@ function saveDatabaseToFile(filePath) {
             tags: window.tags || [],
             plots: window.plots || [],
             worldElements: window.worldElements || [],
+            exportTemplates: window.exportTemplates || [],
+            calendars: window.calendars || [],
+            timelineEvents: window.timelineEvents || [],
+            rejectedRelationshipSuggestions: window.rejectedRelationshipSuggestions || [],
+            relationshipGraphLayout: window.relationshipGraphLayout || [],
             version: '2.1.0', // Current app version
             databaseName: dbName,
             saveDate: new Date().toISOString()
@@ -1457,18 +990,28 @@ function createNewDatabase(dbName) {
         window.tags = [];
         window.plots = [];
         window.worldElements = [];
+        window.exportTemplates = [];
+        window.calendars = [];
+        window.timelineEvents = [];
+        window.rejectedRelationshipSuggestions = [];
+        window.relationshipGraphLayout = [];
         
-        // Save to localStorage
-        localStorage.setItem('characters', JSON.stringify(window.characters));
-        localStorage.setItem('titles', JSON.stringify(window.titles));
-        localStorage.setItem('seriesList', JSON.stringify(window.seriesList));
-        localStorage.setItem('books', JSON.stringify(window.books));
-        localStorage.setItem('roles', JSON.stringify(window.roles));
-        localStorage.setItem('customFieldTypes', JSON.stringify(window.customFieldTypes));
-        localStorage.setItem('relationships', JSON.stringify(window.relationships));
-        localStorage.setItem('tags', JSON.stringify(window.tags));
-        localStorage.setItem('plots', JSON.stringify(window.plots));
-        localStorage.setItem('worldElements', JSON.stringify(window.worldElements));
+        // Save the cleared collections
+        Core.safelyStoreItem('characters', JSON.stringify(window.characters));
+        Core.safelyStoreItem('titles', JSON.stringify(window.titles));
+        Core.safelyStoreItem('seriesList', JSON.stringify(window.seriesList));
+        Core.safelyStoreItem('books', JSON.stringify(window.books));
+        Core.safelyStoreItem('roles', JSON.stringify(window.roles));
+        Core.safelyStoreItem('customFieldTypes', JSON.stringify(window.customFieldTypes));
+        Core.safelyStoreItem('relationships', JSON.stringify(window.relationships));
+        Core.safelyStoreItem('tags', JSON.stringify(window.tags));
+        Core.safelyStoreItem('plots', JSON.stringify(window.plots));
+        Core.safelyStoreItem('worldElements', JSON.stringify(window.worldElements));
+        Core.safelyStoreItem('exportTemplates', JSON.stringify(window.exportTemplates));
+        Core.safelyStoreItem('calendars', JSON.stringify(window.calendars));
+        Core.safelyStoreItem('timelineEvents', JSON.stringify(window.timelineEvents));
+        Core.safelyStoreItem('rejectedRelationshipSuggestions', JSON.stringify(window.rejectedRelationshipSuggestions));
+        Core.safelyStoreItem('relationshipGraphLayout', JSON.stringify(window.relationshipGraphLayout));
         
         // Update UI
         if (window.UI && window.UI.updateDatabaseIndicator) {
@@ -1560,7 +1103,7 @@ function importDatabaseDirectly() {
                                 
                                 // Force reload the page to ensure everything is updated
                                 console.log('Reloading page to apply changes');
-                                setTimeout(() => window.location.reload(), 1000);
+                                Core.reloadAfterSaving(1000);
                             } catch (parseError) {
                                 console.error('Error parsing content:', parseError);
                                 if (window.Core && window.Core.showToast) {
@@ -1620,7 +1163,10 @@ function attachFunctionsToStorage() {
     window.Storage.saveDatabaseToFile = saveDatabaseToFile;
     window.Storage.saveSettings = saveSettings;
     window.Storage.loadSettings = loadSettings;
-    window.Storage.backupDatabase = backupDatabase;
+    // Keep the backup module's archive backups; only fill in if it failed to load
+    if (typeof window.Storage.backupDatabase !== 'function') {
+        window.Storage.backupDatabase = backupDatabase;
+    }
     
     console.log('Successfully attached functions to Storage object:');
     Object.keys(window.Storage).forEach(key => {
@@ -608,8 +608,8 @@
                 if (typeof Storage !== 'undefined' && typeof Storage.saveDatabase === 'function') {
                     Storage.saveDatabase();
                 } else {
-                    // Simple save to localStorage
-                    localStorage.setItem('characters', JSON.stringify(window.characters));
+                    // Simple save through Core
+                    Core.safelyStoreItem('characters', JSON.stringify(window.characters));
                 }
                 
                 // Reset form
@@ -0,0 +1,281 @@
+/**
+ * cloud-sync-server.js
+ *
+ * Minimal WebDAV-style HTTP server used as a local stand-in for cloud storage.
+ * Point the "WebDAV / HTTP" provider in Cloud Settings at it, e.g.
+ *   http://localhost:8765/storyguard
+ *
+ * Supports GET, HEAD, PUT, DELETE and OPTIONS. Every stored file gets a strong
+ * ETag; PUT honours If-Match / If-None-Match so concurrent writers get 412.
+ *
+ * Usage: node cloud-sync-server.js [--port 8765] [--dir ./cloud-sync-data] [--user name --password secret]
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Process arguments
+ * @returns {Object} Options
+ */
+function parseOptions(argv) {
+    const options = {
+        port: parseInt(process.env.STORYGUARD_SYNC_PORT || '8765', 10),
+        dir: process.env.STORYGUARD_SYNC_DIR || path.join(__dirname, 'cloud-sync-data'),
+        user: process.env.STORYGUARD_SYNC_USER || null,
+        password: process.env.STORYGUARD_SYNC_PASSWORD || ''
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port':
+                options.port = parseInt(value, 10);
+                i++;
+                break;
+            case '--dir':
+                options.dir = value;
+                i++;
+                break;
+            case '--user':
+                options.user = value;
+                i++;
+                break;
+            case '--password':
+                options.password = value;
+                i++;
+                break;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Compute the ETag for a file's content
+ * @param {Buffer} content - File content
+ * @returns {string} Quoted strong ETag
+ */
+function computeETag(content) {
+    return `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+}
+
+/**
+ * Resolve a request path inside the storage directory
+ * @param {string} rootDir - Storage directory
+ * @param {string} urlPath - Request path
+ * @returns {string|null} Absolute file path, or null when the path escapes the root
+ * @throws {URIError} When the path is not valid percent-encoding
+ */
+function resolveStoragePath(rootDir, urlPath) {
+    const decoded = decodeURIComponent(urlPath.split('?')[0]);
+    const resolved = path.resolve(rootDir, '.' + decoded);
+    if (resolved !== rootDir && !resolved.startsWith(rootDir + path.sep)) {
+        return null;
+    }
+    return resolved;
+}
+
+/**
+ * Read a stored file and its ETag
+ * @param {string} filePath - Absolute file path
+ * @returns {Object} { exists, content, etag }; content and etag are null when the file does not exist
+ */
+function readStoredFile(filePath) {
+    const exists = fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+    const content = exists ? fs.readFileSync(filePath) : null;
+    return { exists, content, etag: content ? computeETag(content) : null };
+}
+
+/**
+ * Check HTTP basic credentials when the server was started with --user
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} options - Server options
+ * @returns {boolean} Whether the request is allowed
+ */
+function isAuthorized(req, options) {
+    if (!options.user) return true;
+
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Basic ')) return false;
+
+    const [user, ...rest] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':');
+    return user === options.user && rest.join(':') === options.password;
+}
+
+/**
+ * Check whether an If-Match / If-None-Match header list contains the ETag
+ * @param {string} header - Header value
+ * @param {string|null} etag - Current ETag, null when the file does not exist
+ * @returns {boolean} Whether it matches
+ */
+function matchesETag(header, etag) {
+    if (!etag) return false;
+    if (header.trim() === '*') return true;
+    return header.split(',').map(value => value.trim()).includes(etag);
+}
+
+/**
+ * Send a response with the CORS headers the renderer needs
+ */
+function send(res, status, headers = {}, body = '') {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, HEAD, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+        'Access-Control-Expose-Headers': 'ETag',
+        ...headers
+    });
+    res.end(body);
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options - Server options
+ * @returns {Function} Request listener
+ */
+function createHandler(options) {
+    const rootDir = path.resolve(options.dir);
+    // Pending PUTs per file, so each one checks its precondition after the previous write
+    const writeQueues = new Map();
+
+    const queueWrite = (filePath, write) => {
+        const queued = (writeQueues.get(filePath) || Promise.resolve()).then(write);
+        // Later writes wait for this one whether or not it succeeds
+        const settled = queued.catch(() => {});
+        writeQueues.set(filePath, settled);
+        settled.then(() => {
+            if (writeQueues.get(filePath) === settled) writeQueues.delete(filePath);
+        });
+        return queued;
+    };
+
+    return (req, res) => {
+        if (req.method === 'OPTIONS') {
+            send(res, 204);
+            return;
+        }
+
+        if (!isAuthorized(req, options)) {
+            send(res, 401, { 'WWW-Authenticate': 'Basic realm="StoryGuard Sync"' });
+            return;
+        }
+
+        let filePath;
+        try {
+            filePath = resolveStoragePath(rootDir, req.url);
+        } catch (error) {
+            if (!(error instanceof URIError)) throw error;
+            send(res, 400, {}, 'Malformed request path');
+            return;
+        }
+        if (!filePath) {
+            send(res, 403);
+            return;
+        }
+
+        switch (req.method) {
+            case 'GET':
+            case 'HEAD': {
+                const { exists, content: current, etag } = readStoredFile(filePath);
+                if (!exists) {
+                    send(res, 404);
+                    return;
+                }
+                send(res, 200, {
+                    'Content-Type': 'application/json',
+                    'Content-Length': current.length,
+                    ETag: etag
+                }, req.method === 'GET' ? current : '');
+                return;
+            }
+
+            case 'PUT': {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => queueWrite(filePath, () => {
+                    // Read the file only now: an earlier PUT may have replaced it while this body arrived
+                    const { exists, etag } = readStoredFile(filePath);
+
+                    // Optimistic concurrency: reject writes based on a stale revision
+                    const ifMatch = req.headers['if-match'];
+                    const ifNoneMatch = req.headers['if-none-match'];
+                    if ((ifMatch && !matchesETag(ifMatch, etag)) || (ifNoneMatch && matchesETag(ifNoneMatch, etag))) {
+                        send(res, 412, { ETag: etag || '' });
+                        return;
+                    }
+
+                    const content = Buffer.concat(chunks);
+                    try {
+                        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                        // Write beside the target and rename so readers never see a partial file
+                        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+                        fs.writeFileSync(tempPath, content);
+                        fs.renameSync(tempPath, filePath);
+                    } catch (error) {
+                        console.error('Error storing file:', error);
+                        send(res, 500, {}, error.message);
+                        return;
+                    }
+
+                    console.log(`Stored ${req.url} (${content.length} bytes)`);
+                    send(res, exists ? 200 : 201, { ETag: computeETag(content) });
+                }).catch(error => {
+                    console.error('Error storing file:', error);
+                    send(res, 500, {}, error.message);
+                }));
+                return;
+            }
+
+            case 'DELETE': {
+                const { exists, etag } = readStoredFile(filePath);
+                if (!exists) {
+                    send(res, 404);
+                    return;
+                }
+                if (req.headers['if-match'] && !matchesETag(req.headers['if-match'], etag)) {
+                    send(res, 412, { ETag: etag });
+                    return;
+                }
+                fs.unlinkSync(filePath);
+                send(res, 204);
+                return;
+            }
+
+            default:
+                send(res, 405, { Allow: 'GET, HEAD, PUT, DELETE, OPTIONS' });
+        }
+    };
+}
+
+/**
+ * Start the server
+ * @param {Object} options - Server options
+ * @returns {http.Server} The listening server
+ */
+function startServer(options) {
+    // Resolve the directory once, so a relative one keeps pointing at the same place
+    // and request paths are checked against an absolute root
+    options = { ...options, dir: path.resolve(options.dir) };
+    fs.mkdirSync(options.dir, { recursive: true });
+
+    const server = http.createServer(createHandler(options));
+    server.listen(options.port, () => {
+        console.log(`StoryGuard sync server listening on http://localhost:${options.port}/`);
+        console.log(`Storing files in ${options.dir}`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    startServer(parseOptions(process.argv.slice(2)));
+}
+
+module.exports = {
+    startServer,
+    createHandler,
+    computeETag
+};
@@ -0,0 +1,216 @@
+/**
+ * docx-export.js
+ *
+ * Writes the Story Bible document model built by the renderer
+ * (app/js/modules/storage/story-bible.js) as a native DOCX with officegen.
+ * officegen needs Node, so this runs in the main process.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const officegen = require('officegen');
+
+// Largest portrait size in pixels; officegen converts these to EMUs
+const MAX_IMAGE_WIDTH = 240;
+const MAX_IMAGE_HEIGHT = 320;
+
+const HEADING_SIZES = { 1: 32, 2: 26, 3: 24, 4: 22 };
+
+function headingStyleXML(level) {
+    return `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>` +
+        `<w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>` +
+        `<w:rPr><w:b/><w:bCs/><w:color w:val="${level === 1 ? '2E4A7D' : '333333'}"/><w:sz w:val="${HEADING_SIZES[level]}"/><w:szCs w:val="${HEADING_SIZES[level]}"/></w:rPr></w:style>`;
+}
+
+function tocStyleXML(level) {
+    return `<w:style w:type="paragraph" w:styleId="TOC${level}"><w:name w:val="toc ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="39"/>` +
+        `<w:pPr><w:spacing w:after="60"/><w:ind w:left="${(level - 1) * 360}"/></w:pPr></w:style>`;
+}
+
+// officegen's default styles have no headings, so the bible brings its own style sheet
+const STYLE_XML = '<w:styles xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:eastAsia="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US" w:eastAsia="en-US" w:bidi="en-US"/></w:rPr></w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    '<w:style w:type="character" w:default="1" w:styleId="DefaultParagraphFont"><w:name w:val="Default Paragraph Font"/><w:uiPriority w:val="1"/><w:semiHidden/><w:unhideWhenUsed/></w:style>' +
+    '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:uiPriority w:val="99"/><w:semiHidden/><w:unhideWhenUsed/><w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+    '<w:style w:type="numbering" w:default="1" w:styleId="NoList"><w:name w:val="No List"/><w:uiPriority w:val="99"/><w:semiHidden/><w:unhideWhenUsed/></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/><w:jc w:val="center"/></w:pPr><w:rPr><w:b/><w:color w:val="2E4A7D"/><w:sz w:val="52"/><w:szCs w:val="52"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="480"/><w:jc w:val="center"/></w:pPr><w:rPr><w:i/><w:color w:val="666666"/><w:sz w:val="24"/><w:szCs w:val="24"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="TOCHeading"><w:name w:val="TOC Heading"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:spacing w:before="240" w:after="240"/></w:pPr><w:rPr><w:b/><w:color w:val="2E4A7D"/><w:sz w:val="32"/><w:szCs w:val="32"/></w:rPr></w:style>' +
+    [1, 2, 3, 4].map(headingStyleXML).join('') +
+    [1, 2, 3, 4].map(tocStyleXML).join('') +
+    '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:basedOn w:val="DefaultParagraphFont"/><w:uiPriority w:val="99"/><w:unhideWhenUsed/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>' +
+    '</w:styles>';
+
+function runOptions(run) {
+    const options = {};
+    if (run.bold) options.bold = true;
+    if (run.italic) options.italic = true;
+    if (run.underline) options.underline = true;
+    if (run.strike) options.strikethrough = true;
+    if (run.color) options.color = run.color;
+    if (run.link) options.link = run.link;
+    if (run.anchor) {
+        // A run with its own formatting loses the Hyperlink style, so colour it here
+        options.hyperlink = run.anchor;
+        if (Object.keys(options).length > 1) {
+            options.color = options.color || '0563C1';
+            options.underline = true;
+        }
+    }
+    return options;
+}
+
+function addRuns(paragraph, runs) {
+    (runs || []).forEach(run => {
+        if (run.lineBreak) {
+            paragraph.addLineBreak();
+        } else if (run.text) {
+            paragraph.addText(run.text, runOptions(run));
+        }
+    });
+}
+
+/**
+ * Resolve an image reference to a file officegen can read
+ * Data URIs (web-mode images) are written to temporary files that the caller removes.
+ * @returns {string|null} - Path to the image, or null when it can't be found
+ */
+function resolveImage(src, imagesDir, tempFiles) {
+    if (typeof src !== 'string' || !src.trim()) return null;
+
+    const dataUri = src.match(/^data:image\/(png|jpe?g|gif|bmp);base64,(.+)$/i);
+    if (dataUri) {
+        const extension = dataUri[1].toLowerCase() === 'jpeg' ? 'jpg' : dataUri[1].toLowerCase();
+        const tempPath = path.join(os.tmpdir(), `storyguard-bible-${process.pid}-${tempFiles.length}.${extension}`);
+        fs.writeFileSync(tempPath, Buffer.from(dataUri[2], 'base64'));
+        tempFiles.push(tempPath);
+        return tempPath;
+    }
+
+    const candidates = path.isAbsolute(src)
+        ? [src, path.join(imagesDir, path.basename(src))]
+        : [path.resolve(__dirname, src), path.join(imagesDir, src), path.join(imagesDir, path.basename(src))];
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+function addImage(docx, src, imagesDir, tempFiles) {
+    const imagePath = resolveImage(src, imagesDir, tempFiles);
+    if (!imagePath) {
+        console.warn('STORY BIBLE: Image not found, skipping:', src);
+        return;
+    }
+
+    const paragraph = docx.createP();
+    paragraph.addImage(imagePath);
+
+    // addImage fills in the image's own size; scale it down to portrait size
+    const options = paragraph.data[paragraph.data.length - 1].options;
+    const scale = Math.min(1, MAX_IMAGE_WIDTH / options.cx, MAX_IMAGE_HEIGHT / options.cy);
+    options.cx = Math.round(options.cx * scale);
+    options.cy = Math.round(options.cy * scale);
+}
+
+/**
+ * Add the model's blocks to an officegen document
+ * officegen can't write fields, so the table of contents is a list of links to the
+ * headings' bookmarks rather than a Word TOC field.
+ */
+function addBlocks(docx, blocks, imagesDir, tempFiles) {
+    blocks.forEach(block => {
+        switch (block.type) {
+            case 'title': {
+                const title = docx.createP();
+                title.setStyle('Title');
+                title.addText(block.text);
+                if (block.subtitle) {
+                    const subtitle = docx.createP();
+                    subtitle.setStyle('Subtitle');
+                    subtitle.addText(block.subtitle);
+                }
+                break;
+            }
+            case 'toc': {
+                const title = docx.createP();
+                title.setStyle('TOCHeading');
+                title.addText(block.title || 'Contents');
+                block.entries.forEach(entry => {
+                    const paragraph = docx.createP();
+                    paragraph.setStyle(`TOC${entry.level}`);
+                    paragraph.addText(entry.text, { hyperlink: entry.anchor });
+                });
+                break;
+            }
+            case 'heading': {
+                const paragraph = docx.createP();
+                paragraph.setStyle(`Heading${block.level}`);
+                paragraph.startBookmark(block.anchor);
+                paragraph.addText(block.text);
+                paragraph.endBookmark();
+                break;
+            }
+            case 'paragraph':
+                addRuns(docx.createP(), block.runs);
+                break;
+            case 'list': {
+                // officegen shares one numbering definition across the document and writes list
+                // paragraph properties out of schema order, so list markers are written here
+                const counters = [];
+                block.items.forEach(item => {
+                    counters.length = item.level + 1;
+                    counters[item.level] = (counters[item.level] || 0) + 1;
+                    const paragraph = docx.createP({ indentLeft: 720 * (item.level + 1) });
+                    paragraph.addText(block.ordered ? `${counters[item.level]}. ` : '\u2022 ');
+                    addRuns(paragraph, item.runs);
+                });
+                break;
+            }
+            case 'image':
+                addImage(docx, block.src, imagesDir, tempFiles);
+                break;
+            case 'pageBreak':
+                docx.putPageBreak();
+                break;
+            default:
+                console.warn('STORY BIBLE: Unknown block type:', block.type);
+        }
+    });
+}
+
+/**
+ * Write a Story Bible document model to a DOCX file
+ * @param {Object} model - { title, blocks } from buildStoryBible
+ * @param {string} filePath - Destination file
+ * @param {string} imagesDir - Folder that holds character and location images
+ * @returns {Promise<string>} - The written file path
+ */
+async function writeStoryBible(model, filePath, imagesDir) {
+    const tempFiles = [];
+    const docx = officegen({
+        type: 'docx',
+        title: model.title,
+        creator: 'StoryGuard',
+        styleXML: STYLE_XML
+    });
+
+    try {
+        addBlocks(docx, model.blocks || [], imagesDir, tempFiles);
+
+        await new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(filePath);
+            output.on('close', resolve);
+            output.on('error', reject);
+            docx.on('error', reject);
+            docx.generate(output);
+        });
+        return filePath;
+    } finally {
+        tempFiles.forEach(tempPath => fs.unlink(tempPath, () => {}));
+    }
+}
+
+module.exports = {
+    writeStoryBible
+};
@@ -1,7 +1,8 @@
-const { app, BrowserWindow, ipcMain, dialog, shell, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Menu, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { writeStoryBible } = require('./docx-export');
 
 // Force enable all console logging
 const originalConsoleLog = console.log;
@@ -403,6 +404,9 @@ function createWindow() {
                       tags: window.tags || [],
                       plots: window.plots || [],
                       worldElements: window.worldElements || [],
+                      exportTemplates: window.exportTemplates || [],
+                      calendars: window.calendars || [],
+                      timelineEvents: window.timelineEvents || [],
                       databaseName: "${databaseName}",
                       exportDate: new Date().toISOString(),
                       version: '2.0.0'
@@ -413,8 +417,8 @@ function createWindow() {
                 // Convert to JSON
                 const json = JSON.stringify(data, null, 2);
                 
-                // Save the file directly from main process
-                fs.writeFileSync(filePath, json, 'utf8');
+                // Save the file directly from main process, keeping the previous generation for recovery
+                writeFileAtomic(filePath, json, { keepPrevious: true });
                 
                 // Show success notification
                 mainWindow.webContents.executeJavaScript(`
@@ -615,6 +619,14 @@ app.whenReady().then(() => {
   // Initialize application settings
   initializeSettings();
   
+  // Finish any database, backup or credential write a crash interrupted
+  recoverInterruptedWrites([
+    global.protectedPaths.database,
+    global.protectedPaths.backup,
+    path.join(app.getPath('userData'), 'database'),
+    app.getPath('userData')
+  ]);
+  
   app.on('activate', function () {
     // On macOS it's common to re-create a window when the dock icon is clicked
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -834,7 +846,7 @@ ipcMain.on('read-file', (event, filePath) => {
 
 ipcMain.on('write-file', (event, { filePath, content }) => {
   try {
-    fs.writeFileSync(filePath, content, 'utf8');
+    writeFileAtomic(filePath, content, { keepPrevious: filePath.toLowerCase().endsWith('.json') });
     event.reply('file-saved', filePath);
   } catch (error) {
     event.reply('file-error', error.message);
@@ -1165,6 +1177,7 @@ ipcMain.on('read-database-file', (event, filePath) => {
   for (const loc of possibleLocations) {
     try {
       console.log(`[MAIN] Checking if file exists at: ${loc}`);
+      recoverInterruptedWrite(loc);
       if (fs.existsSync(loc)) {
         console.log(`[MAIN] Found file at: ${loc}`);
         fileContent = fs.readFileSync(loc, 'utf8');
@@ -1231,6 +1244,154 @@ ipcMain.on('read-database-file', (event, filePath) => {
   }
 });
 
+// Path of the previous generation kept next to a database file
+function getPreviousGenerationPath(filePath) {
+  return `${filePath}.prev`;
+}
+
+// Whether a file exists and holds complete JSON
+function isReadableJsonFile(filePath) {
+  try {
+    JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Write-ahead journal kept next to a file while a new version is being swapped in
+function getJournalPath(filePath) {
+  return `${filePath}.journal`;
+}
+
+// Persist renames and deletions in a directory; directories can't be opened for syncing on Windows
+function syncDirectory(directory) {
+  try {
+    const dirFd = fs.openSync(directory, 'r');
+    fs.fsyncSync(dirFd);
+    fs.closeSync(dirFd);
+  } catch (error) {
+    // Not supported on this platform
+  }
+}
+
+// Write and flush a small file in place
+function writeFileSynced(filePath, content) {
+  const fd = fs.openSync(filePath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Swap the journaled temp file in. Every step is a rename, so it can be repeated
+// after a crash at any point: the current file moves to `.prev` (only when it is
+// intact, so a good previous generation is never replaced by a corrupt one), then
+// the temp file takes its place.
+function commitJournaledWrite(filePath, journal) {
+  const tempPath = path.join(path.dirname(filePath), journal.tempFile);
+  
+  if (journal.keepPrevious && fs.existsSync(filePath) && isReadableJsonFile(filePath)) {
+    fs.renameSync(filePath, getPreviousGenerationPath(filePath));
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Finish or discard a write that was interrupted by a crash
+ * A complete journal means its temp file was fully flushed, so the write is rolled
+ * forward. A missing or torn journal means the write never committed and the file
+ * is left as it was. Leftover temp files are removed either way.
+ * @param {string} filePath - File that may have an interrupted write
+ * @returns {boolean} Whether a journal was found
+ */
+function recoverInterruptedWrite(filePath) {
+  const directory = path.dirname(filePath);
+  const journalPath = getJournalPath(filePath);
+  if (!fs.existsSync(journalPath)) {
+    return false;
+  }
+  
+  let journal = null;
+  try {
+    journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+  } catch (error) {
+    console.warn('Discarding incomplete write journal:', journalPath);
+  }
+  
+  if (journal && journal.tempFile && fs.existsSync(path.join(directory, journal.tempFile))) {
+    console.log('Completing interrupted write to:', filePath);
+    commitJournaledWrite(filePath, journal);
+  }
+  
+  const tempPrefix = `.${path.basename(filePath)}.`;
+  fs.readdirSync(directory)
+    .filter(file => file.startsWith(tempPrefix) && file.endsWith('.tmp'))
+    .forEach(file => fs.unlinkSync(path.join(directory, file)));
+  
+  fs.unlinkSync(journalPath);
+  syncDirectory(directory);
+  return true;
+}
+
+// Recover every interrupted write left in the given directories
+function recoverInterruptedWrites(directories) {
+  new Set(directories.filter(Boolean)).forEach(directory => {
+    try {
+      if (!fs.existsSync(directory)) return;
+      fs.readdirSync(directory)
+        .filter(file => file.endsWith('.journal'))
+        .forEach(file => recoverInterruptedWrite(path.join(directory, file.slice(0, -'.journal'.length))));
+    } catch (error) {
+      console.error('Error recovering interrupted writes in:', directory, error);
+    }
+  });
+}
+
+/**
+ * Write a file so a crash or full disk never leaves it half-written
+ * The content goes to a temp file that is flushed to disk. A journal recording the
+ * write is then flushed before any rename, so a crash part way through is finished
+ * by recoverInterruptedWrite on the next start or read. With keepPrevious, the
+ * current file becomes the `.prev` generation.
+ * @param {string} filePath - Target file
+ * @param {string} content - New content
+ * @param {Object} options - { keepPrevious }
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+  const directory = path.dirname(filePath);
+  const tempFile = `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`;
+  const tempPath = path.join(directory, tempFile);
+  const journalPath = getJournalPath(filePath);
+  const journal = { tempFile, keepPrevious: Boolean(options.keepPrevious) };
+  
+  // Settle any earlier write before starting a new one
+  recoverInterruptedWrite(filePath);
+  
+  try {
+    writeFileSynced(tempPath, content);
+    writeFileSynced(journalPath, JSON.stringify(journal));
+    syncDirectory(directory);
+  } catch (error) {
+    // Nothing has been renamed yet: leave the live file untouched and clean up
+    try {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      if (fs.existsSync(journalPath)) fs.unlinkSync(journalPath);
+    } catch (cleanupError) {
+      console.error('Error removing temp file:', cleanupError);
+    }
+    throw error;
+  }
+  
+  // From here on the journal lets an interrupted write be completed
+  commitJournaledWrite(filePath, journal);
+  syncDirectory(directory);
+  fs.unlinkSync(journalPath);
+  syncDirectory(directory);
+}
+
 ipcMain.on('save-database-file', (event, { filePath, content }) => {
   console.log('Silently saving database file to:', filePath);
   
@@ -1244,8 +1405,8 @@ ipcMain.on('save-database-file', (event, { filePath, content }) => {
       fs.mkdirSync(directory, { recursive: true });
     }
     
-    // Write the file synchronously to ensure it's saved before sending response
-    fs.writeFileSync(filePath, content);
+    // Write atomically, keeping the previous generation for recovery
+    writeFileAtomic(filePath, content, { keepPrevious: true });
     console.log('Database file saved successfully');
     
     // Send success notification to renderer
@@ -1544,19 +1705,18 @@ ipcMain.on('save-file', (event, { filePath, content, responseChannel }) => {
       console.log('FILE SAVE DEBUG - Created target directory:', targetDir);
     }
     
-    // Save the file
+    // Save the file atomically; JSON database files keep their previous generation
     console.log('FILE SAVE DEBUG - Saving file to:', finalPath);
-    fs.writeFile(finalPath, content, (err) => {
-      if (err) {
-        console.error('FILE SAVE DEBUG - Error saving file:', err);
-        // Send failure response
-        event.reply(responseChannel, false);
-      } else {
-        console.log('FILE SAVE DEBUG - File saved successfully:', finalPath);
-        // Send success response
-        event.reply(responseChannel, true);
-      }
-    });
+    try {
+      writeFileAtomic(finalPath, content, { keepPrevious: finalPath.toLowerCase().endsWith('.json') });
+      console.log('FILE SAVE DEBUG - File saved successfully:', finalPath);
+      // Send success response
+      event.reply(responseChannel, true);
+    } catch (err) {
+      console.error('FILE SAVE DEBUG - Error saving file:', err);
+      // Send failure response
+      event.reply(responseChannel, false);
+    }
   } catch (error) {
     console.error('FILE SAVE DEBUG - Error in save file handler:', error);
     // Send failure response
@@ -1869,7 +2029,7 @@ ipcMain.handle('save-pdf', async (event, data) => {
         
         // Save the file
         const filePath = path.join(docDir, filename);
-        fs.writeFileSync(filePath, content);
+        writeFileAtomic(filePath, content);
         console.log('DIRECT DOCUMENT SAVE: File saved successfully to:', filePath);
         
         return { success: true, path: filePath };
@@ -1917,7 +2077,7 @@ ipcMain.handle('save-html', async (event, data) => {
         
         // Save the file
         const filePath = path.join(docDir, filename);
-        fs.writeFileSync(filePath, content);
+        writeFileAtomic(filePath, content);
         console.log('DIRECT HTML SAVE: File saved successfully to:', filePath);
         
         return { success: true, path: filePath };
@@ -1964,7 +2124,7 @@ ipcMain.handle('save-txt', async (event, data) => {
         }
         
         const filePath = path.join(docDir, filename);
-        fs.writeFileSync(filePath, content, 'utf8');
+        writeFileAtomic(filePath, content);
         console.log('DIRECT TXT SAVE: File saved successfully to:', filePath);
         
         return { success: true, path: filePath };
@@ -1974,6 +2134,117 @@ ipcMain.handle('save-txt', async (event, data) => {
     }
 });
 
+// Add handler for the Story Bible DOCX export; content is the document model built by the renderer
+ipcMain.handle('save-docx', async (event, data) => {
+    const { content, filename } = data;
+    console.log('DIRECT DOCX SAVE: Saving Story Bible without dialog', filename);
+    
+    try {
+        let docDir = path.join(__dirname, 'documents'); // Default
+        
+        try {
+            const settingsPath = path.join(app.getPath('userData'), 'settings.json');
+            if (fs.existsSync(settingsPath)) {
+                const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+                if (settings.documentDirectory) {
+                    docDir = settings.documentDirectory;
+                    console.log('DIRECT DOCX SAVE: Using documentDirectory from settings:', docDir);
+                }
+            }
+        } catch (settingsError) {
+            console.error('DIRECT DOCX SAVE: Error reading settings:', settingsError);
+        }
+        
+        if (!fs.existsSync(docDir)) {
+            fs.mkdirSync(docDir, { recursive: true });
+            console.log('DIRECT DOCX SAVE: Created directory:', docDir);
+        }
+        
+        const imagesDir = (global.protectedPaths && global.protectedPaths.Images) || path.resolve(__dirname, 'images');
+        const filePath = await writeStoryBible(content, path.join(docDir, path.basename(filename)), imagesDir);
+        console.log('DIRECT DOCX SAVE: File saved successfully to:', filePath);
+        
+        return { success: true, path: filePath };
+    } catch (error) {
+        console.error('DIRECT DOCX SAVE: Error saving file:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Add handler for the Markdown vault export; files are notes with paths relative to the vault folder
+ipcMain.handle('save-markdown-vault', async (event, data) => {
+    const { folderName, files } = data;
+    console.log('MARKDOWN VAULT SAVE: Saving vault without dialog', folderName);
+
+    try {
+        let docDir = path.join(__dirname, 'documents'); // Default
+
+        try {
+            const settingsPath = path.join(app.getPath('userData'), 'settings.json');
+            if (fs.existsSync(settingsPath)) {
+                const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+                if (settings.documentDirectory) {
+                    docDir = settings.documentDirectory;
+                }
+            }
+        } catch (settingsError) {
+            console.error('MARKDOWN VAULT SAVE: Error reading settings:', settingsError);
+        }
+
+        const vaultDir = path.join(docDir, path.basename(folderName));
+        for (const file of files) {
+            // Notes must stay inside the vault folder
+            const filePath = path.resolve(vaultDir, file.path);
+            if (!filePath.startsWith(path.resolve(vaultDir) + path.sep)) {
+                throw new Error(`Invalid note path: ${file.path}`);
+            }
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, file.content, 'utf8');
+        }
+        console.log(`MARKDOWN VAULT SAVE: Saved ${files.length} notes to:`, vaultDir);
+
+        return { success: true, path: vaultDir };
+    } catch (error) {
+        console.error('MARKDOWN VAULT SAVE: Error saving vault:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Let the user pick a Markdown vault folder and return its notes
+ipcMain.handle('read-markdown-vault', async () => {
+    try {
+        const { canceled, filePaths } = await dialog.showOpenDialog({
+            title: 'Import Markdown Vault',
+            properties: ['openDirectory']
+        });
+        if (canceled || filePaths.length === 0) {
+            return { success: false, canceled: true };
+        }
+
+        const vaultDir = filePaths[0];
+        const files = [];
+        const readNotes = (dir, relativeDir) => {
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+                // Skip .obsidian, .trash and other hidden folders
+                if (entry.name.startsWith('.')) return;
+                const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    readNotes(path.join(dir, entry.name), relativePath);
+                } else if (entry.name.toLowerCase().endsWith('.md')) {
+                    files.push({ path: relativePath, content: fs.readFileSync(path.join(dir, entry.name), 'utf8') });
+                }
+            });
+        };
+        readNotes(vaultDir, '');
+        console.log(`MARKDOWN VAULT READ: Read ${files.length} notes from:`, vaultDir);
+
+        return { success: true, path: vaultDir, files };
+    } catch (error) {
+        console.error('MARKDOWN VAULT READ: Error reading vault:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // Handle menu item: Open Database File
 ipcMain.handle('menu-open-database-file', async () => {
   try {
@@ -2067,6 +2338,7 @@ ipcMain.on('import-show-open-dialog', async (event) => {
       // Read the file content
       try {
         console.log('Reading file content...');
+        recoverInterruptedWrite(filePath);
         const content = fs.readFileSync(filePath, 'utf8');
         console.log('File content read, length:', content.length);
         
@@ -2303,6 +2575,151 @@ ipcMain.handle('load-image-file', async (event, imagePath) => {
   }
 });
 
+// List backup files in a directory with the manifest of each archive
+// Backups made before archives were introduced are listed with a null manifest
+ipcMain.handle('list-backups', async (event, directory) => {
+  try {
+    if (!directory || !fs.existsSync(directory)) {
+      return [];
+    }
+    
+    recoverInterruptedWrites([directory]);
+    return fs.readdirSync(directory)
+      .filter(file => file.toLowerCase().endsWith('.json'))
+      .map(file => {
+        const filePath = path.join(directory, file);
+        const stats = fs.statSync(filePath);
+        let manifest = null;
+        let legacy = false;
+        
+        try {
+          const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          if (content && content.format === 'storyguard-backup' && content.manifest) {
+            manifest = content.manifest;
+          } else if (content && Array.isArray(content.characters)) {
+            legacy = true;
+          }
+        } catch (parseError) {
+          console.error('Skipping unreadable backup file:', filePath, parseError.message);
+        }
+        
+        return {
+          fileName: file,
+          filePath,
+          size: stats.size,
+          modified: stats.mtime.toISOString(),
+          manifest,
+          legacy
+        };
+      })
+      .filter(entry => entry.manifest || entry.legacy);
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('read-backup-file', async (event, filePath) => {
+  try {
+    recoverInterruptedWrite(filePath);
+    return { success: true, content: fs.readFileSync(filePath, 'utf8') };
+  } catch (error) {
+    console.error('Error reading backup file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete an automatic backup removed by the retention policy
+// Only automatic backup archives can be deleted this way
+ipcMain.handle('delete-backup-file', async (event, filePath) => {
+  try {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!content || content.format !== 'storyguard-backup' || !content.manifest || content.manifest.type !== 'auto') {
+      return { success: false, error: 'Not an automatic backup archive' };
+    }
+    
+    fs.unlinkSync(filePath);
+    return { success: true, filePath };
+  } catch (error) {
+    console.error('Error deleting backup file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Previous generation of a database file, used to recover from a damaged save
+ipcMain.handle('read-previous-generation', async (event, filePath) => {
+  try {
+    recoverInterruptedWrite(filePath);
+    const previousPath = getPreviousGenerationPath(filePath);
+    if (!fs.existsSync(previousPath)) {
+      return { success: false, error: 'No previous generation' };
+    }
+    
+    return {
+      success: true,
+      filePath: previousPath,
+      content: fs.readFileSync(previousPath, 'utf8'),
+      modified: fs.statSync(previousPath).mtime.toISOString()
+    };
+  } catch (error) {
+    console.error('Error reading previous generation:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Secrets such as the WebDAV password, encrypted with the OS keychain through safeStorage.
+// The file maps each credential name to its encrypted value in base64.
+function getCredentialsPath() {
+  return path.join(app.getPath('userData'), 'credentials.json');
+}
+
+function readCredentialsFile() {
+  try {
+    return JSON.parse(fs.readFileSync(getCredentialsPath(), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Store a credential; an empty secret removes it
+ipcMain.handle('store-credential', async (event, { name, secret }) => {
+  try {
+    const credentials = readCredentialsFile();
+    if (secret) {
+      if (!safeStorage.isEncryptionAvailable()) {
+        return { success: false, error: 'No system keychain is available' };
+      }
+      credentials[name] = safeStorage.encryptString(secret).toString('base64');
+    } else {
+      delete credentials[name];
+    }
+    
+    writeFileAtomic(getCredentialsPath(), JSON.stringify(credentials));
+    return { success: true };
+  } catch (error) {
+    console.error('Error storing credential:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Read a credential; secret is null when none is stored
+ipcMain.handle('read-credential', async (event, name) => {
+  try {
+    const encrypted = readCredentialsFile()[name];
+    if (!encrypted) {
+      return { success: true, secret: null };
+    }
+    if (!safeStorage.isEncryptionAvailable()) {
+      return { success: false, error: 'No system keychain is available' };
+    }
+    
+    return { success: true, secret: safeStorage.decryptString(Buffer.from(encrypted, 'base64')) };
+  } catch (error) {
+    console.error('Error reading credential:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('ensure-directory', async (event, dirPath) => {
   try {
     console.log('Ensuring directory exists:', dirPath);
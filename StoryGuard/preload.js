@@ -189,6 +189,8 @@ contextBridge.exposeInMainWorld(
         'save-html',
         'save-txt',
         'save-docx',
+        'save-markdown-vault',
+        'read-markdown-vault',
         'join-paths'
       ];
       if (validChannels.includes(channel)) {
@@ -226,6 +228,27 @@ contextBridge.exposeInMainWorld(
       return ipcRenderer.invoke('save-docx', { content, filename });
     },
 
+    // Markdown vault: a folder of notes written to the documents directory, and read back from a chosen folder
+    saveMarkdownVault: async (folderName, files) => {
+      console.log(`Saving Markdown vault: ${folderName}`);
+      return ipcRenderer.invoke('save-markdown-vault', { folderName, files });
+    },
+    readMarkdownVault: () => ipcRenderer.invoke('read-markdown-vault'),
+
+    // Images saved for characters and locations
+    saveImageFile: (options) => ipcRenderer.invoke('save-image-file', options),
+    loadImageFile: (imagePath) => ipcRenderer.invoke('load-image-file', imagePath),
+
+    // Backup archives
+    listBackups: (directory) => ipcRenderer.invoke('list-backups', directory),
+    readBackupFile: (filePath) => ipcRenderer.invoke('read-backup-file', filePath),
+    deleteBackupFile: (filePath) => ipcRenderer.invoke('delete-backup-file', filePath),
+    readPreviousGeneration: (filePath) => ipcRenderer.invoke('read-previous-generation', filePath),
+
+    // Secrets kept encrypted by the OS keychain
+    storeCredential: (name, secret) => ipcRenderer.invoke('store-credential', { name, secret }),
+    readCredential: (name) => ipcRenderer.invoke('read-credential', name),
+
     once: (channel, callback) => {
       if (channel === 'theme-changed' || channel === 'current-theme') {
         ipcRenderer.once(channel, (event, ...args) => callback(...args));